@@ -5,11 +5,23 @@ import { SELECTORS } from './constants/selectors.js';
 import { getTaskManager } from './modules/taskManager.js';
 import { getStateManager } from './modules/stateManager.js';
 import { getStorageService } from './modules/storage.js';
+import { getTabSync } from './modules/tabSync.js';
+import { getSearchIndex } from './modules/searchIndex.js';
+import { getViewManager } from './modules/viewManager.js';
 import { TaskForm } from './components/TaskForm.js';
 import { TaskList } from './components/TaskList.js';
+import { TaskBoard } from './components/TaskBoard.js';
+import { TaskCalendar } from './components/TaskCalendar.js';
+import { TaskAgenda } from './components/TaskAgenda.js';
+import { TaskMatrix } from './components/TaskMatrix.js';
 import { Filter } from './components/Filter.js';
 import { Search } from './components/Search.js';
-import { logError, emit, announceToScreenReader, trapFocus } from './utils/helpers.js';
+import { SavedViews } from './components/SavedViews.js';
+import { BulkActions } from './components/BulkActions.js';
+import { ExportDialog } from './components/ExportDialog.js';
+import { ImportDialog } from './components/ImportDialog.js';
+import { logError, emit, announceToScreenReader, trapFocus, downloadFile } from './utils/helpers.js';
+import { addDays, getStartOfDay, toLocalDateString } from './utils/dateUtils.js';
 
 // === MAIN APPLICATION CLASS === */
 export class App {
@@ -18,11 +30,15 @@ export class App {
     this.listeners = [];
     this.isInitialized = false;
     this.isDestroyed = false;
+    this.dayRolloverTimer = null;
     
     // Get core services
     this.taskManager = getTaskManager();
     this.state = getStateManager();
     this.storage = getStorageService();
+    this.tabSync = getTabSync();
+    this.searchIndex = getSearchIndex();
+    this.viewManager = getViewManager();
     
     // Bind methods
     this.handleAppError = this.handleAppError.bind(this);
@@ -31,6 +47,10 @@ export class App {
     this.handleSidebarToggle = this.handleSidebarToggle.bind(this);
     this.handleModalActions = this.handleModalActions.bind(this);
     this.handleExportTasks = this.handleExportTasks.bind(this);
+    this.handleImportTasks = this.handleImportTasks.bind(this);
+    this.handleHistoryChanged = this.handleHistoryChanged.bind(this);
+    this.handleLayoutChanged = this.handleLayoutChanged.bind(this);
+    this.checkDayRollover = this.checkDayRollover.bind(this);
   }
 
   // === INITIALIZATION === */
@@ -52,6 +72,9 @@ export class App {
       
       // Load initial data and state
       await this.loadInitialState();
+
+      // Move "today" along at midnight
+      this.checkDayRollover();
       
       // Hide loading state
       this.hideLoadingState();
@@ -91,6 +114,12 @@ export class App {
           checkReady();
         });
       }
+
+      // Keep other open tabs in sync with changes made here
+      this.tabSync.start();
+
+      // Index the loaded tasks; task events keep it current from here on
+      this.searchIndex.start(this.state.getAllTasks());
       
       emit(document, EVENTS.APP_INIT, {
         stage: 'services',
@@ -124,6 +153,34 @@ export class App {
         this.components.set('taskList', taskList);
       }
 
+      // Initialize the board layout
+      const taskBoardContainer = document.querySelector('.task-board');
+      if (taskBoardContainer) {
+        const taskBoard = new TaskBoard(taskBoardContainer);
+        this.components.set('taskBoard', taskBoard);
+      }
+
+      // Initialize the calendar layout
+      const taskCalendarContainer = document.querySelector('.task-calendar');
+      if (taskCalendarContainer) {
+        const taskCalendar = new TaskCalendar(taskCalendarContainer);
+        this.components.set('taskCalendar', taskCalendar);
+      }
+
+      // Initialize the Today agenda
+      const taskAgendaContainer = document.querySelector('.task-agenda');
+      if (taskAgendaContainer) {
+        const taskAgenda = new TaskAgenda(taskAgendaContainer);
+        this.components.set('taskAgenda', taskAgenda);
+      }
+
+      // Initialize the urgent/important matrix
+      const taskMatrixContainer = document.querySelector('.task-matrix');
+      if (taskMatrixContainer) {
+        const taskMatrix = new TaskMatrix(taskMatrixContainer);
+        this.components.set('taskMatrix', taskMatrix);
+      }
+
       // Initialize Search
       const searchContainer = document.querySelector('.search-bar') || document.querySelector('#search-input')?.parentElement;
       if (searchContainer) {
@@ -142,6 +199,33 @@ export class App {
         console.warn('Filter container not found - filter functionality will not be available');
       }
 
+      // Initialize saved views
+      const savedViewsContainer = document.querySelector('.saved-views');
+      if (savedViewsContainer) {
+        const savedViews = new SavedViews(savedViewsContainer);
+        this.components.set('savedViews', savedViews);
+      }
+
+      // Initialize the bulk actions toolbar
+      const bulkActionsContainer = document.querySelector('.bulk-actions');
+      if (bulkActionsContainer) {
+        const bulkActions = new BulkActions(bulkActionsContainer);
+        this.components.set('bulkActions', bulkActions);
+      }
+
+      // Initialize the export and import dialogs
+      const exportDialogContainer = document.querySelector('#export-dialog');
+      if (exportDialogContainer) {
+        const exportDialog = new ExportDialog(exportDialogContainer);
+        this.components.set('exportDialog', exportDialog);
+      }
+
+      const importDialogContainer = document.querySelector('#import-dialog');
+      if (importDialogContainer) {
+        const importDialog = new ImportDialog(importDialogContainer);
+        this.components.set('importDialog', importDialog);
+      }
+
       emit(document, EVENTS.APP_INIT, {
         stage: 'components',
         timestamp: new Date().toISOString(),
@@ -172,6 +256,12 @@ export class App {
       this.addListener(sidebarToggle, 'click', this.handleSidebarToggle);
     }
     
+    // Layout switch
+    document.querySelectorAll('[data-layout]').forEach(button => {
+      this.addListener(button, 'click', () => this.state.setLayout(button.getAttribute('data-layout')));
+    });
+    this.addListener(document, EVENTS.LAYOUT_CHANGED, this.handleLayoutChanged);
+    
     // Modal actions
     this.addListener(document, 'click', this.handleModalActions);
     
@@ -180,6 +270,10 @@ export class App {
     
     // Global notification events
     this.addListener(document, EVENTS.NOTIFICATION_SHOW, this.handleNotificationShow.bind(this));
+    this.addListener(document, EVENTS.NOTIFICATION_HIDE, this.handleNotificationShow.bind(this));
+    
+    // Offer undo for deletions
+    this.addListener(document, EVENTS.HISTORY_CHANGED, this.handleHistoryChanged);
     
     // Task events for ensuring UI updates
     this.addListener(document, EVENTS.TASK_CREATED, this.handleTaskCreated.bind(this));
@@ -190,6 +284,12 @@ export class App {
       this.addListener(exportButton, 'click', this.handleExportTasks);
     }
     
+    // Import tasks
+    const importButton = document.querySelector('[data-action="import-tasks"]');
+    if (importButton) {
+      this.addListener(importButton, 'click', this.handleImportTasks);
+    }
+    
     // Clear filters
     const clearFiltersButton = document.querySelector('[data-action="clear-filters"]');
     if (clearFiltersButton) {
@@ -199,8 +299,19 @@ export class App {
       });
     }
     
+    // Timers don't run while the device sleeps, so look at the date again on coming back.
+    // Hidden may be the last the page sees, on mobile especially, so the UI state is saved then
+    this.addListener(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.checkDayRollover();
+      } else {
+        this.handlePageHide();
+      }
+    });
+    this.addListener(window, 'focus', this.checkDayRollover);
+    
     // Window events
-    this.addListener(window, 'beforeunload', this.handleBeforeUnload.bind(this));
+    this.addListener(window, 'pagehide', this.handlePageHide.bind(this));
     this.addListener(window, 'resize', this.handleWindowResize.bind(this));
   }
 
@@ -214,6 +325,11 @@ export class App {
         this.setTheme(savedUIState.theme);
       }
       
+      // Apply layout
+      if (savedUIState.layout) {
+        this.state.setLayout(savedUIState.layout);
+      }
+      
       // Apply filters
       if (savedUIState.filters) {
         Object.entries(savedUIState.filters).forEach(([filterType, value]) => {
@@ -225,12 +341,27 @@ export class App {
       const settings = await this.storage.loadSettings();
       this.state.setState({ settings }, 'app.loadInitialState');
       
+      // Open on the pinned view, after settings so its sort order wins
+      await this.viewManager.init();
+      this.viewManager.applyDefaultView();
+      
     } catch (error) {
       console.warn('Failed to load initial state:', error);
       // Continue with defaults
     }
   }
 
+  // === DAY ROLLOVER === */
+  // Tells the state the date, then checks again just after the next midnight
+  checkDayRollover() {
+    if (this.isDestroyed) return;
+
+    clearTimeout(this.dayRolloverTimer);
+    const now = new Date();
+    this.state.setToday(toLocalDateString(now));
+    this.dayRolloverTimer = setTimeout(this.checkDayRollover, addDays(getStartOfDay(now), 1) - now + 1000);
+  }
+
   // === EVENT HANDLERS === */
   handleAppError(event) {
     const { error, context, userMessage } = event.detail;
@@ -254,10 +385,21 @@ export class App {
       return;
     }
     
-    const { key, ctrlKey, metaKey, altKey } = event;
+    const { key, ctrlKey, metaKey, altKey, shiftKey } = event;
     const modifier = ctrlKey || metaKey;
     
     switch (key) {
+      case 'z':
+      case 'Z':
+        if (modifier) {
+          event.preventDefault();
+          if (shiftKey) {
+            this.redo();
+          } else {
+            this.undo();
+          }
+        }
+        break;
       case 'n':
         if (modifier) {
           event.preventDefault();
@@ -298,6 +440,22 @@ export class App {
     announceToScreenReader(`Switched to ${newTheme} theme`);
   }
 
+  // The layouts share the filters and toolbar, only the one showing the tasks changes
+  handleLayoutChanged(event) {
+    const { layout } = event.detail;
+
+    document.querySelectorAll('[data-layout]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.getAttribute('data-layout') === layout));
+    });
+
+    document.querySelectorAll('[data-layout-panel]').forEach(panel => {
+      panel.hidden = panel.getAttribute('data-layout-panel') !== layout;
+    });
+
+    this.storage.saveUIState(this.state.getState().ui);
+    announceToScreenReader(layout === 'agenda' ? "Showing today's agenda" : `Showing tasks as a ${layout}`);
+  }
+
   handleSidebarToggle(event) {
     event.preventDefault();
     this.state.toggleSidebar();
@@ -333,6 +491,25 @@ export class App {
     this.updateNotificationDisplay();
   }
 
+  handleHistoryChanged(event) {
+    const { action, command } = event.detail;
+    if (action !== 'record' || command.kind !== 'delete') return;
+
+    const message = command.taskCount === 1 ? 'Task deleted' : `${command.taskCount} tasks deleted`;
+    this.showNotification(message, 'info', {
+      duration: 8000,
+      action: {
+        label: 'Undo',
+        // Only undo if nothing else has been recorded since this deletion
+        handler: () => {
+          if (this.state.peekUndo()?.id === command.id) {
+            this.undo();
+          }
+        }
+      }
+    });
+  }
+
   handleTaskCreated(event) {
     // Ensure TaskList refreshes when a task is created
     const taskList = this.components.get('taskList');
@@ -343,9 +520,16 @@ export class App {
     console.log('App received TASK_CREATED event:', event.detail);
   }
 
+  // The dialog picks the format; without it, the JSON backup is downloaded straight away
   async handleExportTasks(event) {
     event.preventDefault();
     
+    const exportDialog = this.components.get('exportDialog');
+    if (exportDialog) {
+      exportDialog.open();
+      return;
+    }
+    
     try {
       const exportData = await this.storage.exportData();
       this.downloadFile(exportData, 'todo-tasks.json', 'application/json');
@@ -359,6 +543,11 @@ export class App {
     }
   }
 
+  handleImportTasks(event) {
+    event.preventDefault();
+    this.components.get('importDialog')?.open();
+  }
+
   handleEscape() {
     const state = this.state.getState();
     
@@ -376,8 +565,9 @@ export class App {
     }
   }
 
-  handleBeforeUnload(event) {
-    // Save current state before leaving
+  // Settings are saved as they change; an IndexedDB write started while the page unloads may
+  // never commit, so this is only a last flush
+  handlePageHide() {
     const state = this.state.getState();
     this.storage.saveUIState(state.ui);
     this.storage.saveSettings(state.settings);
@@ -391,13 +581,42 @@ export class App {
     }
   }
 
+  // === HISTORY === */
+  undo() {
+    if (!this.state.canUndo()) {
+      announceToScreenReader('Nothing to undo');
+      return;
+    }
+
+    try {
+      const command = this.state.undo();
+      announceToScreenReader(`Undid ${command.label}`);
+    } catch (error) {
+      logError(error, 'App.undo');
+    }
+  }
+
+  redo() {
+    if (!this.state.canRedo()) {
+      announceToScreenReader('Nothing to redo');
+      return;
+    }
+
+    try {
+      const command = this.state.redo();
+      announceToScreenReader(`Redid ${command.label}`);
+    } catch (error) {
+      logError(error, 'App.redo');
+    }
+  }
+
   // === UI HELPERS === */
   setTheme(theme) {
     document.body.setAttribute('data-theme', theme);
     this.state.setTheme(theme);
     
-    // Save to storage
-    this.storage.saveUIState({ theme });
+    // Save to storage, along with the rest of the UI state it's stored with
+    this.storage.saveUIState(this.state.getState().ui);
     
     // Update theme toggle icon if needed
     const themeToggle = document.querySelector('[data-action="toggle-theme"]');
@@ -424,6 +643,11 @@ export class App {
         <div class="notification notification--${notification.type}" role="alert" aria-live="polite">
           <div class="notification__content">
             <span class="notification__message">${notification.message}</span>
+            ${notification.action ? `
+              <div class="notification__actions">
+                <button type="button" class="notification__action">${notification.action.label}</button>
+              </div>
+            ` : ''}
             <button type="button" class="notification__close btn btn--icon" aria-label="Close notification">
               <svg class="icon" aria-hidden="true" width="16" height="16" viewBox="0 0 24 24">
                 <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
@@ -441,6 +665,15 @@ export class App {
           container.innerHTML = '';
         });
       }
+      
+      const actionButton = container.querySelector('.notification__action');
+      if (actionButton) {
+        actionButton.addEventListener('click', () => {
+          this.state.hideNotification();
+          container.innerHTML = '';
+          notification.action.handler();
+        });
+      }
     } else {
       container.innerHTML = '';
     }
@@ -541,6 +774,13 @@ export class App {
     const shortcuts = [
       'Ctrl/Cmd + N: New task',
       'Ctrl/Cmd + F: Search',
+      'Ctrl/Cmd + Z: Undo',
+      'Ctrl/Cmd + Shift + Z: Redo',
+      'Ctrl/Cmd + A: Select all listed tasks',
+      'Shift + click: Select a range of tasks',
+      'Alt + Left/Right: Move a board card to the next column',
+      'Alt + arrows: Reschedule a calendar task by a day or a week',
+      'Alt + arrows: Move a matrix task to another quadrant',
       '/: Quick search',
       'Escape: Cancel current action',
       '?: Show this help'
@@ -555,15 +795,7 @@ export class App {
 
   // === UTILITY METHODS === */
   downloadFile(content, filename, mimeType) {
-    const blob = new Blob([content], { type: mimeType });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    downloadFile(content, filename, mimeType);
   }
 
   showLoadingState() {
@@ -636,6 +868,8 @@ export class App {
       }
     });
     this.components.clear();
+
+    clearTimeout(this.dayRolloverTimer);
     
     // Remove all event listeners
     this.listeners.forEach(({ element, event, handler }) => {
@@ -648,6 +882,14 @@ export class App {
       this.taskManager.destroy();
     }
     
+    if (this.tabSync) {
+      this.tabSync.stop();
+    }
+
+    if (this.searchIndex) {
+      this.searchIndex.stop();
+    }
+    
     if (this.state && this.state.destroy) {
       this.state.destroy();
     }
@@ -0,0 +1,287 @@
+/* Bulk Actions Toolbar Component */
+
+import { EVENTS } from '../constants/events.js';
+import { emit, logError, announceToScreenReader, downloadFile, unescapeHtml } from '../utils/helpers.js';
+import { getTaskManager } from '../modules/taskManager.js';
+import { getStateManager } from '../modules/stateManager.js';
+import { getStorageService } from '../modules/storage.js';
+
+// === BULK ACTIONS COMPONENT === */
+/**
+ * Floating toolbar for the selected tasks. It shows while any task is selected; each action
+ * is a single undo step, and the selection stays so several can be applied in turn.
+ */
+export class BulkActions {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+    this.options = {
+      announceChanges: true,
+      ...options
+    };
+
+    this.taskManager = getTaskManager();
+    this.state = getStateManager();
+    this.storage = getStorageService();
+    this.elements = {};
+    this.listeners = [];
+
+    this.init();
+  }
+
+  // === INITIALIZATION === */
+  init() {
+    try {
+      if (!this.container) {
+        throw new Error('Bulk actions container not found');
+      }
+
+      this.findElements();
+      this.attachEventListeners();
+      this.render();
+
+      emit(document, EVENTS.COMPONENT_MOUNTED, {
+        component: 'BulkActions',
+        container: this.container
+      });
+    } catch (error) {
+      logError(error, 'BulkActions.init');
+    }
+  }
+
+  findElements() {
+    this.elements = {
+      count: this.container.querySelector('.bulk-actions__count'),
+      prioritySelect: this.container.querySelector('.bulk-actions__priority'),
+      categoryForm: this.container.querySelector('.bulk-actions__form--category'),
+      categoryInput: this.container.querySelector('.bulk-actions__category'),
+      categoryOptions: this.container.querySelector('.bulk-actions__category-options'),
+      dueDateForm: this.container.querySelector('.bulk-actions__form--due'),
+      dueDateInput: this.container.querySelector('.bulk-actions__due-date')
+    };
+  }
+
+  // === EVENT LISTENERS === */
+  attachEventListeners() {
+    this.addListener(this.container, 'click', this.handleClick.bind(this));
+
+    if (this.elements.prioritySelect) {
+      this.addListener(this.elements.prioritySelect, 'change', this.handlePriorityChange.bind(this));
+    }
+    if (this.elements.categoryForm) {
+      this.addListener(this.elements.categoryForm, 'submit', this.handleCategorySubmit.bind(this));
+    }
+    if (this.elements.dueDateForm) {
+      this.addListener(this.elements.dueDateForm, 'submit', this.handleDueDateSubmit.bind(this));
+    }
+
+    this.addListener(document, EVENTS.BULK_SELECT, () => this.render());
+    this.addListener(document, EVENTS.BULK_DESELECT, () => this.render());
+  }
+
+  addListener(element, event, handler) {
+    element.addEventListener(event, handler);
+    this.listeners.push({ element, event, handler });
+  }
+
+  // === RENDERING === */
+  render() {
+    const count = this.getSelectedIds().length;
+    const wasHidden = this.container.hidden;
+
+    this.container.hidden = count === 0;
+    if (this.elements.count) {
+      this.elements.count.textContent = `${count} selected`;
+    }
+
+    // Categories to pick from are read when the toolbar appears, not on every change
+    if (wasHidden && count > 0) {
+      this.updateCategoryOptions();
+    }
+  }
+
+  updateCategoryOptions() {
+    const { categoryOptions } = this.elements;
+    if (!categoryOptions) return;
+
+    // Stored HTML-escaped, the suggestions are decoded so picking one doesn't escape it twice
+    const categories = new Set(this.taskManager.getAllTasks()
+      .map(task => task.category)
+      .filter(Boolean)
+      .map(unescapeHtml));
+
+    categoryOptions.replaceChildren(...[...categories].sort().map(category => {
+      const option = document.createElement('option');
+      option.value = category;
+      return option;
+    }));
+  }
+
+  getSelectedIds() {
+    return this.state.getSelectedTaskIds();
+  }
+
+  // === EVENT HANDLERS === */
+  handleClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    switch (button.getAttribute('data-action')) {
+      case 'bulk-complete':
+        this.setCompleted(true);
+        break;
+      case 'bulk-reopen':
+        this.setCompleted(false);
+        break;
+      case 'bulk-delete':
+        this.deleteSelected();
+        break;
+      case 'bulk-export':
+        this.exportSelected();
+        break;
+      case 'bulk-clear':
+        this.state.clearSelection();
+        this.announce('Selection cleared');
+        break;
+    }
+  }
+
+  handlePriorityChange(event) {
+    const priority = event.target.value;
+    if (!priority) return;
+
+    this.updateSelected({ priority }, `Priority set to ${event.target.selectedOptions[0]?.textContent.trim().toLowerCase()}`);
+    event.target.value = '';
+  }
+
+  // An empty category removes it
+  handleCategorySubmit(event) {
+    event.preventDefault();
+    const category = this.elements.categoryInput.value.trim();
+
+    this.updateSelected({ category }, category ? `Category set to ${category}` : 'Category removed')
+      .then(updated => {
+        if (updated) this.elements.categoryInput.value = '';
+      });
+  }
+
+  // An empty date removes the due date
+  handleDueDateSubmit(event) {
+    event.preventDefault();
+    const dueDate = this.elements.dueDateInput.value;
+
+    this.updateSelected({ dueDate }, dueDate ? `Due date set to ${dueDate}` : 'Due date removed')
+      .then(updated => {
+        if (updated) this.elements.dueDateInput.value = '';
+      });
+  }
+
+  // === ACTIONS === */
+  async setCompleted(completed) {
+    const taskIds = this.getSelectedIds();
+    if (taskIds.length === 0) return;
+
+    try {
+      const changed = await this.taskManager.completeMultipleTasks(taskIds, completed);
+      const verb = completed ? 'completed' : 'marked incomplete';
+      this.announce(changed.length > 0
+        ? `${pluralize(changed.length)} ${verb}`
+        : `Selected tasks are already ${completed ? 'complete' : 'incomplete'}`);
+    } catch (error) {
+      // TaskManager has already reported the failure
+    }
+  }
+
+  async updateSelected(updates, message) {
+    const taskIds = this.getSelectedIds();
+    if (taskIds.length === 0) return false;
+
+    try {
+      const updated = await this.taskManager.updateMultipleTasks(taskIds, updates);
+      this.announce(`${message} on ${pluralize(updated.length)}`);
+      return true;
+    } catch (error) {
+      // TaskManager has already reported the failure
+      return false;
+    }
+  }
+
+  async deleteSelected() {
+    const taskIds = this.getSelectedIds();
+    if (taskIds.length === 0) return;
+
+    if (this.state.getSetting('confirmDeletion')) {
+      const confirmed = await this.showDeleteConfirmation(taskIds.length);
+      if (!confirmed) return;
+    }
+
+    try {
+      // App offers to undo the deletion
+      const deleted = await this.taskManager.deleteMultipleTasks(taskIds);
+      this.state.clearSelection();
+      this.announce(`${pluralize(deleted.length)} deleted`);
+    } catch (error) {
+      // TaskManager has already reported the failure
+    }
+  }
+
+  async exportSelected() {
+    const taskIds = this.getSelectedIds();
+    if (taskIds.length === 0) return;
+
+    try {
+      const data = await this.storage.exportData({ taskIds });
+      downloadFile(data, 'todo-tasks-selected.json', 'application/json');
+      this.announce(`${pluralize(taskIds.length)} exported`);
+    } catch (error) {
+      logError(error, 'BulkActions.exportSelected');
+      emit(document, EVENTS.APP_ERROR, {
+        error,
+        context: 'BulkActions',
+        userMessage: 'Failed to export the selected tasks',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  showDeleteConfirmation(count) {
+    return new Promise(resolve => {
+      emit(document, EVENTS.MODAL_OPEN, {
+        type: 'confirm',
+        title: 'Delete Selected Tasks',
+        message: `Are you sure you want to delete ${pluralize(count)}?`,
+        confirmText: 'Delete',
+        cancelText: 'Cancel',
+        onConfirm: () => resolve(true),
+        onCancel: () => resolve(false)
+      });
+    });
+  }
+
+  announce(message) {
+    if (this.options.announceChanges) {
+      announceToScreenReader(message);
+    }
+  }
+
+  // === CLEANUP === */
+  destroy() {
+    this.listeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.listeners = [];
+
+    emit(document, EVENTS.COMPONENT_UNMOUNTED, {
+      component: 'BulkActions',
+      container: this.container
+    });
+  }
+}
+
+function pluralize(count) {
+  return `${count} ${count === 1 ? 'task' : 'tasks'}`;
+}
+
+// === FACTORY FUNCTION === */
+export function createBulkActions(container, options) {
+  return new BulkActions(container, options);
+}
@@ -0,0 +1,269 @@
+/* Export Dialog Component */
+
+import { EVENTS } from '../constants/events.js';
+import { emit, logError, announceToScreenReader, downloadFile, wrapFocus } from '../utils/helpers.js';
+import { CSV_COLUMNS, CSV_DELIMITERS, DEFAULT_CSV_COLUMNS, tasksToCsv } from '../utils/csv.js';
+import { tasksToTodoTxt } from '../utils/todoTxt.js';
+import { tasksToMarkdown } from '../utils/markdown.js';
+import { tasksToIcs } from '../utils/ical.js';
+import { parseLocalDate } from '../utils/dateUtils.js';
+import { getTaskManager } from '../modules/taskManager.js';
+import { getStateManager } from '../modules/stateManager.js';
+import { getStorageService } from '../modules/storage.js';
+
+// === EXPORT DIALOG COMPONENT === */
+/**
+ * Downloads every task: as a JSON backup that also holds settings and views, as CSV with the
+ * columns and separator chosen here, or as todo.txt. A Markdown checklist holds just the tasks
+ * the current filters show, in their order, and a calendar just those with a due date, as
+ * to-dos or all-day events. Choices last until the page reloads.
+ */
+export class ExportDialog {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+    this.options = {
+      ...options
+    };
+
+    this.taskManager = getTaskManager();
+    this.state = getStateManager();
+    this.storage = getStorageService();
+    this.elements = {};
+    this.listeners = [];
+    this.returnFocus = null;   // the control that opened the dialog
+
+    this.init();
+  }
+
+  // === INITIALIZATION === */
+  init() {
+    try {
+      if (!this.container) {
+        throw new Error('Export dialog container not found');
+      }
+
+      this.findElements();
+      this.renderOptions();
+      this.attachEventListeners();
+
+      emit(document, EVENTS.COMPONENT_MOUNTED, {
+        component: 'ExportDialog',
+        container: this.container
+      });
+    } catch (error) {
+      logError(error, 'ExportDialog.init');
+      this.handleError(error, 'Failed to initialize export');
+    }
+  }
+
+  findElements() {
+    this.elements = {
+      form: this.container.querySelector('.transfer-dialog__form'),
+      formatOptions: Array.from(this.container.querySelectorAll('[data-format-options]')),
+      columns: this.container.querySelector('.transfer-dialog__columns'),
+      delimiter: this.container.querySelector('.transfer-dialog__delimiter'),
+      summary: this.container.querySelector('.transfer-dialog__summary'),
+      submit: this.container.querySelector('[type="submit"]')
+    };
+
+    if (!this.elements.form) {
+      throw new Error('Export form not found');
+    }
+  }
+
+  // A checkbox per CSV column, the everyday ones ticked
+  renderOptions() {
+    this.elements.columns?.replaceChildren(...CSV_COLUMNS.map(column => {
+      const label = document.createElement('label');
+      label.className = 'transfer-dialog__check';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.name = 'export-column';
+      checkbox.value = column.field;
+      checkbox.checked = DEFAULT_CSV_COLUMNS.includes(column.field);
+
+      label.append(checkbox, ` ${column.label}`);
+      return label;
+    }));
+
+    this.elements.delimiter?.replaceChildren(...CSV_DELIMITERS.map(({ value, label }) => createOption(label, value)));
+  }
+
+  // === EVENT LISTENERS === */
+  attachEventListeners() {
+    this.addListener(this.container, 'click', this.handleClick.bind(this));
+    this.addListener(this.container, 'keydown', this.handleKeydown.bind(this));
+    this.addListener(this.elements.form, 'change', () => this.updateForm());
+    this.addListener(this.elements.form, 'submit', this.handleSubmit.bind(this));
+  }
+
+  addListener(element, event, handler) {
+    element.addEventListener(event, handler);
+    this.listeners.push({ element, event, handler });
+  }
+
+  // === OPEN AND CLOSE === */
+  isOpen() {
+    return this.container.getAttribute('aria-hidden') === 'false';
+  }
+
+  open() {
+    if (this.isOpen()) return;
+
+    this.returnFocus = document.activeElement;
+    this.container.setAttribute('aria-hidden', 'false');
+    this.updateForm();
+    this.elements.form.querySelector('[name="export-format"]:checked')?.focus();
+  }
+
+  close() {
+    if (!this.isOpen()) return;
+
+    this.container.setAttribute('aria-hidden', 'true');
+    if (this.returnFocus?.isConnected) {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  // === FORM === */
+  getFormat() {
+    return this.elements.form.querySelector('[name="export-format"]:checked')?.value || 'json';
+  }
+
+  // The filtered tasks as the list orders them, best search matches first
+  getViewTasks() {
+    const tasks = this.state.getFilteredTasks();
+    return this.state.getSearchMatcher().isRanked
+      ? tasks
+      : this.taskManager.sortTasks(tasks, this.state.getSortKeys());
+  }
+
+  getSelectedColumns() {
+    return Array.from(this.elements.form.querySelectorAll('[name="export-column"]:checked'), checkbox => checkbox.value);
+  }
+
+  getDatedTasks() {
+    return this.taskManager.getAllTasks().filter(task => parseLocalDate(task.dueDate));
+  }
+
+  /**
+   * Each format's options show only for it. CSV needs at least one column, a checklist tasks
+   * shown and a calendar tasks with a due date.
+   */
+  updateForm() {
+    const format = this.getFormat();
+    const csv = format === 'csv';
+    let count = this.taskManager.getAllTasks().length;
+    if (format === 'markdown') {
+      count = this.state.getFilteredTasks().length;
+    } else if (format === 'ics') {
+      count = this.getDatedTasks().length;
+    }
+
+    let problem = null;
+    if (csv && this.getSelectedColumns().length === 0) {
+      problem = 'Choose at least one column.';
+    } else if (format === 'markdown' && count === 0) {
+      problem = 'The current filters show no tasks.';
+    } else if (format === 'ics' && count === 0) {
+      problem = 'No task has a due date to put in a calendar.';
+    }
+
+    this.elements.formatOptions.forEach(element => {
+      element.hidden = element.getAttribute('data-format-options') !== format;
+    });
+    if (this.elements.submit) {
+      this.elements.submit.disabled = Boolean(problem);
+    }
+    if (this.elements.summary) {
+      this.elements.summary.textContent = problem || `${count} ${count === 1 ? 'task' : 'tasks'} will be exported.`;
+    }
+  }
+
+  // === EVENT HANDLERS === */
+  handleClick(event) {
+    if (event.target.closest('[data-action="close-dialog"]')) {
+      this.close();
+    }
+  }
+
+  // Keys stay with the dialog rather than reaching the app's shortcuts
+  handleKeydown(event) {
+    event.stopPropagation();
+
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.close();
+      return;
+    }
+    wrapFocus(event, this.container);
+  }
+
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    try {
+      const format = this.getFormat();
+      if (format === 'csv') {
+        const columns = this.getSelectedColumns();
+        if (columns.length === 0) return;
+
+        const csv = tasksToCsv(this.taskManager.getAllTasks(), columns, { delimiter: this.elements.delimiter?.value });
+        downloadFile(csv, 'todo-tasks.csv', 'text/csv;charset=utf-8');
+      } else if (format === 'todotxt') {
+        downloadFile(tasksToTodoTxt(this.taskManager.getAllTasks()), 'todo.txt', 'text/plain;charset=utf-8');
+      } else if (format === 'markdown') {
+        downloadFile(tasksToMarkdown(this.getViewTasks()), 'todo-tasks.md', 'text/markdown;charset=utf-8');
+      } else if (format === 'ics') {
+        const component = this.elements.form.querySelector('[name="export-ics-component"]:checked')?.value;
+        downloadFile(tasksToIcs(this.getDatedTasks(), { component }), 'todo-tasks.ics', 'text/calendar;charset=utf-8');
+      } else {
+        downloadFile(await this.storage.exportData(), 'todo-tasks.json', 'application/json');
+      }
+
+      this.close();
+      this.state.showNotification('Tasks exported successfully', 'success');
+      announceToScreenReader('Tasks exported successfully');
+    } catch (error) {
+      logError(error, 'ExportDialog.handleSubmit');
+      this.handleError(error, 'Failed to export tasks');
+    }
+  }
+
+  // === ERROR HANDLING === */
+  handleError(error, userMessage) {
+    emit(document, EVENTS.APP_ERROR, {
+      error,
+      context: 'ExportDialog',
+      userMessage,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // === CLEANUP === */
+  destroy() {
+    this.listeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.listeners = [];
+
+    emit(document, EVENTS.COMPONENT_UNMOUNTED, {
+      component: 'ExportDialog',
+      container: this.container
+    });
+  }
+}
+
+function createOption(label, value) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  return option;
+}
+
+// === FACTORY FUNCTION === */
+export function createExportDialog(container, options) {
+  return new ExportDialog(container, options);
+}
@@ -3,7 +3,9 @@
 import { EVENTS } from '../constants/events.js';
 import { SELECTORS, FILTERS } from '../constants/selectors.js';
 import { on, off, emit, logError, announceToScreenReader } from '../utils/helpers.js';
-import { validateFilters } from '../utils/validation.js';
+import { validateFilters, SORT_FIELDS } from '../utils/validation.js';
+import { DUE_WINDOWS } from '../utils/searchQuery.js';
+import { GROUP_FIELDS } from '../utils/taskGroups.js';
 import { getStateManager } from '../modules/stateManager.js';
 import { getTaskManager } from '../modules/taskManager.js';
 
@@ -27,7 +29,9 @@ export class Filter {
     this.listeners = [];
     this.currentFilters = {
       status: 'all',
-      priority: 'all'
+      priority: 'all',
+      category: 'all',
+      due: 'all'
     };
     
     this.init();
@@ -67,6 +71,13 @@ export class Filter {
       prioritySection: this.container.querySelector('[aria-labelledby="priority-filter-heading"]'),
       priorityButtons: this.container.querySelectorAll('[data-filter="all-priority"], [data-filter="high"], [data-filter="medium"], [data-filter="low"]'),
       
+      // Category, due-date and sort selects
+      categorySelect: this.container.querySelector('#filter-category'),
+      dueSelect: this.container.querySelector('#filter-due'),
+      sortSelect: this.container.querySelector('#filter-sort'),
+      thenSortSelect: this.container.querySelector('#filter-sort-then'),
+      groupSelect: this.container.querySelector('#filter-group'),
+      
       // Clear filters button
       clearButton: this.container.querySelector('[data-action="clear-filters"]'),
       
@@ -96,6 +107,26 @@ export class Filter {
       this.addListener(button, 'click', this.handlePriorityFilterClick.bind(this));
     });
 
+    if (this.elements.categorySelect) {
+      this.addListener(this.elements.categorySelect, 'change', event => this.setCategoryFilter(event.target.value));
+    }
+
+    if (this.elements.dueSelect) {
+      this.addListener(this.elements.dueSelect, 'change', event => this.setDueFilter(event.target.value));
+    }
+
+    if (this.elements.sortSelect) {
+      this.addListener(this.elements.sortSelect, 'change', this.handleSortChange.bind(this));
+    }
+
+    if (this.elements.thenSortSelect) {
+      this.addListener(this.elements.thenSortSelect, 'change', this.handleThenSortChange.bind(this));
+    }
+
+    if (this.elements.groupSelect) {
+      this.addListener(this.elements.groupSelect, 'change', this.handleGroupChange.bind(this));
+    }
+
     // Clear filters button
     if (this.elements.clearButton) {
       this.addListener(this.elements.clearButton, 'click', this.handleClearFilters.bind(this));
@@ -125,6 +156,15 @@ export class Filter {
       if (newState.tasks !== prevState.tasks || newState.filters !== prevState.filters) {
         this.updateFilterCounts();
       }
+      
+      // New or renamed categories become choices
+      if (newState.tasks !== prevState.tasks) {
+        this.updateCategoryOptions();
+      }
+      
+      if (newState.settings !== prevState.settings) {
+        this.updateSortSelect();
+      }
     });
   }
 
@@ -153,6 +193,48 @@ export class Filter {
     this.setPriorityFilter(priorityValue);
   }
 
+  // Sort options carry both parts, e.g. "dueDate:asc"
+  handleSortChange(event) {
+    const [sortBy, direction] = event.target.value.split(':');
+    if (!SORT_FIELDS.includes(sortBy)) return;
+    
+    // A field already used as the main sort can't also break ties
+    const { thenBy } = this.state.getSortOrder();
+    this.state.setSortOrder(sortBy, direction === 'asc' ? 'asc' : 'desc', thenBy.filter(key => key.by !== sortBy));
+    
+    if (this.options.announceChanges) {
+      announceToScreenReader(`Sorted by ${event.target.selectedOptions[0]?.textContent.trim().toLowerCase()}`);
+    }
+  }
+
+  // Replaces the first tie-breaker; any further ones, set by a saved view, are kept
+  handleThenSortChange(event) {
+    const { by, direction, thenBy } = this.state.getSortOrder();
+    const [thenField, thenDirection] = event.target.value.split(':');
+    const others = thenBy.slice(1).filter(key => key.by !== thenField);
+    
+    if (!event.target.value || thenField === by) {
+      this.state.setSortOrder(by, direction, []);
+    } else if (SORT_FIELDS.includes(thenField)) {
+      this.state.setSortOrder(by, direction, [{ by: thenField, direction: thenDirection === 'asc' ? 'asc' : 'desc' }, ...others]);
+    }
+    
+    if (this.options.announceChanges && event.target.value) {
+      announceToScreenReader(`Then sorted by ${event.target.selectedOptions[0]?.textContent.trim().toLowerCase()}`);
+    }
+  }
+
+  handleGroupChange(event) {
+    const groupBy = event.target.value;
+    if (!GROUP_FIELDS.includes(groupBy)) return;
+    
+    this.state.setGroupBy(groupBy);
+    
+    if (this.options.announceChanges) {
+      announceToScreenReader(groupBy === 'none' ? 'Tasks are no longer grouped' : `Grouped by ${event.target.selectedOptions[0]?.textContent.trim().toLowerCase()}`);
+    }
+  }
+
   handleClearFilters(event) {
     event.preventDefault();
     this.clearAllFilters();
@@ -194,7 +276,9 @@ export class Filter {
     this.syncWithState({
       status: 'all',
       priority: 'all',
-      searchQuery: ''
+      searchQuery: '',
+      category: 'all',
+      due: 'all'
     });
   }
 
@@ -261,11 +345,38 @@ export class Filter {
     });
   }
 
+  setCategoryFilter(category) {
+    const value = category || 'all';
+    this.currentFilters.category = value;
+    this.state.setFilter('category', value);
+    
+    if (this.options.announceChanges) {
+      const categoryText = value === 'all' ? 'all categories' : `category ${this.elements.categorySelect?.selectedOptions[0]?.textContent || value}`;
+      announceToScreenReader(`Showing ${categoryText}`);
+    }
+  }
+
+  setDueFilter(due) {
+    if (!DUE_WINDOWS.includes(due)) {
+      console.warn(`Invalid due filter: ${due}`);
+      return;
+    }
+    
+    this.currentFilters.due = due;
+    this.state.setFilter('due', due);
+    
+    if (this.options.announceChanges) {
+      announceToScreenReader(`Showing ${FilterUtils.getFilterDisplayName('due', due).toLowerCase()}`);
+    }
+  }
+
   clearAllFilters() {
     // Reset to default filters
     this.currentFilters = {
       status: 'all',
-      priority: 'all'
+      priority: 'all',
+      category: 'all',
+      due: 'all'
     };
     
     // Clear filters in state
@@ -331,6 +442,63 @@ export class Filter {
   updateAllButtons() {
     this.updateStatusButtons(this.currentFilters.status);
     this.updatePriorityButtons(this.currentFilters.priority);
+    
+    if (this.elements.categorySelect) {
+      this.elements.categorySelect.value = this.currentFilters.category;
+    }
+    
+    if (this.elements.dueSelect) {
+      this.elements.dueSelect.value = this.currentFilters.due;
+    }
+  }
+
+  // Lists the categories in use, keeping a selected one even when no task has it any more
+  updateCategoryOptions() {
+    const select = this.elements.categorySelect;
+    if (!select) return;
+
+    const categories = new Map();
+    this.taskManager.getAllTasks().forEach(task => {
+      if (task.category && !categories.has(task.category.toLowerCase())) {
+        categories.set(task.category.toLowerCase(), task.category);
+      }
+    });
+
+    const selected = this.currentFilters.category;
+    if (selected !== 'all' && !categories.has(selected.toLowerCase())) {
+      categories.set(selected.toLowerCase(), selected);
+    }
+
+    const allOption = select.querySelector('option[value="all"]');
+    select.replaceChildren(allOption);
+    [...categories.values()]
+      .sort((a, b) => a.localeCompare(b))
+      .forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        // Categories are stored HTML-escaped
+        option.innerHTML = category;
+        select.appendChild(option);
+      });
+
+    const match = [...select.options].find(option => option.value.toLowerCase() === selected.toLowerCase());
+    select.value = match ? match.value : 'all';
+  }
+
+  updateSortSelect() {
+    const { sortSelect, thenSortSelect, groupSelect } = this.elements;
+    const { by, direction, thenBy } = this.state.getSortOrder();
+
+    // Orders the selects don't offer leave them blank rather than showing the wrong one
+    const selectValue = (select, value) => {
+      if (!select) return;
+      const hasOption = [...select.options].some(option => option.value === value);
+      select.value = hasOption ? value : '';
+    };
+
+    selectValue(sortSelect, `${by}:${direction}`);
+    selectValue(thenSortSelect, thenBy[0] ? `${thenBy[0].by}:${thenBy[0].direction}` : '');
+    selectValue(groupSelect, this.state.getState().settings.taskGroupBy || 'none');
   }
 
   updateFilterCounts() {
@@ -411,10 +579,13 @@ export class Filter {
     // Update current filters
     this.currentFilters = {
       status: filters.status || 'all',
-      priority: filters.priority || 'all'
+      priority: filters.priority || 'all',
+      category: filters.category || 'all',
+      due: filters.due || 'all'
     };
     
     // Update UI
+    this.updateCategoryOptions();
     this.updateAllButtons();
   }
 
@@ -422,45 +593,10 @@ export class Filter {
     // Sync with current state
     const currentState = this.state.getState();
     this.syncWithState(currentState.filters);
+    this.updateSortSelect();
     this.updateFilterCounts();
   }
 
-  // === FILTER PRESETS === */
-  applyPreset(presetName) {
-    const presets = {
-      'today': {
-        status: 'active',
-        priority: 'all'
-      },
-      'high-priority': {
-        status: 'active', 
-        priority: 'high'
-      },
-      'completed': {
-        status: 'completed',
-        priority: 'all'
-      },
-      'all': {
-        status: 'all',
-        priority: 'all'
-      }
-    };
-    
-    const preset = presets[presetName];
-    if (!preset) {
-      console.warn(`Unknown filter preset: ${presetName}`);
-      return;
-    }
-    
-    // Apply preset filters
-    this.setStatusFilter(preset.status);
-    this.setPriorityFilter(preset.priority);
-    
-    if (this.options.announceChanges) {
-      announceToScreenReader(`Applied ${presetName} filter preset`);
-    }
-  }
-
   // === VALIDATION === */
   validateFilters(filters) {
     return validateFilters(filters);
@@ -478,22 +614,20 @@ export class Filter {
       return false;
     }
     
-    const sanitizedFilters = validation.sanitizedValue;
-    
-    if (sanitizedFilters.status) {
-      this.setStatusFilter(sanitizedFilters.status);
-    }
-    
-    if (sanitizedFilters.priority) {
-      this.setPriorityFilter(sanitizedFilters.priority);
-    }
+    // Only the given filters change, in one state update rather than one per field
+    const sanitizedFilters = Object.fromEntries(
+      Object.entries(validation.sanitizedValue).filter(([key]) => filters[key] !== undefined)
+    );
+    this.state.setFilters(sanitizedFilters);
     
     return true;
   }
 
   hasActiveFilters() {
     return this.currentFilters.status !== 'all' || 
-           this.currentFilters.priority !== 'all';
+           this.currentFilters.priority !== 'all' ||
+           this.currentFilters.category !== 'all' ||
+           this.currentFilters.due !== 'all';
   }
 
   getFilteredTaskCount() {
@@ -598,7 +732,9 @@ export class Filter {
     // Reset filters
     this.currentFilters = {
       status: 'all',
-      priority: 'all'
+      priority: 'all',
+      category: 'all',
+      due: 'all'
     };
 
     emit(document, EVENTS.COMPONENT_UNMOUNTED, {
@@ -644,6 +780,16 @@ export class FilterUtils {
         low: 'Low Priority',
         medium: 'Medium Priority',
         high: 'High Priority'
+      },
+      due: {
+        all: 'Any Due Date',
+        overdue: 'Overdue Tasks',
+        today: 'Due Today',
+        agenda: "Today's Agenda",
+        week: 'Due This Week',
+        month: 'Due in 30 Days',
+        any: 'Tasks With a Due Date',
+        none: 'Tasks Without a Due Date'
       }
     };
     
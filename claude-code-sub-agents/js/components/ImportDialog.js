@@ -0,0 +1,612 @@
+/* Import Dialog Component */
+
+import { EVENTS } from '../constants/events.js';
+import { emit, logError, announceToScreenReader, wrapFocus } from '../utils/helpers.js';
+import { BulkValidator } from '../utils/validation.js';
+import { CSV_COLUMNS, CSV_DELIMITERS, detectDelimiter, parseCsv, guessCsvMapping, csvRowToTask } from '../utils/csv.js';
+import { parseTodoTxt } from '../utils/todoTxt.js';
+import { parseMarkdown } from '../utils/markdown.js';
+import { parseIcs, findTaskByUid } from '../utils/ical.js';
+import { getTaskManager } from '../modules/taskManager.js';
+import { getStorageService } from '../modules/storage.js';
+
+const PREVIEW_ROWS = 5;
+const MAX_REPORTED_ROWS = 100;
+// Shown for formats that need no column mapping
+const PREVIEW_FIELDS = ['title', 'completed', 'priority', 'category', 'dueDate', 'tags'];
+
+/**
+ * Formats that can be imported. `parse` turns the text into [{ line, task }], `line` being what
+ * the report points at; CSV has none, as its rows become tasks through the column mapping.
+ * `detect` recognises pasted text, which has no file name to go by. `match` finds the existing
+ * task an imported one stands for, which is then updated rather than added again.
+ */
+const IMPORT_FORMATS = [
+  { key: 'csv', label: 'CSV', extensions: ['csv'], position: 'Row' },
+  { key: 'todotxt', label: 'todo.txt', extensions: ['txt'], position: 'Line', parse: parseTodoTxt },
+  {
+    key: 'markdown',
+    label: 'Markdown checklist',
+    extensions: ['md', 'markdown'],
+    position: 'Line',
+    parse: parseMarkdown,
+    detect: text => /^\s*(?:[-*+]|\d+[.)])\s+\[[ xX]\]\s/m.test(text)
+  },
+  {
+    key: 'ics',
+    label: 'iCalendar to-dos',
+    extensions: ['ics', 'ical', 'ifb'],
+    position: 'Line',
+    parse: parseIcs,
+    detect: text => /^BEGIN:VCALENDAR/im.test(text),
+    match: (task, tasks) => findTaskByUid(tasks, task.ical?.uid)
+  }
+];
+
+// === IMPORT DIALOG COMPONENT === */
+/**
+ * Adds tasks from a file in three steps: choose the file, preview the first tasks, then read the
+ * report. For CSV the preview is where its columns are matched to task fields. Tasks that fail
+ * validation are skipped and listed by their row or line, a CSV header being row 1; the rest are
+ * added as one undo step.
+ */
+export class ImportDialog {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+    this.options = {
+      previewRows: PREVIEW_ROWS,
+      ...options
+    };
+
+    this.taskManager = getTaskManager();
+    this.storage = getStorageService();
+    this.formats = IMPORT_FORMATS;
+    this.elements = {};
+    this.listeners = [];
+    this.returnFocus = null;   // the control that opened the dialog
+    this.text = '';            // the file as read
+    this.header = [];          // CSV: column names from the first row
+    this.rows = [];            // CSV: the rows below it
+    this.mapping = [];         // CSV: per column, the task field it fills, or null
+    this.items = [];           // other formats: [{ line, task }] as parsed
+    this.dryRun = null;        // other apps' exports: what the items map to, and warnings
+
+    this.init();
+  }
+
+  // === INITIALIZATION === */
+  init() {
+    try {
+      if (!this.container) {
+        throw new Error('Import dialog container not found');
+      }
+
+      this.findElements();
+      this.formats = [...IMPORT_FORMATS, ...this.storage.getImporters().map(importer => ({
+        key: importer.key,
+        label: importer.label,
+        extensions: importer.extensions || [],
+        position: importer.position || 'Item',
+        detect: importer.detect,
+        fromApp: true
+      }))];
+      this.renderFormats();
+      this.elements.delimiter?.replaceChildren(...CSV_DELIMITERS.map(({ value, label }) => createOption(label, value)));
+      this.attachEventListeners();
+
+      emit(document, EVENTS.COMPONENT_MOUNTED, {
+        component: 'ImportDialog',
+        container: this.container
+      });
+    } catch (error) {
+      logError(error, 'ImportDialog.init');
+      this.handleError(error, 'Failed to initialize import');
+    }
+  }
+
+  findElements() {
+    this.elements = {
+      form: this.container.querySelector('.transfer-dialog__form'),
+      steps: Array.from(this.container.querySelectorAll('[data-import-step]')),
+      file: this.container.querySelector('.transfer-dialog__file'),
+      pasted: this.container.querySelector('.transfer-dialog__text'),
+      format: this.container.querySelector('.transfer-dialog__format'),
+      csvOptions: this.container.querySelector('[data-format-options="csv"]'),
+      delimiter: this.container.querySelector('.transfer-dialog__delimiter'),
+      preview: this.container.querySelector('.transfer-dialog__preview'),
+      warnings: this.container.querySelector('.transfer-dialog__warnings'),
+      status: this.container.querySelector('.transfer-dialog__status'),
+      summary: this.container.querySelector('.transfer-dialog__summary'),
+      errors: this.container.querySelector('.transfer-dialog__errors'),
+      cancel: this.container.querySelector('.modal__footer [data-action="close-dialog"]'),
+      submit: this.container.querySelector('[type="submit"]')
+    };
+
+    if (!this.elements.form || !this.elements.preview) {
+      throw new Error('Import form not found');
+    }
+  }
+
+  // The app's own formats, then other apps' exports in a group of their own
+  renderFormats() {
+    if (!this.elements.format) return;
+
+    const group = document.createElement('optgroup');
+    group.label = 'Exports from other apps';
+    group.append(...this.formats.filter(format => format.fromApp).map(({ key, label }) => createOption(label, key)));
+
+    this.elements.format.replaceChildren(
+      ...this.formats.filter(format => !format.fromApp).map(({ key, label }) => createOption(label, key)),
+      ...(group.children.length > 0 ? [group] : [])
+    );
+  }
+
+  // === EVENT LISTENERS === */
+  attachEventListeners() {
+    this.addListener(this.container, 'click', this.handleClick.bind(this));
+    this.addListener(this.container, 'keydown', this.handleKeydown.bind(this));
+    this.addListener(this.elements.form, 'submit', this.handleSubmit.bind(this));
+    this.addListener(this.elements.preview, 'change', this.handleMappingChange.bind(this));
+
+    if (this.elements.file) {
+      this.addListener(this.elements.file, 'change', this.handleFileChange.bind(this));
+    }
+    if (this.elements.format) {
+      this.addListener(this.elements.format, 'change', () => this.text && this.parse());
+    }
+    if (this.elements.delimiter) {
+      this.addListener(this.elements.delimiter, 'change', this.handleDelimiterChange.bind(this));
+    }
+  }
+
+  addListener(element, event, handler) {
+    element.addEventListener(event, handler);
+    this.listeners.push({ element, event, handler });
+  }
+
+  // === OPEN AND CLOSE === */
+  isOpen() {
+    return this.container.getAttribute('aria-hidden') === 'false';
+  }
+
+  open() {
+    if (this.isOpen()) return;
+
+    this.returnFocus = document.activeElement;
+    this.reset();
+    this.container.setAttribute('aria-hidden', 'false');
+    this.elements.file?.focus();
+  }
+
+  close() {
+    if (!this.isOpen()) return;
+
+    this.container.setAttribute('aria-hidden', 'true');
+    this.reset();
+    if (this.returnFocus?.isConnected) {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  reset() {
+    this.elements.form.reset();
+    this.text = '';
+    this.header = [];
+    this.rows = [];
+    this.mapping = [];
+    this.items = [];
+    this.dryRun = null;
+    this.renderWarnings([]);
+    this.setStatus('');
+    this.showStep('file');
+  }
+
+  // Parts of the dialog may belong to more than one step, listed with spaces
+  showStep(step) {
+    this.step = step;
+    this.elements.steps.forEach(element => {
+      element.hidden = !element.getAttribute('data-import-step').split(' ').includes(step);
+    });
+
+    if (this.elements.cancel) {
+      this.elements.cancel.textContent = step === 'report' ? 'Done' : 'Cancel';
+    }
+    if (this.elements.submit) {
+      this.elements.submit.hidden = step === 'report';
+    }
+    this.updateSubmit();
+  }
+
+  setStatus(message) {
+    if (this.elements.status) {
+      this.elements.status.textContent = message;
+    }
+  }
+
+  // === READING THE FILE === */
+  getFormat() {
+    return this.formats.find(format => format.key === this.elements.format?.value) || this.formats[0];
+  }
+
+  /**
+   * The format the file suggests: of those using its extension, the one that recognises the
+   * content, e.g. a Todoist CSV rather than plain CSV. Otherwise the one chosen stays.
+   */
+  selectFormatFor(fileName, text) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    const candidates = this.formats.filter(candidate => candidate.extensions.includes(extension));
+    const format = candidates.find(candidate => candidate.detect?.(text)) || candidates[0];
+    if (format && this.elements.format) {
+      this.elements.format.value = format.key;
+    }
+  }
+
+  // Pasted text the formats recognise, such as a checklist, is read that way; otherwise the format chosen stays
+  selectFormatForText(text) {
+    const format = this.formats.find(candidate => candidate.detect?.(text));
+    if (format && this.elements.format) {
+      this.elements.format.value = format.key;
+    }
+  }
+
+  // Reads the text, CSV with the separator it seems to use; both can be changed after
+  loadText(text) {
+    this.text = text;
+    if (this.elements.delimiter) {
+      this.elements.delimiter.value = detectDelimiter(text);
+    }
+    this.parse();
+  }
+
+  parse() {
+    const format = this.getFormat();
+    if (this.elements.csvOptions) {
+      this.elements.csvOptions.hidden = format.key !== 'csv';
+    }
+
+    try {
+      if (format.key === 'csv') {
+        this.parseCsv();
+      } else {
+        this.parseTasks(format);
+      }
+    } catch (error) {
+      this.setStatus(`This file can't be read as ${format.label}: ${error.message}.`);
+      this.showStep('file');
+    }
+  }
+
+  parseCsv() {
+    const rows = parseCsv(this.text, { delimiter: this.elements.delimiter?.value || detectDelimiter(this.text) });
+    if (rows.length < 2) {
+      this.setStatus('This file has no rows below its header row.');
+      this.showStep('file');
+      return;
+    }
+
+    [this.header, ...this.rows] = rows;
+    this.mapping = guessCsvMapping(this.header);
+    this.renderMapping();
+    this.showStep('preview');
+  }
+
+  // Other apps' exports are converted by StorageService, which counts what they map to
+  parseTasks(format) {
+    this.dryRun = format.fromApp ? this.storage.previewImport(this.text, format.key) : null;
+    this.items = this.dryRun ? this.dryRun.items : format.parse(this.text);
+    this.renderWarnings(this.dryRun?.warnings || []);
+    if (this.items.length === 0) {
+      this.setStatus('This file has no tasks.');
+      this.showStep('file');
+      return;
+    }
+
+    this.renderTaskPreview();
+    this.showStep('preview');
+  }
+
+  // Task data to import, each with the row or line it came from
+  getItems() {
+    if (this.getFormat().key === 'csv') {
+      return this.rows.map((row, index) => ({ line: index + 2, task: csvRowToTask(row, this.mapping) }));
+    }
+    return this.items;
+  }
+
+  // === RENDERING === */
+  // A column per CSV column, headed by its name and the field it goes to, over the first rows
+  renderMapping() {
+    const headerRow = document.createElement('tr');
+    this.header.forEach((name, index) => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+
+      const label = document.createElement('span');
+      label.className = 'transfer-dialog__column-name';
+      label.textContent = name || `Column ${index + 1}`;
+
+      const select = document.createElement('select');
+      select.className = 'transfer-dialog__field transfer-dialog__mapping';
+      select.setAttribute('data-column', String(index));
+      select.setAttribute('aria-label', `Field for column "${label.textContent}"`);
+      select.append(
+        createOption("Don't import", ''),
+        ...CSV_COLUMNS.map(column => createOption(column.label, column.field))
+      );
+      select.value = this.mapping[index] || '';
+
+      cell.append(label, select);
+      headerRow.appendChild(cell);
+    });
+
+    const bodyRows = this.rows.slice(0, this.options.previewRows).map(row => {
+      const tableRow = document.createElement('tr');
+      this.header.forEach((name, index) => {
+        const cell = document.createElement('td');
+        cell.textContent = row[index] ?? '';
+        tableRow.appendChild(cell);
+      });
+      return tableRow;
+    });
+
+    this.renderTable(headerRow, bodyRows, this.rows.length, 'row');
+  }
+
+  // The first tasks as read, a column per field
+  renderTaskPreview() {
+    const columns = PREVIEW_FIELDS.map(field => CSV_COLUMNS.find(column => column.field === field));
+
+    const headerRow = document.createElement('tr');
+    columns.forEach(column => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.textContent = column.label;
+      headerRow.appendChild(cell);
+    });
+
+    const bodyRows = this.items.slice(0, this.options.previewRows).map(({ task }) => {
+      const tableRow = document.createElement('tr');
+      columns.forEach(column => {
+        const cell = document.createElement('td');
+        cell.textContent = column.format(task);
+        tableRow.appendChild(cell);
+      });
+      return tableRow;
+    });
+
+    this.renderTable(headerRow, bodyRows, this.items.length, 'task');
+  }
+
+  renderTable(headerRow, bodyRows, total, noun) {
+    const head = document.createElement('thead');
+    head.appendChild(headerRow);
+    const body = document.createElement('tbody');
+    body.append(...bodyRows);
+
+    const caption = document.createElement('caption');
+    caption.className = 'transfer-dialog__caption';
+    caption.textContent = total > this.options.previewRows
+      ? `The first ${this.options.previewRows} of ${total} ${noun}s`
+      : `All ${total} ${total === 1 ? noun : `${noun}s`}`;
+
+    this.elements.preview.replaceChildren(caption, head, body);
+  }
+
+  // What won't come across from another app's export
+  renderWarnings(warnings) {
+    if (!this.elements.warnings) return;
+
+    this.elements.warnings.replaceChildren(...warnings.map(warning => {
+      const item = document.createElement('li');
+      item.textContent = warning;
+      return item;
+    }));
+    this.elements.warnings.hidden = warnings.length === 0;
+  }
+
+  // CSV needs a title column; the status says so, or how many tasks will be checked
+  updateSubmit() {
+    const csv = this.getFormat().key === 'csv';
+    const ready = this.step === 'preview' && (csv ? this.mapping.includes('title') : this.items.length > 0);
+
+    if (this.elements.submit) {
+      this.elements.submit.disabled = !ready;
+    }
+    if (this.step !== 'preview') return;
+
+    if (!ready) {
+      this.setStatus('Choose the column that holds the task titles.');
+    } else if (this.dryRun) {
+      this.setStatus(`${describeDryRun(this.dryRun.summary)} will be checked and imported.`);
+    } else {
+      const count = csv ? this.rows.length : this.items.length;
+      const noun = csv ? 'row' : 'task';
+      this.setStatus(`${count} ${count === 1 ? noun : `${noun}s`} will be checked and imported.`);
+    }
+  }
+
+  renderReport(importedCount, problems, updatedCount = 0) {
+    if (this.elements.summary) {
+      const noun = this.getFormat().position.toLowerCase();
+      const updated = updatedCount === 0
+        ? ''
+        : ` Updated ${updatedCount} existing ${updatedCount === 1 ? 'task' : 'tasks'}.`;
+      const skipped = problems.length === 0
+        ? ''
+        : ` ${problems.length} ${problems.length === 1 ? `${noun} was` : `${noun}s were`} skipped:`;
+      this.elements.summary.textContent = `Imported ${importedCount} ${importedCount === 1 ? 'task' : 'tasks'}.${updated}${skipped}`;
+    }
+
+    if (this.elements.errors) {
+      const { position } = this.getFormat();
+      const items = problems.slice(0, MAX_REPORTED_ROWS).map(({ line, errors }) => {
+        const item = document.createElement('li');
+        item.textContent = `${position} ${line}: ${errors.join(', ')}`;
+        return item;
+      });
+
+      if (problems.length > MAX_REPORTED_ROWS) {
+        const more = document.createElement('li');
+        more.textContent = `…and ${problems.length - MAX_REPORTED_ROWS} more`;
+        items.push(more);
+      }
+      this.elements.errors.replaceChildren(...items);
+      this.elements.errors.hidden = items.length === 0;
+    }
+
+    this.showStep('report');
+    this.elements.cancel?.focus();
+    announceToScreenReader(this.elements.summary?.textContent || `Imported ${importedCount} tasks`);
+  }
+
+  // === EVENT HANDLERS === */
+  handleClick(event) {
+    if (event.target.closest('[data-action="close-dialog"]')) {
+      this.close();
+    } else if (event.target.closest('[data-action="read-pasted"]')) {
+      this.handleReadPasted();
+    }
+  }
+
+  // Keys stay with the dialog rather than reaching the app's shortcuts
+  handleKeydown(event) {
+    event.stopPropagation();
+
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.close();
+      return;
+    }
+    wrapFocus(event, this.container);
+  }
+
+  async handleFileChange(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      this.selectFormatFor(file.name, text);
+      this.loadText(text);
+    } catch (error) {
+      logError(error, 'ImportDialog.handleFileChange');
+      this.setStatus(`"${file.name}" could not be read.`);
+      this.showStep('file');
+    }
+  }
+
+  handleReadPasted() {
+    const text = this.elements.pasted?.value || '';
+    if (!text.trim()) {
+      this.setStatus('Paste some text to import first.');
+      this.elements.pasted?.focus();
+      return;
+    }
+
+    this.selectFormatForText(text);
+    this.loadText(text);
+  }
+
+  handleDelimiterChange() {
+    if (this.text) {
+      this.parse();
+    }
+  }
+
+  // A field goes to one column at most; choosing it again takes it from the other column
+  handleMappingChange(event) {
+    const select = event.target.closest('.transfer-dialog__mapping');
+    if (!select) return;
+
+    const index = Number(select.getAttribute('data-column'));
+    const field = select.value || null;
+
+    if (field) {
+      this.mapping.forEach((mapped, other) => {
+        if (mapped === field && other !== index) {
+          this.mapping[other] = null;
+          const otherSelect = this.elements.preview.querySelector(`[data-column="${other}"]`);
+          if (otherSelect) otherSelect.value = '';
+        }
+      });
+    }
+    this.mapping[index] = field;
+    this.updateSubmit();
+  }
+
+  async handleSubmit(event) {
+    event.preventDefault();
+    if (this.elements.submit?.disabled || this.step !== 'preview') return;
+
+    const items = this.getItems();
+    const { results } = BulkValidator.validateTaskList(items.map(item => item.task));
+    const validTasks = items.filter((item, index) => results[index].isValid).map(item => item.task);
+    const problems = items
+      .map((item, index) => ({ line: item.line, errors: results[index].errors }))
+      .filter(problem => problem.errors.length > 0);
+
+    let created = [];
+    let updated = [];
+    if (validTasks.length > 0) {
+      try {
+        const { match } = this.getFormat();
+        if (match) {
+          const tasks = this.taskManager.getAllTasks();
+          ({ created, updated } = await this.taskManager.importTasks(validTasks.map(task => {
+            const existing = match(task, tasks);
+            return existing ? { ...task, id: existing.id } : task;
+          })));
+        } else {
+          created = await this.taskManager.createMultipleTasks(validTasks);
+        }
+      } catch (error) {
+        // TaskManager has already reported the failure
+        return;
+      }
+    }
+
+    this.renderReport(created.length, problems, updated.length);
+  }
+
+  // === ERROR HANDLING === */
+  handleError(error, userMessage) {
+    emit(document, EVENTS.APP_ERROR, {
+      error,
+      context: 'ImportDialog',
+      userMessage,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // === CLEANUP === */
+  destroy() {
+    this.listeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.listeners = [];
+
+    emit(document, EVENTS.COMPONENT_UNMOUNTED, {
+      component: 'ImportDialog',
+      container: this.container
+    });
+  }
+}
+
+// "12 tasks in 3 categories, 4 of them completed"
+function describeDryRun({ tasks, categories, completed }) {
+  const inCategories = categories > 0 ? ` in ${categories} ${categories === 1 ? 'category' : 'categories'}` : '';
+  return `${tasks} ${tasks === 1 ? 'task' : 'tasks'}${inCategories}, ${completed} of them completed,`;
+}
+
+function createOption(label, value) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  return option;
+}
+
+// === FACTORY FUNCTION === */
+export function createImportDialog(container, options) {
+  return new ImportDialog(container, options);
+}
@@ -0,0 +1,359 @@
+/* Saved Views Component */
+
+import { EVENTS } from '../constants/events.js';
+import { emit, logError, debounce, announceToScreenReader } from '../utils/helpers.js';
+import { MAX_VIEW_NAME_LENGTH } from '../utils/validation.js';
+import { getStateManager } from '../modules/stateManager.js';
+import { getViewManager } from '../modules/viewManager.js';
+
+// === SAVED VIEWS COMPONENT === */
+export class SavedViews {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+    this.options = {
+      showCounts: true,
+      announceChanges: true,
+      ...options
+    };
+
+    this.state = getStateManager();
+    this.viewManager = getViewManager();
+    this.elements = {};
+    this.listeners = [];
+
+    // Counts run every view's filters over all tasks, once per burst of edits is plenty
+    this.debouncedUpdateCounts = debounce(this.updateCounts.bind(this), 150);
+
+    this.init();
+  }
+
+  // === INITIALIZATION === */
+  init() {
+    try {
+      if (!this.container) {
+        throw new Error('Saved views container not found');
+      }
+
+      this.findElements();
+      this.attachEventListeners();
+      this.subscribeToStateChanges();
+
+      this.viewManager.init().then(() => this.render());
+
+      emit(document, EVENTS.COMPONENT_MOUNTED, {
+        component: 'SavedViews',
+        container: this.container
+      });
+    } catch (error) {
+      logError(error, 'SavedViews.init');
+    }
+  }
+
+  findElements() {
+    this.elements = {
+      list: this.container.querySelector('.saved-views__list'),
+      form: this.container.querySelector('.saved-views__form'),
+      nameInput: this.container.querySelector('.saved-views__input'),
+      error: this.container.querySelector('.saved-views__error')
+    };
+
+    if (this.elements.nameInput) {
+      this.elements.nameInput.maxLength = MAX_VIEW_NAME_LENGTH;
+    }
+  }
+
+  // === EVENT LISTENERS === */
+  attachEventListeners() {
+    if (this.elements.list) {
+      this.addListener(this.elements.list, 'click', this.handleListClick.bind(this));
+      this.addListener(this.elements.list, 'keydown', this.handleListKeydown.bind(this));
+    }
+
+    if (this.elements.form) {
+      this.addListener(this.elements.form, 'submit', this.handleSaveView.bind(this));
+    }
+
+    if (this.elements.nameInput) {
+      this.addListener(this.elements.nameInput, 'input', () => this.showError(null));
+    }
+
+    this.addListener(document, EVENTS.VIEWS_CHANGED, () => this.render());
+  }
+
+  addListener(element, event, handler) {
+    element.addEventListener(event, handler);
+    this.listeners.push({ element, event, handler });
+  }
+
+  subscribeToStateChanges() {
+    this.unsubscribeFromState = this.state.subscribe((newState, prevState) => {
+      if (newState.tasks !== prevState.tasks) {
+        this.debouncedUpdateCounts();
+      }
+
+      if (newState.filters !== prevState.filters ||
+          newState.settings.taskSortBy !== prevState.settings.taskSortBy ||
+          newState.settings.taskSortDirection !== prevState.settings.taskSortDirection) {
+        this.updateActiveState();
+      }
+    });
+  }
+
+  // === EVENT HANDLERS === */
+  handleListClick(event) {
+    const button = event.target.closest('[data-action]');
+    const item = button?.closest('[data-view-id]');
+    if (!button || !item) return;
+
+    const viewId = item.getAttribute('data-view-id');
+
+    switch (button.getAttribute('data-action')) {
+      case 'apply-view':
+        this.applyView(viewId);
+        break;
+      case 'pin-view':
+        this.togglePinned(viewId);
+        break;
+      case 'move-view-up':
+        this.moveView(viewId, -1);
+        break;
+      case 'move-view-down':
+        this.moveView(viewId, 1);
+        break;
+      case 'delete-view':
+        this.deleteView(viewId);
+        break;
+    }
+  }
+
+  // Alt+Arrow moves the focused view, matching the move buttons
+  handleListKeydown(event) {
+    if (!event.altKey || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) return;
+
+    const item = event.target.closest('[data-view-id]');
+    if (!item) return;
+
+    event.preventDefault();
+    this.moveView(item.getAttribute('data-view-id'), event.key === 'ArrowUp' ? -1 : 1);
+  }
+
+  async handleSaveView(event) {
+    event.preventDefault();
+
+    const name = this.elements.nameInput?.value || '';
+
+    try {
+      const view = await this.viewManager.createView(name);
+      this.elements.nameInput.value = '';
+      this.showError(null);
+
+      if (this.options.announceChanges) {
+        announceToScreenReader(`Saved view ${view.name}`);
+      }
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  // === VIEW ACTIONS === */
+  applyView(viewId) {
+    try {
+      const view = this.viewManager.applyView(viewId);
+
+      if (this.options.announceChanges) {
+        announceToScreenReader(`Showing ${view.name}, ${this.viewManager.countTasks(view)} tasks`);
+      }
+    } catch (error) {
+      logError(error, 'SavedViews.applyView');
+    }
+  }
+
+  async togglePinned(viewId) {
+    const isPinned = this.viewManager.getDefaultViewId() === viewId;
+
+    try {
+      await this.viewManager.setDefaultView(isPinned ? null : viewId);
+      this.focusControl(viewId, 'pin-view');
+
+      if (this.options.announceChanges) {
+        const name = this.viewManager.getView(viewId)?.name;
+        announceToScreenReader(isPinned ? `${name} no longer opens on startup` : `${name} opens on startup`);
+      }
+    } catch (error) {
+      logError(error, 'SavedViews.togglePinned');
+    }
+  }
+
+  async moveView(viewId, offset) {
+    const views = this.viewManager.getViews();
+    const index = views.findIndex(view => view.id === viewId);
+    const targetIndex = index + offset;
+    if (index === -1 || targetIndex < 0 || targetIndex >= views.length) return;
+
+    // Re-rendering drops focus, keep it on the same control of the view that moved
+    const focusedAction = document.activeElement?.closest?.('[data-view-id]')
+      ? document.activeElement.getAttribute('data-action')
+      : null;
+
+    try {
+      await this.viewManager.moveView(viewId, targetIndex);
+      this.focusControl(viewId, focusedAction || 'apply-view');
+
+      if (this.options.announceChanges) {
+        announceToScreenReader(`${views[index].name} moved to position ${targetIndex + 1} of ${views.length}`);
+      }
+    } catch (error) {
+      logError(error, 'SavedViews.moveView');
+    }
+  }
+
+  async deleteView(viewId) {
+    try {
+      const view = await this.viewManager.deleteView(viewId);
+
+      if (this.options.announceChanges) {
+        announceToScreenReader(`Deleted view ${view.name}`);
+      }
+    } catch (error) {
+      logError(error, 'SavedViews.deleteView');
+    }
+  }
+
+  // === RENDERING === */
+  render() {
+    const { list } = this.elements;
+    if (!list) return;
+
+    const views = this.viewManager.getViews();
+    const defaultViewId = this.viewManager.getDefaultViewId();
+
+    list.replaceChildren(...views.map((view, index) =>
+      this.createViewElement(view, index, views.length, view.id === defaultViewId)
+    ));
+
+    this.container.classList.toggle('saved-views--empty', views.length === 0);
+    this.updateCounts();
+    this.updateActiveState();
+  }
+
+  createViewElement(view, index, total, isPinned) {
+    const item = document.createElement('li');
+    item.className = 'saved-views__item';
+    item.setAttribute('data-view-id', view.id);
+
+    const applyButton = this.createButton('apply-view', 'saved-views__apply', null);
+    applyButton.setAttribute('aria-pressed', 'false');
+
+    const name = document.createElement('span');
+    name.className = 'saved-views__name';
+    name.textContent = view.name;
+    applyButton.appendChild(name);
+
+    if (this.options.showCounts) {
+      const count = document.createElement('span');
+      count.className = 'filter-count';
+      count.setAttribute('data-view-count', view.id);
+      applyButton.appendChild(count);
+    }
+
+    const pinButton = this.createButton('pin-view', 'saved-views__control saved-views__pin', `Open ${view.name} on startup`, isPinned ? '★' : '☆');
+    pinButton.setAttribute('aria-pressed', isPinned ? 'true' : 'false');
+
+    const upButton = this.createButton('move-view-up', 'saved-views__control', `Move ${view.name} up`, '↑');
+    upButton.disabled = index === 0;
+
+    const downButton = this.createButton('move-view-down', 'saved-views__control', `Move ${view.name} down`, '↓');
+    downButton.disabled = index === total - 1;
+
+    const deleteButton = this.createButton('delete-view', 'saved-views__control saved-views__delete', `Delete view ${view.name}`, '×');
+
+    item.append(applyButton, pinButton, upButton, downButton, deleteButton);
+    return item;
+  }
+
+  createButton(action, className, label, symbol = '') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.setAttribute('data-action', action);
+
+    if (label) {
+      button.setAttribute('aria-label', label);
+      button.title = label;
+    }
+
+    if (symbol) {
+      const icon = document.createElement('span');
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = symbol;
+      button.appendChild(icon);
+    }
+
+    return button;
+  }
+
+  updateCounts() {
+    if (!this.options.showCounts || !this.elements.list) return;
+
+    try {
+      this.viewManager.getViews().forEach(view => {
+        const count = this.elements.list.querySelector(`[data-view-count="${view.id}"]`);
+        if (count) {
+          count.textContent = this.viewManager.countTasks(view);
+        }
+      });
+    } catch (error) {
+      logError(error, 'SavedViews.updateCounts');
+    }
+  }
+
+  // Highlights the view matching what is on screen, until a filter is changed by hand
+  updateActiveState() {
+    if (!this.elements.list) return;
+
+    const activeView = this.viewManager.getActiveView();
+
+    this.elements.list.querySelectorAll('[data-view-id]').forEach(item => {
+      const isActive = item.getAttribute('data-view-id') === activeView?.id;
+      item.classList.toggle('saved-views__item--active', isActive);
+      item.querySelector('[data-action="apply-view"]')?.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+  }
+
+  focusControl(viewId, action) {
+    const item = this.elements.list?.querySelector(`[data-view-id="${viewId}"]`);
+    const control = item?.querySelector(`[data-action="${action}"]`);
+    (control && !control.disabled ? control : item?.querySelector('[data-action="apply-view"]'))?.focus();
+  }
+
+  showError(message) {
+    const { error, nameInput } = this.elements;
+    if (!error) return;
+
+    error.textContent = message || '';
+    error.hidden = !message;
+    nameInput?.setAttribute('aria-invalid', message ? 'true' : 'false');
+  }
+
+  // === CLEANUP === */
+  destroy() {
+    if (this.unsubscribeFromState) {
+      this.unsubscribeFromState();
+    }
+
+    this.listeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.listeners = [];
+
+    emit(document, EVENTS.COMPONENT_UNMOUNTED, {
+      component: 'SavedViews',
+      container: this.container
+    });
+  }
+}
+
+// === FACTORY FUNCTION === */
+export function createSavedViews(container, options) {
+  return new SavedViews(container, options);
+}
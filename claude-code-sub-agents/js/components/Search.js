@@ -2,9 +2,28 @@
 
 import { EVENTS } from '../constants/events.js';
 import { SELECTORS } from '../constants/selectors.js';
-import { debounce, on, off, emit, logError, announceToScreenReader } from '../utils/helpers.js';
+import {
+  debounce, on, off, emit, logError, announceToScreenReader, escapeHtml, unescapeHtml, createElement
+} from '../utils/helpers.js';
 import { validateSearchQuery } from '../utils/validation.js';
+import {
+  parseSearchQuery, getHighlightTerms, splitHighlights, getQueryCompletions, createSearchMatcher, sortByRelevance
+} from '../utils/searchQuery.js';
 import { getStateManager } from '../modules/stateManager.js';
+import { getSearchIndex } from '../modules/searchIndex.js';
+
+// === SUGGESTION CONSTANTS === */
+const SEARCH_HISTORY_KEY = 'todoapp_search_history';
+const MAX_HISTORY_SUGGESTIONS = 5;
+const MAX_COMPLETION_SUGGESTIONS = 5;
+const MAX_TASK_SUGGESTIONS = 4;
+
+const SUGGESTION_LABELS = {
+  history: 'Recent',
+  operator: 'Filter',
+  category: 'Category',
+  task: 'Task'
+};
 
 // === SEARCH COMPONENT === */
 export class Search {
@@ -16,6 +35,9 @@ export class Search {
       enableKeyboardShortcuts: true,
       showClearButton: true,
       announceResults: true,
+      enableSuggestions: true,
+      maxSuggestions: 8,
+      maxHistory: 10,
       ...options
     };
 
@@ -24,6 +46,8 @@ export class Search {
     this.listeners = [];
     this.currentQuery = '';
     this.isActive = false;
+    this.suggestions = [];
+    this.activeSuggestion = -1;
     
     // Debounced search function
     this.debouncedSearch = debounce(this.performSearch.bind(this), this.options.debounceDelay);
@@ -60,6 +84,8 @@ export class Search {
       input: this.container.querySelector('#search-input') || this.container.querySelector('input[type="search"]'),
       clearButton: this.container.querySelector('.search-bar__clear'),
       helpText: this.container.querySelector('#search-help'),
+      errorText: this.container.querySelector('#search-error'),
+      suggestions: this.container.querySelector('#search-suggestions'),
       resultsIndicator: this.container.querySelector('.search-results-indicator')
     };
 
@@ -76,6 +102,12 @@ export class Search {
     this.addListener(this.elements.input, 'focus', this.handleFocus.bind(this));
     this.addListener(this.elements.input, 'blur', this.handleBlur.bind(this));
     
+    // Suggestion list
+    if (this.elements.suggestions) {
+      this.addListener(this.elements.suggestions, 'mousedown', this.handleSuggestionMousedown.bind(this));
+      this.addListener(this.elements.suggestions, 'click', this.handleSuggestionClick.bind(this));
+    }
+    
     // Clear button
     if (this.elements.clearButton) {
       this.addListener(this.elements.clearButton, 'click', this.handleClear.bind(this));
@@ -118,19 +150,63 @@ export class Search {
     
     // Update active state
     this.updateActiveState(query.length > 0);
+    
+    this.updateSuggestions();
   }
 
   handleKeydown(event) {
+    const isOpen = this.isSuggestionListOpen();
+    
     switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (isOpen) {
+          this.moveActiveSuggestion(1);
+        } else {
+          this.updateSuggestions();
+        }
+        break;
+      case 'ArrowUp':
+        if (isOpen) {
+          event.preventDefault();
+          this.moveActiveSuggestion(-1);
+        }
+        break;
+      case 'Delete':
+        // Shift+Delete as in browser address bars, plain Delete keeps editing the text
+        if (isOpen && event.shiftKey && this.getActiveSuggestion()?.type === 'history') {
+          event.preventDefault();
+          this.removeHistorySuggestion(this.getActiveSuggestion());
+        }
+        break;
       case 'Escape':
+        // The first Escape only closes the list
+        if (isOpen) {
+          event.preventDefault();
+          this.closeSuggestions();
+          break;
+        }
         this.clear();
         this.elements.input.blur();
         break;
-      case 'Enter':
+      case 'Enter': {
         // Prevent form submission if inside a form
         event.preventDefault();
+        
+        const suggestion = this.getActiveSuggestion();
+        if (suggestion) {
+          this.applySuggestion(suggestion);
+          break;
+        }
+        
         // Force immediate search
         this.performSearch(this.currentQuery);
+        this.addToHistory(this.currentQuery);
+        this.closeSuggestions();
+        break;
+      }
+      case 'Tab':
+        this.closeSuggestions();
         break;
     }
   }
@@ -142,6 +218,8 @@ export class Search {
       this.elements.helpText.style.display = 'block';
     }
     
+    this.updateSuggestions();
+    
     emit(this.container, EVENTS.SEARCH_FOCUSED, {
       query: this.currentQuery
     });
@@ -154,6 +232,10 @@ export class Search {
       this.elements.helpText.style.display = 'none';
     }
     
+    // Leaving the field settles on the search, so it is worth remembering
+    this.addToHistory(this.currentQuery);
+    this.closeSuggestions();
+    
     emit(this.container, EVENTS.SEARCH_BLURRED, {
       query: this.currentQuery
     });
@@ -180,18 +262,42 @@ export class Search {
   }
 
   handleSearchCleared(event) {
+    // clear() emits this event itself, an empty search has nothing left to clear
+    if (this.isEmpty()) return;
     this.clear();
   }
 
+  // Keeps focus in the input, so blur does not close the list before the click lands
+  handleSuggestionMousedown(event) {
+    event.preventDefault();
+  }
+
+  handleSuggestionClick(event) {
+    const item = event.target.closest('[role="option"]');
+    if (!item) return;
+    
+    const suggestion = this.suggestions[Number(item.getAttribute('data-index'))];
+    if (!suggestion) return;
+    
+    if (event.target.closest('[data-action="remove-history"]')) {
+      this.removeHistorySuggestion(suggestion);
+      return;
+    }
+    
+    this.applySuggestion(suggestion);
+  }
+
   // === SEARCH FUNCTIONALITY === */
   async performSearch(query) {
     try {
       // Validate search query
+      // Syntax errors keep the last valid query applied until the input is fixed
       const validation = validateSearchQuery(query);
       if (!validation.isValid) {
         this.showValidationError(validation.errors[0]);
         return;
       }
+      this.clearValidationError();
       
       const sanitizedQuery = validation.sanitizedValue;
       
@@ -220,10 +326,12 @@ export class Search {
         timestamp: new Date().toISOString()
       });
       
+      // Tasks come best match first when the query has words to rank by
       emit(this.container, EVENTS.SEARCH_RESULTS_UPDATED, {
         query: sanitizedQuery,
         resultCount,
-        tasks: filteredTasks
+        tasks: filteredTasks,
+        ranked: Boolean(this.state.getSearchMatcher().isRanked)
       });
       
     } catch (error) {
@@ -253,12 +361,10 @@ export class Search {
     this.elements.clearButton.setAttribute('aria-hidden', showClear ? 'false' : 'true');
   }
 
+  // aria-expanded belongs to the suggestion list, see renderSuggestions()
   updateActiveState(isActive) {
     this.isActive = isActive;
     this.container.classList.toggle('search-bar--active', isActive);
-    
-    // Update input ARIA state
-    this.elements.input.setAttribute('aria-expanded', isActive ? 'true' : 'false');
   }
 
   updateResultsIndicator(count, query) {
@@ -302,11 +408,26 @@ export class Search {
     // Show error message
     announceToScreenReader(`Search error: ${message}`, 'assertive');
     
+    // A visible message stays until the query is fixed, styling alone fades
+    if (this.elements.errorText) {
+      this.elements.errorText.textContent = message;
+      this.elements.errorText.hidden = false;
+      return;
+    }
+    
     // Auto-remove error styling
-    setTimeout(() => {
-      this.elements.input.classList.remove('error');
-      this.elements.input.removeAttribute('aria-invalid');
-    }, 3000);
+    clearTimeout(this.errorTimeout);
+    this.errorTimeout = setTimeout(() => this.clearValidationError(), 3000);
+  }
+
+  clearValidationError() {
+    this.elements.input.classList.remove('error');
+    this.elements.input.removeAttribute('aria-invalid');
+    
+    if (this.elements.errorText) {
+      this.elements.errorText.textContent = '';
+      this.elements.errorText.hidden = true;
+    }
   }
 
   // === PUBLIC API === */
@@ -326,6 +447,8 @@ export class Search {
   clear() {
     this.currentQuery = '';
     this.elements.input.value = '';
+    this.clearValidationError();
+    this.closeSuggestions();
     this.updateClearButton();
     this.updateActiveState(false);
     
@@ -367,41 +490,194 @@ export class Search {
     return this.container;
   }
 
-  // === SEARCH SUGGESTIONS (Future Enhancement) === */
+  // === SEARCH SUGGESTIONS === */
+  /**
+   * Recent searches, query completions (field names, field values and categories for the
+   * word being typed) and task titles matching the query, in that order without duplicates.
+   * An empty query lists the recent searches only.
+   */
   getSuggestions(query) {
-    // Placeholder for future search suggestions functionality
-    // Could suggest recent searches, task titles, etc.
-    return [];
+    const text = String(query || '');
+    const trimmed = text.trim();
+    const tasks = this.state.getAllTasks();
+
+    const history = this.getSearchHistory()
+      .filter(item => item !== trimmed && item.toLowerCase().includes(trimmed.toLowerCase()))
+      .slice(0, MAX_HISTORY_SUGGESTIONS)
+      .map(item => ({ type: 'history', value: item, label: item }));
+
+    const completions = getQueryCompletions(text, {
+      categories: tasks.map(task => task.category),
+      tags: tasks.flatMap(task => task.tags || [])
+    }).slice(0, MAX_COMPLETION_SUGGESTIONS);
+
+    const seen = new Set([trimmed]);
+    return [...history, ...completions, ...this.getTaskSuggestions(trimmed, tasks)]
+      .filter(suggestion => !seen.has(suggestion.value) && seen.add(suggestion.value))
+      .slice(0, this.options.maxSuggestions);
   }
 
-  // === SEARCH HISTORY (Future Enhancement) === */
+  // Picking a title searches for it as an exact phrase; the label shows it as typed, not escaped
+  getTaskSuggestions(query, tasks) {
+    if (!query || !validateSearchQuery(query).isValid || getHighlightTerms(query).length === 0) {
+      return [];
+    }
+
+    const searchIndex = getSearchIndex();
+    const matchesSearch = createSearchMatcher(query, { index: searchIndex.isStarted ? searchIndex : null });
+
+    return sortByRelevance(tasks.filter(matchesSearch), matchesSearch)
+      .slice(0, MAX_TASK_SUGGESTIONS)
+      .map(task => ({ type: 'task', value: `"${task.title}"`, label: unescapeHtml(task.title) }));
+  }
+
+  updateSuggestions() {
+    if (!this.elements.suggestions || !this.options.enableSuggestions) return;
+
+    this.suggestions = this.getSuggestions(this.currentQuery);
+    this.activeSuggestion = -1;
+    this.renderSuggestions();
+  }
+
+  renderSuggestions() {
+    const list = this.elements.suggestions;
+    list.replaceChildren(...this.suggestions.map((suggestion, index) => this.createSuggestionElement(suggestion, index)));
+
+    const isOpen = this.suggestions.length > 0;
+    list.hidden = !isOpen;
+    this.elements.input.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+    this.elements.input.removeAttribute('aria-activedescendant');
+  }
+
+  createSuggestionElement(suggestion, index) {
+    const item = createElement('li', {
+      id: `search-suggestion-${index}`,
+      className: `search-suggestions__item search-suggestions__item--${suggestion.type}`,
+      'aria-selected': 'false',
+      'data-index': index
+    }, [
+      createElement('span', { className: 'search-suggestions__type', textContent: SUGGESTION_LABELS[suggestion.type] }),
+      createElement('span', { className: 'search-suggestions__label', textContent: suggestion.label })
+    ]);
+    item.setAttribute('role', 'option');
+
+    // Mouse affordance only, keyboard users press Shift+Delete on the option
+    if (suggestion.type === 'history') {
+      item.appendChild(createElement('button', {
+        type: 'button',
+        className: 'search-suggestions__remove',
+        tabIndex: -1,
+        title: 'Remove from recent searches',
+        textContent: '×',
+        'data-action': 'remove-history',
+        'aria-hidden': 'true'
+      }));
+    }
+
+    return item;
+  }
+
+  moveActiveSuggestion(step) {
+    const count = this.suggestions.length;
+    if (count === 0) return;
+
+    const next = this.activeSuggestion === -1
+      ? (step > 0 ? 0 : count - 1)
+      : (this.activeSuggestion + step + count) % count;
+    this.setActiveSuggestion(next);
+  }
+
+  setActiveSuggestion(index) {
+    this.activeSuggestion = index;
+
+    this.elements.suggestions.querySelectorAll('[role="option"]').forEach((item, itemIndex) => {
+      const isActive = itemIndex === index;
+      item.classList.toggle('search-suggestions__item--active', isActive);
+      item.setAttribute('aria-selected', isActive ? 'true' : 'false');
+
+      if (isActive && typeof item.scrollIntoView === 'function') {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+
+    if (index >= 0) {
+      this.elements.input.setAttribute('aria-activedescendant', `search-suggestion-${index}`);
+    } else {
+      this.elements.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  getActiveSuggestion() {
+    return this.suggestions[this.activeSuggestion] || null;
+  }
+
+  isSuggestionListOpen() {
+    return Boolean(this.elements.suggestions) && !this.elements.suggestions.hidden;
+  }
+
+  closeSuggestions() {
+    if (!this.elements.suggestions) return;
+
+    this.suggestions = [];
+    this.activeSuggestion = -1;
+    this.renderSuggestions();
+  }
+
+  applySuggestion(suggestion) {
+    this.updateSearchQuery(suggestion.value, false);
+
+    // A bare field name is only half a filter, keep the list open for its values
+    if (suggestion.partial) {
+      this.updateSuggestions();
+      return;
+    }
+
+    this.performSearch(suggestion.value);
+    this.addToHistory(suggestion.value);
+    this.closeSuggestions();
+  }
+
+  removeHistorySuggestion(suggestion) {
+    this.removeFromHistory(suggestion.value);
+    this.updateSuggestions();
+    announceToScreenReader(`Removed "${suggestion.value}" from recent searches`);
+  }
+
+  // === SEARCH HISTORY === */
+  // Only queries that parse are kept, a half-typed one would fail again when picked
   addToHistory(query) {
-    // Placeholder for search history functionality
-    if (query.trim().length === 0) return;
+    const trimmed = String(query || '').trim();
+    if (trimmed.length === 0 || !validateSearchQuery(trimmed).isValid) return;
     
-    // Could store in localStorage for persistence
     const history = this.getSearchHistory();
-    const updatedHistory = [query, ...history.filter(item => item !== query)].slice(0, 10);
-    
+    const updatedHistory = [trimmed, ...history.filter(item => item !== trimmed)].slice(0, this.options.maxHistory);
+    this.saveSearchHistory(updatedHistory);
+  }
+
+  removeFromHistory(query) {
+    this.saveSearchHistory(this.getSearchHistory().filter(item => item !== query));
+  }
+
+  getSearchHistory() {
     try {
-      localStorage.setItem('todoapp_search_history', JSON.stringify(updatedHistory));
+      const history = JSON.parse(localStorage.getItem(SEARCH_HISTORY_KEY));
+      return Array.isArray(history) ? history.filter(item => typeof item === 'string') : [];
     } catch (error) {
-      // Ignore storage errors
+      return [];
     }
   }
 
-  getSearchHistory() {
+  saveSearchHistory(history) {
     try {
-      const history = localStorage.getItem('todoapp_search_history');
-      return history ? JSON.parse(history) : [];
+      localStorage.setItem(SEARCH_HISTORY_KEY, JSON.stringify(history));
     } catch (error) {
-      return [];
+      // Ignore storage errors
     }
   }
 
   clearSearchHistory() {
     try {
-      localStorage.removeItem('todoapp_search_history');
+      localStorage.removeItem(SEARCH_HISTORY_KEY);
     } catch (error) {
       // Ignore storage errors
     }
@@ -436,6 +712,7 @@ export class Search {
       element.removeEventListener(event, handler);
     });
     this.listeners = [];
+    clearTimeout(this.errorTimeout);
 
     // Clear search state
     this.clear();
@@ -471,28 +748,24 @@ export function initSearchComponents(selector = '.search-bar') {
 
 // === SEARCH UTILITIES === */
 export class SearchUtils {
+  // Returns HTML; text is escaped here, so pass it unescaped
   static highlightMatches(text, query) {
-    if (!query || query.trim().length === 0) return text;
+    if (!query || query.trim().length === 0) return escapeHtml(text);
     
-    const escapedQuery = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const regex = new RegExp(`(${escapedQuery})`, 'gi');
-    
-    return text.replace(regex, '<mark class="search-highlight">$1</mark>');
+    const searchIndex = getSearchIndex();
+    return splitHighlights(text, getHighlightTerms(query, searchIndex.isStarted ? searchIndex : null))
+      .map(({ text: segment, match }) => match
+        ? `<mark class="search-highlight">${escapeHtml(segment)}</mark>`
+        : escapeHtml(segment))
+      .join('');
   }
   
   static normalizeQuery(query) {
     return query.toLowerCase().trim().replace(/\s+/g, ' ');
   }
   
+  // See utils/searchQuery.js for the grammar
   static parseSearchQuery(query) {
-    // Basic query parsing for future enhancements
-    // Could support operators like priority:high, completed:true, etc.
-    const normalized = this.normalizeQuery(query);
-    
-    return {
-      text: normalized,
-      filters: {},
-      operators: []
-    };
+    return parseSearchQuery(query);
   }
 }
\ No newline at end of file
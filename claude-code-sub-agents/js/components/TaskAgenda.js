@@ -0,0 +1,366 @@
+/* Today Agenda Component */
+
+import { EVENTS } from '../constants/events.js';
+import { emit, logError, announceToScreenReader, debounce } from '../utils/helpers.js';
+import { addDays, formatDate, toLocalDateString } from '../utils/dateUtils.js';
+import { getAgenda } from '../utils/agenda.js';
+import { reconcileChildren } from '../utils/domDiff.js';
+import { TaskItem } from './TaskItem.js';
+import { getTaskManager } from '../modules/taskManager.js';
+import { getStateManager } from '../modules/stateManager.js';
+
+// === TODAY AGENDA COMPONENT === */
+/**
+ * What needs doing today, from the filtered tasks: overdue ones first, then those due today,
+ * then undated ones planned for today. Overdue tasks can all be moved to today or tomorrow at
+ * once. The sections follow the date when it changes with the app open.
+ */
+export class TaskAgenda {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+    this.options = {
+      enableKeyboardNavigation: true,
+      animateChanges: true,
+      ...options
+    };
+
+    this.taskManager = getTaskManager();
+    this.state = getStateManager();
+    this.elements = {};
+    this.listeners = [];
+    this.taskItems = new Map();   // taskId -> TaskItem instance
+    this.sections = [];           // [{ key, label, tasks }] as last rendered
+    this.renderedSearchQuery = '';
+    this.focusedTaskId = null;    // the task in the tab order
+
+    this.debouncedRender = debounce(this.render.bind(this), 100);
+
+    this.init();
+  }
+
+  // === INITIALIZATION === */
+  init() {
+    try {
+      if (!this.container) {
+        throw new Error('TaskAgenda container not found');
+      }
+
+      this.findElements();
+      this.attachEventListeners();
+      this.subscribeToStateChanges();
+      this.render();
+
+      emit(document, EVENTS.COMPONENT_MOUNTED, {
+        component: 'TaskAgenda',
+        container: this.container
+      });
+    } catch (error) {
+      logError(error, 'TaskAgenda.init');
+      this.handleError(error, 'Failed to initialize the Today agenda');
+    }
+  }
+
+  findElements() {
+    this.elements = {
+      date: this.container.querySelector('.task-agenda__date'),
+      summary: this.container.querySelector('.task-agenda__summary'),
+      empty: this.container.querySelector('.task-agenda__empty'),
+      sections: new Map(Array.from(this.container.querySelectorAll('[data-agenda-section]'), section => [
+        section.getAttribute('data-agenda-section'),
+        {
+          element: section,
+          list: section.querySelector('.task-agenda__list'),
+          count: section.querySelector('.task-agenda__count')
+        }
+      ]))
+    };
+
+    if (this.elements.sections.size === 0) {
+      throw new Error('Agenda sections not found');
+    }
+  }
+
+  // === EVENT LISTENERS === */
+  attachEventListeners() {
+    this.addListener(this.container, 'click', this.handleClick.bind(this));
+    this.addListener(this.container, 'keydown', this.handleKeydown.bind(this));
+    this.addListener(this.container, 'focusin', this.handleFocusIn.bind(this));
+    this.addListener(document, EVENTS.DAY_CHANGED, this.handleDayChanged.bind(this));
+  }
+
+  addListener(element, event, handler) {
+    element.addEventListener(event, handler);
+    this.listeners.push({ element, event, handler });
+  }
+
+  subscribeToStateChanges() {
+    this.unsubscribeFromState = this.state.subscribe((newState, prevState) => {
+      // Tasks, filters, sort order and the date all show here; hidden, only leaving matters
+      if (newState.ui.layout === 'agenda' || prevState.ui.layout === 'agenda') {
+        this.debouncedRender();
+      }
+    });
+  }
+
+  // === DATA === */
+  isShown() {
+    return this.state.getLayout() === 'agenda';
+  }
+
+  // The list's filters and sort order, so switching layouts shows the same tasks
+  getTasks() {
+    const tasks = this.state.getFilteredTasks();
+    return this.state.getSearchMatcher().isRanked
+      ? tasks
+      : this.taskManager.sortTasks(tasks, this.state.getSortKeys());
+  }
+
+  getSection(key) {
+    return this.sections.find(section => section.key === key);
+  }
+
+  // === RENDERING === */
+  render() {
+    try {
+      if (!this.isShown()) {
+        this.clear();
+        return;
+      }
+
+      // Tasks that move between sections lose focus, remember what had it
+      const focusedElement = this.container.contains(document.activeElement) ? document.activeElement : null;
+
+      // Title highlights follow the search, so a new query refreshes every task
+      const { searchQuery } = this.state.getFilters();
+      const refreshItems = searchQuery !== this.renderedSearchQuery;
+      this.renderedSearchQuery = searchQuery;
+
+      this.sections = getAgenda(this.getTasks());
+
+      const listedIds = new Set(this.sections.flatMap(section => section.tasks.map(task => task.id)));
+      this.taskItems.forEach((taskItem, taskId) => {
+        if (!listedIds.has(taskId)) {
+          taskItem.destroy();
+          this.taskItems.delete(taskId);
+        }
+      });
+
+      this.sections.forEach(section => {
+        const sectionElements = this.elements.sections.get(section.key);
+        if (!sectionElements) return;
+
+        sectionElements.element.hidden = section.tasks.length === 0;
+        if (sectionElements.count) {
+          sectionElements.count.textContent = String(section.tasks.length);
+          sectionElements.count.setAttribute('aria-label', pluralize(section.tasks.length));
+        }
+        reconcileChildren(sectionElements.list, section.tasks.map(task => this.syncTaskItem(task, refreshItems).getElement()));
+      });
+
+      this.renderHeader(listedIds.size);
+      this.updateTabStops();
+
+      if (focusedElement?.isConnected && document.activeElement !== focusedElement) {
+        focusedElement.focus();
+      }
+
+      emit(this.container, EVENTS.COMPONENT_UPDATED, {
+        component: 'TaskAgenda',
+        overdueTasks: this.getSection('overdue').tasks.length,
+        totalTasks: listedIds.size
+      });
+    } catch (error) {
+      logError(error, 'TaskAgenda.render');
+      this.handleError(error, 'Failed to render the Today agenda');
+    }
+  }
+
+  renderHeader(total) {
+    if (this.elements.date) {
+      this.elements.date.textContent = formatDate(new Date(), { weekday: 'long', month: 'long', day: 'numeric', year: undefined });
+    }
+
+    if (this.elements.summary) {
+      const overdue = this.getSection('overdue').tasks.length;
+      this.elements.summary.textContent = total === 0
+        ? ''
+        : `${pluralize(total)}${overdue > 0 ? `, ${overdue} overdue` : ''}`;
+    }
+
+    if (this.elements.empty) {
+      this.elements.empty.hidden = total > 0;
+    }
+  }
+
+  // Reuses the item already showing a task, refreshing it only if the task changed
+  syncTaskItem(task, refresh) {
+    const taskItem = this.taskItems.get(task.id);
+    if (!taskItem || taskItem.isDestroyed) {
+      return this.createTaskItem(task);
+    }
+
+    taskItem.options.confirmDelete = this.state.getSetting('confirmDeletion');
+    const shown = taskItem.task;
+    if (refresh || shown.updatedAt !== task.updatedAt || shown.completed !== task.completed) {
+      taskItem.update(task);
+    }
+    return taskItem;
+  }
+
+  // Rows without the list-only controls: selection, dragging and nesting under the task above
+  createTaskItem(task) {
+    const taskItem = new TaskItem(task, {
+      enableEdit: true,
+      enableDelete: true,
+      enablePriorityDisplay: true,
+      enableTimestamps: true,
+      enableSelection: false,
+      enableDrag: false,
+      confirmDelete: this.state.getSetting('confirmDeletion'),
+      showCompletionAnimation: this.options.animateChanges
+    });
+
+    this.taskItems.set(task.id, taskItem);
+    return taskItem;
+  }
+
+  // Roving tabindex: only the focused task, or the first, is in the tab order
+  updateTabStops() {
+    if (!this.options.enableKeyboardNavigation) return;
+
+    if (!this.taskItems.has(this.focusedTaskId)) {
+      this.focusedTaskId = this.getListedIds()[0] ?? null;
+    }
+    this.taskItems.forEach((taskItem, taskId) => {
+      taskItem.getElement().setAttribute('tabindex', taskId === this.focusedTaskId ? '0' : '-1');
+    });
+  }
+
+  getListedIds() {
+    return this.sections.flatMap(section => section.tasks.map(task => task.id));
+  }
+
+  clear() {
+    this.taskItems.forEach(taskItem => taskItem.destroy());
+    this.taskItems.clear();
+    this.sections = [];
+    this.elements.sections.forEach(({ list }) => list.replaceChildren());
+  }
+
+  // === EVENT HANDLERS === */
+  handleClick(event) {
+    const button = event.target.closest('[data-action="reschedule-overdue"]');
+    if (!button) return;
+
+    this.rescheduleOverdue(button.getAttribute('data-reschedule-to'));
+  }
+
+  handleFocusIn(event) {
+    const taskId = event.target.closest('.task-item')?.getAttribute('data-task-id');
+    if (taskId && taskId !== this.focusedTaskId) {
+      this.focusedTaskId = taskId;
+      this.updateTabStops();
+    }
+  }
+
+  // Up and down go through the sections in order, as if they were one list
+  handleKeydown(event) {
+    if (!this.options.enableKeyboardNavigation) return;
+
+    // Keys typed into a task's controls are theirs
+    const row = event.target.classList.contains('task-item') ? event.target : null;
+    if (!row || event.altKey) return;
+
+    const ids = this.getListedIds();
+    const index = ids.indexOf(row.getAttribute('data-task-id'));
+    const targets = {
+      ArrowUp: ids[index - 1],
+      ArrowDown: ids[index + 1],
+      Home: ids[0],
+      End: ids[ids.length - 1]
+    };
+    if (!(event.key in targets)) return;
+
+    event.preventDefault();
+    if (targets[event.key]) {
+      this.focusTask(targets[event.key]);
+    }
+  }
+
+  focusTask(taskId) {
+    const taskItem = this.taskItems.get(taskId);
+    if (!taskItem) return;
+
+    this.focusedTaskId = taskId;
+    this.updateTabStops();
+    taskItem.getElement().focus();
+  }
+
+  handleDayChanged() {
+    if (!this.isShown()) return;
+
+    // Render now rather than debounced, so the announcement counts the new day's tasks
+    this.render();
+    const overdue = this.getSection('overdue')?.tasks.length || 0;
+    announceToScreenReader(`It's ${this.elements.date?.textContent || 'a new day'}. ${overdue > 0
+      ? `${pluralize(overdue)} overdue.`
+      : 'Nothing is overdue.'}`);
+  }
+
+  // === ACTIONS === */
+  // Moves every overdue task shown to today or tomorrow, as one undo step
+  async rescheduleOverdue(to) {
+    const tasks = this.getSection('overdue')?.tasks || [];
+    if (tasks.length === 0) return;
+
+    const day = to === 'tomorrow' ? addDays(new Date(), 1) : new Date();
+    try {
+      await this.taskManager.updateMultipleTasks(
+        tasks.map(task => task.id),
+        { dueDate: toLocalDateString(day) },
+        `Reschedule ${pluralize(tasks.length)}`
+      );
+      announceToScreenReader(`${pluralize(tasks.length)} moved to ${to === 'tomorrow' ? 'tomorrow' : 'today'}.`);
+    } catch (error) {
+      // TaskManager has already reported the failure
+    }
+  }
+
+  // === ERROR HANDLING === */
+  handleError(error, userMessage) {
+    emit(document, EVENTS.APP_ERROR, {
+      error,
+      context: 'TaskAgenda',
+      userMessage,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // === CLEANUP === */
+  destroy() {
+    if (this.unsubscribeFromState) {
+      this.unsubscribeFromState();
+    }
+
+    this.clear();
+
+    this.listeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.listeners = [];
+
+    emit(document, EVENTS.COMPONENT_UNMOUNTED, {
+      component: 'TaskAgenda',
+      container: this.container
+    });
+  }
+}
+
+function pluralize(count) {
+  return `${count} ${count === 1 ? 'task' : 'tasks'}`;
+}
+
+// === FACTORY FUNCTION === */
+export function createTaskAgenda(container, options) {
+  return new TaskAgenda(container, options);
+}
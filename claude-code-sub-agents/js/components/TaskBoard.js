@@ -0,0 +1,636 @@
+/* Task Board Component */
+
+import { EVENTS } from '../constants/events.js';
+import { emit, logError, announceToScreenReader, debounce, unescapeHtml } from '../utils/helpers.js';
+import { getBoardColumns, getGroupChanges } from '../utils/taskGroups.js';
+import { MAX_WIP_LIMIT } from '../utils/validation.js';
+import { reconcileChildren } from '../utils/domDiff.js';
+import { TaskItem } from './TaskItem.js';
+import { getTaskManager } from '../modules/taskManager.js';
+import { getStateManager } from '../modules/stateManager.js';
+
+// === TASK BOARD COMPONENT === */
+/**
+ * Kanban layout of the filtered tasks, one column per status, priority or category. Dropping a
+ * card in another column changes that field; with the Manual sort it can also be reordered
+ * within its column. Columns may have a work-in-progress limit, which is shown, not enforced.
+ */
+export class TaskBoard {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+    this.options = {
+      enableKeyboardNavigation: true,
+      animateChanges: true,
+      ...options
+    };
+
+    this.taskManager = getTaskManager();
+    this.state = getStateManager();
+    this.elements = {};
+    this.listeners = [];
+    this.taskItems = new Map();       // taskId -> TaskItem instance
+    this.columnElements = new Map();  // columnId -> { element, list } of a rendered column
+    this.columns = [];
+    this.renderedSearchQuery = '';
+    this.focusedTaskId = null;        // the card in the tab order
+    this.drag = null;                 // { taskId, pointerId, target, listeners } while a card is dragged
+
+    this.debouncedRender = debounce(this.render.bind(this), 100);
+
+    this.init();
+  }
+
+  // === INITIALIZATION === */
+  init() {
+    try {
+      if (!this.container) {
+        throw new Error('TaskBoard container not found');
+      }
+
+      this.findElements();
+      this.attachEventListeners();
+      this.subscribeToStateChanges();
+      this.render();
+
+      emit(document, EVENTS.COMPONENT_MOUNTED, {
+        component: 'TaskBoard',
+        container: this.container
+      });
+    } catch (error) {
+      logError(error, 'TaskBoard.init');
+      this.handleError(error, 'Failed to initialize the task board');
+    }
+  }
+
+  findElements() {
+    this.elements = {
+      columns: this.container.querySelector('.task-board__columns'),
+      fieldSelect: this.container.querySelector('.task-board__field')
+    };
+
+    if (!this.elements.columns) {
+      throw new Error('Task board columns element not found');
+    }
+  }
+
+  // === EVENT LISTENERS === */
+  attachEventListeners() {
+    this.addListener(this.elements.columns, 'keydown', this.handleKeydown.bind(this));
+    this.addListener(this.elements.columns, 'focusin', this.handleFocusIn.bind(this));
+    this.addListener(this.elements.columns, 'change', this.handleLimitChange.bind(this));
+    this.addListener(this.elements.columns, EVENTS.DRAG_START, this.handleDragStart.bind(this));
+
+    if (this.elements.fieldSelect) {
+      this.addListener(this.elements.fieldSelect, 'change', this.handleFieldChange.bind(this));
+    }
+  }
+
+  addListener(element, event, handler) {
+    element.addEventListener(event, handler);
+    this.listeners.push({ element, event, handler });
+  }
+
+  subscribeToStateChanges() {
+    this.unsubscribeFromState = this.state.subscribe((newState, prevState) => {
+      // Tasks, filters, sort order and board settings all show here; hidden, only leaving matters
+      if (newState.ui.layout === 'board' || prevState.ui.layout === 'board') {
+        this.debouncedRender();
+      }
+    });
+  }
+
+  // === DATA === */
+  isShown() {
+    return this.state.getLayout() === 'board';
+  }
+
+  getField() {
+    return this.state.getSetting('boardColumnsBy');
+  }
+
+  getColumnId(column) {
+    return `${this.getField()}:${column.key}`;
+  }
+
+  getWipLimit(column) {
+    return this.state.getSetting('boardWipLimits')[this.getColumnId(column)] || null;
+  }
+
+  // Search results are ranked, whatever the sort, so the manual order only shows without a search
+  isManualOrder() {
+    return this.state.getSortOrder().by === 'order' && !this.state.getSearchMatcher().isRanked;
+  }
+
+  // The list's filters and sort order, so switching layouts shows the same tasks
+  getTasks() {
+    const tasks = this.state.getFilteredTasks();
+    return this.state.getSearchMatcher().isRanked
+      ? tasks
+      : this.taskManager.sortTasks(tasks, this.state.getSortKeys());
+  }
+
+  // === RENDERING === */
+  render() {
+    try {
+      if (!this.isShown()) {
+        this.clearColumns();
+        return;
+      }
+
+      const field = this.getField();
+      if (this.elements.fieldSelect) {
+        this.elements.fieldSelect.value = field;
+      }
+
+      // Cards that move lose focus, remember what had it
+      const focusedElement = this.container.contains(document.activeElement) ? document.activeElement : null;
+
+      // Title highlights follow the search, so a new query refreshes every card
+      const { searchQuery } = this.state.getFilters();
+      const refreshCards = searchQuery !== this.renderedSearchQuery;
+      this.renderedSearchQuery = searchQuery;
+
+      this.columns = getBoardColumns(this.getTasks(), field, this.state.getAllTasks());
+
+      const listedIds = new Set(this.columns.flatMap(column => column.tasks.map(task => task.id)));
+      this.taskItems.forEach((taskItem, taskId) => {
+        if (!listedIds.has(taskId)) {
+          taskItem.destroy();
+          this.taskItems.delete(taskId);
+        }
+      });
+
+      const columnIds = new Set(this.columns.map(column => this.getColumnId(column)));
+      this.columnElements.forEach((columnElement, columnId) => {
+        if (!columnIds.has(columnId)) this.columnElements.delete(columnId);
+      });
+
+      const columnElements = this.columns.map((column, columnIndex) => {
+        const { element, list } = this.syncColumnElement(column, columnIndex);
+        reconcileChildren(list, column.tasks.map(task => this.syncTaskItem(task, refreshCards).getElement()));
+        return element;
+      });
+      reconcileChildren(this.elements.columns, columnElements);
+      this.updateTabStops();
+
+      if (focusedElement?.isConnected && document.activeElement !== focusedElement) {
+        focusedElement.focus();
+      }
+
+      this.elements.columns.classList.toggle('task-board__columns--sortable', this.isManualOrder());
+
+      emit(this.container, EVENTS.COMPONENT_UPDATED, {
+        component: 'TaskBoard',
+        columnCount: this.columns.length,
+        totalTasks: listedIds.size
+      });
+    } catch (error) {
+      logError(error, 'TaskBoard.render');
+      this.handleError(error, 'Failed to render the task board');
+    }
+  }
+
+  // Reuses the card already showing a task, refreshing it only if the task changed
+  syncTaskItem(task, refresh) {
+    const taskItem = this.taskItems.get(task.id);
+    if (!taskItem || taskItem.isDestroyed) {
+      return this.createTaskItem(task);
+    }
+
+    taskItem.options.confirmDelete = this.state.getSetting('confirmDeletion');
+    const shown = taskItem.task;
+    if (refresh || shown.updatedAt !== task.updatedAt || shown.completed !== task.completed) {
+      taskItem.update(task);
+    }
+    return taskItem;
+  }
+
+  // Cards are rows without the list-only controls: selection, and nesting under the task above
+  createTaskItem(task) {
+    const taskItem = new TaskItem(task, {
+      enableEdit: true,
+      enableDelete: true,
+      enablePriorityDisplay: true,
+      enableTimestamps: false,
+      enableSelection: false,
+      confirmDelete: this.state.getSetting('confirmDeletion'),
+      showCompletionAnimation: this.options.animateChanges
+    });
+
+    taskItem.getElement().classList.add('task-board__card');
+    this.taskItems.set(task.id, taskItem);
+    return taskItem;
+  }
+
+  // Roving tabindex: only the focused card, or the first, is in the tab order
+  updateTabStops() {
+    if (!this.options.enableKeyboardNavigation) return;
+
+    if (!this.taskItems.has(this.focusedTaskId)) {
+      this.focusedTaskId = this.columns.find(column => column.tasks.length > 0)?.tasks[0].id ?? null;
+    }
+    this.taskItems.forEach((taskItem, taskId) => {
+      taskItem.getElement().setAttribute('tabindex', taskId === this.focusedTaskId ? '0' : '-1');
+    });
+  }
+
+  createColumnElement(column, columnIndex) {
+    const element = document.createElement('section');
+    element.className = 'task-board__column';
+
+    const header = document.createElement('div');
+    header.className = 'task-board__column-header';
+
+    const title = document.createElement('h3');
+    title.className = 'task-board__column-title';
+
+    const count = document.createElement('span');
+    count.className = 'task-board__count';
+
+    const limitLabel = document.createElement('label');
+    limitLabel.className = 'sr-only';
+
+    const limitInput = document.createElement('input');
+    limitInput.type = 'number';
+    limitInput.className = 'task-board__limit';
+    limitInput.min = '0';
+    limitInput.max = String(MAX_WIP_LIMIT);
+    limitInput.placeholder = 'Limit';
+    limitInput.setAttribute('inputmode', 'numeric');
+
+    const list = document.createElement('ul');
+    list.className = 'task-board__list';
+    list.setAttribute('role', 'list');
+
+    header.append(title, count, limitLabel, limitInput);
+    element.append(header, list);
+
+    const columnElement = { element, list };
+    this.updateColumnElement(columnElement, column, columnIndex);
+    return columnElement;
+  }
+
+  syncColumnElement(column, columnIndex) {
+    const columnId = this.getColumnId(column);
+    let columnElement = this.columnElements.get(columnId);
+
+    if (!columnElement) {
+      columnElement = this.createColumnElement(column, columnIndex);
+      this.columnElements.set(columnId, columnElement);
+      return columnElement;
+    }
+
+    this.updateColumnElement(columnElement, column, columnIndex);
+    return columnElement;
+  }
+
+  // Ids follow the column's position, as the columns come and go with the categories
+  updateColumnElement({ element, list }, column, columnIndex) {
+    const titleId = `board-column-${columnIndex}-title`;
+    const limitId = `board-column-${columnIndex}-limit`;
+    const label = unescapeHtml(column.label);
+    const limit = this.getWipLimit(column);
+    const count = column.tasks.length;
+    const isOverLimit = limit !== null && count > limit;
+
+    element.setAttribute('data-column', this.getColumnId(column));
+    element.setAttribute('aria-labelledby', titleId);
+    element.classList.toggle('task-board__column--over-limit', isOverLimit);
+
+    const title = element.querySelector('.task-board__column-title');
+    title.id = titleId;
+    // Category labels are stored HTML-escaped
+    title.innerHTML = column.label;
+
+    const countElement = element.querySelector('.task-board__count');
+    countElement.textContent = limit !== null ? `${count} / ${limit}` : String(count);
+    countElement.setAttribute('aria-label', limit !== null
+      ? `${pluralize(count)}, limit ${limit}${isOverLimit ? ', over the limit' : ''}`
+      : pluralize(count));
+
+    const limitLabel = element.querySelector('label');
+    limitLabel.setAttribute('for', limitId);
+    limitLabel.textContent = `Task limit for ${label}, 0 for none`;
+
+    // Left alone while it's being typed in
+    const limitInput = element.querySelector('.task-board__limit');
+    limitInput.id = limitId;
+    if (document.activeElement !== limitInput) {
+      limitInput.value = limit !== null ? String(limit) : '';
+    }
+
+    list.setAttribute('aria-labelledby', titleId);
+  }
+
+  clearColumns() {
+    if (this.drag) {
+      this.endDrag(false);
+    }
+
+    this.taskItems.forEach(taskItem => taskItem.destroy());
+    this.taskItems.clear();
+    this.columnElements.clear();
+    this.columns = [];
+    this.elements.columns.innerHTML = '';
+  }
+
+  // === EVENT HANDLERS === */
+  handleFieldChange(event) {
+    const field = event.target.value;
+    this.state.setBoardColumns(field);
+    announceToScreenReader(`Board columns by ${field}.`);
+  }
+
+  handleLimitChange(event) {
+    const input = event.target;
+    if (!input.classList.contains('task-board__limit')) return;
+
+    const columnId = input.closest('.task-board__column').getAttribute('data-column');
+    const column = this.columns.find(item => this.getColumnId(item) === columnId);
+    if (!column) return;
+
+    const value = Math.floor(Number(input.value));
+    const limit = Number.isFinite(value) && value > 0 ? Math.min(value, MAX_WIP_LIMIT) : null;
+    this.state.setWipLimit(columnId, limit);
+    input.value = limit !== null ? String(limit) : '';
+
+    const label = unescapeHtml(column.label);
+    announceToScreenReader(limit !== null ? `${label} limited to ${pluralize(limit)}.` : `${label} has no limit.`);
+  }
+
+  handleFocusIn(event) {
+    const card = event.target.closest('.task-item');
+    const taskId = card?.getAttribute('data-task-id');
+    if (taskId && taskId !== this.focusedTaskId) {
+      this.focusedTaskId = taskId;
+      this.updateTabStops();
+    }
+  }
+
+  handleKeydown(event) {
+    if (!this.options.enableKeyboardNavigation) return;
+
+    // Keys typed into a card's controls, or a limit, are theirs
+    const card = event.target.classList.contains('task-item') ? event.target : null;
+    if (!card) return;
+
+    const taskId = card.getAttribute('data-task-id');
+    const directions = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+    if (!directions[event.key]) return;
+
+    event.preventDefault();
+    const [across, down] = directions[event.key];
+
+    if (event.altKey) {
+      if (across) {
+        this.moveTaskAcross(taskId, across);
+      } else {
+        this.moveTaskWithinColumn(taskId, down);
+      }
+    } else {
+      this.focusNeighbour(taskId, across, down);
+    }
+  }
+
+  // === KEYBOARD NAVIGATION === */
+  findTask(taskId) {
+    const columnIndex = this.columns.findIndex(column => column.tasks.some(task => task.id === taskId));
+    if (columnIndex === -1) return null;
+
+    const index = this.columns[columnIndex].tasks.findIndex(task => task.id === taskId);
+    return { columnIndex, index, task: this.columns[columnIndex].tasks[index] };
+  }
+
+  // Up and down stay in the column; left and right go to the nearest card in the next column with any
+  focusNeighbour(taskId, across, down) {
+    const position = this.findTask(taskId);
+    if (!position) return;
+
+    let target = null;
+    if (down) {
+      target = this.columns[position.columnIndex].tasks[position.index + down];
+    } else {
+      for (let i = position.columnIndex + across; i >= 0 && i < this.columns.length && !target; i += across) {
+        const { tasks } = this.columns[i];
+        target = tasks[Math.min(position.index, tasks.length - 1)];
+      }
+    }
+
+    if (target) {
+      this.focusTask(target.id);
+    }
+  }
+
+  focusTask(taskId) {
+    if (!this.taskItems.has(taskId)) return;
+
+    this.focusedTaskId = taskId;
+    this.updateTabStops();
+    this.taskItems.get(taskId).focus();
+  }
+
+  moveTaskAcross(taskId, direction) {
+    const position = this.findTask(taskId);
+    if (!position) return;
+
+    const target = this.columns[position.columnIndex + direction];
+    if (!target) {
+      announceToScreenReader(`"${position.task.title}" can't move ${direction < 0 ? 'left' : 'right'} any further.`);
+      return;
+    }
+
+    this.moveTaskTo(taskId, null, target);
+  }
+
+  moveTaskWithinColumn(taskId, direction) {
+    if (!this.isManualOrder()) {
+      announceToScreenReader('Choose the Manual sort to reorder cards within a column.');
+      return;
+    }
+
+    const position = this.findTask(taskId);
+    if (!position) return;
+
+    const neighbour = this.columns[position.columnIndex].tasks[position.index + direction];
+    if (!neighbour) {
+      announceToScreenReader(`"${position.task.title}" can't move ${direction < 0 ? 'up' : 'down'} any further.`);
+      return;
+    }
+
+    this.moveTaskTo(taskId, direction < 0 ? { beforeId: neighbour.id } : { afterId: neighbour.id });
+  }
+
+  // === MOVING TASKS === */
+  /**
+   * Moves a task to `placement` in the manual order (null keeps it where it is) and, when
+   * `column` is another column than its own, into that column. Focus stays on the task.
+   */
+  async moveTaskTo(taskId, placement, column = null) {
+    const position = this.findTask(taskId);
+    if (!position) return false;
+
+    const joins = column && !column.tasks.some(task => task.id === taskId);
+
+    try {
+      if (joins && this.getField() === 'status') {
+        // Completing can schedule the next occurrence, so it goes through the usual path
+        await this.taskManager.completeMultipleTasks([taskId], column.key === 'done');
+      } else {
+        await this.taskManager.moveTask(taskId, placement, joins ? getGroupChanges(this.getField(), column) : {});
+      }
+    } catch (error) {
+      // TaskManager has already reported the failure
+      return false;
+    }
+
+    // Show the result straight away rather than after the debounced render
+    this.render();
+    this.focusTask(taskId);
+    this.announceTaskPosition(taskId);
+    return true;
+  }
+
+  announceTaskPosition(taskId) {
+    const position = this.findTask(taskId);
+    if (!position) return;
+
+    const column = this.columns[position.columnIndex];
+    const label = unescapeHtml(column.label);
+    const limit = this.getWipLimit(column);
+    const overLimit = limit !== null && column.tasks.length > limit ? ` ${label} is over its limit of ${limit}.` : '';
+
+    announceToScreenReader(this.isManualOrder()
+      ? `"${position.task.title}" moved to position ${position.index + 1} of ${column.tasks.length} in ${label}.${overLimit}`
+      : `"${position.task.title}" moved to ${label}.${overLimit}`);
+  }
+
+  // === DRAG AND DROP === */
+  // TaskItem starts a drag from its handle; from then on pointer events are followed page-wide
+  handleDragStart(event) {
+    const { task, element, pointerId } = event.detail;
+    if (this.drag) return;
+
+    const listeners = [
+      { event: 'pointermove', handler: this.handleDragMove.bind(this) },
+      { event: 'pointerup', handler: event => this.handleDragEnd(event, true) },
+      { event: 'pointercancel', handler: event => this.handleDragEnd(event, false) },
+      { event: 'keydown', handler: event => event.key === 'Escape' && this.endDrag(false) }
+    ];
+    listeners.forEach(({ event, handler }) => document.addEventListener(event, handler));
+
+    this.drag = { taskId: task.id, pointerId, target: null, listeners };
+    element.classList.add('task-item--dragging');
+    this.elements.columns.classList.add('task-board__columns--dragging');
+
+    announceToScreenReader(`Moving "${task.title}". Release to drop, press Escape to cancel.`);
+  }
+
+  handleDragMove(event) {
+    if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+
+    event.preventDefault();
+    this.setDropTarget(this.findDropTarget(event.clientX, event.clientY));
+  }
+
+  handleDragEnd(event, drop) {
+    if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+    this.endDrag(drop);
+  }
+
+  /**
+   * Where a card would land at a point: above or below another card, with the Manual sort, or
+   * anywhere in another column. Null where dropping would change nothing.
+   */
+  findDropTarget(x, y) {
+    const hit = document.elementFromPoint(x, y);
+    const columnElement = hit && this.elements.columns.contains(hit) ? hit.closest('.task-board__column') : null;
+    if (!columnElement) return null;
+
+    const columnId = columnElement.getAttribute('data-column');
+    const column = this.columns.find(item => this.getColumnId(item) === columnId);
+    if (!column) return null;
+
+    const joins = !column.tasks.some(task => task.id === this.drag.taskId);
+    const card = hit.closest('.task-item');
+    const targetId = card?.getAttribute('data-task-id');
+
+    // Completion keeps the card's order, the other fields can place it between two cards
+    if (card && targetId !== this.drag.taskId && this.isManualOrder() && !(joins && this.getField() === 'status')) {
+      const rect = card.getBoundingClientRect();
+      return y < rect.top + rect.height / 2
+        ? { element: card, column, placement: { beforeId: targetId }, className: 'task-item--drop-before' }
+        : { element: card, column, placement: { afterId: targetId }, className: 'task-item--drop-after' };
+    }
+
+    return joins ? { element: columnElement, column, placement: null, className: 'task-board__column--drop-target' } : null;
+  }
+
+  setDropTarget(target) {
+    const current = this.drag.target;
+    if (current?.element === target?.element && current?.className === target?.className) return;
+
+    current?.element.classList.remove(current.className);
+    target?.element.classList.add(target.className);
+    this.drag.target = target;
+  }
+
+  endDrag(drop) {
+    if (!this.drag) return;
+
+    const { taskId, target, listeners } = this.drag;
+    this.drag = null;
+
+    listeners.forEach(({ event, handler }) => document.removeEventListener(event, handler));
+    this.elements.columns.classList.remove('task-board__columns--dragging');
+    this.elements.columns.querySelector('.task-item--dragging')?.classList.remove('task-item--dragging');
+    target?.element.classList.remove(target.className);
+
+    const task = this.findTask(taskId)?.task;
+    if (drop && target && task) {
+      emit(this.elements.columns, EVENTS.DROP, { task, column: target.column, placement: target.placement });
+      this.moveTaskTo(taskId, target.placement, target.column);
+    } else if (task) {
+      announceToScreenReader(`Move of "${task.title}" cancelled.`);
+    }
+
+    emit(this.elements.columns, EVENTS.DRAG_END, { task, dropped: Boolean(drop && target) });
+  }
+
+  // === ERROR HANDLING === */
+  handleError(error, userMessage) {
+    emit(document, EVENTS.APP_ERROR, {
+      error,
+      context: 'TaskBoard',
+      userMessage,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // === CLEANUP === */
+  destroy() {
+    if (this.unsubscribeFromState) {
+      this.unsubscribeFromState();
+    }
+
+    this.clearColumns();
+
+    this.listeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.listeners = [];
+
+    emit(document, EVENTS.COMPONENT_UNMOUNTED, {
+      component: 'TaskBoard',
+      container: this.container
+    });
+  }
+}
+
+function pluralize(count) {
+  return `${count} ${count === 1 ? 'task' : 'tasks'}`;
+}
+
+// === FACTORY FUNCTION === */
+export function createTaskBoard(container, options) {
+  return new TaskBoard(container, options);
+}
@@ -0,0 +1,633 @@
+/* Task Calendar Component */
+
+import { EVENTS } from '../constants/events.js';
+import { emit, logError, announceToScreenReader, debounce, createElement } from '../utils/helpers.js';
+import {
+  addDays, formatDate, getStartOfDay, getStartOfMonth, getStartOfWeek, getEndOfMonth, isToday,
+  parseLocalDate, toLocalDateString
+} from '../utils/dateUtils.js';
+import { getTaskManager } from '../modules/taskManager.js';
+import { getStateManager } from '../modules/stateManager.js';
+
+// === CALENDAR CONSTANTS === */
+// Tasks shown in a day before the rest are counted behind a "+N more" button
+const DAY_TASK_LIMITS = { month: 3, week: 8 };
+
+// Distance, in px, a task has to be dragged before it counts as a drag rather than a click
+const DRAG_THRESHOLD = 5;
+
+// === TASK CALENDAR COMPONENT === */
+/**
+ * Month or week calendar of the filtered tasks, each on its due day, with the tasks that have
+ * no due date in an "Unscheduled" tray. Dropping a task on another day, or on the tray,
+ * reschedules it; so do Alt + arrow keys, a day or a week at a time.
+ */
+export class TaskCalendar {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+    this.options = {
+      enableKeyboardNavigation: true,
+      ...options
+    };
+
+    this.taskManager = getTaskManager();
+    this.state = getStateManager();
+    this.elements = {};
+    this.listeners = [];
+    this.anchor = getStartOfMonth(new Date()); // any day in the month or week shown
+    this.expandedDays = new Set();             // days listing all their tasks, as date strings
+    this.tasksByDay = new Map();               // date string -> tasks due that day, in view
+    this.focusedTaskId = null;                 // the task in the tab order
+    this.drag = null;                          // { taskId, pointerId, started, target, listeners }
+    this.renderPending = false;
+
+    this.debouncedRender = debounce(this.render.bind(this), 100);
+
+    this.init();
+  }
+
+  // === INITIALIZATION === */
+  init() {
+    try {
+      if (!this.container) {
+        throw new Error('TaskCalendar container not found');
+      }
+
+      this.findElements();
+      this.attachEventListeners();
+      this.subscribeToStateChanges();
+      this.render();
+
+      emit(document, EVENTS.COMPONENT_MOUNTED, {
+        component: 'TaskCalendar',
+        container: this.container
+      });
+    } catch (error) {
+      logError(error, 'TaskCalendar.init');
+      this.handleError(error, 'Failed to initialize the calendar');
+    }
+  }
+
+  findElements() {
+    this.elements = {
+      title: this.container.querySelector('.task-calendar__title'),
+      weekdays: this.container.querySelector('.task-calendar__weekdays'),
+      grid: this.container.querySelector('.task-calendar__grid'),
+      tray: this.container.querySelector('.task-calendar__tray'),
+      trayList: this.container.querySelector('.task-calendar__tray-list'),
+      trayCount: this.container.querySelector('.task-calendar__tray-count'),
+      trayEmpty: this.container.querySelector('.task-calendar__tray-empty'),
+      previousButton: this.container.querySelector('[data-calendar="previous"]'),
+      nextButton: this.container.querySelector('[data-calendar="next"]'),
+      modeButtons: this.container.querySelectorAll('[data-calendar-mode]')
+    };
+
+    if (!this.elements.grid || !this.elements.trayList) {
+      throw new Error('Calendar grid or tray not found');
+    }
+  }
+
+  // === EVENT LISTENERS === */
+  attachEventListeners() {
+    this.addListener(this.container, 'click', this.handleClick.bind(this));
+    this.addListener(this.container, 'keydown', this.handleKeydown.bind(this));
+    this.addListener(this.container, 'focusin', this.handleFocusIn.bind(this));
+    this.addListener(this.container, 'pointerdown', this.handlePointerDown.bind(this));
+  }
+
+  addListener(element, event, handler) {
+    element.addEventListener(event, handler);
+    this.listeners.push({ element, event, handler });
+  }
+
+  subscribeToStateChanges() {
+    this.unsubscribeFromState = this.state.subscribe((newState, prevState) => {
+      // Tasks, filters and the calendar mode all show here; hidden, only leaving matters
+      if (newState.ui.layout === 'calendar' || prevState.ui.layout === 'calendar') {
+        this.debouncedRender();
+      }
+    });
+  }
+
+  // === DATA === */
+  isShown() {
+    return this.state.getLayout() === 'calendar';
+  }
+
+  getMode() {
+    return this.state.getSetting('calendarMode');
+  }
+
+  // The days shown: whole weeks, from the week the month starts in to the one it ends in
+  getDays() {
+    if (this.getMode() === 'week') {
+      const start = getStartOfWeek(this.anchor);
+      return Array.from({ length: 7 }, (_, index) => addDays(start, index));
+    }
+
+    const start = getStartOfWeek(getStartOfMonth(this.anchor));
+    const end = getEndOfMonth(this.anchor);
+    const days = [];
+    for (let day = start; day <= end || days.length % 7 !== 0; day = addDays(day, 1)) {
+      days.push(day);
+    }
+    return days;
+  }
+
+  // The list's filters and sort order, so switching layouts shows the same tasks
+  getTasks() {
+    const tasks = this.state.getFilteredTasks();
+    return this.state.getSearchMatcher().isRanked
+      ? tasks
+      : this.taskManager.sortTasks(tasks, this.state.getSortKeys());
+  }
+
+  // === RENDERING === */
+  render() {
+    try {
+      // Rebuilding the grid mid-drag would take the dragged task away; catch up once it's dropped
+      if (this.drag?.started) {
+        this.renderPending = true;
+        return;
+      }
+
+      if (!this.isShown()) {
+        this.clear();
+        return;
+      }
+
+      const mode = this.getMode();
+      const days = this.getDays();
+      const tasks = this.getTasks();
+      const inView = new Set(days.map(day => toLocalDateString(day)));
+
+      this.tasksByDay = new Map([...inView].map(date => [date, []]));
+      const unscheduled = [];
+      tasks.forEach(task => {
+        const dueDate = parseLocalDate(task.dueDate);
+        if (!dueDate) {
+          unscheduled.push(task);
+        } else if (inView.has(task.dueDate)) {
+          this.tasksByDay.get(task.dueDate).push(task);
+        }
+      });
+
+      // Rows are rebuilt, so focus goes back to the task that had it
+      const hadFocus = this.container.contains(document.activeElement);
+      const focusedTaskId = document.activeElement?.closest?.('.task-calendar__task')?.getAttribute('data-task-id');
+
+      this.renderToolbar(mode, days);
+      this.renderWeekdays(days);
+      this.elements.grid.className = `task-calendar__grid task-calendar__grid--${mode}`;
+      this.elements.grid.replaceChildren(...days.map(day => this.createDayElement(day, mode)));
+      this.renderTray(unscheduled);
+      this.updateTabStops();
+
+      if (hadFocus && focusedTaskId) {
+        this.focusTask(focusedTaskId);
+      }
+
+      emit(this.container, EVENTS.COMPONENT_UPDATED, {
+        component: 'TaskCalendar',
+        mode,
+        scheduledTasks: [...this.tasksByDay.values()].reduce((count, dayTasks) => count + dayTasks.length, 0),
+        unscheduledTasks: unscheduled.length
+      });
+    } catch (error) {
+      logError(error, 'TaskCalendar.render');
+      this.handleError(error, 'Failed to render the calendar');
+    }
+  }
+
+  renderToolbar(mode, days) {
+    const unit = mode === 'week' ? 'week' : 'month';
+    this.elements.previousButton?.setAttribute('aria-label', `Previous ${unit}`);
+    this.elements.nextButton?.setAttribute('aria-label', `Next ${unit}`);
+    this.elements.modeButtons.forEach(button => {
+      button.setAttribute('aria-pressed', String(button.getAttribute('data-calendar-mode') === mode));
+    });
+
+    if (this.elements.title) {
+      this.elements.title.textContent = this.getRangeLabel(mode, days);
+    }
+  }
+
+  getRangeLabel(mode, days) {
+    if (mode !== 'week') {
+      return formatDay(this.anchor, { month: 'long', year: 'numeric' });
+    }
+
+    const first = days[0];
+    const last = days[days.length - 1];
+    const end = formatDay(last, first.getMonth() === last.getMonth() ? { day: 'numeric' } : { month: 'short', day: 'numeric' });
+    return `${formatDay(first, { month: 'short', day: 'numeric' })} – ${end}, ${last.getFullYear()}`;
+  }
+
+  renderWeekdays(days) {
+    if (!this.elements.weekdays) return;
+
+    this.elements.weekdays.replaceChildren(...days.slice(0, 7).map(day =>
+      createElement('span', { className: 'task-calendar__weekday', textContent: formatDay(day, { weekday: 'short' }) })
+    ));
+  }
+
+  createDayElement(day, mode) {
+    const date = toLocalDateString(day);
+    const tasks = this.tasksByDay.get(date);
+    const limit = this.expandedDays.has(date) ? Infinity : DAY_TASK_LIMITS[mode];
+    const label = formatDay(day, { weekday: 'long', month: 'long', day: 'numeric' });
+
+    const classes = ['task-calendar__day'];
+    if (isToday(day)) classes.push('task-calendar__day--today');
+    if (mode === 'month' && day.getMonth() !== this.anchor.getMonth()) classes.push('task-calendar__day--outside');
+
+    const element = createElement('div', {
+      className: classes.join(' '),
+      'data-date': date,
+      role: 'group',
+      'aria-label': `${label}${isToday(day) ? ', today' : ''}, ${pluralize(tasks.length)}`
+    });
+
+    const number = createElement('span', {
+      className: 'task-calendar__day-number',
+      'aria-hidden': 'true',
+      textContent: String(day.getDate())
+    });
+
+    const list = createElement('ul', { className: 'task-calendar__tasks', role: 'list' });
+    list.append(...tasks.slice(0, limit).map(task => this.createTaskElement(task)));
+    element.append(number, list);
+
+    // Overflow count, or a way back once all of them show
+    if (tasks.length > DAY_TASK_LIMITS[mode]) {
+      const hidden = tasks.length - Math.min(limit, tasks.length);
+      element.appendChild(createElement('button', {
+        type: 'button',
+        className: 'task-calendar__more',
+        'data-action': 'toggle-day',
+        'data-date': date,
+        'aria-expanded': String(hidden === 0),
+        'aria-label': hidden > 0 ? `Show ${hidden} more on ${label}` : `Show fewer on ${label}`,
+        textContent: hidden > 0 ? `+${hidden} more` : 'Show fewer'
+      }));
+    }
+
+    return element;
+  }
+
+  createTaskElement(task) {
+    const classes = ['task-calendar__task', `task-calendar__task--${task.priority || 'medium'}`];
+    if (task.completed) classes.push('task-calendar__task--completed');
+    if (!task.completed && parseLocalDate(task.dueDate) < getStartOfDay()) classes.push('task-calendar__task--overdue');
+
+    const element = createElement('li', {
+      className: classes.join(' '),
+      'data-task-id': task.id,
+      'aria-label': `${task.title}, ${task.priority || 'medium'} priority${task.completed ? ', completed' : ''}`
+    });
+    element.setAttribute('tabindex', '-1');
+    element.appendChild(createElement('span', { className: 'task-calendar__task-title', textContent: task.title }));
+    return element;
+  }
+
+  renderTray(tasks) {
+    this.elements.trayList.replaceChildren(...tasks.map(task => this.createTaskElement(task)));
+    if (this.elements.trayCount) {
+      this.elements.trayCount.textContent = `(${tasks.length})`;
+    }
+    if (this.elements.trayEmpty) {
+      this.elements.trayEmpty.hidden = tasks.length > 0;
+    }
+  }
+
+  // Roving tabindex: only the focused task, or the first, is in the tab order
+  updateTabStops() {
+    const taskElements = this.getTaskElements();
+    if (!taskElements.some(element => element.getAttribute('data-task-id') === this.focusedTaskId)) {
+      this.focusedTaskId = taskElements[0]?.getAttribute('data-task-id') ?? null;
+    }
+    taskElements.forEach(element => {
+      element.setAttribute('tabindex', element.getAttribute('data-task-id') === this.focusedTaskId ? '0' : '-1');
+    });
+  }
+
+  getTaskElements() {
+    return Array.from(this.container.querySelectorAll('.task-calendar__task'));
+  }
+
+  clear() {
+    if (this.drag) {
+      this.endDrag(false);
+    }
+
+    this.elements.grid.replaceChildren();
+    this.elements.trayList.replaceChildren();
+    this.tasksByDay.clear();
+  }
+
+  // === NAVIGATION === */
+  showPeriod(direction) {
+    this.anchor = this.getMode() === 'week'
+      ? addDays(this.anchor, direction * 7)
+      : new Date(this.anchor.getFullYear(), this.anchor.getMonth() + direction, 1);
+    this.render();
+    announceToScreenReader(`Showing ${this.elements.title?.textContent || 'the calendar'}`);
+  }
+
+  showDate(date) {
+    this.anchor = this.getMode() === 'week' ? getStartOfDay(date) : getStartOfMonth(date);
+    this.render();
+  }
+
+  setMode(mode) {
+    if (mode === this.getMode()) return;
+
+    // The week shown is the first of the month, or the current one if it's this month
+    const today = new Date();
+    const inMonth = today.getFullYear() === this.anchor.getFullYear() && today.getMonth() === this.anchor.getMonth();
+    this.anchor = mode === 'week' && inMonth ? getStartOfDay(today) : this.anchor;
+
+    this.state.setCalendarMode(mode);
+    this.render();
+    announceToScreenReader(`Showing ${this.elements.title?.textContent || mode}`);
+  }
+
+  // === EVENT HANDLERS === */
+  handleClick(event) {
+    const modeButton = event.target.closest('[data-calendar-mode]');
+    if (modeButton) {
+      this.setMode(modeButton.getAttribute('data-calendar-mode'));
+      return;
+    }
+
+    const button = event.target.closest('[data-calendar], [data-action="toggle-day"]');
+    if (!button) return;
+
+    switch (button.getAttribute('data-calendar') || button.getAttribute('data-action')) {
+      case 'previous':
+        this.showPeriod(-1);
+        break;
+      case 'next':
+        this.showPeriod(1);
+        break;
+      case 'today':
+        this.showDate(new Date());
+        announceToScreenReader(`Showing ${this.elements.title?.textContent || 'today'}`);
+        break;
+      case 'toggle-day': {
+        const date = button.getAttribute('data-date');
+        if (!this.expandedDays.delete(date)) {
+          this.expandedDays.add(date);
+        }
+        this.render();
+        this.container.querySelector(`[data-action="toggle-day"][data-date="${date}"]`)?.focus();
+        break;
+      }
+    }
+  }
+
+  handleFocusIn(event) {
+    const taskId = event.target.closest('.task-calendar__task')?.getAttribute('data-task-id');
+    if (taskId && taskId !== this.focusedTaskId) {
+      this.focusedTaskId = taskId;
+      this.updateTabStops();
+    }
+  }
+
+  // Up and down go from task to task; with Alt, the arrows move the task a day, or a week, along
+  handleKeydown(event) {
+    if (!this.options.enableKeyboardNavigation) return;
+
+    const taskElement = event.target.classList.contains('task-calendar__task') ? event.target : null;
+    if (!taskElement) return;
+
+    const taskId = taskElement.getAttribute('data-task-id');
+    const shifts = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+
+    if (event.altKey && shifts[event.key]) {
+      event.preventDefault();
+      this.shiftTask(taskId, shifts[event.key]);
+      return;
+    }
+
+    const taskElements = this.getTaskElements();
+    const index = taskElements.indexOf(taskElement);
+    let target = null;
+
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowRight':
+        target = taskElements[index + 1];
+        break;
+      case 'ArrowUp':
+      case 'ArrowLeft':
+        target = taskElements[index - 1];
+        break;
+      case 'Home':
+        target = taskElements[0];
+        break;
+      case 'End':
+        target = taskElements[taskElements.length - 1];
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    if (target) {
+      this.focusTask(target.getAttribute('data-task-id'));
+    }
+  }
+
+  focusTask(taskId) {
+    const element = this.getTaskElements().find(item => item.getAttribute('data-task-id') === taskId);
+    if (!element) return;
+
+    this.focusedTaskId = taskId;
+    this.updateTabStops();
+    element.focus();
+  }
+
+  // === RESCHEDULING === */
+  // Unscheduled tasks start from today
+  shiftTask(taskId, days) {
+    const task = this.taskManager.getTask(taskId);
+    if (!task) return;
+
+    const from = parseLocalDate(task.dueDate);
+    this.rescheduleTask(taskId, toLocalDateString(from ? addDays(from, days) : new Date()));
+  }
+
+  /**
+   * Gives a task a new due date, or none for an empty `dueDate`, as one undo step. The calendar
+   * follows the task if it leaves the days shown, and focus stays on it.
+   */
+  async rescheduleTask(taskId, dueDate) {
+    const task = this.taskManager.getTask(taskId);
+    if (!task || (task.dueDate || '') === dueDate) return false;
+
+    try {
+      await this.taskManager.moveTask(taskId, null, { dueDate: dueDate || undefined });
+    } catch (error) {
+      // TaskManager has already reported the failure
+      return false;
+    }
+
+    const day = parseLocalDate(dueDate);
+    if (day && !this.tasksByDay.has(dueDate)) {
+      this.anchor = this.getMode() === 'week' ? day : getStartOfMonth(day);
+    }
+
+    // Show the result straight away rather than after the debounced render
+    this.render();
+    this.focusTask(taskId);
+    announceToScreenReader(day
+      ? `"${task.title}" rescheduled to ${formatDay(day, { weekday: 'long', month: 'long', day: 'numeric' })}.`
+      : `"${task.title}" is now unscheduled.`);
+    return true;
+  }
+
+  // === DRAG AND DROP === */
+  // A press on a task may become a drag once the pointer has moved far enough
+  handlePointerDown(event) {
+    const taskElement = event.target.closest('.task-calendar__task');
+    if (!taskElement || this.drag || (event.pointerType === 'mouse' && event.button !== 0)) return;
+
+    const listeners = [
+      { event: 'pointermove', handler: this.handleDragMove.bind(this) },
+      { event: 'pointerup', handler: event => this.handleDragEnd(event, true) },
+      { event: 'pointercancel', handler: event => this.handleDragEnd(event, false) },
+      { event: 'keydown', handler: event => event.key === 'Escape' && this.endDrag(false) }
+    ];
+    listeners.forEach(({ event, handler }) => document.addEventListener(event, handler));
+
+    this.drag = {
+      taskId: taskElement.getAttribute('data-task-id'),
+      element: taskElement,
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      started: false,
+      target: null,
+      listeners
+    };
+  }
+
+  handleDragMove(event) {
+    const { drag } = this;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+
+    if (!drag.started) {
+      if (Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) < DRAG_THRESHOLD) return;
+
+      drag.started = true;
+      drag.element.classList.add('task-calendar__task--dragging');
+      this.container.classList.add('task-calendar--dragging');
+      const task = this.taskManager.getTask(drag.taskId);
+      announceToScreenReader(`Moving "${task?.title}". Release on a day to reschedule, press Escape to cancel.`);
+    }
+
+    event.preventDefault();
+    this.setDropTarget(this.findDropTarget(event.clientX, event.clientY));
+  }
+
+  handleDragEnd(event, drop) {
+    if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+    this.endDrag(drop);
+  }
+
+  // A day other than the task's own, or the tray if it has a due date; null elsewhere
+  findDropTarget(x, y) {
+    const hit = document.elementFromPoint(x, y);
+    if (!hit || !this.container.contains(hit)) return null;
+
+    const task = this.taskManager.getTask(this.drag.taskId);
+    const day = hit.closest('.task-calendar__day');
+    if (day) {
+      const date = day.getAttribute('data-date');
+      return date !== task?.dueDate ? { element: day, dueDate: date, className: 'task-calendar__day--drop-target' } : null;
+    }
+
+    const tray = hit.closest('.task-calendar__tray');
+    return tray && task?.dueDate ? { element: tray, dueDate: '', className: 'task-calendar__tray--drop-target' } : null;
+  }
+
+  setDropTarget(target) {
+    const current = this.drag.target;
+    if (current?.element === target?.element) return;
+
+    current?.element.classList.remove(current.className);
+    target?.element.classList.add(target.className);
+    this.drag.target = target;
+  }
+
+  endDrag(drop) {
+    if (!this.drag) return;
+
+    const { taskId, element, started, target, listeners } = this.drag;
+    this.drag = null;
+
+    listeners.forEach(({ event, handler }) => document.removeEventListener(event, handler));
+    if (!started) return;
+
+    element.classList.remove('task-calendar__task--dragging');
+    this.container.classList.remove('task-calendar--dragging');
+    target?.element.classList.remove(target.className);
+
+    const task = this.taskManager.getTask(taskId);
+    if (drop && target && task) {
+      emit(this.container, EVENTS.DROP, { task, dueDate: target.dueDate || null });
+      this.rescheduleTask(taskId, target.dueDate);
+    } else {
+      if (task) announceToScreenReader(`Move of "${task.title}" cancelled.`);
+      if (this.renderPending) this.render();
+    }
+    this.renderPending = false;
+
+    emit(this.container, EVENTS.DRAG_END, { task, dropped: Boolean(drop && target) });
+  }
+
+  // === ERROR HANDLING === */
+  handleError(error, userMessage) {
+    emit(document, EVENTS.APP_ERROR, {
+      error,
+      context: 'TaskCalendar',
+      userMessage,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // === CLEANUP === */
+  destroy() {
+    if (this.unsubscribeFromState) {
+      this.unsubscribeFromState();
+    }
+
+    this.clear();
+
+    this.listeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.listeners = [];
+
+    emit(document, EVENTS.COMPONENT_UNMOUNTED, {
+      component: 'TaskCalendar',
+      container: this.container
+    });
+  }
+}
+
+// === CALENDAR HELPERS === */
+// formatDate() fills in the year, month and day unless they are asked to be left out
+function formatDay(date, options) {
+  return formatDate(date, { year: undefined, month: undefined, day: undefined, ...options });
+}
+
+function pluralize(count) {
+  return `${count} ${count === 1 ? 'task' : 'tasks'}`;
+}
+
+// === FACTORY FUNCTION === */
+export function createTaskCalendar(container, options) {
+  return new TaskCalendar(container, options);
+}
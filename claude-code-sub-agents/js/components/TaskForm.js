@@ -2,8 +2,11 @@
 
 import { EVENTS } from '../constants/events.js';
 import { SELECTORS } from '../constants/selectors.js';
-import { on, off, emit, logError, announceToScreenReader } from '../utils/helpers.js';
+import { on, off, emit, logError, announceToScreenReader, createElement } from '../utils/helpers.js';
 import { validateTaskTitle, validateTaskPriority } from '../utils/validation.js';
+import { parseLocalDate, toLocalDateString } from '../utils/dateUtils.js';
+import { createRecurrenceFromPreset } from '../utils/recurrence.js';
+import { parseQuickAdd, escapeQuickAddToken, describeQuickAddToken } from '../utils/quickAdd.js';
 import { getTaskManager } from '../modules/taskManager.js';
 
 // === TASK FORM COMPONENT === */
@@ -16,6 +19,7 @@ export class TaskForm {
       showSuccessMessage: true,
       clearOnSubmit: true,
       submitOnEnter: true,
+      enableQuickAdd: true,
       ...options
     };
 
@@ -23,6 +27,7 @@ export class TaskForm {
     this.elements = {};
     this.listeners = [];
     this.isSubmitting = false;
+    this.previewTokens = [];
     
     this.init();
   }
@@ -61,11 +66,13 @@ export class TaskForm {
       prioritySelect: this.container.querySelector('#priority-select') || this.container.querySelector('#task-priority'),
       categoryInput: this.container.querySelector('#task-category'),
       dueDateInput: this.container.querySelector('#task-due-date'),
+      recurrenceSelect: this.container.querySelector('#task-recurrence'),
       advancedToggle: this.container.querySelector('#toggle-advanced'),
       advancedSection: this.container.querySelector('#advanced-options') || this.container.querySelector('.task-form__advanced'),
       submitButton: this.container.querySelector('.task-form__submit'),
       errorContainer: this.container.querySelector('#task-input-error'),
-      helpText: this.container.querySelector('#task-input-help')
+      helpText: this.container.querySelector('#task-input-help'),
+      preview: this.container.querySelector('#task-input-preview')
     };
 
     // Validate required elements
@@ -108,6 +115,11 @@ export class TaskForm {
       this.addListener(this.elements.advancedToggle, 'click', this.handleAdvancedToggle.bind(this));
     }
 
+    // Quick add preview, each token can be turned back into plain text
+    if (this.elements.preview) {
+      this.addListener(this.elements.preview, 'click', this.handlePreviewClick.bind(this));
+    }
+
     // Submit button
     if (this.elements.submitButton) {
       this.addListener(this.elements.submitButton, 'click', this.handleSubmitClick.bind(this));
@@ -189,6 +201,21 @@ export class TaskForm {
 
     // Update submit button state
     this.updateSubmitButton();
+    this.updatePreview();
+  }
+
+  handlePreviewClick(event) {
+    const button = event.target.closest('[data-action="escape-token"]');
+    if (!button) return;
+
+    const token = this.previewTokens[Number(button.getAttribute('data-token-index'))];
+    if (!token) return;
+
+    this.elements.input.value = escapeQuickAddToken(this.elements.input.value, token);
+    this.updatePreview();
+    this.elements.input.focus();
+
+    announceToScreenReader(`"${token.text}" will be kept as text`);
   }
 
   handleKeydown(event) {
@@ -255,7 +282,7 @@ export class TaskForm {
 
   handleDueDateChange(event) {
     const dueDate = event.target.value;
-    const isValid = !dueDate || new Date(dueDate) >= new Date().setHours(0, 0, 0, 0);
+    const isValid = !dueDate || parseLocalDate(dueDate) >= new Date().setHours(0, 0, 0, 0);
     
     if (!isValid) {
       this.setFieldError('dueDate', 'Due date cannot be in the past');
@@ -290,20 +317,41 @@ export class TaskForm {
 
   // === FORM DATA MANAGEMENT === */
   getFormData() {
+    const input = this.elements.input.value.trim();
+    // Fields typed into the title line take precedence over the form controls
+    const parsed = this.options.enableQuickAdd ? parseQuickAdd(input) : null;
+
     const formData = {
-      title: this.elements.input.value.trim(),
-      priority: this.elements.prioritySelect?.value || 'medium'
+      title: parsed ? parsed.title : input,
+      priority: parsed?.priority || this.elements.prioritySelect?.value || 'medium'
     };
 
     // Add advanced fields if present
-    if (this.elements.categoryInput?.value.trim()) {
+    if (parsed?.category) {
+      formData.category = parsed.category;
+    } else if (this.elements.categoryInput?.value.trim()) {
       formData.category = this.elements.categoryInput.value.trim();
     }
 
-    if (this.elements.dueDateInput?.value) {
+    if (parsed?.dueDate) {
+      formData.dueDate = parsed.dueDate;
+    } else if (this.elements.dueDateInput?.value) {
       formData.dueDate = this.elements.dueDateInput.value;
     }
 
+    if (parsed?.tags.length) {
+      formData.tags = parsed.tags;
+    }
+
+    const preset = this.elements.recurrenceSelect?.value;
+    if (parsed?.recurrence) {
+      formData.recurrence = parsed.recurrence;
+    } else if (preset) {
+      // A repeating task needs a first due date to count occurrences from
+      formData.dueDate = formData.dueDate || toLocalDateString(new Date());
+      formData.recurrence = createRecurrenceFromPreset(preset, formData.dueDate);
+    }
+
     return formData;
   }
 
@@ -318,6 +366,7 @@ export class TaskForm {
     }
     
     this.updateSubmitButton();
+    this.updatePreview();
   }
 
   reset() {
@@ -326,6 +375,7 @@ export class TaskForm {
     this.container.removeAttribute('data-priority');
     this.container.classList.remove('task-form--focused');
     this.updateSubmitButton();
+    this.updatePreview();
     
     emit(this.container, EVENTS.FORM_RESET, { form: this });
   }
@@ -424,6 +474,36 @@ export class TaskForm {
     this.elements.submitButton.classList.toggle('btn--disabled', !isValid);
   }
 
+  updatePreview() {
+    if (!this.elements.preview) return;
+
+    this.previewTokens = this.options.enableQuickAdd
+      ? parseQuickAdd(this.elements.input.value).tokens
+      : [];
+
+    this.elements.preview.replaceChildren(...this.previewTokens.map((token, index) => {
+      const { label, value } = describeQuickAddToken(token);
+
+      return createElement('li', {
+        className: `task-form__token task-form__token--${token.type}`
+      }, [
+        createElement('span', { className: 'task-form__token-label', textContent: `${label}:` }),
+        ` ${value}`,
+        createElement('button', {
+          type: 'button',
+          className: 'task-form__token-escape',
+          textContent: '×',
+          title: 'Keep as text',
+          'aria-label': `Keep "${token.text}" as text`,
+          'data-action': 'escape-token',
+          'data-token-index': String(index)
+        })
+      ]);
+    }));
+
+    this.elements.preview.hidden = this.previewTokens.length === 0;
+  }
+
   // === ERROR HANDLING === */
   showValidationErrors(errors) {
     if (!this.elements.errorContainer || !Array.isArray(errors)) return;
@@ -7,9 +7,17 @@ import {
   createElement, sanitizeHtml, hasClass, toggleClass
 } from '../utils/helpers.js';
 import { validateTaskTitle } from '../utils/validation.js';
-import { smartFormatDateShort, formatRelativeTime } from '../utils/dateUtils.js';
+import { smartFormatDateShort, formatRelativeTime, formatDueDate, isPastDue, toLocalDateString } from '../utils/dateUtils.js';
+import { isPlannedForToday } from '../utils/agenda.js';
+import { describeRecurrence } from '../utils/recurrence.js';
+import { getHighlightTerms, splitHighlights } from '../utils/searchQuery.js';
 import { getTaskManager } from '../modules/taskManager.js';
 import { getStateManager } from '../modules/stateManager.js';
+import { getSearchIndex } from '../modules/searchIndex.js';
+import { getSubtaskProgress } from '../data/schema.js';
+
+// Expanded checklists survive list re-renders, which recreate or recycle every TaskItem
+const expandedTaskIds = new Set();
 
 // === TASK ITEM COMPONENT === */
 export class TaskItem {
@@ -21,6 +29,11 @@ export class TaskItem {
       enablePriorityDisplay: true,
       enableTimestamps: true,
       confirmDelete: true,
+      enableSubtasks: true,
+      enableDrag: true,
+      enableSelection: true,
+      enablePlanning: true,
+      compact: false,
       showCompletionAnimation: true,
       allowKeyboardInteraction: true,
       ...options
@@ -67,6 +80,28 @@ export class TaskItem {
       'aria-describedby': `task-meta-${this.task.id}`
     });
 
+    // Selection for bulk actions; the list handles clicks on it, as shift-click selects a range
+    const selectCheckbox = this.options.enableSelection ? createElement('input', {
+      type: 'checkbox',
+      className: 'task-item__select',
+      'aria-label': `Select "${this.task.title}"`
+    }) : null;
+
+    // Drag handle; the list shows it only while tasks can be moved, and starts the drag
+    const dragHandle = this.options.enableDrag ? createElement('button', {
+      type: 'button',
+      className: 'btn btn--icon task-item__drag-handle',
+      'aria-label': `Move "${this.task.title}"`,
+      title: 'Drag to move, or press Alt+Up or Alt+Down'
+    }) : null;
+    if (dragHandle) {
+      dragHandle.innerHTML = `
+        <svg class="icon" aria-hidden="true" width="16" height="16" viewBox="0 0 24 24">
+          <path d="M9 4h2v2H9V4zm4 0h2v2h-2V4zM9 9h2v2H9V9zm4 0h2v2h-2V9zm-4 5h2v2H9v-2zm4 0h2v2h-2v-2zm-4 5h2v2H9v-2zm4 0h2v2h-2v-2z"/>
+        </svg>
+      `;
+    }
+
     // Create checkbox
     const checkbox = createElement('input', {
       type: 'checkbox',
@@ -107,6 +142,11 @@ export class TaskItem {
     content.appendChild(editInput);
     content.appendChild(meta);
 
+    const subtasks = this.options.enableSubtasks ? this.createSubtasksElement() : null;
+    if (subtasks) {
+      content.appendChild(subtasks.container);
+    }
+
     // Create actions container
     const actions = createElement('div', {
       className: 'task-item__actions',
@@ -131,6 +171,39 @@ export class TaskItem {
       actions.appendChild(editButton);
     }
 
+    // Create add-subtask button
+    if (this.options.enableSubtasks) {
+      const addSubtaskButton = createElement('button', {
+        type: 'button',
+        className: 'btn btn--icon task-item__action task-item__action--add-subtask',
+        'aria-label': `Add subtask to "${this.task.title}"`,
+        'data-action': 'add-subtask',
+        'data-task-id': this.task.id
+      });
+      addSubtaskButton.innerHTML = `
+        <svg class="icon" aria-hidden="true" width="16" height="16" viewBox="0 0 24 24">
+          <path d="M3 5h12v2H3V5zm0 6h8v2H3v-2zm0 6h8v2H3v-2zm14-2v-3h2v3h3v2h-3v3h-2v-3h-3v-2h3z"/>
+        </svg>
+      `;
+      actions.appendChild(addSubtaskButton);
+    }
+
+    // Create plan-for-today button, shown on undated tasks; dated ones are on the agenda when due
+    if (this.options.enablePlanning) {
+      const planButton = createElement('button', {
+        type: 'button',
+        className: 'btn btn--icon task-item__action task-item__action--plan',
+        'data-action': 'toggle-planned',
+        'data-task-id': this.task.id
+      });
+      planButton.innerHTML = `
+        <svg class="icon" aria-hidden="true" width="16" height="16" viewBox="0 0 24 24">
+          <path d="M6.76 4.84l-1.8-1.79-1.41 1.41 1.79 1.79 1.42-1.41zM4 10.5H1v2h3v-2zm9-9.95h-2V3.5h2V.55zm7.45 3.91l-1.41-1.41-1.79 1.79 1.41 1.41 1.79-1.79zm-3.21 13.7l1.79 1.8 1.41-1.41-1.8-1.79-1.4 1.4zM20 10.5v2h3v-2h-3zm-8-5c-3.31 0-6 2.69-6 6s2.69 6 6 6 6-2.69 6-6-2.69-6-6-6zm-1 16.95h2V19.5h-2v2.95zm-7.45-3.91l1.41 1.41 1.79-1.8-1.41-1.41-1.79 1.8z"/>
+        </svg>
+      `;
+      actions.appendChild(planButton);
+    }
+
     // Create delete button
     if (this.options.enableDelete) {
       const deleteButton = createElement('button', {
@@ -149,23 +222,70 @@ export class TaskItem {
     }
 
     // Assemble the task item
+    if (selectCheckbox) {
+      this.element.appendChild(selectCheckbox);
+    }
+    if (dragHandle) {
+      this.element.appendChild(dragHandle);
+    }
     this.element.appendChild(checkbox);
     this.element.appendChild(content);
     this.element.appendChild(actions);
 
     // Store element references
     this.elements = {
+      selectCheckbox,
+      dragHandle,
       checkbox,
       content,
       title,
       editInput,
       meta,
       actions,
+      subtasks: subtasks ? subtasks.container : null,
+      subtaskToggle: subtasks ? subtasks.toggle : null,
+      subtaskList: subtasks ? subtasks.list : null,
+      subtaskInput: subtasks ? subtasks.input : null,
       editButton: actions.querySelector('.task-item__action--edit'),
+      planButton: actions.querySelector('.task-item__action--plan'),
       deleteButton: actions.querySelector('.task-item__action--delete')
     };
   }
 
+  createSubtasksElement() {
+    const container = createElement('div', { className: 'task-item__subtasks' });
+
+    const toggle = createElement('button', {
+      type: 'button',
+      className: 'task-item__subtasks-toggle',
+      'data-action': 'toggle-subtasks',
+      'aria-controls': `task-subtasks-${this.task.id}`,
+      'aria-expanded': 'false'
+    });
+
+    const list = createElement('ul', {
+      id: `task-subtasks-${this.task.id}`,
+      className: 'task-item__subtask-list',
+      role: 'list',
+      'aria-label': `Subtasks of "${this.task.title}"`
+    });
+
+    const input = createElement('input', {
+      type: 'text',
+      id: `task-subtask-input-${this.task.id}`,
+      className: 'task-item__subtask-input',
+      placeholder: 'Add a subtask and press Enter',
+      maxlength: '500',
+      'aria-label': `Add subtask to "${this.task.title}"`
+    });
+
+    container.appendChild(toggle);
+    container.appendChild(list);
+    container.appendChild(input);
+
+    return { container, toggle, list, input };
+  }
+
   // === EVENT LISTENERS === */
   attachEventListeners() {
     // Checkbox toggle
@@ -184,6 +304,17 @@ export class TaskItem {
       this.addListener(this.element, 'keydown', this.handleKeydown.bind(this));
     }
     
+    // Subtask checklist
+    if (this.elements.subtasks) {
+      this.addListener(this.elements.subtasks, 'change', this.handleSubtaskChange.bind(this));
+      this.addListener(this.elements.subtasks, 'keydown', this.handleSubtaskKeydown.bind(this));
+    }
+    
+    // Dragging, with mouse, pen or touch alike
+    if (this.elements.dragHandle) {
+      this.addListener(this.elements.dragHandle, 'pointerdown', this.handleDragHandlePointerDown.bind(this));
+    }
+    
     // Edit input handling
     this.addListener(this.elements.editInput, 'keydown', this.handleEditKeydown.bind(this));
     this.addListener(this.elements.editInput, 'blur', this.handleEditBlur.bind(this));
@@ -222,9 +353,15 @@ export class TaskItem {
       }
       
       // Announce to screen reader
-      const message = newCompleted 
+      let message = newCompleted 
         ? `Task "${this.task.title}" marked as complete`
         : `Task "${this.task.title}" marked as incomplete`;
+      const nextOccurrence = newCompleted && this.task.nextOccurrenceId
+        ? this.taskManager.getTask(this.task.nextOccurrenceId)
+        : null;
+      if (nextOccurrence) {
+        message += `, next one due ${formatDueDate(nextOccurrence.dueDate)}`;
+      }
       announceToScreenReader(message);
       
       // Emit event
@@ -259,6 +396,22 @@ export class TaskItem {
       case 'delete-task':
         this.handleDelete();
         break;
+      case 'toggle-subtasks':
+        this.setSubtasksExpanded(!expandedTaskIds.has(this.task.id));
+        break;
+      case 'add-subtask':
+        this.setSubtasksExpanded(true);
+        this.elements.subtaskInput.focus();
+        break;
+      case 'toggle-planned':
+        this.togglePlanned();
+        break;
+      case 'delete-subtask':
+        this.runSubtaskAction(event.target, subtaskId => this.taskManager.deleteSubtask(this.task.id, subtaskId));
+        break;
+      case 'promote-subtask':
+        this.runSubtaskAction(event.target, subtaskId => this.taskManager.promoteSubtask(this.task.id, subtaskId));
+        break;
     }
   }
 
@@ -268,6 +421,8 @@ export class TaskItem {
     switch (event.key) {
       case 'Enter':
       case ' ':
+        // Space on the selection checkbox selects, it doesn't complete
+        if (event.target === this.elements.selectCheckbox) return;
         event.preventDefault();
         this.elements.checkbox.click();
         break;
@@ -288,6 +443,115 @@ export class TaskItem {
     }
   }
 
+  // The list decides where the task may go, so it runs the drag from here on
+  handleDragHandlePointerDown(event) {
+    if (this.isEditing || (event.pointerType === 'mouse' && event.button !== 0)) return;
+    
+    // Keeps touch from scrolling the page and mouse from selecting text
+    event.preventDefault();
+    
+    emit(this.element, EVENTS.DRAG_START, {
+      task: this.task,
+      element: this.element,
+      pointerId: event.pointerId,
+      clientX: event.clientX,
+      clientY: event.clientY
+    });
+  }
+
+  // === SUBTASK HANDLERS === */
+  async handleSubtaskChange(event) {
+    const checkbox = event.target;
+    if (!checkbox.classList.contains('task-item__subtask-checkbox')) return;
+
+    event.stopPropagation();
+    const subtaskId = checkbox.closest('.task-item__subtask').getAttribute('data-subtask-id');
+
+    try {
+      const subtask = await this.taskManager.toggleSubtaskComplete(this.task.id, subtaskId);
+      announceToScreenReader(
+        `Subtask "${subtask.title}" marked as ${subtask.completed ? 'complete' : 'incomplete'}`
+      );
+    } catch (error) {
+      checkbox.checked = !checkbox.checked;
+    }
+  }
+
+  handleSubtaskKeydown(event) {
+    // Keys typed here belong to the checklist, not to the task row or the list navigation
+    event.stopPropagation();
+
+    if (event.target === this.elements.subtaskInput) {
+      this.handleSubtaskInputKeydown(event);
+      return;
+    }
+
+    const row = event.target.closest('.task-item__subtask');
+    if (!row || !event.altKey) return;
+
+    const subtaskId = row.getAttribute('data-subtask-id');
+    const index = (this.task.subtasks || []).findIndex(subtask => subtask.id === subtaskId);
+
+    switch (event.key) {
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        event.preventDefault();
+        const toIndex = index + (event.key === 'ArrowUp' ? -1 : 1);
+        if (toIndex < 0 || toIndex >= this.task.subtasks.length) return;
+
+        this.taskManager.reorderSubtask(this.task.id, subtaskId, toIndex).then(() => {
+          this.focusSubtask(subtaskId);
+          announceToScreenReader(`Subtask moved to position ${toIndex + 1} of ${this.task.subtasks.length}`);
+        }).catch(() => {});
+        break;
+      }
+      case 'ArrowLeft':
+        event.preventDefault();
+        this.runSubtaskAction(row, id => this.taskManager.promoteSubtask(this.task.id, id));
+        break;
+    }
+  }
+
+  async handleSubtaskInputKeydown(event) {
+    const input = this.elements.subtaskInput;
+
+    switch (event.key) {
+      case 'Enter': {
+        event.preventDefault();
+        const validation = validateTaskTitle(input.value);
+        if (!validation.isValid) {
+          announceToScreenReader(`Error: ${validation.errors[0]}`, 'assertive');
+          return;
+        }
+
+        try {
+          const subtask = await this.taskManager.addSubtask(this.task.id, input.value);
+          input.value = '';
+          announceToScreenReader(`Subtask "${subtask.title}" added`);
+        } catch (error) {
+          // TaskManager has already reported the failure
+        }
+        break;
+      }
+      case 'Escape':
+        event.preventDefault();
+        input.value = '';
+        this.element.focus();
+        break;
+    }
+  }
+
+  async runSubtaskAction(target, action) {
+    const row = target.closest('.task-item__subtask');
+    if (!row) return;
+
+    try {
+      await action(row.getAttribute('data-subtask-id'));
+    } catch (error) {
+      // TaskManager has already reported the failure
+    }
+  }
+
   handleEditKeydown(event) {
     switch (event.key) {
       case 'Enter':
@@ -481,6 +745,23 @@ export class TaskItem {
     });
   }
 
+  // === PLANNING === */
+  // Puts an undated task on today's agenda, or takes it off again
+  async togglePlanned() {
+    const planned = isPlannedForToday(this.task);
+
+    try {
+      await this.taskManager.updateTask(this.task.id, {
+        plannedFor: planned ? null : toLocalDateString(new Date())
+      });
+      announceToScreenReader(planned
+        ? `"${this.task.title}" removed from today`
+        : `"${this.task.title}" planned for today`);
+    } catch (error) {
+      // TaskManager has already reported the failure
+    }
+  }
+
   // === DISPLAY UPDATES === */
   updateDisplay() {
     if (this.isDestroyed) return;
@@ -492,19 +773,46 @@ export class TaskItem {
     );
     
     // Update title
-    this.elements.title.textContent = this.task.title;
+    this.updateTitle();
     
     // Update metadata
     this.updateMetadata();
     
+    // Update subtask checklist
+    this.updateSubtasks();
+
+    this.updatePlanButton();
+    
     // Update classes
     this.element.className = this.getTaskItemClasses();
     this.element.setAttribute('data-priority', this.task.priority);
+    if (this.elements.selectCheckbox) {
+      this.elements.selectCheckbox.checked = this.state.isTaskSelected(this.task.id);
+    }
     
     // Update accessibility
     this.updateAccessibility();
   }
 
+  // Marks the words the current search matched; built from text nodes, never innerHTML
+  updateTitle() {
+    const searchIndex = getSearchIndex();
+    const terms = getHighlightTerms(
+      this.state.getFilters().searchQuery,
+      searchIndex.isStarted ? searchIndex : null
+    );
+    if (terms.length === 0) {
+      this.elements.title.textContent = this.task.title;
+      return;
+    }
+
+    this.elements.title.replaceChildren(...splitHighlights(this.task.title, terms).map(({ text, match }) =>
+      match
+        ? createElement('mark', { className: 'search-highlight', textContent: text })
+        : document.createTextNode(text)
+    ));
+  }
+
   updateMetadata() {
     if (!this.options.enableTimestamps) {
       this.elements.meta.style.display = 'none';
@@ -518,6 +826,38 @@ export class TaskItem {
       const priorityText = this.task.priority.charAt(0).toUpperCase() + this.task.priority.slice(1);
       metaParts.push(`<span class="task-meta__priority" aria-label="Priority">${priorityText}</span>`);
     }
+
+    // Flagged as important, which counts over the priority in the matrix
+    if (this.task.important === true) {
+      metaParts.push('<span class="task-meta__important">Important</span>');
+    }
+    
+    // Due date, flagged once it has passed on an open task
+    if (this.task.dueDate) {
+      const overdue = !this.task.completed && isPastDue(this.task.dueDate);
+      const dueClass = `task-meta__due${overdue ? ' task-meta__due--overdue' : ''}`;
+      metaParts.push(`<span class="${dueClass}" aria-label="${overdue ? 'Overdue, was due' : 'Due'}">${formatDueDate(this.task.dueDate)}</span>`);
+    }
+
+    // Compact rows stop at what decides urgency and importance
+    if (this.options.compact) {
+      this.elements.meta.innerHTML = metaParts.join('<span class="task-meta__separator">•</span>');
+      return;
+    }
+
+    // Category is escaped when saved and tags are restricted to word characters
+    if (this.task.category) {
+      metaParts.push(`<span class="task-meta__category" aria-label="Category">${this.task.category}</span>`);
+    }
+
+    if (this.task.tags?.length) {
+      const tags = this.task.tags.map(tag => `<span class="task-meta__tag">@${tag}</span>`).join(' ');
+      metaParts.push(`<span class="task-meta__tags" aria-label="Tags">${tags}</span>`);
+    }
+
+    if (this.task.recurrence) {
+      metaParts.push(`<span class="task-meta__recurrence" aria-label="Repeats">${describeRecurrence(this.task.recurrence)}</span>`);
+    }
     
     // Creation date
     const createdText = smartFormatDateShort(this.task.createdAt);
@@ -534,6 +874,99 @@ export class TaskItem {
     this.elements.meta.innerHTML = metaParts.join('<span class="task-meta__separator">•</span>');
   }
 
+  updatePlanButton() {
+    const { planButton } = this.elements;
+    if (!planButton) return;
+
+    const planned = isPlannedForToday(this.task);
+    planButton.hidden = Boolean(this.task.dueDate);
+    planButton.setAttribute('aria-pressed', String(planned));
+    planButton.setAttribute('aria-label', planned
+      ? `Remove "${this.task.title}" from today`
+      : `Plan "${this.task.title}" for today`);
+  }
+
+  updateSubtasks() {
+    if (!this.elements.subtasks) return;
+
+    const subtasks = this.task.subtasks || [];
+    const { completed, total } = getSubtaskProgress(this.task);
+    const expanded = expandedTaskIds.has(this.task.id);
+
+    this.elements.subtaskToggle.hidden = total === 0;
+    this.elements.subtaskToggle.textContent = `${completed}/${total}`;
+    this.elements.subtaskToggle.setAttribute('aria-expanded', String(expanded));
+    this.elements.subtaskToggle.setAttribute('aria-label',
+      `${completed} of ${total} subtasks done, ${expanded ? 'hide' : 'show'} subtasks`
+    );
+    this.elements.subtaskToggle.classList.toggle('task-item__subtasks-toggle--done', total > 0 && completed === total);
+
+    this.elements.subtaskList.hidden = !expanded || total === 0;
+    this.elements.subtaskInput.hidden = !expanded;
+
+    this.elements.subtaskList.replaceChildren(...subtasks.map(subtask => this.createSubtaskRow(subtask)));
+  }
+
+  createSubtaskRow(subtask) {
+    const row = createElement('li', {
+      className: `task-item__subtask${subtask.completed ? ' task-item__subtask--completed' : ''}`,
+      'data-subtask-id': subtask.id
+    });
+
+    const checkbox = createElement('input', {
+      type: 'checkbox',
+      id: `subtask-checkbox-${subtask.id}`,
+      className: 'task-item__subtask-checkbox',
+      checked: subtask.completed,
+      'aria-describedby': `task-title-${this.task.id}`
+    });
+
+    const label = createElement('label', {
+      className: 'task-item__subtask-title',
+      htmlFor: checkbox.id,
+      textContent: subtask.title
+    });
+
+    const promoteButton = createElement('button', {
+      type: 'button',
+      className: 'task-item__subtask-action',
+      'data-action': 'promote-subtask',
+      'aria-label': `Make "${subtask.title}" a separate task`,
+      title: 'Make a separate task (Alt+Left)',
+      textContent: '↰'
+    });
+
+    const deleteButton = createElement('button', {
+      type: 'button',
+      className: 'task-item__subtask-action task-item__subtask-action--delete',
+      'data-action': 'delete-subtask',
+      'aria-label': `Delete subtask "${subtask.title}"`,
+      textContent: '×'
+    });
+
+    row.appendChild(checkbox);
+    row.appendChild(label);
+    row.appendChild(promoteButton);
+    row.appendChild(deleteButton);
+    return row;
+  }
+
+  setSubtasksExpanded(expanded) {
+    if (expanded) {
+      expandedTaskIds.add(this.task.id);
+    } else {
+      expandedTaskIds.delete(this.task.id);
+    }
+    this.updateSubtasks();
+  }
+
+  focusSubtask(subtaskId) {
+    const checkbox = document.getElementById(`subtask-checkbox-${subtaskId}`);
+    if (checkbox) {
+      checkbox.focus();
+    }
+  }
+
   updateAccessibility() {
     // Update ARIA labels
     this.element.setAttribute('aria-labelledby', `task-title-${this.task.id}`);
@@ -583,6 +1016,14 @@ export class TaskItem {
     if (this.isEditing) {
       classes.push('task-item--editing');
     }
+
+    if (this.options.compact) {
+      classes.push('task-item--compact');
+    }
+    
+    if (this.options.enableSelection && this.state.isTaskSelected(this.task.id)) {
+      classes.push('task-item--selected');
+    }
     
     return classes.join(' ');
   }
@@ -601,6 +1042,64 @@ export class TaskItem {
     });
   }
 
+  /**
+   * Re-points this item at another task so windowed lists can recycle it rather than build a
+   * new one. Ids and labels that embed the task are rewritten; an open edit is dropped.
+   */
+  setTask(task) {
+    if (this.isDestroyed) return;
+
+    if (this.isEditing) {
+      this.isEditing = false;
+      this.elements.title.style.display = 'block';
+      this.elements.editInput.style.display = 'none';
+      this.state.setEditingTask(null);
+    }
+
+    this.task = { ...task };
+    this.updateTaskReferences();
+    this.updateDisplay();
+  }
+
+  updateTaskReferences() {
+    const { id, title } = this.task;
+
+    this.element.setAttribute('data-task-id', id);
+    this.elements.checkbox.id = `task-checkbox-${id}`;
+    this.elements.checkbox.setAttribute('aria-describedby', `task-title-${id}`);
+    this.elements.title.id = `task-title-${id}`;
+    this.elements.meta.id = `task-meta-${id}`;
+    this.elements.editInput.value = title;
+    this.elements.actions.setAttribute('aria-label', `Actions for "${title}"`);
+    this.elements.dragHandle?.setAttribute('aria-label', `Move "${title}"`);
+    this.elements.selectCheckbox?.setAttribute('aria-label', `Select "${title}"`);
+
+    this.elements.actions.querySelectorAll('[data-task-id]').forEach(button => {
+      button.setAttribute('data-task-id', id);
+    });
+    this.elements.editButton?.setAttribute('aria-label', `Edit "${title}"`);
+    this.elements.deleteButton?.setAttribute('aria-label', `Delete "${title}"`);
+    this.elements.actions.querySelector('.task-item__action--add-subtask')
+      ?.setAttribute('aria-label', `Add subtask to "${title}"`);
+
+    if (this.elements.subtasks) {
+      this.elements.subtaskToggle.setAttribute('aria-controls', `task-subtasks-${id}`);
+      this.elements.subtaskList.id = `task-subtasks-${id}`;
+      this.elements.subtaskList.setAttribute('aria-label', `Subtasks of "${title}"`);
+      this.elements.subtaskInput.id = `task-subtask-input-${id}`;
+      this.elements.subtaskInput.setAttribute('aria-label', `Add subtask to "${title}"`);
+      this.elements.subtaskInput.value = '';
+    }
+  }
+
+  // Selection lives in the state; the list calls this when it changes
+  setSelected(selected) {
+    if (this.isDestroyed || !this.elements.selectCheckbox) return;
+    
+    this.element.classList.toggle('task-item--selected', selected);
+    this.elements.selectCheckbox.checked = selected;
+  }
+
   focus() {
     if (this.element && !this.isDestroyed) {
       this.element.focus();
@@ -2,23 +2,43 @@
 
 import { EVENTS } from '../constants/events.js';
 import { on, off, emit, logError, announceToScreenReader, debounce } from '../utils/helpers.js';
+import { sortByRelevance } from '../utils/searchQuery.js';
+import { groupTasks, getGroupChanges } from '../utils/taskGroups.js';
+import { reconcileChildren } from '../utils/domDiff.js';
 import { TaskItem } from './TaskItem.js';
+import { VirtualList } from './VirtualList.js';
 import { getTaskManager } from '../modules/taskManager.js';
 import { getStateManager } from '../modules/stateManager.js';
 
+// === GROUPING CONSTANTS === */
+const COLLAPSED_GROUPS_KEY = 'todoapp_collapsed_groups';
+
+// Sorting by these can move a task whenever it is edited
+const VOLATILE_SORT_FIELDS = ['updatedAt', 'completed'];
+
+// === DRAG CONSTANTS === */
+// Distance from the scroller's edge, in px, at which dragging scrolls it
+const DRAG_SCROLL_EDGE = 40;
+const DRAG_SCROLL_STEP = 12;
+const DROP_CLASSES = ['task-item--drop-before', 'task-item--drop-after', 'task-item--drop-target', 'task-group--drop-target'];
+
 // === TASK LIST COMPONENT === */
 export class TaskList {
   constructor(container, options = {}) {
     this.container = typeof container === 'string' ? document.querySelector(container) : container;
     this.options = {
-      enableVirtualScrolling: false,
-      itemsPerPage: 50,
+      enableVirtualScrolling: true,
+      virtualScrollThreshold: 100,
+      estimatedItemHeight: 72,
+      overscan: 6,
       enableKeyboardNavigation: true,
       enableEmptyState: true,
       enableNoResultsState: true,
       animateChanges: true,
-      sortBy: 'createdAt',
-      sortDirection: 'desc',
+      sortBy: getStateManager().getSortOrder().by,
+      sortDirection: getStateManager().getSortOrder().direction,
+      sortThenBy: getStateManager().getSortOrder().thenBy,
+      groupBy: getStateManager().getState().settings.taskGroupBy,
       ...options
     };
 
@@ -26,13 +46,23 @@ export class TaskList {
     this.state = getStateManager();
     this.elements = {};
     this.taskItems = new Map(); // taskId -> TaskItem instance
+    this.groupElements = new Map(); // groupId -> { element, list } of a rendered section
     this.listeners = [];
     this.currentTasks = [];
-    this.currentPage = 0;
     this.focusedIndex = -1;
+    this.virtualList = null;
+    this.taskItemPool = [];     // TaskItems scrolled out of view, waiting to be reused
+    this.taskRows = [];         // virtual row index of each task that can take focus
+    this.renderedSearchQuery = '';
+    this.refreshRows = false;
+    this.announcedTaskCount = null;
+    this.drag = null;           // { taskId, pointerId, target, listeners } while a task is dragged
+    this.selectionAnchor = null; // task a shift-click range starts from
+    this.collapsedGroups = this.loadCollapsedGroups();
     
     // Debounced render to prevent excessive updates
     this.debouncedRender = debounce(this.render.bind(this), 100);
+    this.debouncedLoad = debounce(this.loadTasks.bind(this), 100);
     
     this.init();
   }
@@ -90,11 +120,11 @@ export class TaskList {
     this.addListener(this.elements.list, EVENTS.TASK_DELETED, this.handleTaskDeleted.bind(this));
     this.addListener(this.elements.list, EVENTS.TASK_EDIT_START, this.handleTaskEditStart.bind(this));
     this.addListener(this.elements.list, EVENTS.TASK_EDIT_CANCEL, this.handleTaskEditEnd.bind(this));
+    this.addListener(this.elements.list, EVENTS.DRAG_START, this.handleDragStart.bind(this));
     
-    // Scroll events for virtual scrolling
-    if (this.options.enableVirtualScrolling) {
-      this.addListener(this.elements.list, 'scroll', this.handleScroll.bind(this));
-    }
+    // Selection changes, from here or the bulk actions toolbar
+    this.addListener(document, EVENTS.BULK_SELECT, this.syncSelection.bind(this));
+    this.addListener(document, EVENTS.BULK_DESELECT, this.syncSelection.bind(this));
     
     // Clear completed button
     const clearCompletedBtn = document.querySelector('[data-action="clear-completed"]');
@@ -114,9 +144,29 @@ export class TaskList {
   subscribeToStateChanges() {
     // Subscribe to state changes
     this.unsubscribeFromState = this.state.subscribe((newState, prevState, source) => {
-      // Re-render when tasks or filters change
+      // Re-filter when tasks or filters change, rendering alone would show the old selection
       if (newState.tasks !== prevState.tasks || 
           newState.filters !== prevState.filters) {
+        this.debouncedLoad();
+      }
+      
+      // The sort order is a setting, shared with saved views
+      const { settings } = newState;
+      if (settings.taskSortBy !== this.options.sortBy ||
+          settings.taskSortDirection !== this.options.sortDirection ||
+          JSON.stringify(settings.taskSortThenBy || []) !== JSON.stringify(this.options.sortThenBy)) {
+        this.options.sortBy = settings.taskSortBy;
+        this.options.sortDirection = settings.taskSortDirection;
+        this.options.sortThenBy = settings.taskSortThenBy || [];
+        this.debouncedLoad();
+      }
+      
+      if (settings.taskGroupBy !== this.options.groupBy) {
+        this.options.groupBy = settings.taskGroupBy;
+        this.debouncedRender();
+      }
+      
+      if (newState.ui.layout !== prevState.ui.layout) {
         this.debouncedRender();
       }
       
@@ -133,14 +183,7 @@ export class TaskList {
       // Get filtered tasks from state
       const tasks = this.state.getFilteredTasks();
       
-      // Sort tasks
-      const sortedTasks = this.taskManager.sortTasks(
-        tasks, 
-        this.options.sortBy, 
-        this.options.sortDirection
-      );
-      
-      this.currentTasks = sortedTasks;
+      this.currentTasks = this.orderTasks(tasks, this.state.getSearchMatcher());
       this.render();
       
     } catch (error) {
@@ -158,32 +201,10 @@ export class TaskList {
       const allTasks = this.taskManager.getAllTasks();
       
       // Apply current filters manually
-      const currentFilters = this.state.getState().filters;
-      let filteredTasks = allTasks.filter(task => {
-        // Status filter
-        if (currentFilters.status === 'active' && task.completed) return false;
-        if (currentFilters.status === 'completed' && !task.completed) return false;
-        
-        // Priority filter
-        if (currentFilters.priority !== 'all' && task.priority !== currentFilters.priority) return false;
-        
-        // Search filter
-        if (currentFilters.searchQuery) {
-          const query = currentFilters.searchQuery.toLowerCase();
-          if (!task.title.toLowerCase().includes(query)) return false;
-        }
-        
-        return true;
-      });
+      const matchesFilters = this.state.createFilterPredicate();
+      const filteredTasks = allTasks.filter(matchesFilters);
       
-      // Sort tasks
-      const sortedTasks = this.taskManager.sortTasks(
-        filteredTasks, 
-        this.options.sortBy, 
-        this.options.sortDirection
-      );
-      
-      this.currentTasks = sortedTasks;
+      this.currentTasks = this.orderTasks(filteredTasks, matchesFilters.matchesSearch);
       this.render();
       
     } catch (error) {
@@ -192,29 +213,112 @@ export class TaskList {
     }
   }
 
+  // Word searches list the best matches first, otherwise the chosen sort applies
+  orderTasks(tasks, matchesSearch) {
+    if (matchesSearch.isRanked) {
+      return sortByRelevance(tasks, matchesSearch);
+    }
+
+    return this.taskManager.sortTasks(tasks, this.getSortKeys());
+  }
+
+  getSortKeys() {
+    return [
+      { by: this.options.sortBy, direction: this.options.sortDirection },
+      ...(this.options.sortThenBy || [])
+    ];
+  }
+
+  isGrouped() {
+    return Boolean(this.options.groupBy) && this.options.groupBy !== 'none';
+  }
+
+  // Another layout, such as the board, may be showing the tasks instead
+  isShown() {
+    return this.state.getLayout() === 'list';
+  }
+
+  // Search results are ranked, whatever the sort, so the manual order only shows without a search
+  isManualOrder() {
+    return this.options.sortBy === 'order' && !this.state.getSearchMatcher().isRanked;
+  }
+
+  // Tasks can be moved up and down in the manual order, or from group to group
+  canMoveTasks() {
+    return this.isManualOrder() || this.isGrouped();
+  }
+
+  // The listed tasks as shown: one section per group, or a single one
+  getSections() {
+    return this.isGrouped()
+      ? groupTasks(this.currentTasks, this.options.groupBy)
+      : [{ key: null, label: null, tasks: this.currentTasks }];
+  }
+
   // === RENDERING === */
   render() {
     try {
-      const visibleTasks = this.getVisibleTasks();
+      const tasks = this.currentTasks;
       
-      // Clear existing items
-      this.clearTaskItems();
+      // Rows left behind would repeat the element ids of the layout showing the tasks instead,
+      // and with nothing listed there is nothing for the bulk actions to apply to
+      if (!this.isShown()) {
+        this.clearTaskItems();
+        this.hideEmptyState();
+        this.announcedTaskCount = null;
+        this.state.clearSelection();
+        return;
+      }
       
-      if (visibleTasks.length === 0) {
-        this.showEmptyState();
-      } else {
+      // Rows that move lose focus, remember what had it
+      const focusedElement = this.elements.list.contains(document.activeElement) ? document.activeElement : null;
+      
+      // Title highlights follow the search, so a new query refreshes every row
+      const { searchQuery } = this.state.getFilters();
+      this.refreshRows = searchQuery !== this.renderedSearchQuery;
+      this.renderedSearchQuery = searchQuery;
+      
+      if (this.shouldVirtualize()) {
         this.hideEmptyState();
-        this.renderTasks(visibleTasks);
+        this.renderVirtualTasks(tasks);
+      } else {
+        // Windowed rows are laid out differently, start over when leaving that mode
+        if (this.virtualList) {
+          this.clearTaskItems();
+        }
+        
+        if (tasks.length === 0) {
+          this.clearTaskItems();
+          this.showEmptyState();
+        } else {
+          this.hideEmptyState();
+          this.renderTasks(tasks);
+        }
+      }
+      
+      if (focusedElement?.isConnected && document.activeElement !== focusedElement) {
+        focusedElement.focus();
       }
       
+      // Drag handles only show while dropping a task somewhere can change something
+      this.elements.list.classList.toggle('task-list--sortable', this.canMoveTasks());
+      
+      // Bulk actions only apply to tasks that are listed
+      const selectedIds = this.state.getSelectedTaskIds();
+      if (selectedIds.length > 0) {
+        const listedIds = new Set(tasks.map(task => task.id));
+        this.state.setSelectedTasks(selectedIds.filter(taskId => listedIds.has(taskId)));
+      }
+      this.elements.list.classList.toggle('task-list--selecting', this.state.getSelectedTaskIds().length > 0);
+      
       // Update counts and accessibility
       this.updateTaskCounts();
       this.updateAccessibility();
       
       emit(this.container, EVENTS.COMPONENT_UPDATED, {
         component: 'TaskList',
-        taskCount: visibleTasks.length,
-        totalTasks: this.currentTasks.length
+        taskCount: this.taskItems.size,
+        totalTasks: tasks.length
       });
 
     } catch (error) {
@@ -223,35 +327,90 @@ export class TaskList {
     }
   }
 
-  getVisibleTasks() {
-    if (!this.options.enableVirtualScrolling) {
-      return this.currentTasks;
-    }
-    
-    // Virtual scrolling: only render visible items
-    const startIndex = this.currentPage * this.options.itemsPerPage;
-    const endIndex = startIndex + this.options.itemsPerPage;
-    
-    return this.currentTasks.slice(startIndex, endIndex);
+  // Short lists render in full, windowing only pays off once there are many rows
+  shouldVirtualize() {
+    return this.options.enableVirtualScrolling &&
+           this.currentTasks.length > this.options.virtualScrollThreshold;
   }
 
+  /**
+   * Reconciles the rendered rows with `tasks` by task id: rows are created, updated, moved or
+   * removed only as needed, so focus, open edits and scroll position survive a render.
+   */
   renderTasks(tasks) {
-    const fragment = document.createDocumentFragment();
+    const listedIds = new Set(tasks.map(task => task.id));
+    this.taskItems.forEach((taskItem, taskId) => {
+      if (!listedIds.has(taskId)) {
+        taskItem.destroy();
+        this.taskItems.delete(taskId);
+      }
+    });
     
-    tasks.forEach((task, index) => {
+    let index = 0;
+    const getTaskElements = sectionTasks => sectionTasks.reduce((elements, task) => {
       try {
-        const taskItem = this.createTaskItem(task, index);
-        fragment.appendChild(taskItem.getElement());
+        elements.push(this.syncTaskItem(task, index++).getElement());
       } catch (error) {
         logError(error, `Failed to render task: ${task.id}`);
         // Continue rendering other tasks
       }
-    });
+      return elements;
+    }, []);
+    
+    if (this.isGrouped()) {
+      const groups = groupTasks(tasks, this.options.groupBy);
+      const groupIds = new Set(groups.map(group => this.getGroupId(group)));
+      this.groupElements.forEach((group, groupId) => {
+        if (!groupIds.has(groupId)) this.groupElements.delete(groupId);
+      });
+      
+      const groupElements = groups.map((group, groupIndex) => {
+        const { element, list } = this.syncGroupElement(group, groupIndex);
+        reconcileChildren(list, getTaskElements(group.tasks));
+        return element;
+      });
+      reconcileChildren(this.elements.list, groupElements);
+    } else {
+      this.groupElements.clear();
+      reconcileChildren(this.elements.list, getTaskElements(tasks));
+    }
+    
+    this.announceTaskCount(tasks.length);
+  }
+
+  // Reuses the row already showing a task, refreshing it only if the task changed
+  syncTaskItem(task, index) {
+    const taskItem = this.taskItems.get(task.id);
+    if (!taskItem || taskItem.isDestroyed) {
+      return this.createTaskItem(task, index);
+    }
     
-    this.elements.list.appendChild(fragment);
+    taskItem.options.confirmDelete = this.state.getSetting('confirmDeletion');
+    this.refreshTaskItem(taskItem, task);
+    this.setRowIndex(taskItem.getElement(), index);
+    return taskItem;
+  }
+
+  refreshTaskItem(taskItem, task) {
+    const shown = taskItem.task;
+    if (this.refreshRows || shown.updatedAt !== task.updatedAt || shown.completed !== task.completed) {
+      taskItem.update(task);
+    }
+  }
+
+  // Roving tabindex: only the focused row, or the first, is in the tab order
+  setRowIndex(element, index) {
+    if (!this.options.enableKeyboardNavigation) return;
+    
+    element.setAttribute('tabindex', index === Math.max(this.focusedIndex, 0) ? '0' : '-1');
+    element.setAttribute('data-index', index);
+  }
+
+  // Only when the count changes, so re-renders don't talk over what announced the change
+  announceTaskCount(taskCount) {
+    if (taskCount === this.announcedTaskCount) return;
+    this.announcedTaskCount = taskCount;
     
-    // Announce to screen readers
-    const taskCount = tasks.length;
     if (taskCount > 0) {
       announceToScreenReader(`Task list updated. ${taskCount} task${taskCount !== 1 ? 's' : ''} displayed.`);
     }
@@ -263,7 +422,7 @@ export class TaskList {
       enableDelete: true,
       enablePriorityDisplay: true,
       enableTimestamps: true,
-      confirmDelete: this.state.getState().settings.confirmDeletion,
+      confirmDelete: this.state.getSetting('confirmDeletion'),
       showCompletionAnimation: this.options.animateChanges
     });
     
@@ -271,26 +430,282 @@ export class TaskList {
     this.taskItems.set(task.id, taskItem);
     
     // Add tabindex for keyboard navigation
-    if (this.options.enableKeyboardNavigation) {
-      const element = taskItem.getElement();
-      element.setAttribute('tabindex', index === 0 ? '0' : '-1');
-      element.setAttribute('data-index', index);
-    }
+    this.setRowIndex(taskItem.getElement(), index);
     
     return taskItem;
   }
 
+  getGroupId(group) {
+    return `${this.options.groupBy}:${group.key}`;
+  }
+
+  // A collapsible section: header button with the group's task count, then its own list
+  createGroupElement(group, groupIndex) {
+    const groupId = this.getGroupId(group);
+    const listId = `task-group-${groupIndex}`;
+    const isCollapsed = this.collapsedGroups.has(groupId);
+    
+    const element = document.createElement('li');
+    element.className = `task-group${isCollapsed ? ' task-group--collapsed' : ''}`;
+    element.setAttribute('data-group', groupId);
+    
+    const heading = this.createGroupHeading(group, isCollapsed);
+    heading.querySelector('.task-group__toggle').setAttribute('aria-controls', listId);
+    
+    const list = document.createElement('ul');
+    list.className = 'task-group__list';
+    list.id = listId;
+    list.setAttribute('role', 'list');
+    list.hidden = isCollapsed;
+    
+    element.append(heading, list);
+    return { element, list };
+  }
+
+  syncGroupElement(group, groupIndex) {
+    const groupId = this.getGroupId(group);
+    let groupElement = this.groupElements.get(groupId);
+    
+    if (!groupElement) {
+      groupElement = this.createGroupElement(group, groupIndex);
+      this.groupElements.set(groupId, groupElement);
+      return groupElement;
+    }
+    
+    // Sections keep their element but not their position, nor their list id with it
+    const listId = `task-group-${groupIndex}`;
+    groupElement.list.id = listId;
+    groupElement.element.querySelector('.task-group__toggle').setAttribute('aria-controls', listId);
+    this.updateGroupHeading(groupElement.element, group);
+    return groupElement;
+  }
+
+  updateGroupHeading(element, group) {
+    const count = group.tasks.length;
+    const countElement = element.querySelector('.task-group__count');
+    countElement.firstChild.textContent = count;
+    countElement.lastChild.textContent = count === 1 ? ' task' : ' tasks';
+    // Category labels are stored HTML-escaped
+    element.querySelector('.task-group__label').innerHTML = group.label;
+  }
+
+  createGroupHeading(group, isCollapsed) {
+    const count = group.tasks.length;
+    
+    const heading = document.createElement('h3');
+    heading.className = 'task-group__heading';
+    
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'task-group__toggle';
+    toggle.setAttribute('data-action', 'toggle-group');
+    toggle.setAttribute('aria-expanded', isCollapsed ? 'false' : 'true');
+    
+    const icon = document.createElement('span');
+    icon.className = 'task-group__icon';
+    icon.setAttribute('aria-hidden', 'true');
+    
+    const label = document.createElement('span');
+    label.className = 'task-group__label';
+    // Category labels are stored HTML-escaped
+    label.innerHTML = group.label;
+    
+    const countElement = document.createElement('span');
+    countElement.className = 'task-group__count';
+    countElement.textContent = count;
+    
+    const countLabel = document.createElement('span');
+    countLabel.className = 'sr-only';
+    countLabel.textContent = count === 1 ? ' task' : ' tasks';
+    countElement.appendChild(countLabel);
+    
+    toggle.append(icon, label, countElement);
+    heading.appendChild(toggle);
+    return heading;
+  }
+
+  toggleGroup(groupElement) {
+    const groupId = groupElement.getAttribute('data-group');
+    const isCollapsed = !this.collapsedGroups.has(groupId);
+    
+    if (isCollapsed) {
+      this.collapsedGroups.add(groupId);
+    } else {
+      this.collapsedGroups.delete(groupId);
+    }
+    this.saveCollapsedGroups();
+    
+    groupElement.classList.toggle('task-group--collapsed', isCollapsed);
+    groupElement.querySelector('.task-group__toggle').setAttribute('aria-expanded', isCollapsed ? 'false' : 'true');
+    
+    if (this.virtualList) {
+      // Collapsing drops the group's rows from the window rather than hiding them
+      this.virtualList.setRows(this.buildRows(this.currentTasks));
+      this.focusedIndex = Math.min(this.focusedIndex, this.taskRows.length - 1);
+    } else {
+      groupElement.querySelector('.task-group__list').hidden = isCollapsed;
+    }
+    
+    announceToScreenReader(`${groupElement.querySelector('.task-group__label').textContent} ${isCollapsed ? 'collapsed' : 'expanded'}`);
+  }
+
   clearTaskItems() {
+    if (this.virtualList) {
+      this.virtualList.destroy();
+      this.virtualList = null;
+      this.elements.list.classList.remove('task-list--virtual');
+      this.elements.list.setAttribute('aria-live', 'polite');
+    }
+    
     // Destroy existing task items
     this.taskItems.forEach(taskItem => {
       taskItem.destroy();
     });
     this.taskItems.clear();
+    this.taskItemPool.forEach(taskItem => taskItem.destroy());
+    this.taskItemPool = [];
+    this.taskRows = [];
+    this.groupElements.clear();
     
     // Clear DOM
     this.elements.list.innerHTML = '';
   }
 
+  // === VIRTUAL SCROLLING === */
+  renderVirtualTasks(tasks) {
+    if (!this.virtualList) {
+      this.clearTaskItems();
+      
+      const { list } = this.elements;
+      list.classList.add('task-list--virtual');
+      // Rows come and go while scrolling, announcing each one would drown everything else
+      list.setAttribute('aria-live', 'off');
+      // Holds focus while the focused row is scrolled out of the window
+      if (!list.hasAttribute('tabindex')) {
+        list.setAttribute('tabindex', '-1');
+      }
+      
+      this.virtualList = new VirtualList(list, {
+        estimatedRowHeight: this.options.estimatedItemHeight,
+        overscan: this.options.overscan,
+        renderRow: this.renderRow.bind(this),
+        updateRow: this.updateRow.bind(this),
+        releaseRow: this.releaseRow.bind(this)
+      });
+    }
+    
+    this.virtualList.setRows(this.buildRows(tasks));
+    this.announceTaskCount(tasks.length);
+  }
+
+  // Flattens tasks, and the headers of any groups, into rows; collapsed groups keep only their header
+  buildRows(tasks) {
+    const rows = [];
+    this.taskRows = [];
+    
+    const addTasks = sectionTasks => {
+      sectionTasks.forEach((task, index) => {
+        rows.push({
+          key: task.id,
+          type: 'task',
+          task,
+          position: this.taskRows.length,
+          posInSet: index + 1,
+          setSize: sectionTasks.length
+        });
+        this.taskRows.push(rows.length - 1);
+      });
+    };
+    
+    if (this.isGrouped()) {
+      groupTasks(tasks, this.options.groupBy).forEach(group => {
+        const groupId = this.getGroupId(group);
+        rows.push({ key: `group:${groupId}`, type: 'group', group, groupId });
+        
+        if (!this.collapsedGroups.has(groupId)) {
+          addTasks(group.tasks);
+        }
+      });
+    } else {
+      addTasks(tasks);
+    }
+    
+    return rows;
+  }
+
+  renderRow(row) {
+    if (row.type === 'group') {
+      const isCollapsed = this.collapsedGroups.has(row.groupId);
+      const element = document.createElement('li');
+      element.className = `task-group task-group--row${isCollapsed ? ' task-group--collapsed' : ''}`;
+      element.setAttribute('data-group', row.groupId);
+      element.appendChild(this.createGroupHeading(row.group, isCollapsed));
+      return element;
+    }
+    
+    let taskItem = this.taskItemPool.pop();
+    if (taskItem) {
+      taskItem.setTask(row.task);
+      this.taskItems.set(row.task.id, taskItem);
+    } else {
+      taskItem = this.createTaskItem(row.task, row.position);
+    }
+    
+    const element = taskItem.getElement();
+    this.updateRowPosition(row, element);
+    // A dragged task scrolled back into view
+    element.classList.toggle('task-item--dragging', this.drag?.taskId === row.key);
+    return element;
+  }
+
+  updateRow(row, element) {
+    if (row.type === 'group') {
+      this.updateGroupHeading(element, row.group);
+      return;
+    }
+    
+    const taskItem = this.taskItems.get(row.key);
+    if (taskItem) {
+      this.refreshTaskItem(taskItem, row.task);
+    }
+    this.updateRowPosition(row, element);
+  }
+
+  // Only part of the list is in the DOM, so each row states where it sits in the whole
+  updateRowPosition(row, element) {
+    element.setAttribute('aria-setsize', row.setSize);
+    element.setAttribute('aria-posinset', row.posInSet);
+    this.setRowIndex(element, row.position);
+  }
+
+  releaseRow(row, element) {
+    // The element may come back showing another task, which is not the one dragged or dropped on
+    element.classList.remove('task-item--dragging', ...DROP_CLASSES);
+    if (this.drag?.target?.element === element) {
+      this.drag.target = null;
+    }
+    
+    const taskItem = this.taskItems.get(row.key);
+    if (!taskItem || taskItem.getElement() !== element) return;
+    
+    this.taskItems.delete(row.key);
+    
+    // An open edit is saved rather than lost, and that item is not handed to another task
+    if (taskItem.isEditingMode()) {
+      taskItem.saveEdit().finally(() => taskItem.destroy());
+      return;
+    }
+    
+    // Removing the focused row would drop focus to the page, the list keeps it instead
+    if (element.contains(document.activeElement)) {
+      this.elements.list.focus({ preventScroll: true });
+    }
+    
+    if (!taskItem.isDestroyed) {
+      this.taskItemPool.push(taskItem);
+    }
+  }
+
   // === EMPTY STATES === */
   showEmptyState() {
     if (!this.options.enableEmptyState) return;
@@ -338,6 +753,8 @@ export class TaskList {
     const filters = this.state.getState().filters;
     return filters.status !== 'all' || 
            filters.priority !== 'all' || 
+           filters.category !== 'all' ||
+           filters.due !== 'all' ||
            filters.searchQuery.length > 0;
   }
 
@@ -353,13 +770,72 @@ export class TaskList {
 
   // === EVENT HANDLERS === */
   handleListClick(event) {
-    // Event delegation is handled by individual TaskItem components
-    // This is here for any list-level click handling if needed
+    // Task clicks are handled by individual TaskItem components
+    const toggle = event.target.closest('[data-action="toggle-group"]');
+    if (toggle) {
+      this.toggleGroup(toggle.closest('.task-group'));
+      return;
+    }
+    
+    const taskElement = event.target.closest('.task-item');
+    if (!taskElement) return;
+    const taskId = taskElement.getAttribute('data-task-id');
+    
+    // Shift-click selects a range, from the selection checkbox or anywhere else on the row
+    if (event.target.classList.contains('task-item__select')) {
+      if (event.shiftKey) {
+        this.selectRange(taskId);
+      } else {
+        this.toggleTaskSelection(taskId);
+      }
+    } else if (event.shiftKey && !event.target.closest('button, input, select, textarea, a')) {
+      event.preventDefault();
+      this.selectRange(taskId);
+    }
   }
 
   handleListKeydown(event) {
     if (!this.options.enableKeyboardNavigation) return;
     
+    // Rows are recycled, so start from the task that has focus rather than the last one we moved to
+    const focusedItem = this.virtualList && event.target.closest('.task-item[data-index]');
+    if (focusedItem) {
+      this.focusedIndex = Number(focusedItem.getAttribute('data-index'));
+    }
+    
+    // Ctrl+A selects every listed task, Escape lets go of them
+    if (!event.target.matches('input:not([type="checkbox"]), textarea, select')) {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'a') {
+        event.preventDefault();
+        this.selectAll();
+        return;
+      }
+      if (event.key === 'Escape' && this.state.getSelectedTaskIds().length > 0) {
+        this.clearSelection();
+        return;
+      }
+    }
+    
+    // Alt+Up/Down moves the focused task rather than the focus
+    if (event.altKey && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+      const taskElement = event.target.closest('.task-item');
+      if (taskElement && !event.target.matches('input, textarea, select')) {
+        event.preventDefault();
+        this.moveTaskByKeyboard(taskElement.getAttribute('data-task-id'), event.key === 'ArrowUp' ? -1 : 1);
+      }
+      return;
+    }
+    
+    // Alt+Right nests it under the task shown above
+    if (event.altKey && event.key === 'ArrowRight') {
+      const taskElement = event.target.closest('.task-item');
+      if (taskElement && !event.target.matches('input, textarea, select')) {
+        event.preventDefault();
+        this.demoteTaskByKeyboard(taskElement.getAttribute('data-task-id'));
+      }
+      return;
+    }
+    
     switch (event.key) {
       case 'ArrowDown':
         event.preventDefault();
@@ -369,6 +845,7 @@ export class TaskList {
         event.preventDefault();
         this.focusPrevious();
         break;
+
       case 'Home':
         event.preventDefault();
         this.focusFirst();
@@ -399,8 +876,8 @@ export class TaskList {
       this.currentTasks[index] = task;
     }
     
-    // Re-render if sorting might have changed
-    if (this.options.sortBy === 'updatedAt' || this.options.sortBy === 'completed') {
+    // Re-render if sorting or grouping might have changed, or to refresh the windowed rows
+    if (this.virtualList || this.isGrouped() || this.getSortKeys().some(key => VOLATILE_SORT_FIELDS.includes(key.by))) {
       this.debouncedRender();
     } else {
       // Just update the specific item
@@ -424,6 +901,11 @@ export class TaskList {
       // TaskItem handles its own cleanup
     }
     
+    // Drop the row now so focus moves to the task that takes its place
+    if (this.virtualList) {
+      this.virtualList.setRows(this.buildRows(this.currentTasks));
+    }
+    
     // Update focus if necessary
     this.updateFocusAfterDeletion(element);
     
@@ -468,20 +950,6 @@ export class TaskList {
     }
   }
 
-  handleScroll(event) {
-    if (!this.options.enableVirtualScrolling) return;
-    
-    // Calculate which page should be visible
-    const scrollTop = this.elements.list.scrollTop;
-    const itemHeight = 80; // Approximate item height
-    const newPage = Math.floor(scrollTop / (itemHeight * this.options.itemsPerPage));
-    
-    if (newPage !== this.currentPage) {
-      this.currentPage = newPage;
-      this.render();
-    }
-  }
-
   handleTaskCreated(event) {
     // Force refresh when a new task is created to ensure immediate display
     console.log('TaskList received TASK_CREATED event:', event.detail);
@@ -489,40 +957,56 @@ export class TaskList {
   }
 
   // === KEYBOARD NAVIGATION === */
+  // Tasks in collapsed groups are hidden and skipped
+  getNavigableItems() {
+    return Array.from(this.elements.list.querySelectorAll('.task-item'))
+      .filter(item => !item.closest('.task-group__list[hidden]'));
+  }
+
+  // Windowed lists count every task, not just the rendered ones
+  getNavigableCount() {
+    return this.virtualList ? this.taskRows.length : this.getNavigableItems().length;
+  }
+
   focusNext() {
-    const items = this.elements.list.querySelectorAll('.task-item');
-    if (items.length === 0) return;
+    const count = this.getNavigableCount();
+    if (count === 0) return;
     
-    this.focusedIndex = Math.min(this.focusedIndex + 1, items.length - 1);
+    this.focusedIndex = Math.min(this.focusedIndex + 1, count - 1);
     this.updateFocus();
   }
 
   focusPrevious() {
-    const items = this.elements.list.querySelectorAll('.task-item');
-    if (items.length === 0) return;
+    const count = this.getNavigableCount();
+    if (count === 0) return;
     
     this.focusedIndex = Math.max(this.focusedIndex - 1, 0);
     this.updateFocus();
   }
 
   focusFirst() {
-    const items = this.elements.list.querySelectorAll('.task-item');
-    if (items.length === 0) return;
+    const count = this.getNavigableCount();
+    if (count === 0) return;
     
     this.focusedIndex = 0;
     this.updateFocus();
   }
 
   focusLast() {
-    const items = this.elements.list.querySelectorAll('.task-item');
-    if (items.length === 0) return;
+    const count = this.getNavigableCount();
+    if (count === 0) return;
     
-    this.focusedIndex = items.length - 1;
+    this.focusedIndex = count - 1;
     this.updateFocus();
   }
 
   updateFocus() {
-    const items = this.elements.list.querySelectorAll('.task-item');
+    if (this.virtualList) {
+      this.updateVirtualFocus();
+      return;
+    }
+    
+    const items = this.getNavigableItems();
     
     items.forEach((item, index) => {
       if (index === this.focusedIndex) {
@@ -534,19 +1018,338 @@ export class TaskList {
     });
   }
 
+  // Scrolls the focused task into the window first, it may not have a row yet
+  updateVirtualFocus() {
+    const rowIndex = this.taskRows[this.focusedIndex];
+    if (rowIndex === undefined) return;
+    
+    const target = this.virtualList.scrollToIndex(rowIndex);
+    
+    this.elements.list.querySelectorAll('.task-item[tabindex="0"]').forEach(item => {
+      item.setAttribute('tabindex', '-1');
+    });
+    
+    if (target) {
+      target.setAttribute('tabindex', '0');
+      target.focus();
+    }
+  }
+
   updateFocusAfterDeletion(deletedElement) {
-    const items = this.elements.list.querySelectorAll('.task-item');
+    const count = this.getNavigableCount();
     
-    if (items.length === 0) {
+    if (count === 0) {
       this.focusedIndex = -1;
       return;
     }
     
     // Focus the next item, or the last item if we deleted the last one
-    this.focusedIndex = Math.min(this.focusedIndex, items.length - 1);
+    this.focusedIndex = Math.min(this.focusedIndex, count - 1);
     this.updateFocus();
   }
 
+  // === SELECTION === */
+  // Tasks in list order, leaving out those in collapsed groups
+  getDisplayedTaskIds() {
+    return this.getSections()
+      .filter(section => !this.isGrouped() || !this.collapsedGroups.has(this.getGroupId(section)))
+      .flatMap(section => section.tasks.map(task => task.id));
+  }
+
+  toggleTaskSelection(taskId) {
+    const selectedIds = this.state.getSelectedTaskIds();
+    const isSelected = selectedIds.includes(taskId);
+    
+    this.selectionAnchor = taskId;
+    this.setSelection(isSelected ? selectedIds.filter(id => id !== taskId) : [...selectedIds, taskId]);
+  }
+
+  // Adds every task from the last one clicked to this one
+  selectRange(taskId) {
+    const displayedIds = this.getDisplayedTaskIds();
+    const to = displayedIds.indexOf(taskId);
+    const anchorIndex = displayedIds.indexOf(this.selectionAnchor);
+    const from = anchorIndex === -1 ? to : anchorIndex;
+    if (to === -1) return;
+    
+    const range = displayedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+    this.selectionAnchor = taskId;
+    this.setSelection([...this.state.getSelectedTaskIds(), ...range]);
+  }
+
+  selectAll() {
+    this.setSelection(this.getDisplayedTaskIds());
+  }
+
+  clearSelection() {
+    this.selectionAnchor = null;
+    this.setSelection([]);
+  }
+
+  setSelection(taskIds) {
+    this.state.setSelectedTasks(taskIds);
+    
+    const count = this.state.getSelectedTaskIds().length;
+    announceToScreenReader(count > 0 ? `${count} task${count !== 1 ? 's' : ''} selected` : 'Selection cleared');
+  }
+
+  // Brings the rendered rows in line with the selection in the state
+  syncSelection() {
+    const hasSelection = this.state.getSelectedTaskIds().length > 0;
+    this.elements.list.classList.toggle('task-list--selecting', hasSelection);
+    
+    this.taskItems.forEach((taskItem, taskId) => {
+      taskItem.setSelected(this.state.isTaskSelected(taskId));
+    });
+  }
+
+  // === MOVING TASKS === */
+  /**
+   * Alt+Up/Down: in the manual order the task swaps places with its neighbour; at the edge of
+   * a group it joins the next group along that it can be moved into, at the near end.
+   */
+  moveTaskByKeyboard(taskId, direction) {
+    if (this.drag) return;
+    
+    if (!this.canMoveTasks()) {
+      announceToScreenReader('Choose the Manual sort, or group the list, to move tasks.');
+      return;
+    }
+    
+    const sections = this.getSections();
+    const sectionIndex = sections.findIndex(section => section.tasks.some(task => task.id === taskId));
+    if (sectionIndex === -1) return;
+    
+    const section = sections[sectionIndex];
+    const index = section.tasks.findIndex(task => task.id === taskId);
+    const neighbour = section.tasks[index + direction];
+    
+    if (neighbour && this.isManualOrder()) {
+      this.moveTaskTo(taskId, direction < 0 ? { beforeId: neighbour.id } : { afterId: neighbour.id });
+      return;
+    }
+    
+    // Next group along, skipping those a task can't join and those that are collapsed
+    let target = null;
+    for (let i = sectionIndex + direction; i >= 0 && i < sections.length && !target; i += direction) {
+      const group = sections[i];
+      if (getGroupChanges(this.options.groupBy, group) && !this.collapsedGroups.has(this.getGroupId(group))) {
+        target = group;
+      }
+    }
+    
+    if (!target) {
+      announceToScreenReader(`"${section.tasks[index].title}" can't move ${direction < 0 ? 'up' : 'down'} any further.`);
+      return;
+    }
+    
+    this.moveTaskTo(taskId, this.getGroupEdgePlacement(target, direction > 0), target);
+  }
+  
+  // The parent is the row right above in the same group, whatever the sort and filters put there
+  async demoteTaskByKeyboard(taskId) {
+    if (this.drag) return;
+    
+    const section = this.getSections().find(item => item.tasks.some(task => task.id === taskId));
+    if (!section) return;
+    
+    const index = section.tasks.findIndex(task => task.id === taskId);
+    const task = section.tasks[index];
+    const parent = section.tasks[index - 1];
+    if (!parent) {
+      announceToScreenReader(`"${task.title}" has no task above it to become a subtask of.`);
+      return;
+    }
+    
+    try {
+      await this.taskManager.demoteTask(taskId, parent.id);
+    } catch (error) {
+      // TaskManager has already reported the failure
+      return;
+    }
+    
+    this.loadTasks();
+    this.focusTask(parent.id);
+    announceToScreenReader(`"${task.title}" is now a subtask of "${parent.title}".`);
+  }
+  
+  // Joining a group places the task at its top or bottom, if the manual order is showing
+  getGroupEdgePlacement(group, atTop) {
+    if (!this.isManualOrder()) return null;
+    return atTop
+      ? { beforeId: group.tasks[0].id }
+      : { afterId: group.tasks[group.tasks.length - 1].id };
+  }
+
+  /**
+   * Moves a task to `placement` in the manual order (null keeps it where it is) and, when
+   * `group` is another group than its own, into that group. Focus stays on the task.
+   */
+  async moveTaskTo(taskId, placement, group = null) {
+    const task = this.currentTasks.find(item => item.id === taskId);
+    if (!task) return false;
+    
+    let changes = {};
+    if (group && !group.tasks.some(item => item.id === taskId)) {
+      changes = getGroupChanges(this.options.groupBy, group);
+      if (!changes) {
+        announceToScreenReader(`Tasks can't be moved to ${group.label}.`);
+        return false;
+      }
+    }
+    
+    try {
+      await this.taskManager.moveTask(taskId, placement, changes);
+    } catch (error) {
+      // TaskManager has already reported the failure
+      return false;
+    }
+    
+    // Show the result straight away rather than after the debounced reload
+    this.loadTasks();
+    this.focusTask(taskId);
+    this.announceTaskPosition(taskId);
+    return true;
+  }
+
+  announceTaskPosition(taskId) {
+    const section = this.getSections().find(item => item.tasks.some(task => task.id === taskId));
+    if (!section) return;
+    
+    const index = section.tasks.findIndex(task => task.id === taskId);
+    const { title } = section.tasks[index];
+    const where = section.label ? ` in ${section.label}` : '';
+    
+    announceToScreenReader(this.isManualOrder()
+      ? `"${title}" moved to position ${index + 1} of ${section.tasks.length}${where}.`
+      : `"${title}" moved to ${section.label}.`);
+  }
+
+  // === DRAG AND DROP === */
+  // TaskItem starts a drag from its handle; from then on pointer events are followed page-wide
+  handleDragStart(event) {
+    const { task, element, pointerId } = event.detail;
+    if (this.drag || !this.canMoveTasks()) return;
+    
+    const listeners = [
+      { event: 'pointermove', handler: this.handleDragMove.bind(this) },
+      { event: 'pointerup', handler: event => this.handleDragEnd(event, true) },
+      { event: 'pointercancel', handler: event => this.handleDragEnd(event, false) },
+      { event: 'keydown', handler: event => event.key === 'Escape' && this.endDrag(false) }
+    ];
+    listeners.forEach(({ event, handler }) => document.addEventListener(event, handler));
+    
+    this.drag = { taskId: task.id, pointerId, target: null, listeners };
+    element.classList.add('task-item--dragging');
+    this.elements.list.classList.add('task-list--dragging');
+    
+    announceToScreenReader(`Moving "${task.title}". Release to drop, press Escape to cancel.`);
+  }
+
+  handleDragMove(event) {
+    if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+    
+    event.preventDefault();
+    this.autoScroll(event.clientY);
+    this.setDropTarget(this.findDropTarget(event.clientX, event.clientY));
+  }
+
+  handleDragEnd(event, drop) {
+    if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+    this.endDrag(drop);
+  }
+
+  /**
+   * Where a task would land at a point: above or below another task's row, or onto a group
+   * header. Null where dropping would change nothing, or the task can't go.
+   */
+  findDropTarget(x, y) {
+    const hit = document.elementFromPoint(x, y);
+    if (!hit || !this.elements.list.contains(hit)) return null;
+    
+    const sections = this.getSections();
+    const fromSection = sections.find(section => section.tasks.some(task => task.id === this.drag.taskId));
+    
+    const heading = hit.closest('.task-group__heading');
+    if (heading) {
+      const element = heading.closest('.task-group');
+      const groupId = element.getAttribute('data-group');
+      const group = sections.find(section => this.getGroupId(section) === groupId);
+      if (!group || group === fromSection || !getGroupChanges(this.options.groupBy, group)) return null;
+      
+      return { element, group, placement: this.getGroupEdgePlacement(group, true), className: 'task-group--drop-target' };
+    }
+    
+    const element = hit.closest('.task-item');
+    const targetId = element?.getAttribute('data-task-id');
+    if (!targetId || targetId === this.drag.taskId) return null;
+    
+    const group = sections.find(section => section.tasks.some(task => task.id === targetId));
+    if (!group) return null;
+    
+    const movesGroup = group !== fromSection;
+    if (movesGroup && !getGroupChanges(this.options.groupBy, group)) return null;
+    if (!movesGroup && !this.isManualOrder()) return null;
+    
+    // Without the manual order showing, the task only joins the group of the one it's dropped on
+    if (!this.isManualOrder()) {
+      return { element, group, placement: null, className: 'task-item--drop-target' };
+    }
+    
+    const rect = element.getBoundingClientRect();
+    return y < rect.top + rect.height / 2
+      ? { element, group, placement: { beforeId: targetId }, className: 'task-item--drop-before' }
+      : { element, group, placement: { afterId: targetId }, className: 'task-item--drop-after' };
+  }
+
+  setDropTarget(target) {
+    const current = this.drag.target;
+    if (current?.element === target?.element && current?.className === target?.className) return;
+    
+    current?.element.classList.remove(current.className);
+    target?.element.classList.add(target.className);
+    this.drag.target = target;
+  }
+
+  // Dragging near the top or bottom edge scrolls the list, or the page when the list doesn't scroll
+  autoScroll(y) {
+    const scroller = this.virtualList ? this.elements.list : null;
+    const rect = scroller ? scroller.getBoundingClientRect() : { top: 0, bottom: window.innerHeight };
+    
+    let step = 0;
+    if (y < rect.top + DRAG_SCROLL_EDGE) step = -DRAG_SCROLL_STEP;
+    else if (y > rect.bottom - DRAG_SCROLL_EDGE) step = DRAG_SCROLL_STEP;
+    if (step === 0) return;
+    
+    if (scroller) {
+      scroller.scrollTop += step;
+    } else {
+      window.scrollBy(0, step);
+    }
+  }
+
+  endDrag(drop) {
+    if (!this.drag) return;
+    
+    const { taskId, target, listeners } = this.drag;
+    this.drag = null;
+    
+    listeners.forEach(({ event, handler }) => document.removeEventListener(event, handler));
+    this.elements.list.classList.remove('task-list--dragging');
+    this.elements.list.querySelector('.task-item--dragging')?.classList.remove('task-item--dragging');
+    target?.element.classList.remove(target.className);
+    
+    const task = this.currentTasks.find(item => item.id === taskId);
+    if (drop && target && task) {
+      emit(this.elements.list, EVENTS.DROP, { task, group: target.group, placement: target.placement });
+      this.moveTaskTo(taskId, target.placement, target.group);
+    } else if (task) {
+      announceToScreenReader(`Move of "${task.title}" cancelled.`);
+    }
+    
+    emit(this.elements.list, EVENTS.DRAG_END, { task, dropped: Boolean(drop && target) });
+  }
+
   // === TASK COUNTS === */
   updateTaskCounts(statistics) {
     const stats = statistics || this.taskManager.getTaskStatistics();
@@ -607,24 +1410,57 @@ export class TaskList {
     this.loadTasks();
   }
 
-  setSortOrder(sortBy, direction) {
-    this.options.sortBy = sortBy;
-    this.options.sortDirection = direction;
-    this.loadTasks();
+  // Extra `{ by, direction }` keys break ties, e.g. setSortOrder('priority', 'desc', [{ by: 'dueDate', direction: 'asc' }])
+  setSortOrder(sortBy, direction, thenBy = []) {
+    this.state.setSortOrder(sortBy, direction, thenBy);
+  }
+
+  setGroupBy(groupBy) {
+    this.state.setGroupBy(groupBy);
+  }
+
+  // === GROUP PERSISTENCE === */
+  loadCollapsedGroups() {
+    try {
+      const groups = JSON.parse(localStorage.getItem(COLLAPSED_GROUPS_KEY));
+      return new Set(Array.isArray(groups) ? groups.filter(group => typeof group === 'string') : []);
+    } catch (error) {
+      return new Set();
+    }
+  }
+
+  saveCollapsedGroups() {
+    try {
+      localStorage.setItem(COLLAPSED_GROUPS_KEY, JSON.stringify([...this.collapsedGroups]));
+    } catch (error) {
+      // Ignore storage errors
+    }
   }
 
   getTaskCount() {
     return this.currentTasks.length;
   }
 
+  // Tasks with a row in the DOM; fewer than getTaskCount() while windowing
   getVisibleTaskCount() {
     return this.taskItems.size;
   }
 
   focusTask(taskId) {
-    const taskItem = this.taskItems.get(taskId);
-    if (taskItem) {
-      taskItem.focus();
+    if (this.virtualList) {
+      const position = this.taskRows.indexOf(this.virtualList.indexOfKey(taskId));
+      if (position === -1) return;
+      
+      this.focusedIndex = position;
+      this.updateVirtualFocus();
+      return;
+    }
+    
+    // Through the roving tabindex, so the task keeps its place in the tab order
+    const position = this.getNavigableItems().findIndex(item => item.getAttribute('data-task-id') === taskId);
+    if (position !== -1) {
+      this.focusedIndex = position;
+      this.updateFocus();
     }
   }
 
@@ -661,6 +1497,10 @@ export class TaskList {
 
   // === CLEANUP === */
   destroy() {
+    if (this.drag) {
+      this.endDrag(false);
+    }
+    
     // Unsubscribe from state
     if (this.unsubscribeFromState) {
       this.unsubscribeFromState();
@@ -0,0 +1,496 @@
+/* Eisenhower Matrix Component */
+
+import { EVENTS } from '../constants/events.js';
+import { emit, logError, announceToScreenReader, debounce } from '../utils/helpers.js';
+import { getMatrix, getMatrixThresholds, getQuadrantChanges } from '../utils/matrix.js';
+import { MAX_MATRIX_URGENT_DAYS } from '../utils/validation.js';
+import { formatDueDate } from '../utils/dateUtils.js';
+import { reconcileChildren } from '../utils/domDiff.js';
+import { TaskItem } from './TaskItem.js';
+import { getTaskManager } from '../modules/taskManager.js';
+import { getStateManager } from '../modules/stateManager.js';
+
+// === TASK MATRIX COMPONENT === */
+/**
+ * Urgent/important grid of the filtered tasks. Urgency comes from how soon a task is due,
+ * importance from its flag or else its priority, both against thresholds kept in the settings.
+ * Dropping a task in another quadrant, or Alt + arrow keys, change those fields to match.
+ */
+export class TaskMatrix {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string' ? document.querySelector(container) : container;
+    this.options = {
+      enableKeyboardNavigation: true,
+      animateChanges: true,
+      ...options
+    };
+
+    this.taskManager = getTaskManager();
+    this.state = getStateManager();
+    this.elements = {};
+    this.listeners = [];
+    this.taskItems = new Map();   // taskId -> TaskItem instance
+    this.quadrants = [];          // [{ key, label, urgent, important, tasks }] as last rendered
+    this.renderedSearchQuery = '';
+    this.focusedTaskId = null;    // the task in the tab order
+    this.drag = null;             // { taskId, pointerId, target, listeners } while a task is dragged
+
+    this.debouncedRender = debounce(this.render.bind(this), 100);
+
+    this.init();
+  }
+
+  // === INITIALIZATION === */
+  init() {
+    try {
+      if (!this.container) {
+        throw new Error('TaskMatrix container not found');
+      }
+
+      this.findElements();
+      this.attachEventListeners();
+      this.subscribeToStateChanges();
+      this.render();
+
+      emit(document, EVENTS.COMPONENT_MOUNTED, {
+        component: 'TaskMatrix',
+        container: this.container
+      });
+    } catch (error) {
+      logError(error, 'TaskMatrix.init');
+      this.handleError(error, 'Failed to initialize the matrix');
+    }
+  }
+
+  findElements() {
+    this.elements = {
+      grid: this.container.querySelector('.task-matrix__grid'),
+      urgentDaysInput: this.container.querySelector('.task-matrix__urgent-days'),
+      importantSelect: this.container.querySelector('.task-matrix__important'),
+      quadrants: new Map(Array.from(this.container.querySelectorAll('[data-quadrant]'), quadrant => [
+        quadrant.getAttribute('data-quadrant'),
+        {
+          element: quadrant,
+          list: quadrant.querySelector('.task-matrix__list'),
+          count: quadrant.querySelector('.task-matrix__count')
+        }
+      ]))
+    };
+
+    if (!this.elements.grid || this.elements.quadrants.size === 0) {
+      throw new Error('Matrix quadrants not found');
+    }
+  }
+
+  // === EVENT LISTENERS === */
+  attachEventListeners() {
+    this.addListener(this.elements.grid, 'keydown', this.handleKeydown.bind(this));
+    this.addListener(this.elements.grid, 'focusin', this.handleFocusIn.bind(this));
+    this.addListener(this.elements.grid, EVENTS.DRAG_START, this.handleDragStart.bind(this));
+
+    if (this.elements.urgentDaysInput) {
+      this.addListener(this.elements.urgentDaysInput, 'change', this.handleUrgentDaysChange.bind(this));
+    }
+    if (this.elements.importantSelect) {
+      this.addListener(this.elements.importantSelect, 'change', this.handleImportantChange.bind(this));
+    }
+  }
+
+  addListener(element, event, handler) {
+    element.addEventListener(event, handler);
+    this.listeners.push({ element, event, handler });
+  }
+
+  subscribeToStateChanges() {
+    this.unsubscribeFromState = this.state.subscribe((newState, prevState) => {
+      // Tasks, filters, thresholds and the date all show here; hidden, only leaving matters
+      if (newState.ui.layout === 'matrix' || prevState.ui.layout === 'matrix') {
+        this.debouncedRender();
+      }
+    });
+  }
+
+  // === DATA === */
+  isShown() {
+    return this.state.getLayout() === 'matrix';
+  }
+
+  getThresholds() {
+    return getMatrixThresholds(this.state.getState().settings);
+  }
+
+  // The list's filters and sort order, so switching layouts shows the same tasks
+  getTasks() {
+    const tasks = this.state.getFilteredTasks();
+    return this.state.getSearchMatcher().isRanked
+      ? tasks
+      : this.taskManager.sortTasks(tasks, this.state.getSortKeys());
+  }
+
+  findTask(taskId) {
+    const quadrantIndex = this.quadrants.findIndex(quadrant => quadrant.tasks.some(task => task.id === taskId));
+    if (quadrantIndex === -1) return null;
+
+    const index = this.quadrants[quadrantIndex].tasks.findIndex(task => task.id === taskId);
+    return { quadrantIndex, index, task: this.quadrants[quadrantIndex].tasks[index] };
+  }
+
+  // === RENDERING === */
+  render() {
+    try {
+      // Rebuilding mid-drag would move the task being dragged; catch up once it's dropped
+      if (this.drag) return;
+
+      if (!this.isShown()) {
+        this.clear();
+        return;
+      }
+
+      const thresholds = this.getThresholds();
+      this.renderThresholds(thresholds);
+
+      // Tasks that change quadrant lose focus, remember what had it
+      const focusedElement = this.container.contains(document.activeElement) ? document.activeElement : null;
+
+      // Title highlights follow the search, so a new query refreshes every task
+      const { searchQuery } = this.state.getFilters();
+      const refreshItems = searchQuery !== this.renderedSearchQuery;
+      this.renderedSearchQuery = searchQuery;
+
+      this.quadrants = getMatrix(this.getTasks(), thresholds);
+
+      const listedIds = new Set(this.quadrants.flatMap(quadrant => quadrant.tasks.map(task => task.id)));
+      this.taskItems.forEach((taskItem, taskId) => {
+        if (!listedIds.has(taskId)) {
+          taskItem.destroy();
+          this.taskItems.delete(taskId);
+        }
+      });
+
+      this.quadrants.forEach(quadrant => {
+        const { list, count } = this.elements.quadrants.get(quadrant.key);
+        if (count) {
+          count.textContent = String(quadrant.tasks.length);
+          count.setAttribute('aria-label', pluralize(quadrant.tasks.length));
+        }
+        reconcileChildren(list, quadrant.tasks.map(task => this.syncTaskItem(task, refreshItems).getElement()));
+      });
+      this.updateTabStops();
+
+      if (focusedElement?.isConnected && document.activeElement !== focusedElement) {
+        focusedElement.focus();
+      }
+
+      emit(this.container, EVENTS.COMPONENT_UPDATED, {
+        component: 'TaskMatrix',
+        totalTasks: listedIds.size
+      });
+    } catch (error) {
+      logError(error, 'TaskMatrix.render');
+      this.handleError(error, 'Failed to render the matrix');
+    }
+  }
+
+  // Left alone while being typed in
+  renderThresholds({ urgentDays, importantPriority }) {
+    const { urgentDaysInput, importantSelect } = this.elements;
+    if (urgentDaysInput && document.activeElement !== urgentDaysInput) {
+      urgentDaysInput.value = String(urgentDays);
+    }
+    if (importantSelect) {
+      importantSelect.value = importantPriority;
+    }
+  }
+
+  // Reuses the item already showing a task, refreshing it only if the task changed
+  syncTaskItem(task, refresh) {
+    const taskItem = this.taskItems.get(task.id);
+    if (!taskItem || taskItem.isDestroyed) {
+      return this.createTaskItem(task);
+    }
+
+    taskItem.options.confirmDelete = this.state.getSetting('confirmDeletion');
+    const shown = taskItem.task;
+    if (refresh || shown.updatedAt !== task.updatedAt || shown.completed !== task.completed) {
+      taskItem.update(task);
+    }
+    return taskItem;
+  }
+
+  // Compact rows, without the checklist and the list-only selection and nesting
+  createTaskItem(task) {
+    const taskItem = new TaskItem(task, {
+      enableEdit: true,
+      enableDelete: true,
+      enablePriorityDisplay: true,
+      enableSubtasks: false,
+      enableSelection: false,
+      compact: true,
+      confirmDelete: this.state.getSetting('confirmDeletion'),
+      showCompletionAnimation: this.options.animateChanges
+    });
+
+    this.taskItems.set(task.id, taskItem);
+    return taskItem;
+  }
+
+  // Roving tabindex: only the focused task, or the first, is in the tab order
+  updateTabStops() {
+    if (!this.options.enableKeyboardNavigation) return;
+
+    if (!this.taskItems.has(this.focusedTaskId)) {
+      this.focusedTaskId = this.quadrants.find(quadrant => quadrant.tasks.length > 0)?.tasks[0].id ?? null;
+    }
+    this.taskItems.forEach((taskItem, taskId) => {
+      taskItem.getElement().setAttribute('tabindex', taskId === this.focusedTaskId ? '0' : '-1');
+    });
+  }
+
+  clear() {
+    if (this.drag) {
+      this.endDrag(false);
+    }
+
+    this.taskItems.forEach(taskItem => taskItem.destroy());
+    this.taskItems.clear();
+    this.quadrants = [];
+    this.elements.quadrants.forEach(({ list }) => list.replaceChildren());
+  }
+
+  // === EVENT HANDLERS === */
+  handleUrgentDaysChange(event) {
+    const value = Math.floor(Number(event.target.value));
+    const urgentDays = Number.isFinite(value) ? Math.max(0, Math.min(value, MAX_MATRIX_URGENT_DAYS)) : 0;
+    event.target.value = String(urgentDays);
+
+    this.state.setMatrixThresholds({ urgentDays });
+    announceToScreenReader(urgentDays === 0
+      ? 'Tasks are urgent when overdue or due today.'
+      : `Tasks are urgent when due within ${urgentDays} ${urgentDays === 1 ? 'day' : 'days'}.`);
+  }
+
+  handleImportantChange(event) {
+    const importantPriority = event.target.value;
+    this.state.setMatrixThresholds({ importantPriority });
+    announceToScreenReader(`Tasks are important from ${importantPriority} priority, unless flagged otherwise.`);
+  }
+
+  handleFocusIn(event) {
+    const taskId = event.target.closest('.task-item')?.getAttribute('data-task-id');
+    if (taskId && taskId !== this.focusedTaskId) {
+      this.focusedTaskId = taskId;
+      this.updateTabStops();
+    }
+  }
+
+  handleKeydown(event) {
+    if (!this.options.enableKeyboardNavigation) return;
+
+    // Keys typed into a task's controls are theirs
+    const row = event.target.classList.contains('task-item') ? event.target : null;
+    if (!row) return;
+
+    const taskId = row.getAttribute('data-task-id');
+    const directions = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+    if (!directions[event.key]) return;
+
+    event.preventDefault();
+    const [down, across] = directions[event.key];
+
+    if (event.altKey) {
+      this.moveTaskToward(taskId, down, across);
+    } else {
+      this.focusNeighbour(taskId, down, across);
+    }
+  }
+
+  // === KEYBOARD NAVIGATION === */
+  // Quadrants sit two by two; returns the one `down` rows and `across` columns away, if any
+  getNeighbourQuadrant(quadrantIndex, down, across) {
+    const row = Math.floor(quadrantIndex / 2) + down;
+    const column = (quadrantIndex % 2) + across;
+    return row >= 0 && row < 2 && column >= 0 && column < 2 ? this.quadrants[row * 2 + column] : null;
+  }
+
+  // Up and down go through a quadrant, then on to the one above or below; left and right go across
+  focusNeighbour(taskId, down, across) {
+    const position = this.findTask(taskId);
+    if (!position) return;
+
+    const { tasks } = this.quadrants[position.quadrantIndex];
+    let target = down ? tasks[position.index + down] : null;
+
+    if (!target) {
+      const neighbour = this.getNeighbourQuadrant(position.quadrantIndex, down, across);
+      const neighbourTasks = neighbour?.tasks || [];
+      target = down < 0
+        ? neighbourTasks[neighbourTasks.length - 1]
+        : neighbourTasks[down ? 0 : Math.min(position.index, neighbourTasks.length - 1)];
+    }
+
+    if (target) {
+      this.focusTask(target.id);
+    }
+  }
+
+  focusTask(taskId) {
+    if (!this.taskItems.has(taskId)) return;
+
+    this.focusedTaskId = taskId;
+    this.updateTabStops();
+    this.taskItems.get(taskId).focus();
+  }
+
+  // Alt + Left/Right make a task urgent or not, Alt + Up/Down important or not
+  moveTaskToward(taskId, down, across) {
+    const position = this.findTask(taskId);
+    if (!position) return;
+
+    const target = this.getNeighbourQuadrant(position.quadrantIndex, down, across);
+    if (!target) {
+      announceToScreenReader(`"${position.task.title}" is already in ${this.quadrants[position.quadrantIndex].label}.`);
+      return;
+    }
+
+    this.moveTaskTo(taskId, target);
+  }
+
+  // === MOVING TASKS === */
+  // Changes the due date and importance flag to match `quadrant`, as one undo step
+  async moveTaskTo(taskId, quadrant) {
+    const position = this.findTask(taskId);
+    const from = position && this.quadrants[position.quadrantIndex];
+    if (!from || from.key === quadrant.key) return false;
+
+    try {
+      await this.taskManager.moveTask(taskId, null, getQuadrantChanges(position.task, quadrant, this.getThresholds()));
+    } catch (error) {
+      // TaskManager has already reported the failure
+      return false;
+    }
+
+    // Show the result straight away rather than after the debounced render
+    this.render();
+    this.focusTask(taskId);
+
+    const task = this.taskManager.getTask(taskId);
+    const due = quadrant.urgent !== from.urgent && task?.dueDate ? `, now due ${formatDueDate(task.dueDate)}` : '';
+    announceToScreenReader(`"${position.task.title}" moved to ${quadrant.label}${due}.`);
+    return true;
+  }
+
+  // === DRAG AND DROP === */
+  // TaskItem starts a drag from its handle; from then on pointer events are followed page-wide
+  handleDragStart(event) {
+    const { task, element, pointerId } = event.detail;
+    if (this.drag) return;
+
+    const listeners = [
+      { event: 'pointermove', handler: this.handleDragMove.bind(this) },
+      { event: 'pointerup', handler: event => this.handleDragEnd(event, true) },
+      { event: 'pointercancel', handler: event => this.handleDragEnd(event, false) },
+      { event: 'keydown', handler: event => event.key === 'Escape' && this.endDrag(false) }
+    ];
+    listeners.forEach(({ event, handler }) => document.addEventListener(event, handler));
+
+    this.drag = { taskId: task.id, pointerId, target: null, listeners };
+    element.classList.add('task-item--dragging');
+    this.elements.grid.classList.add('task-matrix__grid--dragging');
+
+    announceToScreenReader(`Moving "${task.title}". Release on a quadrant to drop, press Escape to cancel.`);
+  }
+
+  handleDragMove(event) {
+    if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+
+    event.preventDefault();
+    this.setDropTarget(this.findDropTarget(event.clientX, event.clientY));
+  }
+
+  handleDragEnd(event, drop) {
+    if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+    this.endDrag(drop);
+  }
+
+  // A quadrant other than the task's own; null elsewhere
+  findDropTarget(x, y) {
+    const hit = document.elementFromPoint(x, y);
+    const element = hit && this.elements.grid.contains(hit) ? hit.closest('.task-matrix__quadrant') : null;
+    if (!element) return null;
+
+    const quadrant = this.quadrants.find(item => item.key === element.getAttribute('data-quadrant'));
+    if (!quadrant || quadrant.tasks.some(task => task.id === this.drag.taskId)) return null;
+
+    return { element, quadrant, className: 'task-matrix__quadrant--drop-target' };
+  }
+
+  setDropTarget(target) {
+    const current = this.drag.target;
+    if (current?.element === target?.element) return;
+
+    current?.element.classList.remove(current.className);
+    target?.element.classList.add(target.className);
+    this.drag.target = target;
+  }
+
+  endDrag(drop) {
+    if (!this.drag) return;
+
+    const { taskId, target, listeners } = this.drag;
+    this.drag = null;
+
+    listeners.forEach(({ event, handler }) => document.removeEventListener(event, handler));
+    this.elements.grid.classList.remove('task-matrix__grid--dragging');
+    this.elements.grid.querySelector('.task-item--dragging')?.classList.remove('task-item--dragging');
+    target?.element.classList.remove(target.className);
+
+    const task = this.findTask(taskId)?.task;
+    if (drop && target && task) {
+      emit(this.elements.grid, EVENTS.DROP, { task, quadrant: target.quadrant });
+      this.moveTaskTo(taskId, target.quadrant);
+    } else {
+      if (task) announceToScreenReader(`Move of "${task.title}" cancelled.`);
+      this.debouncedRender();
+    }
+
+    emit(this.elements.grid, EVENTS.DRAG_END, { task, dropped: Boolean(drop && target) });
+  }
+
+  // === ERROR HANDLING === */
+  handleError(error, userMessage) {
+    emit(document, EVENTS.APP_ERROR, {
+      error,
+      context: 'TaskMatrix',
+      userMessage,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // === CLEANUP === */
+  destroy() {
+    if (this.unsubscribeFromState) {
+      this.unsubscribeFromState();
+    }
+
+    this.clear();
+
+    this.listeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.listeners = [];
+
+    emit(document, EVENTS.COMPONENT_UNMOUNTED, {
+      component: 'TaskMatrix',
+      container: this.container
+    });
+  }
+}
+
+function pluralize(count) {
+  return `${count} ${count === 1 ? 'task' : 'tasks'}`;
+}
+
+// === FACTORY FUNCTION === */
+export function createTaskMatrix(container, options) {
+  return new TaskMatrix(container, options);
+}
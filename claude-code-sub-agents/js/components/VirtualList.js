@@ -0,0 +1,319 @@
+/* Virtual List Component */
+
+import { logError } from '../utils/helpers.js';
+
+/**
+ * Windowed rendering for long lists: only the rows in view, plus `overscan` rows either side,
+ * are in the DOM, between two spacers that stand in for the rest. Row heights are measured
+ * once rendered (and again when they resize); unmeasured rows use `estimatedRowHeight`.
+ *
+ * Rows are `{ key, ... }` objects. The owner builds and recycles their elements:
+ *   renderRow(row, index)            returns the element for a row coming into view
+ *   updateRow(row, element, index)   refreshes a row that stayed in view across setRows()
+ *   releaseRow(row, element)         takes back a row leaving view, before it is removed
+ */
+export class VirtualList {
+  constructor(scroller, options = {}) {
+    this.scroller = scroller;
+    this.options = {
+      estimatedRowHeight: 72,
+      overscan: 6,
+      renderRow: null,
+      updateRow: null,
+      releaseRow: null,
+      ...options
+    };
+
+    this.rows = [];
+    this.heights = new Map();   // row key -> measured height in px
+    this.offsets = [0];         // top of each row, plus the total height at the end
+    this.offsetsDirty = false;
+    this.rendered = new Map();  // row key -> { row, element }, for the rows in the DOM
+    this.range = { start: 0, end: 0 };
+    this.frame = null;
+    this.rowsChanged = false;
+    this.listeners = [];
+
+    this.handleScroll = this.handleScroll.bind(this);
+    this.init();
+  }
+
+  // === INITIALIZATION === */
+  init() {
+    this.topSpacer = this.createSpacer('top');
+    this.bottomSpacer = this.createSpacer('bottom');
+    this.scroller.prepend(this.topSpacer);
+    this.scroller.append(this.bottomSpacer);
+
+    this.addListener(this.scroller, 'scroll', this.handleScroll);
+
+    // Rows change height when subtasks open or titles wrap differently
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => this.scheduleUpdate());
+    }
+  }
+
+  createSpacer(position) {
+    const spacer = document.createElement('li');
+    spacer.className = `virtual-list__spacer virtual-list__spacer--${position}`;
+    spacer.setAttribute('aria-hidden', 'true');
+    spacer.setAttribute('role', 'presentation');
+    return spacer;
+  }
+
+  addListener(element, event, handler) {
+    element.addEventListener(event, handler, { passive: true });
+    this.listeners.push({ element, event, handler });
+  }
+
+  // === ROWS === */
+  setRows(rows) {
+    this.rows = rows;
+    this.offsetsDirty = true;
+    this.rowsChanged = true;
+    this.update();
+  }
+
+  getRowCount() {
+    return this.rows.length;
+  }
+
+  indexOfKey(key) {
+    return this.rows.findIndex(row => row.key === key);
+  }
+
+  // The element of a row if it is rendered, see scrollToIndex() to bring one into view
+  getRowElement(index) {
+    const row = this.rows[index];
+    return (row && this.rendered.get(row.key)?.element) || null;
+  }
+
+  // === SCROLLING === */
+  handleScroll() {
+    this.scheduleUpdate();
+  }
+
+  scheduleUpdate() {
+    if (this.frame !== null) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.update();
+    });
+  }
+
+  // Scrolls just far enough to show a row and renders it straight away
+  scrollToIndex(index) {
+    if (index < 0 || index >= this.rows.length) return null;
+
+    this.computeOffsets();
+    const top = this.offsets[index];
+    const bottom = this.offsets[index + 1];
+    const viewportHeight = this.getViewportHeight();
+
+    if (top < this.scroller.scrollTop) {
+      this.scroller.scrollTop = top;
+    } else if (bottom > this.scroller.scrollTop + viewportHeight) {
+      this.scroller.scrollTop = bottom - viewportHeight;
+    }
+
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.update(index);
+    return this.getRowElement(index);
+  }
+
+  getViewportHeight() {
+    return this.scroller.clientHeight || window.innerHeight || this.options.estimatedRowHeight * 10;
+  }
+
+  // === RENDERING === */
+  update(requiredIndex = -1) {
+    try {
+      this.computeOffsets();
+
+      const { start, end } = this.getRange(requiredIndex);
+      const keep = new Set();
+      for (let i = start; i < end; i++) {
+        keep.add(this.rows[i].key);
+      }
+
+      // Release first, so the rows that stay keep their order and need no moving
+      for (const key of this.rendered.keys()) {
+        if (!keep.has(key)) this.releaseElement(key);
+      }
+
+      let cursor = this.topSpacer.nextSibling;
+      for (let i = start; i < end; i++) {
+        const row = this.rows[i];
+        const entry = this.rendered.get(row.key);
+        let element = entry?.element;
+
+        if (entry) {
+          entry.row = row;
+          // Scrolling alone leaves the content of rows that stay as it was
+          if (this.rowsChanged) this.options.updateRow?.(row, element, i);
+        } else {
+          element = this.options.renderRow(row, i);
+          this.rendered.set(row.key, { row, element });
+          this.resizeObserver?.observe(element);
+        }
+
+        if (element === cursor) {
+          cursor = cursor.nextSibling;
+        } else {
+          this.scroller.insertBefore(element, cursor);
+        }
+      }
+
+      this.range = { start, end };
+      this.rowsChanged = false;
+      this.updateSpacers();
+
+      if (this.measure()) {
+        this.computeOffsets();
+        this.updateSpacers();
+      }
+    } catch (error) {
+      logError(error, 'VirtualList.update');
+    }
+  }
+
+  getRange(requiredIndex = -1) {
+    const count = this.rows.length;
+    if (count === 0) return { start: 0, end: 0 };
+
+    const scrollTop = this.scroller.scrollTop;
+    const viewportBottom = scrollTop + this.getViewportHeight();
+
+    let first = this.findRowAt(scrollTop);
+    let last = first;
+    while (last < count - 1 && this.offsets[last + 1] < viewportBottom) {
+      last++;
+    }
+
+    // Keyboard focus may target a row the scroll position hasn't caught up with
+    if (requiredIndex >= 0) {
+      first = Math.min(first, requiredIndex);
+      last = Math.max(last, requiredIndex);
+    }
+
+    return {
+      start: Math.max(0, first - this.options.overscan),
+      end: Math.min(count, last + 1 + this.options.overscan)
+    };
+  }
+
+  // Binary search for the row covering a scroll offset
+  findRowAt(offset) {
+    let low = 0;
+    let high = this.rows.length - 1;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.offsets[middle + 1] <= offset) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  updateSpacers() {
+    const total = this.offsets[this.rows.length];
+    this.topSpacer.style.height = `${this.offsets[this.range.start]}px`;
+    this.bottomSpacer.style.height = `${total - this.offsets[this.range.end]}px`;
+  }
+
+  // === MEASUREMENT === */
+  computeOffsets() {
+    if (!this.offsetsDirty && this.offsets.length === this.rows.length + 1) return;
+
+    const offsets = new Array(this.rows.length + 1);
+    offsets[0] = 0;
+    for (let i = 0; i < this.rows.length; i++) {
+      offsets[i + 1] = offsets[i] + (this.heights.get(this.rows[i].key) ?? this.options.estimatedRowHeight);
+    }
+
+    this.offsets = offsets;
+    this.offsetsDirty = false;
+  }
+
+  /**
+   * Records the real height of each rendered row, margins included, as the distance to the
+   * next row's top. Rows above the first visible one shift what is on screen when they
+   * change, so the scroll position absorbs that difference.
+   */
+  measure() {
+    const { start, end } = this.range;
+    if (start === end) return false;
+
+    const anchorIndex = this.findRowAt(this.scroller.scrollTop);
+    let shiftAboveAnchor = 0;
+    let changed = false;
+
+    for (let i = start; i < end; i++) {
+      const row = this.rows[i];
+      const element = this.getRowElement(i);
+      const nextElement = i + 1 < end ? this.getRowElement(i + 1) : this.bottomSpacer;
+      const height = nextElement.offsetTop - element.offsetTop;
+
+      // Nothing laid out yet (hidden list), keep the estimate
+      if (!(height > 0)) continue;
+
+      const previous = this.heights.get(row.key) ?? this.options.estimatedRowHeight;
+      if (Math.abs(previous - height) < 1) continue;
+
+      this.heights.set(row.key, height);
+      changed = true;
+      if (i < anchorIndex) {
+        shiftAboveAnchor += height - previous;
+      }
+    }
+
+    if (changed) {
+      this.offsetsDirty = true;
+      if (shiftAboveAnchor !== 0) {
+        this.scroller.scrollTop += shiftAboveAnchor;
+      }
+    }
+
+    return changed;
+  }
+
+  // === CLEANUP === */
+  releaseElement(key) {
+    const { row, element } = this.rendered.get(key);
+    this.resizeObserver?.unobserve(element);
+    this.options.releaseRow?.(row, element);
+    element.remove();
+    this.rendered.delete(key);
+  }
+
+  destroy() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+
+    for (const key of this.rendered.keys()) {
+      this.releaseElement(key);
+    }
+    this.resizeObserver?.disconnect();
+
+    this.listeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.listeners = [];
+
+    this.topSpacer.remove();
+    this.bottomSpacer.remove();
+  }
+}
+
+// === FACTORY FUNCTION === */
+export function createVirtualList(scroller, options) {
+  return new VirtualList(scroller, options);
+}
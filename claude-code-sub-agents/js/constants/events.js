@@ -16,8 +16,14 @@ export const EVENTS = {
   FILTER_STATUS_CHANGED: 'filter:status-changed',
   FILTER_PRIORITY_CHANGED: 'filter:priority-changed',
   FILTER_SEARCH_CHANGED: 'filter:search-changed',
+  FILTER_SORT_CHANGED: 'filter:sort-changed',
+  FILTER_GROUP_CHANGED: 'filter:group-changed',
   FILTER_CLEARED: 'filter:cleared',
   
+  // Saved view events
+  VIEWS_CHANGED: 'views:changed',
+  VIEW_APPLIED: 'views:applied',
+  
   // Search events
   SEARCH_QUERY_CHANGED: 'search:query-changed',
   SEARCH_RESULTS_UPDATED: 'search:results-updated',
@@ -30,6 +36,8 @@ export const EVENTS = {
   MODAL_CLOSE: 'modal:close',
   NOTIFICATION_SHOW: 'notification:show',
   NOTIFICATION_HIDE: 'notification:hide',
+  LAYOUT_CHANGED: 'layout:changed',
+  DAY_CHANGED: 'day:changed',
   
   // State events
   STATE_CHANGED: 'state:changed',
@@ -37,11 +45,15 @@ export const EVENTS = {
   STATE_LOADED: 'state:loaded',
   STATE_SAVED: 'state:saved',
   
+  // History events
+  HISTORY_CHANGED: 'history:changed',
+  
   // Storage events
   STORAGE_SAVED: 'storage:saved',
   STORAGE_LOADED: 'storage:loaded',
   STORAGE_ERROR: 'storage:error',
   STORAGE_CLEARED: 'storage:cleared',
+  STORAGE_SYNCED: 'storage:synced',
   
   // Form events
   FORM_SUBMIT: 'form:submit',
@@ -122,8 +134,10 @@ export const EVENT_NAMESPACES = {
   TASK: Object.keys(EVENTS).filter(key => key.startsWith('TASK_')).map(key => EVENTS[key]),
   FILTER: Object.keys(EVENTS).filter(key => key.startsWith('FILTER_')).map(key => EVENTS[key]),
   SEARCH: Object.keys(EVENTS).filter(key => key.startsWith('SEARCH_')).map(key => EVENTS[key]),
-  UI: Object.keys(EVENTS).filter(key => key.startsWith('THEME_') || key.startsWith('SIDEBAR_') || key.startsWith('MODAL_') || key.startsWith('NOTIFICATION_')).map(key => EVENTS[key]),
+  VIEW: Object.keys(EVENTS).filter(key => key.startsWith('VIEW')).map(key => EVENTS[key]),
+  UI: Object.keys(EVENTS).filter(key => key.startsWith('THEME_') || key.startsWith('SIDEBAR_') || key.startsWith('MODAL_') || key.startsWith('NOTIFICATION_') || key.startsWith('LAYOUT_') || key.startsWith('DAY_')).map(key => EVENTS[key]),
   STATE: Object.keys(EVENTS).filter(key => key.startsWith('STATE_')).map(key => EVENTS[key]),
+  HISTORY: Object.keys(EVENTS).filter(key => key.startsWith('HISTORY_')).map(key => EVENTS[key]),
   STORAGE: Object.keys(EVENTS).filter(key => key.startsWith('STORAGE_')).map(key => EVENTS[key]),
   FORM: Object.keys(EVENTS).filter(key => key.startsWith('FORM_')).map(key => EVENTS[key]),
   APP: Object.keys(EVENTS).filter(key => key.startsWith('APP_')).map(key => EVENTS[key]),
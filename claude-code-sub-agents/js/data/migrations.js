@@ -0,0 +1,146 @@
+// js/data/migrations.js
+// Ordered, versioned transforms for persisted data
+
+import { createError } from '../utils/helpers.js';
+
+/**
+ * @typedef {Object} StoredData
+ * @property {Object[]} tasks - Raw task objects as read from storage
+ * @property {Object|null} settings - Raw settings object (unwrapped), if any
+ * @property {Object|null} uiState - Raw UI state object (unwrapped), if any
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @property {string} version - Version the data is at once this step has run
+ * @property {string} description - Human-readable summary, used in logs
+ * @property {function(StoredData): StoredData} migrate - Pure transform; throw to abort the run
+ */
+
+// Version assumed for data written before versions were tracked
+export const BASELINE_VERSION = '1.0.0';
+
+/** @type {Migration[]} */
+const migrations = [
+  {
+    version: '1.1.0',
+    description: 'Backfill title/text and optional task fields introduced by createTask()',
+    migrate(data) {
+      return {
+        ...data,
+        tasks: data.tasks.map(task => ({
+          ...task,
+          title: task.title || task.text,
+          text: task.text || task.title,
+          category: task.category || undefined,
+          dueDate: task.dueDate || undefined,
+          completedAt: task.completed ? (task.completedAt || task.updatedAt || null) : null
+        }))
+      };
+    }
+  },
+  {
+    version: '1.2.0',
+    description: 'Give every task a subtasks array for checklists',
+    migrate(data) {
+      return {
+        ...data,
+        tasks: data.tasks.map(task => ({
+          ...task,
+          subtasks: Array.isArray(task.subtasks) ? task.subtasks : []
+        }))
+      };
+    }
+  },
+  {
+    version: '1.3.0',
+    description: 'Number tasks for manual ordering, newest first as the default sort shows them',
+    migrate(data) {
+      const newestFirst = data.tasks
+        .filter(task => !Number.isFinite(task.order))
+        .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+      const start = data.tasks.reduce((max, task) => Number.isFinite(task.order) ? Math.max(max, task.order + 1) : max, 0);
+      const orders = new Map(newestFirst.map((task, index) => [task, start + index]));
+
+      return {
+        ...data,
+        tasks: data.tasks.map(task => orders.has(task) ? { ...task, order: orders.get(task) } : task)
+      };
+    }
+  }
+];
+
+// === REGISTRY === */
+export function registerMigration(migration) {
+  if (!migration || !migration.version || typeof migration.migrate !== 'function') {
+    throw new Error('A migration needs a version and a migrate function');
+  }
+  if (migrations.some(existing => existing.version === migration.version)) {
+    throw new Error(`A migration for version ${migration.version} is already registered`);
+  }
+
+  migrations.push(migration);
+  migrations.sort((a, b) => compareVersions(a.version, b.version));
+}
+
+export function getMigrations() {
+  return [...migrations];
+}
+
+export function getLatestVersion() {
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : BASELINE_VERSION;
+}
+
+export function getPendingMigrations(fromVersion, toVersion = getLatestVersion()) {
+  const from = fromVersion || BASELINE_VERSION;
+
+  return migrations.filter(migration =>
+    compareVersions(migration.version, from) > 0 &&
+    compareVersions(migration.version, toVersion) <= 0
+  );
+}
+
+// === RUNNER === */
+export function runMigrations(data, fromVersion, toVersion = getLatestVersion()) {
+  const pending = getPendingMigrations(fromVersion, toVersion);
+  let current = {
+    tasks: Array.isArray(data.tasks) ? data.tasks : [],
+    settings: data.settings || null,
+    uiState: data.uiState || null
+  };
+
+  pending.forEach(migration => {
+    try {
+      const result = migration.migrate(current);
+      if (!result || !Array.isArray(result.tasks)) {
+        throw new Error('Migration must return data with a tasks array');
+      }
+      current = result;
+    } catch (error) {
+      throw createError(
+        `Migration to ${migration.version} failed: ${error.message}`,
+        'MigrationError',
+        { version: migration.version, cause: error }
+      );
+    }
+  });
+
+  return {
+    data: current,
+    applied: pending.map(migration => migration.version)
+  };
+}
+
+// === VERSION HELPERS === */
+export function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+
+  return 0;
+}
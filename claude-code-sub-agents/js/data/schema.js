@@ -13,6 +13,47 @@
  * @property {string} [createdAt] - ISO date string for creation time
  * @property {string} [updatedAt] - ISO date string for last update time
  * @property {string} [completedAt] - ISO date string for completion time (if completed)
+ * @property {Subtask[]} subtasks - Checklist items, in display order
+ * @property {string[]} [tags] - Free-form labels, written "@home" in quick add
+ * @property {string} [notes] - Longer free-form description, searched along with the title
+ * @property {Recurrence|null} [recurrence] - Repeat rule; completing the task schedules the next occurrence
+ * @property {string} [nextOccurrenceId] - Task created when this occurrence was completed
+ * @property {number} [order] - Position in the manual sort, lowest first; new tasks get the lowest
+ * @property {string} [plannedFor] - Day (YYYY-MM-DD) an undated task was put on the Today agenda
+ * @property {boolean} [important] - Set in the matrix; without it, importance follows the priority
+ * @property {TodoTxtExtras} [todoTxt] - What an imported todo.txt line had beyond the task's fields
+ * @property {{ uid: string }} [ical] - UID of an imported iCalendar to-do, exported again in place of one made from the id
+ */
+
+/**
+ * @typedef {Object} TodoTxtExtras
+ * @property {string} [priority] - Letter other than the usual A, B or C for the priority, e.g. 'D'
+ * @property {string[]} [words] - The description's words in their order, when it had more than a title
+ * @property {boolean} [undated] - The line had no creation date
+ * @property {boolean} [completedLetter] - The completed line kept its "(A)" rather than a "pri:A"
+ */
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {string} frequency - 'daily' | 'weekdays' | 'weekly' | 'monthly'
+ * @property {number} interval - Repeat every N days, weeks or months (default 1)
+ * @property {number[]} [weekdays] - Weekly: days to repeat on, 0 = Sunday
+ * @property {string} [monthlyBy] - Monthly: 'date' (e.g. the 15th) or 'weekday' (e.g. the 2nd Tuesday)
+ * @property {number} [monthDay] - Monthly by date: 1-31, clamped to short months
+ * @property {number} [weekOfMonth] - Monthly by weekday: 1-4, or -1 for the last one
+ * @property {number} [weekday] - Monthly by weekday: 0 = Sunday
+ * @property {string} [until] - Last date (YYYY-MM-DD) an occurrence may fall on
+ */
+
+/**
+ * @typedef {Object} Subtask
+ * @property {string} id - Unique identifier for the subtask
+ * @property {string} title - Subtask title
+ * @property {boolean} completed - Completion status
+ * @property {string} createdAt - ISO date string for creation time
+ * @property {string} updatedAt - ISO date string for last update time
+ * @property {string|null} completedAt - ISO date string for completion time (if completed)
+ * @property {Object} [taskFields] - A demoted task's priority, category, notes and the like, restored when it's promoted
  */
 
 /**
@@ -32,7 +73,8 @@ export const initialState = {
 };
 
 // Task model factory
-export function createTask({ text, title, priority = 'medium', category, dueDate }) {
+// Changing the stored shape? Register a matching step in ./migrations.js so existing data is upgraded
+export function createTask({ text, title, priority = 'medium', category, dueDate, tags = [], recurrence = null }) {
   const now = new Date().toISOString();
   
   return {
@@ -46,5 +88,37 @@ export function createTask({ text, title, priority = 'medium', category, dueDate
     createdAt: now,
     updatedAt: now,
     completedAt: null,
+    subtasks: [],
+    tags,
+    recurrence,
+  };
+}
+
+// Subtask model factory
+export function createSubtask({ title }) {
+  const now = new Date().toISOString();
+
+  return {
+    id: crypto.randomUUID ? crypto.randomUUID() : String(Date.now()) + Math.random().toString(36).slice(2),
+    title,
+    completed: false,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+  };
+}
+
+// Manual sort position; tasks that never had one sort ahead of the rest, like new tasks do
+export function getTaskOrder(task) {
+  return Number.isFinite(task?.order) ? task.order : -Infinity;
+}
+
+// Parent progress, e.g. { completed: 3, total: 5 } for a "3/5" indicator
+export function getSubtaskProgress(task) {
+  const subtasks = Array.isArray(task?.subtasks) ? task.subtasks : [];
+
+  return {
+    completed: subtasks.filter(subtask => subtask.completed).length,
+    total: subtasks.length,
   };
 }
@@ -0,0 +1,407 @@
+/* Search Index */
+
+import { EVENTS } from '../constants/events.js';
+import { logError } from '../utils/helpers.js';
+
+// === INDEX CONSTANTS === */
+// Where a word appears decides how much a match counts
+const FIELD_WEIGHTS = [
+  ['title', 3],
+  ['tags', 2],
+  ['category', 2],
+  ['notes', 1]
+];
+
+// These replace the whole task list without per-task events, so the index starts over
+const REBUILD_SOURCES = new Set([
+  'init:loadTasks',
+  'taskManager.init',
+  'taskManager.loadFromStorage'
+]);
+
+const SIMILARITY = {
+  exact: 1,
+  prefix: 0.6,      // plus up to 0.3 for how much of the word was typed
+  substring: 0.5,
+  perEdit: 0.25     // deducted per typo
+};
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+// === TEXT HELPERS === */
+// Lowercase, accent-free words; titles are stored HTML-escaped, so entities are decoded first
+export function tokenizeText(text) {
+  return String(text || '')
+    .replace(/&(amp|lt|gt|quot|#39);/g, entity => HTML_ENTITIES[entity])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function getFieldText(task, field) {
+  const value = task[field];
+  return Array.isArray(value) ? value.join(' ') : value;
+}
+
+function getTrigrams(text) {
+  const grams = new Set();
+  for (let i = 0; i + 3 <= text.length; i++) {
+    grams.add(text.slice(i, i + 3));
+  }
+  return grams;
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      // Swapped neighbours ("teh") count as one typo
+      if (previousRow && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+function getMaxEdits(token) {
+  if (token.length <= 3) return 0;
+  return token.length <= 6 ? 1 : 2;
+}
+
+// === SEARCH INDEX CLASS === */
+export class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // taskId -> { signature, terms: Map<term, weight> }
+    this.postings = new Map();  // term -> Map<taskId, weight>
+    this.trigrams = new Map();  // trigram of "^term$" -> Set<term>
+    this.listeners = [];
+    this.isStarted = false;
+
+    this.handleTaskChanged = this.handleTaskChanged.bind(this);
+    this.handleTaskDeleted = this.handleTaskDeleted.bind(this);
+    this.handleBulkDelete = this.handleBulkDelete.bind(this);
+    this.handleStateChanged = this.handleStateChanged.bind(this);
+    this.handleCleared = this.handleCleared.bind(this);
+  }
+
+  // === LIFECYCLE === */
+  start(tasks = []) {
+    if (this.isStarted) return;
+
+    try {
+      this.rebuild(tasks);
+
+      this.addListener(document, EVENTS.TASK_CREATED, this.handleTaskChanged);
+      this.addListener(document, EVENTS.TASK_UPDATED, this.handleTaskChanged);
+      this.addListener(document, EVENTS.TASK_DELETED, this.handleTaskDeleted);
+      this.addListener(document, EVENTS.BULK_DELETE, this.handleBulkDelete);
+      this.addListener(document, EVENTS.STATE_CHANGED, this.handleStateChanged);
+      this.addListener(document, EVENTS.STORAGE_CLEARED, this.handleCleared);
+      this.addListener(document, EVENTS.STORAGE_SYNCED, this.handleCleared);
+
+      this.isStarted = true;
+    } catch (error) {
+      logError(error, 'SearchIndex.start');
+    }
+  }
+
+  stop() {
+    this.listeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.listeners = [];
+    this.isStarted = false;
+  }
+
+  addListener(element, event, handler) {
+    element.addEventListener(event, handler);
+    this.listeners.push({ element, event, handler });
+  }
+
+  // === EVENT HANDLERS === */
+  handleTaskChanged(event) {
+    const task = event.detail?.task;
+    if (task?.id) {
+      this.indexTask(task);
+    }
+  }
+
+  handleTaskDeleted(event) {
+    const task = event.detail?.task;
+    if (task?.id) {
+      this.removeTask(task.id);
+    }
+  }
+
+  handleBulkDelete(event) {
+    (event.detail?.tasks || []).forEach(task => this.removeTask(task.id));
+  }
+
+  handleStateChanged(event) {
+    const { source, newState } = event.detail || {};
+    if (REBUILD_SOURCES.has(source) && newState?.tasks) {
+      this.rebuild(newState.tasks);
+    }
+  }
+
+  handleCleared(event) {
+    // STORAGE_SYNCED also reports ordinary edits, those arrive as task events
+    if (event.type === EVENTS.STORAGE_CLEARED || event.detail?.type === 'cleared') {
+      this.clear();
+    }
+  }
+
+  // === INDEXING === */
+  rebuild(tasks) {
+    this.clear();
+    tasks.forEach(task => this.indexTask(task));
+  }
+
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.trigrams.clear();
+  }
+
+  indexTask(task) {
+    // Completing or reordering a task fires updates that change no searchable text
+    const signature = FIELD_WEIGHTS.map(([field]) => getFieldText(task, field) || '').join('\u0000');
+    const existing = this.documents.get(task.id);
+    if (existing && existing.signature === signature) return;
+
+    if (existing) {
+      this.removeTask(task.id);
+    }
+
+    const terms = new Map();
+    FIELD_WEIGHTS.forEach(([field, weight]) => {
+      tokenizeText(getFieldText(task, field)).forEach(term => {
+        terms.set(term, (terms.get(term) || 0) + weight);
+      });
+    });
+
+    this.documents.set(task.id, { signature, terms });
+
+    terms.forEach((weight, term) => {
+      let posting = this.postings.get(term);
+      if (!posting) {
+        posting = new Map();
+        this.postings.set(term, posting);
+        this.addTrigrams(term);
+      }
+      posting.set(task.id, weight);
+    });
+  }
+
+  removeTask(taskId) {
+    const document = this.documents.get(taskId);
+    if (!document) return;
+
+    document.terms.forEach((weight, term) => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+
+      posting.delete(taskId);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        this.removeTrigrams(term);
+      }
+    });
+
+    this.documents.delete(taskId);
+  }
+
+  addTrigrams(term) {
+    getTrigrams(`^${term}$`).forEach(gram => {
+      if (!this.trigrams.has(gram)) {
+        this.trigrams.set(gram, new Set());
+      }
+      this.trigrams.get(gram).add(term);
+    });
+  }
+
+  removeTrigrams(term) {
+    getTrigrams(`^${term}$`).forEach(gram => {
+      const terms = this.trigrams.get(gram);
+      if (!terms) return;
+
+      terms.delete(term);
+      if (terms.size === 0) {
+        this.trigrams.delete(gram);
+      }
+    });
+  }
+
+  // === QUERYING === */
+  /**
+   * Scores every task matching all words of `text`, keyed by task id. Each word matches indexed
+   * words exactly, as a prefix (for the word still being typed), inside a longer word, or with
+   * one typo from four letters and two from seven; rarer words and title matches rank higher.
+   */
+  search(text) {
+    const tokens = [...new Set(tokenizeText(text))];
+    if (tokens.length === 0) return new Map();
+
+    let results = null;
+
+    for (const token of tokens) {
+      const tokenScores = new Map();
+      const documentCount = Math.max(this.documents.size, 1);
+
+      this.expandTerm(token).forEach((similarity, term) => {
+        const posting = this.postings.get(term);
+        const idf = Math.log(1 + documentCount / posting.size);
+
+        posting.forEach((weight, taskId) => {
+          const score = similarity * idf * Math.log1p(weight);
+          if (score > (tokenScores.get(taskId) || 0)) {
+            tokenScores.set(taskId, score);
+          }
+        });
+      });
+
+      // Every word has to match somewhere
+      if (results === null) {
+        results = tokenScores;
+      } else {
+        const combined = new Map();
+        tokenScores.forEach((score, taskId) => {
+          if (results.has(taskId)) {
+            combined.set(taskId, results.get(taskId) + score);
+          }
+        });
+        results = combined;
+      }
+
+      if (results.size === 0) break;
+    }
+
+    return results;
+  }
+
+  // Indexed words a query word stands for, with how closely each matches
+  expandTerm(token) {
+    const matches = new Map();
+    const consider = (term, similarity) => {
+      if (similarity > (matches.get(term) || 0)) {
+        matches.set(term, similarity);
+      }
+    };
+
+    if (this.postings.has(token)) {
+      consider(token, SIMILARITY.exact);
+    }
+
+    const prefixSimilarity = term => SIMILARITY.prefix + 0.3 * (token.length / term.length);
+
+    if (token.length < 2) {
+      // Too short for trigrams, the vocabulary is small enough to scan
+      this.postings.forEach((posting, term) => {
+        if (term.startsWith(token)) consider(term, prefixSimilarity(term));
+      });
+      return matches;
+    }
+
+    this.findCandidates(`^${token}`).forEach(term => {
+      if (term.startsWith(token)) consider(term, prefixSimilarity(term));
+    });
+
+    if (token.length >= 3) {
+      this.findCandidates(token).forEach(term => {
+        if (term.includes(token)) consider(term, SIMILARITY.substring);
+      });
+    }
+
+    const maxEdits = getMaxEdits(token);
+    if (maxEdits > 0) {
+      this.findFuzzyCandidates(token, maxEdits).forEach(term => {
+        const distance = editDistance(token, term, maxEdits);
+        if (distance <= maxEdits) {
+          consider(term, SIMILARITY.exact - SIMILARITY.perEdit * distance);
+        }
+      });
+    }
+
+    return matches;
+  }
+
+  // Words containing every trigram of `fragment`
+  findCandidates(fragment) {
+    const grams = [...getTrigrams(fragment)];
+    if (grams.length === 0) return [];
+
+    const sets = grams.map(gram => this.trigrams.get(gram));
+    if (sets.some(set => !set)) return [];
+
+    sets.sort((a, b) => a.size - b.size);
+    return [...sets[0]].filter(term => sets.every(set => set.has(term)));
+  }
+
+  // A typo breaks at most four trigrams (a swap does), so close words still share the rest
+  findFuzzyCandidates(token, maxEdits) {
+    const grams = getTrigrams(`^${token}$`);
+    const required = grams.size - 4 * maxEdits;
+    const isCloseInLength = term => Math.abs(term.length - token.length) <= maxEdits;
+
+    // Short words can lose every trigram to one typo, check the whole vocabulary instead
+    if (required < 1) {
+      return [...this.postings.keys()].filter(isCloseInLength);
+    }
+
+    const shared = new Map();
+    grams.forEach(gram => {
+      this.trigrams.get(gram)?.forEach(term => {
+        shared.set(term, (shared.get(term) || 0) + 1);
+      });
+    });
+
+    return [...shared]
+      .filter(([term, count]) => count >= required && isCloseInLength(term))
+      .map(([term]) => term);
+  }
+
+  // === PUBLIC API === */
+  getMatchingTerms(text) {
+    return tokenizeText(text).flatMap(token => [...this.expandTerm(token).keys()]);
+  }
+
+  getStats() {
+    return {
+      documents: this.documents.size,
+      terms: this.postings.size,
+      trigrams: this.trigrams.size
+    };
+  }
+}
+
+// === SINGLETON INSTANCE === */
+let searchIndexInstance = null;
+
+export function getSearchIndex() {
+  if (!searchIndexInstance) {
+    searchIndexInstance = new SearchIndex();
+  }
+  return searchIndexInstance;
+}
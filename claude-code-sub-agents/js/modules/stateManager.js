@@ -1,7 +1,11 @@
 /* State Management System */
 
 import { EVENTS } from '../constants/events.js';
-import { generateId, deepClone, logError, emit } from '../utils/helpers.js';
+import { generateId, deepClone, logError, emit, truncateText } from '../utils/helpers.js';
+import { createSearchMatcher, sortByRelevance, matchesDueWindow } from '../utils/searchQuery.js';
+import { getSearchIndex } from './searchIndex.js';
+import { getTaskOrder } from '../data/schema.js';
+import { toLocalDateString } from '../utils/dateUtils.js';
 
 // === STATE MANAGER CLASS === */
 import { getStorageService } from './storage.js';
@@ -11,8 +15,10 @@ export class StateManager {
     this.state = this.getInitialState();
     this.subscribers = new Set();
     this.middleware = [];
-    this.history = [];
+    this.undoStack = [];
+    this.redoStack = [];
     this.maxHistorySize = 50;
+    this.batchDepth = 0;
     this.isUpdating = false;
 
     // Load tasks from storage if available
@@ -36,7 +42,9 @@ export class StateManager {
       filters: {
         status: 'all',        // 'all', 'active', 'completed'
         priority: 'all',      // 'all', 'low', 'medium', 'high'
-        searchQuery: ''
+        searchQuery: '',
+        category: 'all',      // 'all' or a category name
+        due: 'all'            // 'all', 'overdue', 'today', 'agenda', 'week', 'month', 'any', 'none'
       },
       ui: {
         theme: 'light',       // 'light', 'dark'
@@ -48,26 +56,39 @@ export class StateManager {
           type: 'info',       // 'success', 'error', 'warning', 'info'
           visible: false,
           autoHide: true,
-          duration: 5000
+          duration: 5000,
+          action: null        // { label, handler } rendered as a button
         },
         loading: false,
         editingTaskId: null,
-        selectedTaskIds: []
+        selectedTaskIds: [],
+        layout: 'list',       // 'list', 'board', 'calendar', 'agenda', 'matrix'
+        today: toLocalDateString(new Date()) // day the due dates are shown against, see setToday()
       },
       settings: {
         maxTasks: 1000,
         autoSave: true,
         confirmDeletion: true,
         showCompletedTasks: true,
-        taskSortBy: 'createdAt',    // 'createdAt', 'updatedAt', 'title', 'priority'
-        taskSortDirection: 'desc'   // 'asc', 'desc'
+        taskSortBy: 'createdAt',    // 'createdAt', 'updatedAt', 'title', 'priority', 'dueDate'
+        taskSortDirection: 'desc',  // 'asc', 'desc'
+        taskSortThenBy: [],         // tie-breakers, [{ by, direction }]
+        taskGroupBy: 'none',        // 'none', 'priority', 'category', 'due', 'completedAt'
+        boardColumnsBy: 'status',   // 'status', 'priority', 'category'
+        boardWipLimits: {},         // column id, e.g. 'priority:high', -> most tasks it should hold
+        calendarMode: 'month',      // 'month', 'week'
+        matrixUrgentDays: 2,        // urgent when overdue or due within this many days
+        matrixImportantPriority: 'high', // lowest priority counted important: 'high', 'medium'
+        completeSubtasksWithParent: true
       },
       statistics: {
         totalTasks: 0,
         completedTasks: 0,
         activeTasks: 0,
         todayCreated: 0,
-        todayCompleted: 0
+        todayCompleted: 0,
+        totalSubtasks: 0,
+        completedSubtasks: 0
       },
       lastUpdated: new Date().toISOString()
     };
@@ -98,9 +119,6 @@ export class StateManager {
       this.state = processedState;
       this.state.lastUpdated = new Date().toISOString();
       
-      // Add to history
-      this.addToHistory(previousState, source);
-      
       // Update statistics
       this.updateStatistics();
       
@@ -124,7 +142,9 @@ export class StateManager {
 
   applyUpdates(currentState, updates) {
     if (typeof updates === 'function') {
-      return updates(deepClone(currentState));
+      // Updaters return only the slices they touch, keep the rest of the state
+      const draft = deepClone(currentState);
+      return { ...draft, ...updates(draft) };
     }
     
     const newState = deepClone(currentState);
@@ -152,12 +172,12 @@ export class StateManager {
       priority: taskData.priority || 'medium',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
+      subtasks: [],
+      order: getTopOrder(this.state.tasks),
       ...taskData
     };
 
-    this.setState(state => ({
-      tasks: [...state.tasks, task]
-    }), 'addTask');
+    this.runTaskCommand(`Add ${describeTask(task)}`, 'add', 'addTask', tasks => [...tasks, task]);
 
     // Persist to storage
     const storage = getStorageService();
@@ -168,21 +188,22 @@ export class StateManager {
     return task;
   }
 
-  updateTask(taskId, updates) {
+  updateTask(taskId, updates, label = null) {
     const taskIndex = this.state.tasks.findIndex(task => task.id === taskId);
     if (taskIndex === -1) {
       throw new Error(`Task with id ${taskId} not found`);
     }
 
-    this.setState(state => {
-      const newTasks = [...state.tasks];
+    const commandLabel = label || `Edit ${describeTask(this.state.tasks[taskIndex])}`;
+    this.runTaskCommand(commandLabel, 'update', 'updateTask', tasks => {
+      const newTasks = [...tasks];
       newTasks[taskIndex] = {
         ...newTasks[taskIndex],
         ...updates,
         updatedAt: new Date().toISOString()
       };
-      return { tasks: newTasks };
-    }, 'updateTask');
+      return newTasks;
+    });
 
     // Persist to storage
     const storage = getStorageService();
@@ -199,9 +220,9 @@ export class StateManager {
       throw new Error(`Task with id ${taskId} not found`);
     }
 
-    this.setState(state => ({
-      tasks: state.tasks.filter(t => t.id !== taskId)
-    }), 'deleteTask');
+    this.runTaskCommand(`Delete ${describeTask(task)}`, 'delete', 'deleteTask', tasks =>
+      tasks.filter(t => t.id !== taskId)
+    );
 
     // Persist to storage
     const storage = getStorageService();
@@ -218,12 +239,10 @@ export class StateManager {
     }
 
     const wasCompleted = task.completed;
-    const updates = {
-      completed: !wasCompleted,
-      completedAt: !wasCompleted ? new Date().toISOString() : null
-    };
+    const updates = getCompletionUpdates(task, !wasCompleted, this.state.settings, new Date().toISOString());
 
-    const updatedTask = this.updateTask(taskId, updates);
+    const label = `${wasCompleted ? 'Reopen' : 'Complete'} ${describeTask(task)}`;
+    const updatedTask = this.updateTask(taskId, updates, label);
     
     emit(document, wasCompleted ? EVENTS.TASK_UNCOMPLETED : EVENTS.TASK_COMPLETED, { 
       task: updatedTask 
@@ -240,21 +259,166 @@ export class StateManager {
     return [...this.state.tasks];
   }
 
+  // Cheap reads for per-row rendering, getState() clones every task
+  getFilters() {
+    return { ...this.state.filters };
+  }
+
+  getSetting(key) {
+    return this.state.settings[key];
+  }
+
+  // === SUBTASK HIERARCHY === */
+  promoteSubtask(taskId, subtaskId) {
+    const parentIndex = this.state.tasks.findIndex(task => task.id === taskId);
+    const parent = this.state.tasks[parentIndex];
+    const subtask = parent?.subtasks?.find(item => item.id === subtaskId);
+    if (!subtask) {
+      throw new Error(`Subtask with id ${subtaskId} not found`);
+    }
+
+    const now = new Date().toISOString();
+    const { id, title, completed, completedAt, createdAt, taskFields } = subtask;
+    // A subtask that was a task gets back what it had; others take the parent's priority
+    const task = {
+      priority: parent.priority || 'medium',
+      ...taskFields,
+      id,
+      title,
+      completed,
+      completedAt,
+      createdAt,
+      updatedAt: now,
+      subtasks: []
+    };
+
+    this.runTaskCommand(`Promote ${describeTask(subtask)}`, 'update', 'promoteSubtask', tasks => {
+      // In the manual order too, it follows its former parent
+      let newTasks = [...tasks];
+      let order = getOrderBetween(newTasks, taskId, null);
+      if (order === null) {
+        newTasks = renumberTaskOrder(newTasks);
+        order = getOrderBetween(newTasks, taskId, null);
+      }
+
+      newTasks[parentIndex] = {
+        ...newTasks[parentIndex],
+        subtasks: parent.subtasks.filter(item => item.id !== subtaskId),
+        updatedAt: now
+      };
+      // The promoted task sits right below its former parent
+      newTasks.splice(parentIndex + 1, 0, { ...task, order });
+      return newTasks;
+    });
+
+    const storage = getStorageService();
+    storage.saveTasks(this.state.tasks);
+
+    emit(document, EVENTS.TASK_UPDATED, { task: this.getTask(taskId) });
+    emit(document, EVENTS.TASK_CREATED, { task: this.getTask(id) });
+    return this.getTask(id);
+  }
+
+  demoteTask(taskId, parentId) {
+    const task = this.getTask(taskId);
+    const parent = this.getTask(parentId);
+    if (!task || !parent) {
+      throw new Error(`Task with id ${task ? parentId : taskId} not found`);
+    }
+    if (taskId === parentId) {
+      throw new Error('A task cannot become its own subtask');
+    }
+
+    const now = new Date().toISOString();
+    // What a subtask has no place for is kept on it, for promoteSubtask to give back
+    const {
+      id, title, completed, completedAt, createdAt, text, updatedAt, order, subtasks: checklist, ...taskFields
+    } = task;
+    // Subtasks are one level deep, so the demoted task's own checklist moves up beside it
+    const subtasks = [
+      ...(parent.subtasks || []),
+      { id, title, completed, completedAt: completedAt || null, createdAt, updatedAt: now, taskFields },
+      ...(checklist || [])
+    ];
+
+    this.runTaskCommand(`Demote ${describeTask(task)}`, 'update', 'demoteTask', tasks =>
+      tasks
+        .filter(item => item.id !== taskId)
+        .map(item => item.id === parentId ? { ...item, subtasks, updatedAt: now } : item)
+    );
+
+    const storage = getStorageService();
+    storage.saveTasks(this.state.tasks);
+
+    emit(document, EVENTS.TASK_DELETED, { task });
+    const updatedParent = this.getTask(parentId);
+    emit(document, EVENTS.TASK_UPDATED, { task: updatedParent });
+    return updatedParent;
+  }
+
+  // === MANUAL ORDER === */
+  /**
+   * Moves a task in the manual order to sit between `afterId` and `beforeId`; give one and the
+   * task goes right next to it, give neither and it goes to the top. A null placement keeps its
+   * order. `changes` are applied in the same undo step, as when the task is dropped into another
+   * group; they must already be sanitized.
+   */
+  moveTask(taskId, placement, changes = {}) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task with id ${taskId} not found`);
+    }
+
+    const now = new Date().toISOString();
+    this.runTaskCommand(`Move ${describeTask(task)}`, 'update', 'moveTask', tasks => {
+      if (!placement) {
+        return tasks.map(item => item.id === taskId ? { ...item, ...changes, updatedAt: now } : item);
+      }
+
+      const { afterId = null, beforeId = null } = placement;
+      const others = newTasks => newTasks.filter(item => item.id !== taskId);
+      let newTasks = tasks;
+      let order = getOrderBetween(others(newTasks), afterId, beforeId);
+
+      // Out of room between the two, spread everything out again first
+      if (order === null) {
+        newTasks = renumberTaskOrder(newTasks);
+        order = getOrderBetween(others(newTasks), afterId, beforeId);
+      }
+
+      return newTasks.map(item => item.id === taskId ? { ...item, ...changes, order, updatedAt: now } : item);
+    });
+
+    const storage = getStorageService();
+    storage.saveTasks(this.state.tasks);
+
+    const updatedTask = this.getTask(taskId);
+    emit(document, EVENTS.TASK_UPDATED, { task: updatedTask, updates: { ...changes, order: updatedTask.order } });
+    return updatedTask;
+  }
+
   // === BULK OPERATIONS === */
   addMultipleTasks(tasksData) {
-    const tasks = tasksData.map(taskData => ({
+    // Added above the existing tasks, keeping their own order
+    const topOrder = getTopOrder(this.state.tasks) - tasksData.length + 1;
+    const tasks = tasksData.map((taskData, index) => ({
       id: generateId(),
       title: taskData.title,
       completed: false,
       priority: taskData.priority || 'medium',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
+      subtasks: [],
+      order: topOrder + index,
       ...taskData
     }));
 
-    this.setState(state => ({
-      tasks: [...state.tasks, ...tasks]
-    }), 'addMultipleTasks');
+    this.runTaskCommand(`Add ${pluralizeTasks(tasks.length)}`, 'add', 'addMultipleTasks', currentTasks =>
+      [...currentTasks, ...tasks]
+    );
+
+    const storage = getStorageService();
+    storage.saveTasks(this.state.tasks);
 
     tasks.forEach(task => {
       emit(document, EVENTS.TASK_CREATED, { task });
@@ -266,20 +430,56 @@ export class StateManager {
   deleteMultipleTasks(taskIds) {
     const tasksToDelete = this.state.tasks.filter(task => taskIds.includes(task.id));
     
-    this.setState(state => ({
-      tasks: state.tasks.filter(task => !taskIds.includes(task.id))
-    }), 'deleteMultipleTasks');
+    this.runTaskCommand(`Delete ${pluralizeTasks(tasksToDelete.length)}`, 'delete', 'deleteMultipleTasks', tasks =>
+      tasks.filter(task => !taskIds.includes(task.id))
+    );
 
     emit(document, EVENTS.BULK_DELETE, { tasks: tasksToDelete });
     return tasksToDelete;
   }
 
+  /**
+   * Applies `updates` to several tasks as one undo step. `updates` may be a function of each
+   * task returning its own; values must already be sanitized.
+   */
+  updateMultipleTasks(taskIds, updates, label) {
+    const ids = new Set(taskIds);
+    const now = new Date().toISOString();
+
+    this.runTaskCommand(label, 'update', 'updateMultipleTasks', tasks =>
+      tasks.map(task => ids.has(task.id)
+        ? { ...task, ...(typeof updates === 'function' ? updates(task) : updates), updatedAt: now }
+        : task)
+    );
+
+    const storage = getStorageService();
+    storage.saveTasks(this.state.tasks);
+
+    const updatedTasks = this.state.tasks.filter(task => ids.has(task.id));
+    updatedTasks.forEach(task => {
+      emit(document, EVENTS.TASK_UPDATED, { task, updates: typeof updates === 'function' ? updates(task) : updates });
+    });
+    return updatedTasks;
+  }
+
+  // Completes, or reopens, the tasks not already that way; returns the ones that changed
+  setTasksCompleted(taskIds, completed) {
+    const changing = this.state.tasks.filter(task => taskIds.includes(task.id) && task.completed !== completed);
+    if (changing.length === 0) return [];
+
+    const now = new Date().toISOString();
+    const updatesById = new Map(changing.map(task => [task.id, getCompletionUpdates(task, completed, this.state.settings, now)]));
+    const label = `${completed ? 'Complete' : 'Reopen'} ${pluralizeTasks(changing.length)}`;
+
+    return this.updateMultipleTasks([...updatesById.keys()], task => updatesById.get(task.id), label);
+  }
+
   clearCompletedTasks() {
     const completedTasks = this.state.tasks.filter(task => task.completed);
     
-    this.setState(state => ({
-      tasks: state.tasks.filter(task => !task.completed)
-    }), 'clearCompletedTasks');
+    this.runTaskCommand(`Clear completed (${pluralizeTasks(completedTasks.length)})`, 'delete', 'clearCompletedTasks', tasks =>
+      tasks.filter(task => !task.completed)
+    );
 
     return completedTasks;
   }
@@ -300,6 +500,60 @@ export class StateManager {
     });
   }
 
+  // Replaces several filters in one update, as applying a saved view does
+  setFilters(filters) {
+    this.setState(state => ({
+      filters: {
+        ...state.filters,
+        ...filters
+      }
+    }), 'setFilters');
+
+    emit(document, EVENTS.FILTER_CHANGED, {
+      filterType: null,
+      value: filters,
+      filters: this.state.filters
+    });
+  }
+
+  // The list order lives in settings, so it is saved along with them
+  setSortOrder(sortBy, direction, thenBy = []) {
+    this.setState(state => ({
+      settings: {
+        ...state.settings,
+        taskSortBy: sortBy,
+        taskSortDirection: direction,
+        taskSortThenBy: thenBy.map(({ by, direction }) => ({ by, direction }))
+      }
+    }), 'setSortOrder');
+    this.saveSettings();
+
+    emit(document, EVENTS.FILTER_SORT_CHANGED, { sortBy, direction, thenBy, keys: this.getSortKeys() });
+  }
+
+  getSortOrder() {
+    const { taskSortBy, taskSortDirection, taskSortThenBy = [] } = this.state.settings;
+    return { by: taskSortBy, direction: taskSortDirection, thenBy: deepClone(taskSortThenBy) };
+  }
+
+  // The sort order as a list of keys, the form TaskManager.sortTasks() takes
+  getSortKeys() {
+    const { by, direction, thenBy } = this.getSortOrder();
+    return [{ by, direction }, ...thenBy];
+  }
+
+  setGroupBy(groupBy) {
+    this.setState(state => ({
+      settings: {
+        ...state.settings,
+        taskGroupBy: groupBy
+      }
+    }), 'setGroupBy');
+    this.saveSettings();
+
+    emit(document, EVENTS.FILTER_GROUP_CHANGED, { groupBy });
+  }
+
   clearFilters() {
     const defaultFilters = this.getInitialState().filters;
     
@@ -310,25 +564,51 @@ export class StateManager {
     emit(document, EVENTS.FILTER_CLEARED, { filters: this.state.filters });
   }
 
-  getFilteredTasks() {
-    const { tasks, filters } = this.state;
-    
-    return tasks.filter(task => {
+  // Predicate for a search query, see utils/searchQuery.js for the query language
+  getSearchMatcher(query = this.state.filters.searchQuery) {
+    const searchIndex = getSearchIndex();
+    return createSearchMatcher(query, {
+      index: searchIndex.isStarted ? searchIndex : null
+    });
+  }
+
+  // Filters other than the current ones count a saved view's tasks without applying it
+  getFilteredTasks(filters = this.state.filters) {
+    const matchesFilters = this.createFilterPredicate(filters);
+    const filteredTasks = this.state.tasks.filter(matchesFilters);
+
+    // Best matches first while searching for words
+    return sortByRelevance(filteredTasks, matchesFilters.matchesSearch);
+  }
+
+  // Predicate for every filter at once; `matchesSearch` is exposed for relevance ordering
+  createFilterPredicate(filters = this.state.filters) {
+    const matchesSearch = this.getSearchMatcher(filters.searchQuery);
+    const category = filters.category && filters.category !== 'all' ? filters.category.toLowerCase() : null;
+    const today = new Date();
+
+    const matchesFilters = task => {
       // Status filter
       if (filters.status === 'active' && task.completed) return false;
       if (filters.status === 'completed' && !task.completed) return false;
       
       // Priority filter
-      if (filters.priority !== 'all' && task.priority !== filters.priority) return false;
+      if (filters.priority && filters.priority !== 'all' && task.priority !== filters.priority) return false;
+      
+      // Category filter
+      if (category && String(task.category || '').toLowerCase() !== category) return false;
+      
+      // Due-date window
+      if (!matchesDueWindow(task, filters.due, today)) return false;
       
       // Search filter
-      if (filters.searchQuery) {
-        const query = filters.searchQuery.toLowerCase();
-        if (!task.title.toLowerCase().includes(query)) return false;
-      }
+      if (!matchesSearch(task)) return false;
       
       return true;
-    });
+    };
+
+    matchesFilters.matchesSearch = matchesSearch;
+    return matchesFilters;
   }
 
   // === UI OPERATIONS === */
@@ -385,6 +665,7 @@ export class StateManager {
       visible: true,
       autoHide: options.autoHide !== false,
       duration: options.duration || 5000,
+      action: options.action || null,
       id: generateId()
     };
 
@@ -421,6 +702,98 @@ export class StateManager {
     emit(document, EVENTS.NOTIFICATION_HIDE, {});
   }
 
+  // Which layout shows the tasks, see LAYOUTS
+  setLayout(layout) {
+    if (layout === this.state.ui.layout) return;
+
+    this.setState(state => ({
+      ui: {
+        ...state.ui,
+        layout
+      }
+    }), 'setLayout');
+
+    emit(document, EVENTS.LAYOUT_CHANGED, { layout });
+  }
+
+  getLayout() {
+    return this.state.ui.layout;
+  }
+
+  // The date changed while the app was open; "today" and "overdue" mean something new now
+  setToday(date) {
+    const previousDate = this.state.ui.today;
+    if (date === previousDate) return;
+
+    this.setState(state => ({
+      ui: {
+        ...state.ui,
+        today: date
+      }
+    }), 'setToday');
+
+    emit(document, EVENTS.DAY_CHANGED, { date, previousDate });
+  }
+
+  getToday() {
+    return this.state.ui.today;
+  }
+
+  setBoardColumns(field) {
+    this.setState(state => ({
+      settings: {
+        ...state.settings,
+        boardColumnsBy: field
+      }
+    }), 'setBoardColumns');
+    this.saveSettings();
+  }
+
+  // A limit of 0 or null removes it
+  setWipLimit(columnId, limit) {
+    const boardWipLimits = { ...this.state.settings.boardWipLimits };
+    if (limit > 0) {
+      boardWipLimits[columnId] = limit;
+    } else {
+      delete boardWipLimits[columnId];
+    }
+
+    this.setState(state => ({
+      settings: {
+        ...state.settings,
+        boardWipLimits
+      }
+    }), 'setWipLimit');
+    this.saveSettings();
+  }
+
+  setCalendarMode(mode) {
+    this.setState(state => ({
+      settings: {
+        ...state.settings,
+        calendarMode: mode
+      }
+    }), 'setCalendarMode');
+    this.saveSettings();
+  }
+
+  // Either threshold may be left out to keep its current value
+  setMatrixThresholds({ urgentDays, importantPriority }) {
+    this.setState(state => ({
+      settings: {
+        ...state.settings,
+        matrixUrgentDays: urgentDays ?? state.settings.matrixUrgentDays,
+        matrixImportantPriority: importantPriority ?? state.settings.matrixImportantPriority
+      }
+    }), 'setMatrixThresholds');
+    this.saveSettings();
+  }
+
+  // Settings are written as they change, not left for the page to save on its way out
+  saveSettings() {
+    getStorageService().saveSettings(this.state.settings);
+  }
+
   setLoading(loading) {
     this.setState(state => ({
       ui: {
@@ -430,6 +803,39 @@ export class StateManager {
     }), 'setLoading');
   }
 
+  // === SELECTION === */
+  getSelectedTaskIds() {
+    return [...this.state.ui.selectedTaskIds];
+  }
+
+  // Asked once per rendered row, so looked up in a set built once per selection
+  isTaskSelected(taskId) {
+    const { selectedTaskIds } = this.state.ui;
+    if (this.selectedIdSet?.source !== selectedTaskIds) {
+      this.selectedIdSet = { source: selectedTaskIds, ids: new Set(selectedTaskIds) };
+    }
+    return this.selectedIdSet.ids.has(taskId);
+  }
+
+  setSelectedTasks(taskIds) {
+    const selectedTaskIds = [...new Set(taskIds)];
+    const current = this.state.ui.selectedTaskIds;
+    if (selectedTaskIds.length === current.length && selectedTaskIds.every(id => this.isTaskSelected(id))) return;
+
+    this.setState(state => ({
+      ui: {
+        ...state.ui,
+        selectedTaskIds
+      }
+    }), 'setSelectedTasks');
+
+    emit(document, selectedTaskIds.length > 0 ? EVENTS.BULK_SELECT : EVENTS.BULK_DESELECT, { taskIds: selectedTaskIds });
+  }
+
+  clearSelection() {
+    this.setSelectedTasks([]);
+  }
+
   setEditingTask(taskId) {
     this.setState(state => ({
       ui: {
@@ -486,43 +892,134 @@ export class StateManager {
   }
 
   // === HISTORY MANAGEMENT === */
-  addToHistory(state, source) {
-    this.history.push({
-      state: deepClone(state),
-      timestamp: new Date().toISOString(),
-      source
+  // Only task mutations are recorded, as per-task patches, so undo never touches UI state
+  runTaskCommand(label, kind, source, mutate) {
+    const previousTasks = this.state.tasks;
+    this.setState(state => ({ tasks: mutate(state.tasks) }), source);
+
+    // Inside a batch the whole batch is recorded once it finishes
+    if (this.batchDepth === 0) {
+      this.recordCommand(label, kind, previousTasks, this.state.tasks);
+    }
+  }
+
+  // Groups several task mutations into a single undo step; the callback must be synchronous
+  batchTaskCommands(label, kind, callback) {
+    const previousTasks = this.state.tasks;
+    this.batchDepth++;
+
+    try {
+      return callback();
+    } finally {
+      this.batchDepth--;
+      if (this.batchDepth === 0) {
+        this.recordCommand(label, kind, previousTasks, this.state.tasks);
+      }
+    }
+  }
+
+  recordCommand(label, kind, previousTasks, nextTasks) {
+    const patch = createTaskPatch(previousTasks, nextTasks);
+    if (patch.length === 0) return;
+
+    this.undoStack.push({
+      id: generateId(),
+      label,
+      kind,
+      patch,
+      timestamp: new Date().toISOString()
     });
 
-    // Limit history size
-    if (this.history.length > this.maxHistorySize) {
-      this.history.shift();
+    if (this.undoStack.length > this.maxHistorySize) {
+      this.undoStack.shift();
     }
+    this.redoStack = [];
+
+    this.emitHistoryChange('record', this.undoStack[this.undoStack.length - 1]);
   }
 
   getHistory() {
-    return [...this.history];
+    return {
+      undo: this.undoStack.map(summarizeCommand).reverse(),
+      redo: this.redoStack.map(summarizeCommand).reverse()
+    };
   }
 
   canUndo() {
-    return this.history.length > 0;
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  peekUndo() {
+    return this.canUndo() ? summarizeCommand(this.undoStack[this.undoStack.length - 1]) : null;
+  }
+
+  peekRedo() {
+    return this.canRedo() ? summarizeCommand(this.redoStack[this.redoStack.length - 1]) : null;
   }
 
   undo() {
     if (!this.canUndo()) {
-      throw new Error('No state to undo to');
+      throw new Error('Nothing to undo');
     }
 
-    const previousEntry = this.history.pop();
-    this.state = previousEntry.state;
-    this.state.lastUpdated = new Date().toISOString();
+    const command = this.undoStack.pop();
+    this.applyCommand(command, 'undo');
+    this.redoStack.push(command);
 
-    this.updateStatistics();
-    this.notifySubscribers({}, this.state, 'undo');
-    
-    emit(document, EVENTS.STATE_CHANGED, {
-      previousState: {},
-      newState: this.state,
-      source: 'undo'
+    this.emitHistoryChange('undo', command);
+    return summarizeCommand(command);
+  }
+
+  redo() {
+    if (!this.canRedo()) {
+      throw new Error('Nothing to redo');
+    }
+
+    const command = this.redoStack.pop();
+    this.applyCommand(command, 'redo');
+    this.undoStack.push(command);
+
+    this.emitHistoryChange('redo', command);
+    return summarizeCommand(command);
+  }
+
+  applyCommand(command, direction) {
+    const previousTasks = this.state.tasks;
+    this.setState(state => ({
+      tasks: applyTaskPatch(state.tasks, command.patch, direction)
+    }), `history:${direction}`);
+
+    const storage = getStorageService();
+    storage.saveTasks(this.state.tasks);
+
+    // Per-task events let components patch single rows, as they do for direct edits
+    createTaskPatch(previousTasks, this.state.tasks).forEach(({ before, after }) => {
+      if (!before) {
+        emit(document, EVENTS.TASK_CREATED, { task: after, history: direction });
+      } else if (!after) {
+        emit(document, EVENTS.TASK_DELETED, { task: before, history: direction });
+      } else {
+        emit(document, EVENTS.TASK_UPDATED, { task: after, history: direction });
+      }
+    });
+  }
+
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.emitHistoryChange('clear', null);
+  }
+
+  emitHistoryChange(action, command) {
+    emit(document, EVENTS.HISTORY_CHANGED, {
+      action,
+      command: command ? summarizeCommand(command) : null,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo()
     });
   }
 
@@ -539,7 +1036,10 @@ export class StateManager {
       todayCreated: tasks.filter(task => task.createdAt.startsWith(today)).length,
       todayCompleted: tasks.filter(task => 
         task.completed && task.completedAt && task.completedAt.startsWith(today)
-      ).length
+      ).length,
+      totalSubtasks: tasks.reduce((count, task) => count + (task.subtasks?.length || 0), 0),
+      completedSubtasks: tasks.reduce((count, task) =>
+        count + (task.subtasks || []).filter(subtask => subtask.completed).length, 0)
     };
 
     this.state.statistics = statistics;
@@ -552,7 +1052,7 @@ export class StateManager {
   // === RESET AND CLEANUP === */
   reset() {
     this.state = this.getInitialState();
-    this.history = [];
+    this.clearHistory();
     
     this.notifySubscribers({}, this.state, 'reset');
     emit(document, EVENTS.STATE_RESET, { state: this.state });
@@ -561,7 +1061,8 @@ export class StateManager {
   destroy() {
     this.subscribers.clear();
     this.middleware = [];
-    this.history = [];
+    this.undoStack = [];
+    this.redoStack = [];
     
     emit(document, EVENTS.APP_DESTROY, {});
   }
@@ -595,7 +1096,8 @@ export class StateManager {
       state: this.getState(),
       subscribers: this.subscribers.size,
       middleware: this.middleware.length,
-      historySize: this.history.length,
+      undoStackSize: this.undoStack.length,
+      redoStackSize: this.redoStack.length,
       isUpdating: this.isUpdating
     };
   }
@@ -605,6 +1107,173 @@ export class StateManager {
   }
 }
 
+// === ORDER HELPERS === */
+// Closest gap between neighbours before they are renumbered
+const MIN_ORDER_GAP = 1e-6;
+
+function getTopOrder(tasks) {
+  const orders = tasks.map(getTaskOrder).filter(Number.isFinite);
+  return orders.length > 0 ? Math.min(...orders) - 1 : 0;
+}
+
+function getBottomOrder(tasks) {
+  const orders = tasks.map(getTaskOrder).filter(Number.isFinite);
+  return orders.length > 0 ? Math.max(...orders) + 1 : 0;
+}
+
+// The task right above or below `task` in the manual order, ties broken by id so none is skipped
+function getNeighbourInOrder(tasks, task, direction) {
+  const key = item => [getTaskOrder(item), item.id];
+  const isPast = (item, from) => {
+    const [order, id] = key(item);
+    const [fromOrder, fromId] = key(from);
+    return direction > 0
+      ? order > fromOrder || (order === fromOrder && id > fromId)
+      : order < fromOrder || (order === fromOrder && id < fromId);
+  };
+
+  return tasks.reduce((nearest, item) =>
+    item !== task && isPast(item, task) && (!nearest || isPast(nearest, item)) ? item : nearest, null);
+}
+
+/**
+ * The order for a task placed between two others, or next to just one of them, among `tasks`
+ * (which should not include it). Null when there is no room left.
+ */
+function getOrderBetween(tasks, afterId, beforeId) {
+  let after = afterId ? tasks.find(task => task.id === afterId) : null;
+  let before = beforeId ? tasks.find(task => task.id === beforeId) : null;
+
+  if (!after && !before) return getTopOrder(tasks);
+  if (!before) {
+    before = getNeighbourInOrder(tasks, after, 1);
+    if (!before) return Number.isFinite(getTaskOrder(after)) ? getBottomOrder(tasks) : null;
+  }
+  if (!after) {
+    after = getNeighbourInOrder(tasks, before, -1);
+    if (!after) return Number.isFinite(getTaskOrder(before)) ? getTopOrder(tasks) : null;
+  }
+
+  const low = getTaskOrder(after);
+  const high = getTaskOrder(before);
+  if (!Number.isFinite(low) || !Number.isFinite(high) || high - low < MIN_ORDER_GAP) return null;
+  return (low + high) / 2;
+}
+
+// Whole numbers in the current manual order, unnumbered tasks first and newest first among ties
+function renumberTaskOrder(tasks) {
+  const ranked = [...tasks].sort((a, b) => {
+    const orderA = getTaskOrder(a);
+    const orderB = getTaskOrder(b);
+    if (orderA !== orderB) return orderA < orderB ? -1 : 1;
+    return String(b.createdAt || '').localeCompare(String(a.createdAt || ''));
+  });
+  const orders = new Map(ranked.map((task, index) => [task.id, index]));
+  return tasks.map(task => ({ ...task, order: orders.get(task.id) }));
+}
+
+// === COMPLETION HELPERS === */
+function getCompletionUpdates(task, completed, settings, now) {
+  const updates = {
+    completed,
+    completedAt: completed ? now : null
+  };
+
+  // Completing the parent ticks off its checklist too, in the same undo step
+  if (completed && settings.completeSubtasksWithParent && task.subtasks?.length) {
+    updates.subtasks = task.subtasks.map(subtask => subtask.completed ? subtask : {
+      ...subtask,
+      completed: true,
+      completedAt: now,
+      updatedAt: now
+    });
+  }
+
+  return updates;
+}
+
+// === HISTORY HELPERS === */
+function describeTask(task) {
+  return `"${truncateText(task.title || task.text || 'Untitled', 40)}"`;
+}
+
+function pluralizeTasks(count) {
+  return `${count} ${count === 1 ? 'task' : 'tasks'}`;
+}
+
+function summarizeCommand(command) {
+  return {
+    id: command.id,
+    label: command.label,
+    kind: command.kind,
+    timestamp: command.timestamp,
+    taskCount: command.patch.length
+  };
+}
+
+// One entry per task that changed; before/after are null for added/removed tasks
+function createTaskPatch(previousTasks, nextTasks) {
+  const previousIndex = new Map(previousTasks.map((task, index) => [task.id, index]));
+  const nextIds = new Set(nextTasks.map(task => task.id));
+  const patch = [];
+
+  previousTasks.forEach((task, index) => {
+    if (!nextIds.has(task.id)) {
+      patch.push({ id: task.id, before: deepClone(task), after: null, beforeIndex: index, afterIndex: -1 });
+    }
+  });
+
+  nextTasks.forEach((task, index) => {
+    const previous = previousIndex.has(task.id) ? previousTasks[previousIndex.get(task.id)] : null;
+
+    if (!previous || JSON.stringify(previous) !== JSON.stringify(task)) {
+      patch.push({
+        id: task.id,
+        before: previous ? deepClone(previous) : null,
+        after: deepClone(task),
+        beforeIndex: previous ? previousIndex.get(task.id) : -1,
+        afterIndex: index
+      });
+    }
+  });
+
+  return patch;
+}
+
+function applyTaskPatch(tasks, patch, direction) {
+  const isUndo = direction === 'undo';
+  const targetOf = entry => (isUndo ? entry.before : entry.after);
+  const indexOf = entry => (isUndo ? entry.beforeIndex : entry.afterIndex);
+  // Restored copies count as fresh edits so storage diffing and other tabs pick them up
+  const now = new Date().toISOString();
+  const restore = task => ({ ...deepClone(task), updatedAt: now });
+
+  const removedIds = new Set(patch.filter(entry => !targetOf(entry)).map(entry => entry.id));
+  const targets = new Map(patch.filter(targetOf).map(entry => [entry.id, entry]));
+  const result = [];
+
+  tasks.forEach(task => {
+    if (removedIds.has(task.id)) return;
+
+    const entry = targets.get(task.id);
+    if (entry) {
+      result.push(restore(targetOf(entry)));
+      targets.delete(task.id);
+    } else {
+      result.push(task);
+    }
+  });
+
+  // Whatever is left was removed by the command, put it back where it was
+  [...targets.values()]
+    .sort((a, b) => indexOf(a) - indexOf(b))
+    .forEach(entry => {
+      result.splice(Math.min(indexOf(entry), result.length), 0, restore(targetOf(entry)));
+    });
+
+  return result;
+}
+
 // === SINGLETON INSTANCE === */
 let stateManagerInstance = null;
 
@@ -1,29 +1,49 @@
 /* Local Storage Management System */
 
 import { EVENTS } from '../constants/events.js';
-import { logError, emit, isStorageAvailable, deepClone } from '../utils/helpers.js';
+import { logError, emit, deepClone } from '../utils/helpers.js';
+import { createStorageAdapter, LocalStorageAdapter } from './storageAdapters.js';
+import { runMigrations, getLatestVersion, compareVersions, BASELINE_VERSION } from '../data/migrations.js';
+import { MAX_SUBTASKS, MAX_TAGS, TAG_PATTERN, MAX_VIEWS, MAX_SORT_KEYS, SORT_FIELDS, LAYOUTS, MAX_WIP_LIMIT, CALENDAR_MODES, MATRIX_IMPORTANT_PRIORITIES, MAX_MATRIX_URGENT_DAYS, validateView } from '../utils/validation.js';
+import { GROUP_FIELDS, BOARD_FIELDS } from '../utils/taskGroups.js';
+import { normalizeRecurrence } from '../utils/recurrence.js';
+import { BUILT_IN_IMPORTERS } from '../utils/importers.js';
 
 // === STORAGE CONSTANTS === */
 const STORAGE_KEYS = {
   TASKS: 'todoapp_tasks',
   SETTINGS: 'todoapp_settings',
   UI_STATE: 'todoapp_ui_state',
-  VERSION: 'todoapp_version'
+  VERSION: 'todoapp_version',
+  BACKUP: 'todoapp_backup',
+  VIEWS: 'todoapp_views'
 };
 
-const CURRENT_VERSION = '1.0.0';
-const MAX_STORAGE_SIZE = 5 * 1024 * 1024; // 5MB
+const CURRENT_VERSION = getLatestVersion();
 
 // === STORAGE SERVICE CLASS === */
 export class StorageService {
-  constructor() {
-    this.isAvailable = isStorageAvailable('localStorage');
+  constructor(adapter = createStorageAdapter()) {
+    this.adapter = adapter;
+    this.isAvailable = adapter.isAvailable;
     this.listeners = new Set();
-    this.initializeStorage();
+    this.importers = new Map(BUILT_IN_IMPORTERS.map(importer => [importer.key, importer]));
+    this.ready = this.initializeStorage();
   }
 
   // === INITIALIZATION === */
-  initializeStorage() {
+  async initializeStorage() {
+    try {
+      await this.adapter.open();
+    } catch (error) {
+      // IndexedDB can be missing or blocked (e.g. private browsing), keep using localStorage
+      console.warn(`${this.adapter.name} storage unavailable, falling back to localStorage:`, error);
+      this.adapter = new LocalStorageAdapter();
+      await this.adapter.open();
+    }
+
+    this.isAvailable = this.adapter.isAvailable;
+
     if (!this.isAvailable) {
       console.warn('localStorage is not available. Data will not persist.');
       emit(document, EVENTS.STORAGE_ERROR, {
@@ -35,17 +55,18 @@ export class StorageService {
 
     try {
       // Check version and handle migration if needed
-      const storedVersion = this.getItem(STORAGE_KEYS.VERSION);
+      const storedVersion = await this.getItem(STORAGE_KEYS.VERSION);
       if (!storedVersion || storedVersion !== CURRENT_VERSION) {
-        this.handleVersionMigration(storedVersion, CURRENT_VERSION);
+        await this.handleVersionMigration(storedVersion, CURRENT_VERSION);
       }
 
       // Validate existing data
-      this.validateStoredData();
+      await this.validateStoredData();
 
       emit(document, EVENTS.STORAGE_LOADED, {
         version: CURRENT_VERSION,
-        isAvailable: this.isAvailable
+        isAvailable: this.isAvailable,
+        backend: this.adapter.name
       });
     } catch (error) {
       logError(error, 'StorageService.initializeStorage');
@@ -53,9 +74,18 @@ export class StorageService {
     }
   }
 
+  getBackendName() {
+    return this.adapter.name;
+  }
+
   // === TASK OPERATIONS === */
   async saveTasks(tasks) {
     try {
+      await this.ready;
+      if (!this.isAvailable) {
+        throw new Error('Storage is not available');
+      }
+
       const validatedTasks = this.validateTasks(tasks);
       const dataToStore = {
         tasks: validatedTasks,
@@ -63,7 +93,7 @@ export class StorageService {
         version: CURRENT_VERSION
       };
 
-      this.setItem(STORAGE_KEYS.TASKS, dataToStore);
+      await this.adapter.saveTasks(dataToStore);
       
       emit(document, EVENTS.STORAGE_SAVED, {
         type: 'tasks',
@@ -81,7 +111,8 @@ export class StorageService {
 
   async loadTasks() {
     try {
-      const data = this.getItem(STORAGE_KEYS.TASKS);
+      await this.ready;
+      const data = this.isAvailable ? await this.adapter.loadTasks() : null;
       
       if (!data) {
         return [];
@@ -119,7 +150,7 @@ export class StorageService {
         version: CURRENT_VERSION
       };
 
-      this.setItem(STORAGE_KEYS.SETTINGS, dataToStore);
+      await this.setItem(STORAGE_KEYS.SETTINGS, dataToStore);
       
       emit(document, EVENTS.STORAGE_SAVED, {
         type: 'settings',
@@ -136,7 +167,8 @@ export class StorageService {
 
   async loadSettings() {
     try {
-      const data = this.getItem(STORAGE_KEYS.SETTINGS);
+      await this.ready;
+      const data = await this.getItem(STORAGE_KEYS.SETTINGS);
       
       if (!data) {
         return this.getDefaultSettings();
@@ -162,7 +194,7 @@ export class StorageService {
         version: CURRENT_VERSION
       };
 
-      this.setItem(STORAGE_KEYS.UI_STATE, dataToStore);
+      await this.setItem(STORAGE_KEYS.UI_STATE, dataToStore);
       return true;
     } catch (error) {
       logError(error, 'StorageService.saveUIState');
@@ -173,7 +205,8 @@ export class StorageService {
 
   async loadUIState() {
     try {
-      const data = this.getItem(STORAGE_KEYS.UI_STATE);
+      await this.ready;
+      const data = await this.getItem(STORAGE_KEYS.UI_STATE);
       
       if (!data) {
         return this.getDefaultUIState();
@@ -188,12 +221,72 @@ export class StorageService {
     }
   }
 
+  // === SAVED VIEW OPERATIONS === */
+  async saveViews({ views, defaultViewId = null }) {
+    try {
+      const validViews = this.validateViews(views);
+      const dataToStore = {
+        views: validViews,
+        defaultViewId: validViews.some(view => view.id === defaultViewId) ? defaultViewId : null,
+        timestamp: new Date().toISOString(),
+        version: CURRENT_VERSION
+      };
+
+      await this.setItem(STORAGE_KEYS.VIEWS, dataToStore);
+      return true;
+    } catch (error) {
+      logError(error, 'StorageService.saveViews');
+      this.handleStorageError(error);
+      return false;
+    }
+  }
+
+  // Null until views are first saved, so the starter views are only added once
+  async loadViews() {
+    try {
+      await this.ready;
+      const data = await this.getItem(STORAGE_KEYS.VIEWS);
+
+      if (!data) {
+        return null;
+      }
+
+      const views = this.validateViews(data.views);
+      return {
+        views,
+        defaultViewId: views.some(view => view.id === data.defaultViewId) ? data.defaultViewId : null
+      };
+    } catch (error) {
+      logError(error, 'StorageService.loadViews');
+      this.handleStorageError(error);
+      return null;
+    }
+  }
+
   // === BACKUP AND RESTORE === */
-  async exportData() {
+  // With `taskIds`, only those tasks: importing a few must not bring settings and views along
+  async exportData({ taskIds = null } = {}) {
     try {
-      const tasks = await this.loadTasks();
+      const allTasks = await this.loadTasks();
+      const tasks = taskIds ? allTasks.filter(task => taskIds.includes(task.id)) : allTasks;
+
+      if (taskIds) {
+        return JSON.stringify({
+          version: CURRENT_VERSION,
+          timestamp: new Date().toISOString(),
+          tasks,
+          metadata: {
+            taskCount: tasks.length,
+            subtaskCount: tasks.reduce((count, task) => count + task.subtasks.length, 0),
+            exportedBy: 'Todo List MVP',
+            userAgent: navigator.userAgent
+          }
+        }, null, 2);
+      }
+
       const settings = await this.loadSettings();
       const uiState = await this.loadUIState();
+      const views = await this.loadViews();
 
       const exportData = {
         version: CURRENT_VERSION,
@@ -201,8 +294,10 @@ export class StorageService {
         tasks,
         settings,
         uiState,
+        views,
         metadata: {
           taskCount: tasks.length,
+          subtaskCount: tasks.reduce((count, task) => count + task.subtasks.length, 0),
           exportedBy: 'Todo List MVP',
           userAgent: navigator.userAgent
         }
@@ -217,13 +312,19 @@ export class StorageService {
 
   async importData(jsonData) {
     try {
-      const data = JSON.parse(jsonData);
+      let data = JSON.parse(jsonData);
       
       // Validate import data structure
       if (!this.validateImportData(data)) {
         throw new Error('Invalid import data format');
       }
 
+      // Bring exports from older versions up to the current schema
+      if (compareVersions(data.version || BASELINE_VERSION, CURRENT_VERSION) < 0) {
+        const { data: migrated } = runMigrations(data, data.version || BASELINE_VERSION);
+        data = { ...data, ...migrated, version: CURRENT_VERSION };
+      }
+
       // Create backup before import
       const backupData = await this.exportData();
       
@@ -243,6 +344,11 @@ export class StorageService {
           await this.saveUIState(data.uiState);
         }
 
+        // Import saved views (optional)
+        if (data.views) {
+          await this.saveViews(data.views);
+        }
+
         emit(document, EVENTS.STORAGE_SAVED, {
           type: 'import',
           count: data.tasks?.length || 0
@@ -253,7 +359,8 @@ export class StorageService {
           imported: {
             tasks: data.tasks?.length || 0,
             settings: data.settings ? 1 : 0,
-            uiState: data.uiState ? 1 : 0
+            uiState: data.uiState ? 1 : 0,
+            views: data.views?.views?.length || 0
           }
         };
       } catch (importError) {
@@ -267,17 +374,57 @@ export class StorageService {
     }
   }
 
+  // === IMPORTERS FOR OTHER APPS === */
+  /**
+   * Adds a converter for another app's export: `{ key, label, extensions, position, detect(text),
+   * convert(text) }`. `convert` returns `{ items: [{ line, task }], warnings }` without saving
+   * anything; ImportDialog adds the tasks. A key already registered is replaced.
+   */
+  registerImporter(importer) {
+    if (!importer?.key || typeof importer.convert !== 'function') {
+      throw new Error('An importer needs a key and a convert function');
+    }
+    this.importers.set(importer.key, importer);
+  }
+
+  getImporters() {
+    return [...this.importers.values()];
+  }
+
+  /**
+   * Converts an export without importing it, counting what it maps to: tasks, the categories
+   * they fall into and how many are completed. Warnings list what won't come across.
+   */
+  previewImport(text, key) {
+    const importer = this.importers.get(key);
+    if (!importer) {
+      throw new Error(`No importer for "${key}"`);
+    }
+
+    const { items, warnings = [] } = importer.convert(text);
+    const categories = new Set(items.map(({ task }) => task.category?.toLowerCase()).filter(Boolean));
+
+    return {
+      items,
+      warnings,
+      summary: {
+        tasks: items.length,
+        categories: categories.size,
+        completed: items.filter(({ task }) => task.completed).length
+      }
+    };
+  }
+
   // === CLEANUP AND UTILITIES === */
   async clearAllData() {
     try {
+      await this.ready;
       if (!this.isAvailable) {
         return true;
       }
 
       // Remove all application data
-      Object.values(STORAGE_KEYS).forEach(key => {
-        localStorage.removeItem(key);
-      });
+      await this.adapter.clear();
 
       emit(document, EVENTS.STORAGE_CLEARED, {
         timestamp: new Date().toISOString()
@@ -291,64 +438,73 @@ export class StorageService {
     }
   }
 
-  getStorageInfo() {
+  async getStorageInfo() {
+    await this.ready;
+
     if (!this.isAvailable) {
       return {
         used: 0,
         total: 0,
         available: 0,
         percentage: 0,
-        isAvailable: false
+        isAvailable: false,
+        backend: this.adapter.name
       };
     }
 
     try {
-      let used = 0;
-      
       // Calculate used space for our app
-      Object.values(STORAGE_KEYS).forEach(key => {
-        const value = localStorage.getItem(key);
-        if (value) {
-          used += new Blob([value]).size;
-        }
-      });
+      const { used, total } = await this.adapter.getUsage();
 
       return {
         used,
-        total: MAX_STORAGE_SIZE,
-        available: MAX_STORAGE_SIZE - used,
-        percentage: (used / MAX_STORAGE_SIZE) * 100,
-        isAvailable: true
+        total,
+        available: Math.max(0, total - used),
+        percentage: total > 0 ? (used / total) * 100 : 0,
+        isAvailable: true,
+        backend: this.adapter.name
       };
     } catch (error) {
       logError(error, 'StorageService.getStorageInfo');
       return {
         used: 0,
-        total: MAX_STORAGE_SIZE,
-        available: MAX_STORAGE_SIZE,
+        total: 0,
+        available: 0,
         percentage: 0,
-        isAvailable: false
+        isAvailable: false,
+        backend: this.adapter.name
       };
     }
   }
 
+  async queryTasks(indexName, value) {
+    try {
+      await this.ready;
+      if (!this.isAvailable) {
+        return [];
+      }
+
+      const validIndexes = ['completed', 'priority', 'dueDate', 'updatedAt'];
+      if (!validIndexes.includes(indexName)) {
+        throw new Error(`Unknown task index: ${indexName}`);
+      }
+
+      return this.validateTasks(await this.adapter.queryTasks(indexName, value));
+    } catch (error) {
+      logError(error, 'StorageService.queryTasks');
+      return [];
+    }
+  }
+
   // === PRIVATE HELPER METHODS === */
-  setItem(key, value) {
+  async setItem(key, value) {
+    await this.ready;
     if (!this.isAvailable) {
-      throw new Error('localStorage is not available');
+      throw new Error('Storage is not available');
     }
 
     try {
-      const serialized = JSON.stringify(value);
-      const size = new Blob([serialized]).size;
-
-      // Check storage quota
-      const storageInfo = this.getStorageInfo();
-      if (storageInfo.used + size > MAX_STORAGE_SIZE) {
-        throw new Error('Storage quota exceeded');
-      }
-
-      localStorage.setItem(key, serialized);
+      await this.adapter.set(key, value);
     } catch (error) {
       if (error.name === 'QuotaExceededError') {
         throw new Error('Storage quota exceeded');
@@ -357,14 +513,13 @@ export class StorageService {
     }
   }
 
-  getItem(key) {
+  async getItem(key) {
     if (!this.isAvailable) {
       return null;
     }
 
     try {
-      const value = localStorage.getItem(key);
-      return value ? JSON.parse(value) : null;
+      return await this.adapter.get(key);
     } catch (error) {
       logError(error, `StorageService.getItem - Key: ${key}`);
       return null;
@@ -382,23 +537,59 @@ export class StorageService {
         return false;
       }
 
-      if (!task.id || !task.title) {
+      if (!task.id || !(task.title || task.text)) {
         console.warn('Task missing required fields (id, title), skipping:', task);
         return false;
       }
 
       return true;
     }).map(task => ({
+      // Keep fields this method doesn't know about so schema additions survive a save
+      ...task,
       id: task.id,
-      title: String(task.title).substring(0, 500), // Enforce length limit
+      title: String(task.title || task.text).substring(0, 500), // Enforce length limit
       completed: Boolean(task.completed),
       priority: ['low', 'medium', 'high'].includes(task.priority) ? task.priority : 'medium',
       createdAt: task.createdAt || new Date().toISOString(),
       updatedAt: task.updatedAt || new Date().toISOString(),
-      completedAt: task.completedAt || null
+      completedAt: task.completedAt || null,
+      subtasks: this.validateSubtasks(task.subtasks),
+      tags: this.validateTags(task.tags),
+      recurrence: normalizeRecurrence(task.recurrence)
     }));
   }
 
+  validateSubtasks(subtasks) {
+    if (!Array.isArray(subtasks)) {
+      return [];
+    }
+
+    const seenIds = new Set();
+    return subtasks.filter(subtask => {
+      if (!subtask || typeof subtask !== 'object' || !subtask.id || !subtask.title || seenIds.has(subtask.id)) {
+        console.warn('Invalid subtask, skipping:', subtask);
+        return false;
+      }
+      seenIds.add(subtask.id);
+      return true;
+    }).slice(0, MAX_SUBTASKS).map(subtask => ({
+      ...subtask,
+      title: String(subtask.title).substring(0, 500),
+      completed: Boolean(subtask.completed),
+      createdAt: subtask.createdAt || new Date().toISOString(),
+      updatedAt: subtask.updatedAt || new Date().toISOString(),
+      completedAt: subtask.completedAt || null
+    }));
+  }
+
+  validateTags(tags) {
+    if (!Array.isArray(tags)) {
+      return [];
+    }
+
+    return tags.filter(tag => typeof tag === 'string' && TAG_PATTERN.test(tag)).slice(0, MAX_TAGS);
+  }
+
   validateSettings(settings) {
     const defaults = this.getDefaultSettings();
     
@@ -411,11 +602,67 @@ export class StorageService {
       autoSave: Boolean(settings.autoSave !== undefined ? settings.autoSave : defaults.autoSave),
       confirmDeletion: Boolean(settings.confirmDeletion !== undefined ? settings.confirmDeletion : defaults.confirmDeletion),
       showCompletedTasks: Boolean(settings.showCompletedTasks !== undefined ? settings.showCompletedTasks : defaults.showCompletedTasks),
-      taskSortBy: ['createdAt', 'updatedAt', 'title', 'priority'].includes(settings.taskSortBy) ? settings.taskSortBy : defaults.taskSortBy,
-      taskSortDirection: ['asc', 'desc'].includes(settings.taskSortDirection) ? settings.taskSortDirection : defaults.taskSortDirection
+      taskSortBy: SORT_FIELDS.includes(settings.taskSortBy) ? settings.taskSortBy : defaults.taskSortBy,
+      taskSortDirection: ['asc', 'desc'].includes(settings.taskSortDirection) ? settings.taskSortDirection : defaults.taskSortDirection,
+      taskSortThenBy: this.validateSortKeys(settings.taskSortThenBy, settings.taskSortBy),
+      taskGroupBy: GROUP_FIELDS.includes(settings.taskGroupBy) ? settings.taskGroupBy : defaults.taskGroupBy,
+      boardColumnsBy: BOARD_FIELDS.includes(settings.boardColumnsBy) ? settings.boardColumnsBy : defaults.boardColumnsBy,
+      boardWipLimits: this.validateWipLimits(settings.boardWipLimits),
+      calendarMode: CALENDAR_MODES.includes(settings.calendarMode) ? settings.calendarMode : defaults.calendarMode,
+      matrixUrgentDays: this.validateUrgentDays(settings.matrixUrgentDays, defaults.matrixUrgentDays),
+      matrixImportantPriority: MATRIX_IMPORTANT_PRIORITIES.includes(settings.matrixImportantPriority) ? settings.matrixImportantPriority : defaults.matrixImportantPriority,
+      completeSubtasksWithParent: Boolean(settings.completeSubtasksWithParent !== undefined ? settings.completeSubtasksWithParent : defaults.completeSubtasksWithParent)
     };
   }
 
+  // Drops unknown or repeated tie-breakers rather than the whole sort order
+  validateSortKeys(keys, primarySortBy) {
+    if (!Array.isArray(keys)) {
+      return [];
+    }
+
+    const seen = new Set([primarySortBy]);
+    return keys
+      .filter(key => SORT_FIELDS.includes(key?.by) && !seen.has(key.by) && seen.add(key.by))
+      .map(key => ({ by: key.by, direction: key.direction === 'asc' ? 'asc' : 'desc' }))
+      .slice(0, MAX_SORT_KEYS - 1);
+  }
+
+  // Keeps the whole-number limits of columns on the board's fields, whatever their values
+  validateWipLimits(limits) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      return {};
+    }
+
+    return Object.fromEntries(Object.entries(limits).filter(([columnId, limit]) =>
+      BOARD_FIELDS.includes(columnId.split(':')[0]) &&
+      columnId.length <= 100 &&
+      Number.isInteger(limit) && limit > 0 && limit <= MAX_WIP_LIMIT
+    ));
+  }
+
+  // 0 counts only overdue tasks and those due today as urgent
+  validateUrgentDays(days, fallback) {
+    return Number.isInteger(days) && days >= 0 && days <= MAX_MATRIX_URGENT_DAYS ? days : fallback;
+  }
+
+  validateViews(views) {
+    if (!Array.isArray(views)) {
+      return [];
+    }
+
+    const ids = new Set();
+    return views
+      .map(view => validateView(view))
+      .filter(({ isValid, sanitizedValue }) => {
+        if (!isValid || typeof sanitizedValue.id !== 'string' || ids.has(sanitizedValue.id)) return false;
+        ids.add(sanitizedValue.id);
+        return true;
+      })
+      .map(({ sanitizedValue }) => sanitizedValue)
+      .slice(0, MAX_VIEWS);
+  }
+
   validateUIState(uiState) {
     const defaults = this.getDefaultUIState();
     
@@ -426,6 +673,7 @@ export class StorageService {
     return {
       theme: ['light', 'dark'].includes(uiState.theme) ? uiState.theme : defaults.theme,
       sidebarOpen: Boolean(uiState.sidebarOpen),
+      layout: LAYOUTS.includes(uiState.layout) ? uiState.layout : defaults.layout,
       filters: {
         status: ['all', 'active', 'completed'].includes(uiState.filters?.status) ? uiState.filters.status : defaults.filters.status,
         priority: ['all', 'low', 'medium', 'high'].includes(uiState.filters?.priority) ? uiState.filters.priority : defaults.filters.priority,
@@ -441,7 +689,15 @@ export class StorageService {
       confirmDeletion: true,
       showCompletedTasks: true,
       taskSortBy: 'createdAt',
-      taskSortDirection: 'desc'
+      taskSortDirection: 'desc',
+      taskSortThenBy: [],
+      taskGroupBy: 'none',
+      boardColumnsBy: 'status',
+      boardWipLimits: {},
+      calendarMode: 'month',
+      matrixUrgentDays: 2,
+      matrixImportantPriority: 'high',
+      completeSubtasksWithParent: true
     };
   }
 
@@ -449,6 +705,7 @@ export class StorageService {
     return {
       theme: 'light',
       sidebarOpen: false,
+      layout: 'list',
       filters: {
         status: 'all',
         priority: 'all',
@@ -461,6 +718,7 @@ export class StorageService {
     // Only store persistent UI state, exclude temporary state
     return {
       theme: uiState.theme,
+      layout: uiState.layout,
       filters: uiState.filters
     };
   }
@@ -483,34 +741,132 @@ export class StorageService {
     return true;
   }
 
-  handleVersionMigration(oldVersion, newVersion) {
+  async handleVersionMigration(oldVersion, newVersion) {
+    if (oldVersion && compareVersions(oldVersion, newVersion) > 0) {
+      console.warn(`Stored data is from newer version ${oldVersion}, leaving it untouched`);
+      return;
+    }
+
     console.log(`Migrating from version ${oldVersion || 'unknown'} to ${newVersion}`);
-    
+
+    const snapshot = await this.readSnapshot();
+    const hasData = snapshot.tasks !== null || snapshot.settings !== null || snapshot.uiState !== null;
+    let applied = [];
+
+    if (hasData) {
+      // Keep a copy of the untouched data before any step runs
+      await this.adapter.set(STORAGE_KEYS.BACKUP, {
+        reason: 'migration',
+        version: oldVersion || BASELINE_VERSION,
+        timestamp: new Date().toISOString(),
+        snapshot
+      });
+
+      try {
+        const result = runMigrations({
+          tasks: Array.isArray(snapshot.tasks) ? snapshot.tasks : (snapshot.tasks?.tasks || []),
+          settings: snapshot.settings?.settings || snapshot.settings,
+          uiState: snapshot.uiState?.uiState || snapshot.uiState
+        }, oldVersion || BASELINE_VERSION, newVersion);
+
+        applied = result.applied;
+        await this.writeMigratedData(result.data, snapshot, newVersion);
+      } catch (error) {
+        console.warn('Migration failed, rolling back to the pre-migration snapshot');
+        await this.restoreSnapshot(snapshot);
+        // Version is left as-is so the migration is retried on next load
+        throw error;
+      }
+    }
+
     // Set new version
-    this.setItem(STORAGE_KEYS.VERSION, newVersion);
+    await this.adapter.set(STORAGE_KEYS.VERSION, newVersion);
 
-    // Future: Add migration logic here when needed
     emit(document, EVENTS.STORAGE_SAVED, {
       type: 'migration',
       from: oldVersion,
-      to: newVersion
+      to: newVersion,
+      applied
     });
   }
 
-  validateStoredData() {
+  async readSnapshot() {
+    return {
+      tasks: await this.adapter.loadTasks(),
+      settings: await this.adapter.get(STORAGE_KEYS.SETTINGS),
+      uiState: await this.adapter.get(STORAGE_KEYS.UI_STATE)
+    };
+  }
+
+  async writeMigratedData(data, snapshot, version) {
+    const timestamp = new Date().toISOString();
+
+    if (snapshot.tasks !== null) {
+      await this.adapter.saveTasks({ tasks: data.tasks, timestamp, version });
+    }
+
+    if (snapshot.settings !== null && data.settings) {
+      await this.adapter.set(STORAGE_KEYS.SETTINGS, { settings: data.settings, timestamp, version });
+    }
+
+    if (snapshot.uiState !== null && data.uiState) {
+      await this.adapter.set(STORAGE_KEYS.UI_STATE, { uiState: data.uiState, timestamp, version });
+    }
+  }
+
+  async restoreSnapshot(snapshot) {
+    if (snapshot.tasks === null) {
+      await this.adapter.clearTasks();
+    } else {
+      await this.adapter.saveTasks(Array.isArray(snapshot.tasks) ? { tasks: snapshot.tasks } : snapshot.tasks);
+    }
+
+    const entries = [
+      [STORAGE_KEYS.SETTINGS, snapshot.settings],
+      [STORAGE_KEYS.UI_STATE, snapshot.uiState]
+    ];
+
+    for (const [key, value] of entries) {
+      if (value === null) {
+        await this.adapter.remove(key);
+      } else {
+        await this.adapter.set(key, value);
+      }
+    }
+  }
+
+  async getBackup() {
+    await this.ready;
+    return this.getItem(STORAGE_KEYS.BACKUP);
+  }
+
+  async validateStoredData() {
     // Check for corrupted data and attempt recovery
+    let tasks = null;
     try {
-      const tasks = this.getItem(STORAGE_KEYS.TASKS);
+      tasks = await this.adapter.loadTasks();
       if (tasks && !this.validateImportData({ tasks: Array.isArray(tasks) ? tasks : tasks.tasks })) {
         console.warn('Corrupted task data detected, clearing...');
-        localStorage.removeItem(STORAGE_KEYS.TASKS);
+        await this.backupAndClearTasks(tasks);
       }
     } catch (error) {
       console.warn('Error validating stored data:', error);
-      localStorage.removeItem(STORAGE_KEYS.TASKS);
+      await this.backupAndClearTasks(tasks);
     }
   }
 
+  async backupAndClearTasks(tasks) {
+    // Keep whatever was readable so the data can still be recovered by hand
+    if (tasks) {
+      await this.adapter.set(STORAGE_KEYS.BACKUP, {
+        reason: 'corrupted',
+        timestamp: new Date().toISOString(),
+        snapshot: { tasks, settings: null, uiState: null }
+      });
+    }
+    await this.adapter.clearTasks();
+  }
+
   handleStorageError(error) {
     emit(document, EVENTS.STORAGE_ERROR, {
       error: error.message,
@@ -523,6 +879,13 @@ export class StorageService {
         type: 'warning',
         autoHide: false
       });
+    } else if (error.name === 'VersionError') {
+      // Another tab upgraded the database, which this page can no longer open
+      emit(document, EVENTS.NOTIFICATION_SHOW, {
+        message: 'The app was updated in another tab. Reload the page to keep saving your changes.',
+        type: 'warning',
+        autoHide: false
+      });
     }
   }
 
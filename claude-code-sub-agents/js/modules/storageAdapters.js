@@ -0,0 +1,421 @@
+/* Storage Backend Adapters */
+
+import { isStorageAvailable } from '../utils/helpers.js';
+
+// === ADAPTER CONSTANTS === */
+const TASKS_KEY = 'todoapp_tasks';
+const LEGACY_KEYS = ['todoapp_tasks', 'todoapp_settings', 'todoapp_ui_state', 'todoapp_version', 'todoapp_backup', 'todoapp_views'];
+const MAX_LOCAL_STORAGE_SIZE = 5 * 1024 * 1024; // 5MB
+
+const DB_NAME = 'todoapp';
+const DB_VERSION = 1;
+const TASK_STORE = 'tasks';
+const META_STORE = 'meta';
+const MIGRATION_MARKER = 'todoapp_idb_migrated';
+
+/**
+ * Every adapter exposes the same async interface so StorageService can swap
+ * backends without caring where the bytes end up:
+ *
+ *   open()                  - prepare the backend, resolves when ready
+ *   get(key) / set(key, v)  - JSON values for settings, UI state and metadata
+ *   remove(key) / clear()
+ *   loadTasks()             - resolves to { tasks, timestamp, version } or null
+ *   saveTasks(data)         - persists a { tasks, timestamp, version } payload
+ *   clearTasks()
+ *   queryTasks(index, value)
+ *   getUsage()              - resolves to { used, total }
+ */
+
+// === LOCAL STORAGE ADAPTER === */
+export class LocalStorageAdapter {
+  constructor() {
+    this.name = 'localStorage';
+    this.isAvailable = isStorageAvailable('localStorage');
+  }
+
+  async open() {
+    return this.isAvailable;
+  }
+
+  async get(key) {
+    if (!this.isAvailable) {
+      return null;
+    }
+
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, value) {
+    if (!this.isAvailable) {
+      throw new Error('localStorage is not available');
+    }
+
+    try {
+      const serialized = JSON.stringify(value);
+      const size = new Blob([serialized]).size;
+
+      // Check storage quota, ignoring the value being replaced
+      const { used } = await this.getUsage();
+      const existing = localStorage.getItem(key);
+      const existingSize = existing ? new Blob([existing]).size : 0;
+
+      if (used - existingSize + size > MAX_LOCAL_STORAGE_SIZE) {
+        throw new Error('Storage quota exceeded');
+      }
+
+      localStorage.setItem(key, serialized);
+    } catch (error) {
+      if (error.name === 'QuotaExceededError') {
+        throw new Error('Storage quota exceeded');
+      }
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    if (this.isAvailable) {
+      localStorage.removeItem(key);
+    }
+  }
+
+  async clear() {
+    if (!this.isAvailable) return;
+
+    LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+  }
+
+  async loadTasks() {
+    return this.get(TASKS_KEY);
+  }
+
+  async saveTasks(data) {
+    await this.set(TASKS_KEY, data);
+  }
+
+  async clearTasks() {
+    await this.remove(TASKS_KEY);
+  }
+
+  async queryTasks(indexName, value) {
+    const data = await this.loadTasks();
+    const tasks = Array.isArray(data) ? data : (data?.tasks || []);
+    return tasks.filter(task => matchesIndex(task, indexName, value));
+  }
+
+  async getUsage() {
+    if (!this.isAvailable) {
+      return { used: 0, total: 0 };
+    }
+
+    let used = 0;
+    LEGACY_KEYS.forEach(key => {
+      const value = localStorage.getItem(key);
+      if (value) {
+        used += new Blob([value]).size;
+      }
+    });
+
+    return { used, total: MAX_LOCAL_STORAGE_SIZE };
+  }
+}
+
+// === INDEXEDDB ADAPTER === */
+export class IndexedDBAdapter {
+  constructor() {
+    this.name = 'indexedDB';
+    this.isAvailable = IndexedDBAdapter.isSupported();
+    this.db = null;
+    // A reconnection in progress, shared by the transactions waiting on it
+    this.connecting = null;
+    // Serialized copy of each task as last written, so saves only touch changed records
+    this.writtenTasks = new Map();
+    // Saves diff against writtenTasks, so they must not overlap
+    this.saveQueue = Promise.resolve();
+  }
+
+  static isSupported() {
+    try {
+      return typeof window !== 'undefined' && !!window.indexedDB;
+    } catch {
+      return false;
+    }
+  }
+
+  async open() {
+    if (!this.isAvailable) {
+      throw new Error('IndexedDB is not available');
+    }
+
+    this.db = await this.connect();
+    await this.migrateFromLocalStorage();
+    return true;
+  }
+
+  async connect() {
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(TASK_STORE)) {
+          const store = db.createObjectStore(TASK_STORE, { keyPath: 'id' });
+          // Booleans are not valid IndexedDB keys, so completion is indexed as 0/1
+          store.createIndex('completed', '_completed', { unique: false });
+          store.createIndex('priority', 'priority', { unique: false });
+          store.createIndex('dueDate', 'dueDate', { unique: false });
+          store.createIndex('updatedAt', 'updatedAt', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB open request was blocked'));
+    });
+
+    // Another tab upgrading the schema should not be blocked by this connection; the next
+    // transaction opens a new one
+    db.onversionchange = () => {
+      db.close();
+      if (this.db === db) this.db = null;
+    };
+
+    return db;
+  }
+
+  // === KEY/VALUE OPERATIONS === */
+  async get(key) {
+    const value = await requestToPromise((await this.store(META_STORE)).get(key));
+    return value === undefined ? null : value;
+  }
+
+  async set(key, value) {
+    const transaction = await this.transaction([META_STORE], 'readwrite');
+    transaction.objectStore(META_STORE).put(value, key);
+    await transactionDone(transaction);
+  }
+
+  async remove(key) {
+    const transaction = await this.transaction([META_STORE], 'readwrite');
+    transaction.objectStore(META_STORE).delete(key);
+    await transactionDone(transaction);
+  }
+
+  async clear() {
+    const transaction = await this.transaction([TASK_STORE, META_STORE], 'readwrite');
+    transaction.objectStore(TASK_STORE).clear();
+    transaction.objectStore(META_STORE).clear();
+    // Keep the marker so cleared data is not re-imported from localStorage
+    transaction.objectStore(META_STORE).put(new Date().toISOString(), MIGRATION_MARKER);
+    await transactionDone(transaction);
+
+    this.writtenTasks.clear();
+  }
+
+  // === TASK OPERATIONS === */
+  async loadTasks() {
+    const transaction = await this.transaction([TASK_STORE, META_STORE], 'readonly');
+    const [records, meta] = await Promise.all([
+      requestToPromise(transaction.objectStore(TASK_STORE).getAll()),
+      requestToPromise(transaction.objectStore(META_STORE).get(TASKS_KEY))
+    ]);
+
+    if (!meta && records.length === 0) {
+      return null;
+    }
+
+    const tasks = records.map(fromRecord);
+    const order = meta?.order || [];
+    const position = new Map(order.map((id, index) => [id, index]));
+    tasks.sort((a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity));
+
+    this.writtenTasks = new Map(tasks.map(task => [task.id, JSON.stringify(task)]));
+
+    return {
+      tasks,
+      timestamp: meta?.timestamp || null,
+      version: meta?.version || null
+    };
+  }
+
+  saveTasks(data) {
+    const save = this.saveQueue.then(() => this.writeTasks(data));
+    this.saveQueue = save.catch(() => {});
+    return save;
+  }
+
+  async writeTasks(data) {
+    const { tasks, ...meta } = data;
+    const transaction = await this.transaction([TASK_STORE, META_STORE], 'readwrite');
+    const store = transaction.objectStore(TASK_STORE);
+    const nextWritten = new Map();
+
+    tasks.forEach(task => {
+      const serialized = JSON.stringify(task);
+      nextWritten.set(task.id, serialized);
+
+      if (this.writtenTasks.get(task.id) !== serialized) {
+        store.put(toRecord(task));
+      }
+    });
+
+    this.writtenTasks.forEach((_, id) => {
+      if (!nextWritten.has(id)) {
+        store.delete(id);
+      }
+    });
+
+    // Records have no inherent order, so the list order is kept alongside the metadata
+    transaction.objectStore(META_STORE).put({
+      ...meta,
+      order: tasks.map(task => task.id)
+    }, TASKS_KEY);
+
+    await transactionDone(transaction);
+    this.writtenTasks = nextWritten;
+  }
+
+  async clearTasks() {
+    const transaction = await this.transaction([TASK_STORE, META_STORE], 'readwrite');
+    transaction.objectStore(TASK_STORE).clear();
+    transaction.objectStore(META_STORE).delete(TASKS_KEY);
+    await transactionDone(transaction);
+
+    this.writtenTasks.clear();
+  }
+
+  async queryTasks(indexName, value) {
+    const index = (await this.store(TASK_STORE)).index(indexName);
+    const key = indexName === 'completed' ? Number(Boolean(value)) : value;
+    const records = await requestToPromise(index.getAll(key));
+    return records.map(fromRecord);
+  }
+
+  async getUsage() {
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      return { used: usage, total: quota };
+    }
+
+    return { used: 0, total: 0 };
+  }
+
+  // === LEGACY MIGRATION === */
+  async migrateFromLocalStorage() {
+    const alreadyMigrated = await this.get(MIGRATION_MARKER);
+    if (alreadyMigrated || !isStorageAvailable('localStorage')) {
+      return;
+    }
+
+    const legacy = {};
+    LEGACY_KEYS.forEach(key => {
+      try {
+        const value = localStorage.getItem(key);
+        if (value) {
+          legacy[key] = JSON.parse(value);
+        }
+      } catch (error) {
+        console.warn(`Skipping unreadable legacy storage key ${key}:`, error);
+      }
+    });
+
+    const transaction = await this.transaction([TASK_STORE, META_STORE], 'readwrite');
+    const taskStore = transaction.objectStore(TASK_STORE);
+    const metaStore = transaction.objectStore(META_STORE);
+
+    Object.entries(legacy).forEach(([key, value]) => {
+      if (key !== TASKS_KEY) {
+        metaStore.put(value, key);
+        return;
+      }
+
+      // Tasks were stored either as a bare array or wrapped with metadata
+      const tasks = Array.isArray(value) ? value : (value.tasks || []);
+      tasks.filter(task => task && task.id).forEach(task => taskStore.put(toRecord(task)));
+      metaStore.put({
+        timestamp: value.timestamp || new Date().toISOString(),
+        version: value.version || null,
+        order: tasks.filter(task => task && task.id).map(task => task.id)
+      }, TASKS_KEY);
+    });
+
+    metaStore.put(new Date().toISOString(), MIGRATION_MARKER);
+    await transactionDone(transaction);
+
+    // Only drop the old copy once the transaction has committed
+    LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+  }
+
+  // === PRIVATE HELPERS === */
+  async transaction(storeNames, mode) {
+    if (!this.db) {
+      await this.reconnect();
+    }
+    return this.db.transaction(storeNames, mode);
+  }
+
+  async store(storeName) {
+    return (await this.transaction([storeName], 'readonly')).objectStore(storeName);
+  }
+
+  // Reopens the connection closed for another tab; after an upgrade there this rejects with a
+  // VersionError, as this page's schema is the older one
+  reconnect() {
+    if (!this.connecting) {
+      this.connecting = this.connect()
+        .then(db => {
+          this.db = db;
+        })
+        .finally(() => {
+          this.connecting = null;
+        });
+    }
+    return this.connecting;
+  }
+}
+
+// === FACTORY === */
+export function createStorageAdapter() {
+  if (IndexedDBAdapter.isSupported()) {
+    return new IndexedDBAdapter();
+  }
+  return new LocalStorageAdapter();
+}
+
+// === MODULE HELPERS === */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+function toRecord(task) {
+  return { ...task, _completed: task.completed ? 1 : 0 };
+}
+
+function fromRecord(record) {
+  const { _completed, ...task } = record;
+  return task;
+}
+
+function matchesIndex(task, indexName, value) {
+  if (indexName === 'completed') {
+    return Boolean(task.completed) === Boolean(value);
+  }
+  return task[indexName] === value;
+}
@@ -0,0 +1,266 @@
+/* Cross-Tab Synchronization */
+
+import { EVENTS } from '../constants/events.js';
+import { generateId, logError, emit, isStorageAvailable } from '../utils/helpers.js';
+import { getStateManager } from './stateManager.js';
+
+// === SYNC CONSTANTS === */
+const CHANNEL_NAME = 'todoapp_sync';
+const STORAGE_SYNC_KEY = 'todoapp_sync_message';
+const REMOTE_SOURCE = 'tabSync:remote';
+
+// Loads replace the whole list from storage and are not edits worth broadcasting
+const IGNORED_SOURCES = new Set([
+  REMOTE_SOURCE,
+  'init:loadTasks',
+  'taskManager.init',
+  'taskManager.loadFromStorage'
+]);
+
+// === TAB SYNC CLASS === */
+export class TabSync {
+  constructor() {
+    this.state = getStateManager();
+    this.tabId = generateId();
+    this.channel = null;
+    this.transport = null;
+    this.tombstones = new Map(); // taskId -> deletedAt, guards against resurrecting deleted tasks
+    this.listeners = [];
+    this.isStarted = false;
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleStorageEvent = this.handleStorageEvent.bind(this);
+    this.handleStorageCleared = this.handleStorageCleared.bind(this);
+  }
+
+  // === LIFECYCLE === */
+  start() {
+    if (this.isStarted) return;
+
+    try {
+      if (typeof BroadcastChannel !== 'undefined') {
+        this.channel = new BroadcastChannel(CHANNEL_NAME);
+        this.channel.onmessage = event => this.handleMessage(event.data);
+        this.transport = 'broadcastChannel';
+      } else if (isStorageAvailable('localStorage')) {
+        this.addListener(window, 'storage', this.handleStorageEvent);
+        this.transport = 'storage';
+      } else {
+        console.warn('No cross-tab transport available, tabs will not stay in sync');
+        return;
+      }
+
+      this.unsubscribeFromState = this.state.subscribe((newState, prevState, source) => {
+        if (IGNORED_SOURCES.has(source) || !prevState.tasks || newState.tasks === prevState.tasks) {
+          return;
+        }
+        this.broadcastChanges(prevState.tasks, newState.tasks);
+      });
+
+      this.addListener(document, EVENTS.STORAGE_CLEARED, this.handleStorageCleared);
+      this.isStarted = true;
+    } catch (error) {
+      logError(error, 'TabSync.start');
+    }
+  }
+
+  stop() {
+    if (this.unsubscribeFromState) {
+      this.unsubscribeFromState();
+      this.unsubscribeFromState = null;
+    }
+
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+
+    this.listeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.listeners = [];
+    this.isStarted = false;
+  }
+
+  addListener(element, event, handler) {
+    element.addEventListener(event, handler);
+    this.listeners.push({ element, event, handler });
+  }
+
+  // === OUTGOING === */
+  broadcastChanges(previousTasks, nextTasks) {
+    const { upserted, deleted } = diffTasks(previousTasks, nextTasks);
+    if (upserted.length === 0 && deleted.length === 0) return;
+
+    deleted.forEach(({ id, deletedAt }) => this.tombstones.set(id, deletedAt));
+
+    this.post({ type: 'tasks', upserted, deleted });
+  }
+
+  handleStorageCleared() {
+    this.post({ type: 'cleared' });
+  }
+
+  post(payload) {
+    const message = {
+      ...payload,
+      tabId: this.tabId,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      if (this.transport === 'broadcastChannel') {
+        this.channel.postMessage(message);
+      } else if (this.transport === 'storage') {
+        // A fresh id makes every write a change, so other tabs always get a storage event
+        localStorage.setItem(STORAGE_SYNC_KEY, JSON.stringify({ ...message, nonce: generateId() }));
+      }
+    } catch (error) {
+      logError(error, 'TabSync.post');
+    }
+  }
+
+  // === INCOMING === */
+  handleStorageEvent(event) {
+    if (event.key !== STORAGE_SYNC_KEY || !event.newValue) return;
+
+    try {
+      this.handleMessage(JSON.parse(event.newValue));
+    } catch (error) {
+      logError(error, 'TabSync.handleStorageEvent');
+    }
+  }
+
+  handleMessage(message) {
+    if (!message || message.tabId === this.tabId) return;
+
+    switch (message.type) {
+      case 'tasks':
+        this.applyRemoteChanges(message);
+        break;
+      case 'cleared':
+        this.tombstones.clear();
+        this.state.setState({ tasks: [] }, REMOTE_SOURCE);
+        emit(document, EVENTS.STORAGE_SYNCED, { type: 'cleared', from: message.tabId });
+        break;
+    }
+  }
+
+  applyRemoteChanges({ upserted = [], deleted = [], tabId }) {
+    const localTasks = this.state.getAllTasks();
+    const { tasks, created, updated, removed } = mergeTasks(localTasks, upserted, deleted, this.tombstones);
+
+    if (created.length === 0 && updated.length === 0 && removed.length === 0) return;
+
+    deleted.forEach(({ id, deletedAt }) => this.tombstones.set(id, deletedAt));
+
+    // setState emits STATE_CHANGED; the per-task events below let components patch single rows
+    this.state.setState({ tasks }, REMOTE_SOURCE);
+
+    created.forEach(task => emit(document, EVENTS.TASK_CREATED, { task, remote: true }));
+    updated.forEach(task => emit(document, EVENTS.TASK_UPDATED, { task, remote: true }));
+    removed.forEach(task => emit(document, EVENTS.TASK_DELETED, { task, remote: true }));
+
+    emit(document, EVENTS.STORAGE_SYNCED, {
+      type: 'tasks',
+      from: tabId,
+      created: created.length,
+      updated: updated.length,
+      deleted: removed.length
+    });
+  }
+
+  // === PUBLIC API === */
+  getTabId() {
+    return this.tabId;
+  }
+
+  getTransport() {
+    return this.transport;
+  }
+}
+
+// === MERGE HELPERS === */
+export function diffTasks(previousTasks, nextTasks) {
+  const previousById = new Map(previousTasks.map(task => [task.id, task]));
+  const nextIds = new Set();
+  const upserted = [];
+
+  nextTasks.forEach(task => {
+    nextIds.add(task.id);
+    const previous = previousById.get(task.id);
+    // Every task mutation bumps updatedAt, so comparing it is enough to spot edits
+    if (!previous || previous.updatedAt !== task.updatedAt || previous.completed !== task.completed) {
+      upserted.push(task);
+    }
+  });
+
+  const deletedAt = new Date().toISOString();
+  const deleted = previousTasks
+    .filter(task => !nextIds.has(task.id))
+    .map(task => ({ id: task.id, deletedAt }));
+
+  return { upserted, deleted };
+}
+
+export function mergeTasks(localTasks, upserted, deleted, tombstones = new Map()) {
+  const tasks = [...localTasks];
+  const indexById = new Map(tasks.map((task, index) => [task.id, index]));
+  const created = [];
+  const updated = [];
+  const removed = [];
+
+  upserted.forEach(remoteTask => {
+    const index = indexById.get(remoteTask.id);
+
+    if (index === undefined) {
+      const tombstone = tombstones.get(remoteTask.id);
+      if (tombstone && toTime(tombstone) >= toTime(remoteTask.updatedAt)) return;
+
+      indexById.set(remoteTask.id, tasks.length);
+      tasks.push(remoteTask);
+      created.push(remoteTask);
+      return;
+    }
+
+    // Newest edit wins per task; ties go to the remote copy so both tabs converge
+    if (toTime(remoteTask.updatedAt) >= toTime(tasks[index].updatedAt)) {
+      tasks[index] = remoteTask;
+      updated.push(remoteTask);
+    }
+  });
+
+  const toRemove = new Set();
+  deleted.forEach(({ id, deletedAt }) => {
+    const index = indexById.get(id);
+    if (index === undefined) return;
+
+    // Keep the task if this tab edited it after the other tab deleted it
+    if (toTime(tasks[index].updatedAt) <= toTime(deletedAt)) {
+      toRemove.add(id);
+      removed.push(tasks[index]);
+    }
+  });
+
+  return {
+    tasks: tasks.filter(task => !toRemove.has(task.id)),
+    created,
+    updated,
+    removed
+  };
+}
+
+function toTime(value) {
+  const time = new Date(value).getTime();
+  return isNaN(time) ? 0 : time;
+}
+
+// === SINGLETON INSTANCE === */
+let tabSyncInstance = null;
+
+export function getTabSync() {
+  if (!tabSyncInstance) {
+    tabSyncInstance = new TabSync();
+  }
+  return tabSyncInstance;
+}
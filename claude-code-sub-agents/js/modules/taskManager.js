@@ -1,8 +1,15 @@
 /* Task Management System */
 
 import { EVENTS } from '../constants/events.js';
-import { generateId, logError, emit, sanitizeHtml, debounce } from '../utils/helpers.js';
-import { validateTaskTitle, validateTaskPriority } from '../utils/validation.js';
+import { generateId, logError, emit, sanitizeHtml, debounce, truncateText } from '../utils/helpers.js';
+import {
+  validateTaskTitle, validateTaskPriority, validateSubtasks, validateRecurrence, validateTags, MAX_SUBTASKS, MAX_NOTES_LENGTH, SORT_FIELDS
+} from '../utils/validation.js';
+import { parseLocalDate } from '../utils/dateUtils.js';
+import { getNextDueDate } from '../utils/recurrence.js';
+import { createSearchMatcher, sortByRelevance } from '../utils/searchQuery.js';
+import { getSearchIndex } from './searchIndex.js';
+import { createSubtask, getTaskOrder } from '../data/schema.js';
 import { getStorageService } from './storage.js';
 import { getStateManager } from './stateManager.js';
 
@@ -44,6 +51,14 @@ export class TaskManager {
         }
       });
 
+      // Tasks changed in another tab, cached copies may be stale
+      document.addEventListener(EVENTS.STORAGE_SYNCED, () => this.cache.clear());
+      document.addEventListener(EVENTS.HISTORY_CHANGED, event => {
+        if (event.detail.action === 'undo' || event.detail.action === 'redo') {
+          this.cache.clear();
+        }
+      });
+
       emit(document, EVENTS.COMPONENT_MOUNTED, {
         component: 'TaskManager',
         taskCount: storedTasks.length
@@ -70,9 +85,15 @@ export class TaskManager {
         title: sanitizeHtml(taskData.title.trim()),
         completed: false,
         priority: taskData.priority || 'medium',
+        category: taskData.category ? sanitizeHtml(taskData.category.trim()) : undefined,
+        dueDate: taskData.dueDate || undefined,
+        notes: taskData.notes?.trim() ? sanitizeHtml(taskData.notes.trim()) : undefined,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
-        completedAt: null
+        completedAt: null,
+        subtasks: [],
+        tags: validateTags(taskData.tags).sanitizedValue,
+        recurrence: validateRecurrence(taskData.recurrence).sanitizedValue
       };
 
       // Add to state
@@ -133,6 +154,36 @@ export class TaskManager {
         sanitizedUpdates.priority = updates.priority;
       }
 
+      if (updates.category !== undefined) {
+        sanitizedUpdates.category = updates.category ? sanitizeHtml(updates.category.trim()) : undefined;
+      }
+
+      if (updates.dueDate !== undefined) {
+        sanitizedUpdates.dueDate = updates.dueDate || undefined;
+      }
+
+      // An empty day takes the task off the Today agenda
+      if (updates.plannedFor !== undefined) {
+        sanitizedUpdates.plannedFor = updates.plannedFor || undefined;
+      }
+
+      // Null goes back to judging importance by priority
+      if (updates.important !== undefined) {
+        sanitizedUpdates.important = updates.important ?? undefined;
+      }
+
+      if (updates.tags !== undefined) {
+        sanitizedUpdates.tags = validateTags(updates.tags).sanitizedValue;
+      }
+
+      if (updates.notes !== undefined) {
+        sanitizedUpdates.notes = updates.notes?.trim() ? sanitizeHtml(updates.notes.trim()) : undefined;
+      }
+
+      if (updates.recurrence !== undefined) {
+        sanitizedUpdates.recurrence = validateRecurrence(updates.recurrence).sanitizedValue;
+      }
+
       sanitizedUpdates.updatedAt = new Date().toISOString();
 
       // Update in state
@@ -197,15 +248,29 @@ export class TaskManager {
       }
 
       const wasCompleted = existingTask.completed;
-      const updatedTask = this.state.toggleTaskComplete(taskId);
+      let nextOccurrence = null;
+
+      // Completing and scheduling the next occurrence undo together
+      const label = `${wasCompleted ? 'Reopen' : 'Complete'} ${quoteTitle(existingTask.title)}`;
+      const updatedTask = this.state.batchTaskCommands(label, 'update', () => {
+        const toggledTask = this.state.toggleTaskComplete(taskId);
+        if (!wasCompleted && toggledTask.completed) {
+          nextOccurrence = this.scheduleNextOccurrence(toggledTask);
+        }
+        return this.state.getTask(taskId);
+      });
       
       // Update cache
       this.cache.set(taskId, updatedTask);
+      if (nextOccurrence) {
+        this.cache.set(nextOccurrence.id, nextOccurrence);
+      }
 
       // Emit specific completion event
       if (!wasCompleted && updatedTask.completed) {
         emit(document, EVENTS.TASK_COMPLETED, { 
           task: updatedTask,
+          nextOccurrence,
           timestamp: new Date().toISOString()
         });
       } else if (wasCompleted && !updatedTask.completed) {
@@ -223,6 +288,256 @@ export class TaskManager {
     }
   }
 
+  // === RECURRENCE === */
+  scheduleNextOccurrence(task) {
+    if (!task.recurrence) return null;
+
+    // Re-completing an occurrence must not schedule a second copy
+    if (task.nextOccurrenceId && this.state.getTask(task.nextOccurrenceId)) {
+      return null;
+    }
+
+    const dueDate = getNextDueDate(task);
+    if (!dueDate) return null;
+
+    const now = new Date().toISOString();
+    const nextTask = this.state.addTask({
+      id: generateId(),
+      title: task.title,
+      priority: task.priority,
+      category: task.category,
+      tags: task.tags || [],
+      notes: task.notes,
+      dueDate,
+      recurrence: task.recurrence,
+      completed: false,
+      completedAt: null,
+      createdAt: now,
+      updatedAt: now,
+      // The checklist carries over, unticked
+      subtasks: (task.subtasks || []).map(subtask => createSubtask({ title: subtask.title }))
+    });
+
+    this.state.updateTask(task.id, { nextOccurrenceId: nextTask.id });
+    return nextTask;
+  }
+
+  // === SUBTASK OPERATIONS === */
+  async addSubtask(taskId, title) {
+    try {
+      const validation = validateTaskTitle(title);
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join(', '));
+      }
+
+      const subtask = createSubtask({ title: validation.sanitizedValue });
+      await this.updateSubtasks(taskId, `Add subtask ${quoteTitle(subtask.title)}`, subtasks => {
+        if (subtasks.length >= MAX_SUBTASKS) {
+          throw new Error(`A task can have at most ${MAX_SUBTASKS} subtasks`);
+        }
+        return [...subtasks, subtask];
+      });
+
+      return subtask;
+    } catch (error) {
+      logError(error, 'TaskManager.addSubtask');
+      this.handleError(error, 'Failed to add subtask');
+      throw error;
+    }
+  }
+
+  async updateSubtask(taskId, subtaskId, updates) {
+    try {
+      const validation = this.validateTaskUpdates(updates);
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join(', '));
+      }
+
+      const subtask = this.findSubtask(taskId, subtaskId);
+      const now = new Date().toISOString();
+      const changes = { updatedAt: now };
+
+      if (updates.title !== undefined) {
+        changes.title = sanitizeHtml(updates.title.trim());
+      }
+
+      if (updates.completed !== undefined && updates.completed !== subtask.completed) {
+        changes.completed = updates.completed;
+        changes.completedAt = updates.completed ? now : null;
+      }
+
+      const verb = changes.completed === undefined ? 'Edit' : (changes.completed ? 'Complete' : 'Reopen');
+      const task = await this.updateSubtasks(taskId, `${verb} subtask ${quoteTitle(subtask.title)}`, subtasks =>
+        subtasks.map(item => item.id === subtaskId ? { ...item, ...changes } : item)
+      );
+
+      return task.subtasks.find(item => item.id === subtaskId);
+    } catch (error) {
+      logError(error, 'TaskManager.updateSubtask');
+      this.handleError(error, 'Failed to update subtask');
+      throw error;
+    }
+  }
+
+  async toggleSubtaskComplete(taskId, subtaskId) {
+    const subtask = this.findSubtask(taskId, subtaskId);
+    return this.updateSubtask(taskId, subtaskId, { completed: !subtask.completed });
+  }
+
+  async deleteSubtask(taskId, subtaskId) {
+    try {
+      const subtask = this.findSubtask(taskId, subtaskId);
+      await this.updateSubtasks(taskId, `Delete subtask ${quoteTitle(subtask.title)}`, subtasks =>
+        subtasks.filter(item => item.id !== subtaskId)
+      );
+
+      return subtask;
+    } catch (error) {
+      logError(error, 'TaskManager.deleteSubtask');
+      this.handleError(error, 'Failed to delete subtask');
+      throw error;
+    }
+  }
+
+  async reorderSubtask(taskId, subtaskId, toIndex) {
+    try {
+      const subtask = this.findSubtask(taskId, subtaskId);
+      const task = await this.updateSubtasks(taskId, `Move subtask ${quoteTitle(subtask.title)}`, subtasks => {
+        const remaining = subtasks.filter(item => item.id !== subtaskId);
+        const index = Math.max(0, Math.min(toIndex, remaining.length));
+        remaining.splice(index, 0, subtask);
+        return remaining;
+      });
+
+      return task.subtasks;
+    } catch (error) {
+      logError(error, 'TaskManager.reorderSubtask');
+      this.handleError(error, 'Failed to reorder subtask');
+      throw error;
+    }
+  }
+
+  async promoteSubtask(taskId, subtaskId) {
+    try {
+      this.findSubtask(taskId, subtaskId);
+      const newTask = this.state.promoteSubtask(taskId, subtaskId);
+
+      this.cache.delete(taskId);
+      this.cache.set(newTask.id, newTask);
+
+      return newTask;
+    } catch (error) {
+      logError(error, 'TaskManager.promoteSubtask');
+      this.handleError(error, 'Failed to promote subtask');
+      throw error;
+    }
+  }
+
+  // === MANUAL ORDER === */
+  /**
+   * Moves a task in the manual order, e.g. moveTask(id, { afterId }) to place it right below
+   * another; a null placement leaves the order alone. `changes` join it to the group it was
+   * dropped into, see getGroupChanges(); they hold values copied from stored tasks, so are not
+   * sanitized again.
+   */
+  async moveTask(taskId, placement = {}, changes = {}) {
+    try {
+      if (!this.getTask(taskId)) {
+        throw new Error(`Task with ID ${taskId} not found`);
+      }
+      if (placement && (placement.afterId === taskId || placement.beforeId === taskId)) {
+        throw new Error('A task cannot be moved next to itself');
+      }
+
+      const groupChanges = {};
+      GROUP_CHANGE_FIELDS.forEach(field => {
+        if (field in changes) groupChanges[field] = changes[field];
+      });
+
+      const validation = this.validateTaskUpdates(groupChanges);
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join(', '));
+      }
+
+      const updatedTask = this.state.moveTask(taskId, placement, groupChanges);
+      this.cache.set(taskId, updatedTask);
+
+      return updatedTask;
+    } catch (error) {
+      logError(error, 'TaskManager.moveTask');
+      this.handleError(error, 'Failed to move task');
+      throw error;
+    }
+  }
+
+  // Nests a task under `parentId`; the list passes the task shown above it
+  async demoteTask(taskId, parentId) {
+    try {
+      const task = this.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task with ID ${taskId} not found`);
+      }
+
+      const target = parentId ? this.getTask(parentId) : null;
+      if (!target) {
+        throw new Error('There is no task to nest this one under');
+      }
+
+      const incoming = 1 + (task.subtasks?.length || 0);
+      if ((target.subtasks?.length || 0) + incoming > MAX_SUBTASKS) {
+        throw new Error(`A task can have at most ${MAX_SUBTASKS} subtasks`);
+      }
+
+      const updatedParent = this.state.demoteTask(taskId, parentId);
+
+      this.cache.delete(taskId);
+      this.cache.set(parentId, updatedParent);
+
+      return updatedParent;
+    } catch (error) {
+      logError(error, 'TaskManager.demoteTask');
+      this.handleError(error, 'Failed to demote task');
+      throw error;
+    }
+  }
+
+  findSubtask(taskId, subtaskId) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task with ID ${taskId} not found`);
+    }
+
+    const subtask = (task.subtasks || []).find(item => item.id === subtaskId);
+    if (!subtask) {
+      throw new Error(`Subtask with ID ${subtaskId} not found`);
+    }
+
+    return subtask;
+  }
+
+  async updateSubtasks(taskId, label, transform) {
+    const existingTask = this.getTask(taskId);
+    if (!existingTask) {
+      throw new Error(`Task with ID ${taskId} not found`);
+    }
+
+    const validation = validateSubtasks(transform([...(existingTask.subtasks || [])]));
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const updatedTask = this.state.updateTask(taskId, { subtasks: validation.sanitizedValue }, label);
+    this.cache.set(taskId, updatedTask);
+
+    emit(document, EVENTS.TASK_UPDATED, {
+      task: updatedTask,
+      updates: { subtasks: updatedTask.subtasks },
+      timestamp: new Date().toISOString()
+    });
+
+    return updatedTask;
+  }
+
   // === TASK RETRIEVAL === */
   getTask(taskId) {
     // Check cache first
@@ -254,25 +569,8 @@ export class TaskManager {
         throw new Error('Tasks data must be a non-empty array');
       }
 
-      const validatedTasks = [];
-      const errors = [];
-
-      // Validate all tasks first
-      tasksData.forEach((taskData, index) => {
-        const validation = this.validateTaskData(taskData);
-        if (validation.isValid) {
-          validatedTasks.push({
-            ...taskData,
-            title: sanitizeHtml(taskData.title.trim())
-          });
-        } else {
-          errors.push(`Task ${index + 1}: ${validation.errors.join(', ')}`);
-        }
-      });
-
-      if (errors.length > 0) {
-        throw new Error('Validation errors: ' + errors.join('; '));
-      }
+      const now = new Date().toISOString();
+      const validatedTasks = this.validateImportedTasks(tasksData).map(taskData => sanitizeImportedTask(taskData, now));
 
       // Create tasks in batch
       const createdTasks = this.state.addMultipleTasks(validatedTasks);
@@ -296,6 +594,68 @@ export class TaskManager {
     }
   }
 
+  /**
+   * Adds imported tasks and updates the ones they stand for, as one undo step. Task data with the
+   * `id` of an existing task sets just the fields it has on that task; the rest is added as
+   * createMultipleTasks() adds it. Resolves to `{ created, updated }`.
+   */
+  async importTasks(tasksData) {
+    try {
+      if (!Array.isArray(tasksData) || tasksData.length === 0) {
+        throw new Error('Tasks data must be a non-empty array');
+      }
+
+      const now = new Date().toISOString();
+      const newTasks = [];
+      const updatesById = new Map();
+
+      this.validateImportedTasks(tasksData).forEach(taskData => {
+        const task = sanitizeImportedTask(taskData, now);
+        const existing = taskData.id ? this.getTask(taskData.id) : null;
+        if (!existing) {
+          newTasks.push(task);
+          return;
+        }
+
+        const updates = {};
+        IMPORT_UPDATE_FIELDS.forEach(field => {
+          if (field in taskData) updates[field] = task[field];
+        });
+        // A task that stays completed keeps when it was completed, unless the import says
+        if ('completed' in taskData) {
+          updates.completedAt = task.completed
+            ? taskData.completedAt || (existing.completed && existing.completedAt) || now
+            : null;
+        }
+        updatesById.set(existing.id, updates);
+      });
+
+      const label = `Import ${tasksData.length} ${tasksData.length === 1 ? 'task' : 'tasks'}`;
+      const { created, updated } = this.state.batchTaskCommands(label, 'update', () => ({
+        updated: updatesById.size > 0
+          ? this.state.updateMultipleTasks([...updatesById.keys()], task => updatesById.get(task.id), label)
+          : [],
+        created: newTasks.length > 0 ? this.state.addMultipleTasks(newTasks) : []
+      }));
+
+      [...created, ...updated].forEach(task => {
+        this.cache.set(task.id, task);
+      });
+
+      emit(document, EVENTS.BULK_SELECT, {
+        tasks: [...created, ...updated],
+        operation: 'import',
+        timestamp: new Date().toISOString()
+      });
+
+      return { created, updated };
+    } catch (error) {
+      logError(error, 'TaskManager.importTasks');
+      this.handleError(error, 'Failed to import tasks');
+      throw error;
+    }
+  }
+
   async deleteMultipleTasks(taskIds) {
     try {
       if (!Array.isArray(taskIds) || taskIds.length === 0) {
@@ -344,6 +704,104 @@ export class TaskManager {
     }
   }
 
+  // Completes, or reopens, several tasks as one undo step, scheduling repeats as completing one does
+  async completeMultipleTasks(taskIds, completed = true) {
+    try {
+      if (!Array.isArray(taskIds) || taskIds.length === 0) {
+        throw new Error('Task IDs must be a non-empty array');
+      }
+
+      const nextOccurrences = [];
+      const count = taskIds.filter(taskId => this.state.getTask(taskId)?.completed === !completed).length;
+      const label = `${completed ? 'Complete' : 'Reopen'} ${count} ${count === 1 ? 'task' : 'tasks'}`;
+      const changedTasks = this.state.batchTaskCommands(label, 'update', () => {
+        const changed = this.state.setTasksCompleted(taskIds, completed);
+        if (completed) {
+          changed.forEach(task => {
+            const nextOccurrence = this.scheduleNextOccurrence(task);
+            if (nextOccurrence) nextOccurrences.push(nextOccurrence);
+          });
+        }
+        return changed.map(task => this.state.getTask(task.id));
+      });
+
+      [...changedTasks, ...nextOccurrences].forEach(task => {
+        this.cache.set(task.id, task);
+      });
+
+      emit(document, EVENTS.BULK_COMPLETE, {
+        tasks: changedTasks,
+        completed,
+        nextOccurrences,
+        timestamp: new Date().toISOString()
+      });
+
+      return changedTasks;
+    } catch (error) {
+      logError(error, 'TaskManager.completeMultipleTasks');
+      this.handleError(error, `Failed to ${completed ? 'complete' : 'reopen'} tasks`);
+      throw error;
+    }
+  }
+
+  /**
+   * Sets the priority, category, due date or importance of several tasks as one undo step, e.g.
+   * updateMultipleTasks(ids, { priority: 'high' }). An empty category or due date clears it.
+   * `label` names the undo step, "Edit N tasks" by default.
+   */
+  async updateMultipleTasks(taskIds, updates, label = null) {
+    try {
+      if (!Array.isArray(taskIds) || taskIds.length === 0) {
+        throw new Error('Task IDs must be a non-empty array');
+      }
+
+      const tasks = taskIds.map(taskId => this.getTask(taskId)).filter(Boolean);
+      if (tasks.length === 0) {
+        throw new Error('No valid tasks found to update');
+      }
+
+      const bulkUpdates = {};
+      GROUP_CHANGE_FIELDS.forEach(field => {
+        if (field in updates) bulkUpdates[field] = updates[field];
+      });
+      if (Object.keys(bulkUpdates).length === 0) {
+        throw new Error(`Only ${GROUP_CHANGE_FIELDS.join(', ')} can be changed on several tasks at once`);
+      }
+
+      const validation = this.validateTaskUpdates(bulkUpdates);
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join(', '));
+      }
+
+      const sanitizedUpdates = {};
+      if (bulkUpdates.priority !== undefined) {
+        sanitizedUpdates.priority = bulkUpdates.priority;
+      }
+      if ('category' in bulkUpdates) {
+        sanitizedUpdates.category = bulkUpdates.category?.trim() ? sanitizeHtml(bulkUpdates.category.trim()) : undefined;
+      }
+      if ('dueDate' in bulkUpdates) {
+        sanitizedUpdates.dueDate = bulkUpdates.dueDate || undefined;
+      }
+      if ('important' in bulkUpdates) {
+        sanitizedUpdates.important = bulkUpdates.important ?? undefined;
+      }
+
+      const commandLabel = label || `Edit ${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'}`;
+      const updatedTasks = this.state.updateMultipleTasks(tasks.map(task => task.id), sanitizedUpdates, commandLabel);
+
+      updatedTasks.forEach(task => {
+        this.cache.set(task.id, task);
+      });
+
+      return updatedTasks;
+    } catch (error) {
+      logError(error, 'TaskManager.updateMultipleTasks');
+      this.handleError(error, 'Failed to update tasks');
+      throw error;
+    }
+  }
+
   async clearCompletedTasks() {
     try {
       const completedTasks = this.state.clearCompletedTasks();
@@ -374,20 +832,25 @@ export class TaskManager {
         return this.getAllTasks();
       }
 
-      const searchQuery = query.toLowerCase().trim();
+      const searchQuery = query.trim();
       if (searchQuery.length === 0) {
         return this.getAllTasks();
       }
 
       const allTasks = this.getAllTasks();
-      const results = allTasks.filter(task => {
-        return task.title.toLowerCase().includes(searchQuery);
+      const searchIndex = getSearchIndex();
+      const matchesSearch = createSearchMatcher(searchQuery, {
+        index: searchIndex.isStarted ? searchIndex : null
       });
+      // Best matches first when the query has words to rank by
+      const results = sortByRelevance(allTasks.filter(matchesSearch), matchesSearch);
 
       emit(document, EVENTS.SEARCH_RESULTS_UPDATED, {
         query: searchQuery,
         resultCount: results.length,
-        totalTasks: allTasks.length
+        totalTasks: allTasks.length,
+        tasks: results,
+        ranked: Boolean(matchesSearch.isRanked)
       });
 
       return results;
@@ -397,40 +860,32 @@ export class TaskManager {
     }
   }
 
+  /**
+   * Sorts by one field, or by several when `sortBy` is a list of `{ by, direction }` keys:
+   * sortTasks(tasks, [{ by: 'priority', direction: 'desc' }, { by: 'dueDate', direction: 'asc' }])
+   * compares due dates only between tasks of equal priority.
+   */
   sortTasks(tasks, sortBy = 'createdAt', direction = 'desc') {
     try {
       if (!Array.isArray(tasks)) {
         return [];
       }
 
-      const validSortFields = ['createdAt', 'updatedAt', 'title', 'priority', 'completed'];
-      if (!validSortFields.includes(sortBy)) {
-        sortBy = 'createdAt';
-      }
+      const validSortFields = [...SORT_FIELDS, 'completed'];
+      const keys = (Array.isArray(sortBy) ? sortBy : [{ by: sortBy, direction }])
+        .filter(key => validSortFields.includes(key?.by));
 
-      const sortedTasks = [...tasks].sort((a, b) => {
-        let aVal = a[sortBy];
-        let bVal = b[sortBy];
+      if (keys.length === 0) {
+        keys.push({ by: 'createdAt', direction });
+      }
 
-        // Special handling for different field types
-        if (sortBy === 'title') {
-          aVal = aVal.toLowerCase();
-          bVal = bVal.toLowerCase();
-        } else if (sortBy === 'priority') {
-          const priorityOrder = { low: 1, medium: 2, high: 3 };
-          aVal = priorityOrder[aVal] || 2;
-          bVal = priorityOrder[bVal] || 2;
-        } else if (sortBy === 'completed') {
-          aVal = aVal ? 1 : 0;
-          bVal = bVal ? 1 : 0;
+      return [...tasks].sort((a, b) => {
+        for (const key of keys) {
+          const result = compareTasksBy(a, b, key.by, key.direction === 'asc' ? 'asc' : 'desc');
+          if (result !== 0) return result;
         }
-
-        if (aVal < bVal) return direction === 'asc' ? -1 : 1;
-        if (aVal > bVal) return direction === 'asc' ? 1 : -1;
         return 0;
       });
-
-      return sortedTasks;
     } catch (error) {
       logError(error, 'TaskManager.sortTasks');
       return tasks || [];
@@ -458,7 +913,13 @@ export class TaskManager {
           high: allTasks.filter(task => task.priority === 'high').length
         },
         completionRate: allTasks.length > 0 ? 
-          Math.round((allTasks.filter(task => task.completed).length / allTasks.length) * 100) : 0
+          Math.round((allTasks.filter(task => task.completed).length / allTasks.length) * 100) : 0,
+        subtasks: {
+          total: allTasks.reduce((count, task) => count + (task.subtasks?.length || 0), 0),
+          completed: allTasks.reduce((count, task) =>
+            count + (task.subtasks || []).filter(subtask => subtask.completed).length, 0),
+          tasksWithSubtasks: allTasks.filter(task => task.subtasks?.length > 0).length
+        }
       };
 
       return stats;
@@ -471,12 +932,29 @@ export class TaskManager {
         todayCreated: 0,
         todayCompleted: 0,
         byPriority: { low: 0, medium: 0, high: 0 },
-        completionRate: 0
+        completionRate: 0,
+        subtasks: { total: 0, completed: 0, tasksWithSubtasks: 0 }
       };
     }
   }
 
   // === VALIDATION === */
+  // Imported tasks are checked all together, before any is added
+  validateImportedTasks(tasksData) {
+    const errors = [];
+    tasksData.forEach((taskData, index) => {
+      const validation = this.validateTaskData(taskData);
+      if (!validation.isValid) {
+        errors.push(`Task ${index + 1}: ${validation.errors.join(', ')}`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new Error('Validation errors: ' + errors.join('; '));
+    }
+    return tasksData;
+  }
+
   validateTaskData(taskData) {
     const errors = [];
 
@@ -499,6 +977,12 @@ export class TaskManager {
       }
     }
 
+    if (taskData.subtasks !== undefined) {
+      errors.push(...validateSubtasks(taskData.subtasks).errors);
+    }
+
+    errors.push(...this.validateTaskDetails(taskData));
+
     return {
       isValid: errors.length === 0,
       errors
@@ -534,12 +1018,48 @@ export class TaskManager {
       errors.push('Completed status must be a boolean');
     }
 
+    errors.push(...this.validateTaskDetails(updates));
+
     return {
       isValid: errors.length === 0,
       errors
     };
   }
 
+  validateTaskDetails(data) {
+    const errors = [];
+
+    if (data.dueDate && !parseLocalDate(data.dueDate)) {
+      errors.push('Due date must be in YYYY-MM-DD format');
+    }
+
+    if (data.plannedFor && !parseLocalDate(data.plannedFor)) {
+      errors.push('Planned day must be in YYYY-MM-DD format');
+    }
+
+    if (data.important !== undefined && data.important !== null && typeof data.important !== 'boolean') {
+      errors.push('Important must be true or false');
+    }
+
+    if (data.tags !== undefined) {
+      errors.push(...validateTags(data.tags).errors);
+    }
+
+    if (data.notes !== undefined && data.notes !== null) {
+      if (typeof data.notes !== 'string') {
+        errors.push('Notes must be text');
+      } else if (data.notes.length > MAX_NOTES_LENGTH) {
+        errors.push(`Notes must be ${MAX_NOTES_LENGTH} characters or less`);
+      }
+    }
+
+    if (data.recurrence !== undefined) {
+      errors.push(...validateRecurrence(data.recurrence).errors);
+    }
+
+    return errors;
+  }
+
   // === STORAGE OPERATIONS === */
   async saveToStorage(tasks) {
     try {
@@ -619,6 +1139,76 @@ export class TaskManager {
   }
 }
 
+// === MODULE HELPERS === */
+function quoteTitle(title) {
+  return `"${truncateText(title, 40)}"`;
+}
+
+// === SORTING === */
+const PRIORITY_ORDER = { low: 1, medium: 2, high: 3 };
+
+// What moving a task into another group, or editing several at once, may change
+const GROUP_CHANGE_FIELDS = ['priority', 'category', 'dueDate', 'important'];
+// What an import may change on a task it matches; completion times follow `completed`
+const IMPORT_UPDATE_FIELDS = ['title', 'priority', 'category', 'dueDate', 'notes', 'tags', 'important', 'completed'];
+
+/**
+ * A validated imported task ready to add. It may arrive completed, with subtasks and its own
+ * creation date, and with what a todo.txt line or iCalendar to-do held beyond the task's fields.
+ */
+function sanitizeImportedTask(taskData, now) {
+  const completed = taskData.completed === true;
+  return {
+    title: sanitizeHtml(taskData.title.trim()),
+    priority: taskData.priority || 'medium',
+    category: taskData.category?.trim() ? sanitizeHtml(taskData.category.trim()) : undefined,
+    dueDate: taskData.dueDate || undefined,
+    notes: taskData.notes?.trim() ? sanitizeHtml(taskData.notes.trim()) : undefined,
+    tags: validateTags(taskData.tags).sanitizedValue,
+    recurrence: validateRecurrence(taskData.recurrence).sanitizedValue,
+    important: taskData.important ?? undefined,
+    completed,
+    completedAt: completed ? taskData.completedAt || now : null,
+    subtasks: (taskData.subtasks || []).map(subtask => ({
+      ...createSubtask({ title: sanitizeHtml(subtask.title.trim()) }),
+      completed: subtask.completed === true,
+      completedAt: subtask.completed === true ? now : null
+    })),
+    ...(taskData.createdAt && { createdAt: taskData.createdAt }),
+    ...(taskData.todoTxt && { todoTxt: taskData.todoTxt }),
+    ...(taskData.ical && { ical: taskData.ical })
+  };
+}
+
+function compareTasksBy(a, b, sortBy, direction) {
+  let aVal = a[sortBy];
+  let bVal = b[sortBy];
+
+  // Undated tasks go last whichever way due dates are sorted
+  if (sortBy === 'dueDate' && (!aVal || !bVal)) {
+    return (aVal ? 0 : 1) - (bVal ? 0 : 1);
+  }
+
+  // Special handling for different field types
+  if (sortBy === 'title') {
+    aVal = aVal.toLowerCase();
+    bVal = bVal.toLowerCase();
+  } else if (sortBy === 'priority') {
+    aVal = PRIORITY_ORDER[aVal] || 2;
+    bVal = PRIORITY_ORDER[bVal] || 2;
+  } else if (sortBy === 'completed') {
+    aVal = aVal ? 1 : 0;
+    bVal = bVal ? 1 : 0;
+  } else if (sortBy === 'order') {
+    aVal = getTaskOrder(a);
+    bVal = getTaskOrder(b);
+  }
+
+  if (aVal < bVal) return direction === 'asc' ? -1 : 1;
+  if (aVal > bVal) return direction === 'asc' ? 1 : -1;
+  return 0;
+}
+
 // === SINGLETON INSTANCE === */
 let taskManagerInstance = null;
 
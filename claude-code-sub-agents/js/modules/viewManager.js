@@ -0,0 +1,277 @@
+/* Saved Views */
+
+import { EVENTS } from '../constants/events.js';
+import { generateId, logError, emit, deepClone } from '../utils/helpers.js';
+import { validateView, MAX_VIEWS } from '../utils/validation.js';
+import { getStateManager } from './stateManager.js';
+import { getStorageService } from './storage.js';
+
+// === VIEW CONSTANTS === */
+const FILTER_DEFAULTS = {
+  status: 'all',
+  priority: 'all',
+  searchQuery: '',
+  category: 'all',
+  due: 'all'
+};
+
+// Offered until the user saves views of their own, these replace the old filter presets
+const STARTER_VIEWS = [
+  {
+    name: 'Today',
+    filters: { status: 'active', due: 'agenda' },
+    sort: { by: 'dueDate', direction: 'asc', thenBy: [{ by: 'priority', direction: 'desc' }] }
+  },
+  {
+    name: 'High priority',
+    filters: { status: 'active', priority: 'high' },
+    sort: { by: 'dueDate', direction: 'asc' }
+  },
+  {
+    name: 'Completed',
+    filters: { status: 'completed' },
+    sort: { by: 'updatedAt', direction: 'desc' }
+  }
+];
+
+function normalizeFilters(filters) {
+  const normalized = { ...FILTER_DEFAULTS };
+  Object.keys(FILTER_DEFAULTS).forEach(key => {
+    if (filters?.[key] !== undefined) normalized[key] = filters[key];
+  });
+  normalized.searchQuery = normalized.searchQuery.trim();
+  return normalized;
+}
+
+function getSortSignature({ by, direction, thenBy = [] }) {
+  return [{ by, direction }, ...thenBy].map(key => `${key.by}:${key.direction}`).join(',');
+}
+
+function isSameView(a, b) {
+  return Object.keys(FILTER_DEFAULTS).every(key => {
+    const aValue = String(a.filters[key]);
+    const bValue = String(b.filters[key]);
+    return key === 'category' ? aValue.toLowerCase() === bValue.toLowerCase() : aValue === bValue;
+  }) && getSortSignature(a.sort) === getSortSignature(b.sort);
+}
+
+// === VIEW MANAGER CLASS === */
+export class ViewManager {
+  constructor() {
+    this.state = getStateManager();
+    this.storage = getStorageService();
+    this.views = [];
+    this.defaultViewId = null;
+    this.isInitialized = false;
+    this.ready = null;
+  }
+
+  // === INITIALIZATION === */
+  // Components may ask before the app has loaded the views, so every caller shares one load
+  init() {
+    if (!this.ready) {
+      this.ready = this.load();
+    }
+    return this.ready;
+  }
+
+  async load() {
+    try {
+      const saved = await this.storage.loadViews();
+
+      if (saved) {
+        this.views = saved.views;
+        this.defaultViewId = saved.defaultViewId;
+        this.emitChanged('load');
+      } else {
+        this.views = STARTER_VIEWS.map(view => this.buildView(view));
+        await this.save('load');
+      }
+
+      this.isInitialized = true;
+    } catch (error) {
+      logError(error, 'ViewManager.load');
+    }
+  }
+
+  buildView({ id = generateId(), name, filters, sort }) {
+    const validation = validateView({ id, name, filters: normalizeFilters(filters), sort });
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join(', '));
+    }
+    return validation.sanitizedValue;
+  }
+
+  // === VIEW OPERATIONS === */
+  // Saves the filters and sort order currently on screen under a new name
+  async createView(name) {
+    try {
+      if (this.views.length >= MAX_VIEWS) {
+        throw new Error(`Cannot save more than ${MAX_VIEWS} views`);
+      }
+
+      const view = this.buildView({
+        name,
+        filters: this.state.getState().filters,
+        sort: this.state.getSortOrder()
+      });
+      this.assertUniqueName(view.name);
+
+      this.views = [...this.views, view];
+      await this.save('create', view);
+      return view;
+    } catch (error) {
+      logError(error, 'ViewManager.createView');
+      throw error;
+    }
+  }
+
+  async updateView(viewId, updates) {
+    try {
+      const index = this.findIndex(viewId);
+      const view = this.buildView({ ...this.views[index], ...updates, id: viewId });
+      this.assertUniqueName(view.name, viewId);
+
+      this.views = this.views.map(existing => existing.id === viewId ? view : existing);
+      await this.save('update', view);
+      return view;
+    } catch (error) {
+      logError(error, 'ViewManager.updateView');
+      throw error;
+    }
+  }
+
+  async deleteView(viewId) {
+    try {
+      const view = this.views[this.findIndex(viewId)];
+
+      this.views = this.views.filter(existing => existing.id !== viewId);
+      if (this.defaultViewId === viewId) {
+        this.defaultViewId = null;
+      }
+
+      await this.save('delete', view);
+      return view;
+    } catch (error) {
+      logError(error, 'ViewManager.deleteView');
+      throw error;
+    }
+  }
+
+  async moveView(viewId, toIndex) {
+    try {
+      const fromIndex = this.findIndex(viewId);
+      const targetIndex = Math.max(0, Math.min(toIndex, this.views.length - 1));
+      if (fromIndex === targetIndex) return false;
+
+      const views = [...this.views];
+      const [view] = views.splice(fromIndex, 1);
+      views.splice(targetIndex, 0, view);
+      this.views = views;
+
+      await this.save('move', view);
+      return true;
+    } catch (error) {
+      logError(error, 'ViewManager.moveView');
+      throw error;
+    }
+  }
+
+  // The default view is applied on startup; null starts with every task showing
+  async setDefaultView(viewId) {
+    try {
+      if (viewId !== null) {
+        this.findIndex(viewId);
+      }
+
+      this.defaultViewId = viewId;
+      await this.save('default', viewId ? this.getView(viewId) : null);
+    } catch (error) {
+      logError(error, 'ViewManager.setDefaultView');
+      throw error;
+    }
+  }
+
+  applyView(viewId) {
+    const view = this.views[this.findIndex(viewId)];
+
+    this.state.setFilters(deepClone(view.filters));
+    this.state.setSortOrder(view.sort.by, view.sort.direction, view.sort.thenBy);
+
+    emit(document, EVENTS.VIEW_APPLIED, { view });
+    return view;
+  }
+
+  applyDefaultView() {
+    if (this.defaultViewId && this.getView(this.defaultViewId)) {
+      return this.applyView(this.defaultViewId);
+    }
+    return null;
+  }
+
+  // === QUERIES === */
+  getViews() {
+    return deepClone(this.views);
+  }
+
+  getView(viewId) {
+    return this.views.find(view => view.id === viewId) || null;
+  }
+
+  getDefaultViewId() {
+    return this.defaultViewId;
+  }
+
+  // The view whose filters and sort are the ones on screen, if any
+  getActiveView() {
+    const current = {
+      filters: normalizeFilters(this.state.getState().filters),
+      sort: this.state.getSortOrder()
+    };
+    return this.views.find(view => isSameView(view, current)) || null;
+  }
+
+  countTasks(view) {
+    return this.state.getFilteredTasks(view.filters).length;
+  }
+
+  // === HELPERS === */
+  findIndex(viewId) {
+    const index = this.views.findIndex(view => view.id === viewId);
+    if (index === -1) {
+      throw new Error(`View with ID ${viewId} not found`);
+    }
+    return index;
+  }
+
+  assertUniqueName(name, exceptId = null) {
+    const lowerName = name.toLowerCase();
+    if (this.views.some(view => view.id !== exceptId && view.name.toLowerCase() === lowerName)) {
+      throw new Error(`A view named "${name}" already exists`);
+    }
+  }
+
+  async save(action, view = null) {
+    await this.storage.saveViews({ views: this.views, defaultViewId: this.defaultViewId });
+    this.emitChanged(action, view);
+  }
+
+  emitChanged(action, view = null) {
+    emit(document, EVENTS.VIEWS_CHANGED, {
+      action,
+      view,
+      views: this.getViews(),
+      defaultViewId: this.defaultViewId
+    });
+  }
+}
+
+// === SINGLETON INSTANCE === */
+let viewManagerInstance = null;
+
+export function getViewManager() {
+  if (!viewManagerInstance) {
+    viewManagerInstance = new ViewManager();
+  }
+  return viewManagerInstance;
+}
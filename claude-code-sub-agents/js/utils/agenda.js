@@ -0,0 +1,55 @@
+/* Today Agenda */
+
+import { addDays, getStartOfDay, parseLocalDate } from './dateUtils.js';
+
+// === AGENDA CONSTANTS === */
+// Sections in display order, most pressing first
+export const AGENDA_SECTIONS = [
+  ['overdue', 'Overdue'],
+  ['today', 'Due today'],
+  ['planned', 'Planned for today']
+];
+
+// === AGENDA HELPERS === */
+/**
+ * Whether an undated task was planned for today. A plan made on an earlier day carries over,
+ * so what wasn't done yesterday is still on today's agenda after the date rolls over.
+ */
+export function isPlannedForToday(task, today = new Date()) {
+  if (parseLocalDate(task.dueDate)) return false;
+
+  const plannedFor = parseLocalDate(task.plannedFor);
+  return Boolean(plannedFor) && plannedFor <= getStartOfDay(today);
+}
+
+/**
+ * The agenda section a task belongs in on `today`, or null if it isn't on the agenda. Tasks
+ * done today stay in their section; tasks done on an earlier day drop off.
+ */
+export function getAgendaSection(task, today = new Date()) {
+  const start = getStartOfDay(today);
+  const dueDate = parseLocalDate(task.dueDate);
+
+  if (dueDate) {
+    if (dueDate < start) return task.completed ? null : 'overdue';
+    return dueDate < addDays(start, 1) ? 'today' : null;
+  }
+
+  if (!isPlannedForToday(task, today)) return null;
+  return task.completed && parseLocalDate(task.plannedFor) < start ? null : 'planned';
+}
+
+/**
+ * Splits tasks into the agenda sections, keeping their order within each. Every section is
+ * returned, empty or not: [{ key, label, tasks }]
+ */
+export function getAgenda(tasks, today = new Date()) {
+  const sections = new Map(AGENDA_SECTIONS.map(([key]) => [key, []]));
+
+  tasks.forEach(task => {
+    const key = getAgendaSection(task, today);
+    if (key) sections.get(key).push(task);
+  });
+
+  return AGENDA_SECTIONS.map(([key, label]) => ({ key, label, tasks: sections.get(key) }));
+}
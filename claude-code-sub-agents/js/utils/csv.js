@@ -0,0 +1,293 @@
+/* CSV Import and Export */
+
+import { unescapeHtml } from './helpers.js';
+import { createSubtask } from '../data/schema.js';
+
+// === CSV CONSTANTS === */
+export const CSV_DELIMITERS = [
+  { value: ',', label: 'Comma' },
+  { value: ';', label: 'Semicolon' }
+];
+
+const BYTE_ORDER_MARK = '\uFEFF';
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'done', 'completed'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', '', 'open', 'active'];
+// Spreadsheet apps run a cell starting with =, +, - or @ as a formula, and a leading tab or
+// carriage return can hide one; a quote in front stops that
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+const FORMULA_GUARD = "'";
+
+// === PARSING === */
+// The delimiter used more often in the first record, outside quotes; a comma on a tie
+export function detectDelimiter(text) {
+  const counts = { ',': 0, ';': 0 };
+  let quoted = false;
+
+  for (const char of stripByteOrderMark(text)) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!quoted && char in counts) {
+      counts[char]++;
+    }
+  }
+
+  return counts[';'] > counts[','] ? ';' : ',';
+}
+
+/**
+ * Reads CSV text into rows of fields, following RFC 4180: fields may be quoted, quotes inside
+ * them are doubled, and quoted fields may span lines. A leading byte order mark is dropped, as
+ * are blank lines. Throws when a quoted field never ends.
+ */
+export function parseCsv(text, { delimiter = detectDelimiter(text) } = {}) {
+  const input = stripByteOrderMark(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let quoteLine = 0;
+  let line = 1;
+
+  const endRow = () => {
+    row.push(field);
+    // A line with nothing on it is not a row with one empty field
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`A quoted field starting on line ${quoteLine} is never closed`);
+  }
+  endRow();
+
+  return rows;
+}
+
+function stripByteOrderMark(text) {
+  return text.startsWith(BYTE_ORDER_MARK) ? text.slice(1) : text;
+}
+
+// === WRITING === */
+// Rows to CSV text; fields are quoted only when they have to be
+export function toCsv(rows, { delimiter = ',' } = {}) {
+  return rows.map(row => row.map(value => quoteField(value, delimiter)).join(delimiter)).join('\r\n');
+}
+
+function quoteField(value, delimiter) {
+  const text = value === null || value === undefined ? '' : String(value);
+  const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// === TASK COLUMNS === */
+/**
+ * Task fields a CSV file can hold. `format` writes a task's value as text, `parse` reads it back
+ * into task data, left for validation to judge. `aliases` are header names, lowercased, that
+ * other apps use for the same field.
+ */
+export const CSV_COLUMNS = [
+  {
+    field: 'title',
+    label: 'Title',
+    aliases: ['task', 'name', 'subject', 'summary', 'content', 'task name'],
+    format: task => unescapeHtml(task.title),
+    // A title is one line, however the cell wrapped it
+    parse: value => value.replace(/\s+/g, ' ').trim()
+  },
+  {
+    field: 'completed',
+    label: 'Completed',
+    aliases: ['done', 'status', 'complete', 'completed?'],
+    format: task => (task.completed ? 'yes' : 'no'),
+    parse: parseBoolean
+  },
+  {
+    field: 'priority',
+    label: 'Priority',
+    aliases: [],
+    format: task => task.priority || 'medium',
+    parse: value => value.trim().toLowerCase() || undefined
+  },
+  {
+    field: 'category',
+    label: 'Category',
+    aliases: ['list', 'project', 'folder'],
+    format: task => unescapeHtml(task.category || ''),
+    parse: value => value.trim() || undefined
+  },
+  {
+    field: 'dueDate',
+    label: 'Due date',
+    aliases: ['due', 'deadline', 'due_date', 'duedate'],
+    format: task => task.dueDate || '',
+    parse: parseDay
+  },
+  {
+    field: 'tags',
+    label: 'Tags',
+    aliases: ['labels', 'tag', 'label'],
+    format: task => (task.tags || []).join(' '),
+    parse: value => value.split(/[\s,]+/).map(tag => tag.replace(/^[#@]/, '')).filter(Boolean)
+  },
+  {
+    field: 'notes',
+    label: 'Notes',
+    aliases: ['description', 'note', 'details'],
+    format: task => unescapeHtml(task.notes || ''),
+    parse: value => value.trim() || undefined
+  },
+  {
+    field: 'subtasks',
+    label: 'Subtasks',
+    aliases: ['checklist', 'subtask'],
+    format: task => (task.subtasks || [])
+      .map(subtask => `[${subtask.completed ? 'x' : ' '}] ${unescapeHtml(subtask.title)}`)
+      .join('\n'),
+    parse: parseSubtasks
+  },
+  {
+    field: 'important',
+    label: 'Important',
+    aliases: ['starred', 'flagged'],
+    format: task => (typeof task.important === 'boolean' ? (task.important ? 'yes' : 'no') : ''),
+    parse: value => (value.trim() ? parseBoolean(value) : undefined)
+  },
+  {
+    field: 'createdAt',
+    label: 'Created',
+    aliases: ['created at', 'created_at', 'date created'],
+    format: task => task.createdAt || '',
+    parse: value => value.trim() || undefined
+  },
+  {
+    field: 'completedAt',
+    label: 'Completed at',
+    aliases: ['completed_at', 'completed date', 'date completed'],
+    format: task => task.completedAt || '',
+    parse: value => value.trim() || undefined
+  }
+];
+
+// Exported unless deselected: the timestamps only matter when moving data between apps
+export const DEFAULT_CSV_COLUMNS = CSV_COLUMNS
+  .filter(column => !['createdAt', 'completedAt'].includes(column.field))
+  .map(column => column.field);
+
+// Unrecognised words are kept as they are, so validation can name the problem
+function parseBoolean(value) {
+  const word = value.trim().toLowerCase();
+  if (TRUE_VALUES.includes(word)) return true;
+  if (FALSE_VALUES.includes(word)) return false;
+  return value.trim();
+}
+
+// YYYY-MM-DD, or the day part of an ISO date and time
+function parseDay(value) {
+  const text = value.trim();
+  const isoDay = text.match(/^(\d{4}-\d{2}-\d{2})T/);
+  return isoDay ? isoDay[1] : text || undefined;
+}
+
+// One subtask per line, "[x] " marking the completed ones
+function parseSubtasks(value) {
+  return value.split(/\r?\n/)
+    .map(line => line.trim().match(/^(?:\[([ xX]?)\]\s*)?(.*)$/))
+    .filter(([, , title]) => title.trim())
+    .map(([, mark, title]) => ({
+      ...createSubtask({ title: title.trim() }),
+      completed: mark === 'x' || mark === 'X'
+    }));
+}
+
+// Puts a quote in front of a cell that starts like a formula, or like one already guarded, so
+// that reading it back takes off only the quote added here
+function guardFormula(text) {
+  return FORMULA_START.test(text) ? FORMULA_GUARD + text : text;
+}
+
+function unguardFormula(text) {
+  return text.startsWith(FORMULA_GUARD) && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+function getColumn(field) {
+  return CSV_COLUMNS.find(column => column.field === field);
+}
+
+// === TASK EXPORT === */
+// A header row of column labels, then one row per task, formula-like cells guarded
+export function tasksToCsv(tasks, fields = DEFAULT_CSV_COLUMNS, options = {}) {
+  const columns = fields.map(getColumn).filter(Boolean);
+  const rows = [
+    columns.map(column => column.label),
+    ...tasks.map(task => columns.map(column => guardFormula(column.format(task))))
+  ];
+  // The byte order mark lets spreadsheet apps tell the file is UTF-8
+  return BYTE_ORDER_MARK + toCsv(rows, options);
+}
+
+// === TASK IMPORT === */
+// The field each header most likely holds, matched by label, field name or alias; null for none
+export function guessCsvMapping(header) {
+  const used = new Set();
+
+  return header.map(name => {
+    const key = name.trim().toLowerCase();
+    const column = CSV_COLUMNS.find(candidate => !used.has(candidate.field) && (
+      candidate.label.toLowerCase() === key ||
+      candidate.field.toLowerCase() === key ||
+      candidate.aliases.includes(key)
+    ));
+
+    if (!column) return null;
+    used.add(column.field);
+    return column.field;
+  });
+}
+
+// Task data from one row, `mapping` giving each column's field or null to skip it
+export function csvRowToTask(row, mapping) {
+  const task = {};
+
+  mapping.forEach((field, index) => {
+    const column = field && getColumn(field);
+    if (!column) return;
+
+    const value = column.parse(unguardFormula(row[index] ?? ''));
+    if (value !== undefined) {
+      task[field] = value;
+    }
+  });
+
+  return task;
+}
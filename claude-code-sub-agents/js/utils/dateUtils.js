@@ -298,6 +298,10 @@ export function getEndOfMonth(date = new Date()) {
   return result;
 }
 
+export function getDaysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
 export function getStartOfYear(date = new Date()) {
   const result = new Date(date);
   result.setMonth(0, 1);
@@ -360,6 +364,26 @@ export function fromISOString(isoString) {
   return isNaN(date.getTime()) ? null : date;
 }
 
+// Due dates are calendar days (YYYY-MM-DD); read and write them in local time so they never shift a day
+export function parseLocalDate(dateString) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateString || '').trim());
+  if (!match) return null;
+  
+  // Out-of-range parts such as month 13 roll over rather than fail, so they are checked
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 && date.getDate() === Number(match[3]) ? date : null;
+}
+
+export function toLocalDateString(date) {
+  if (!date) return '';
+  const d = new Date(date);
+  if (isNaN(d.getTime())) return '';
+  
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
 // === TIMEZONE UTILITIES === */
 export function getTimezone() {
   return Intl.DateTimeFormat().resolvedOptions().timeZone;
@@ -449,37 +473,162 @@ export function smartFormatDateShort(date) {
   return formatDate(d, { year: '2-digit', month: 'short' });
 }
 
+// Calendar-day labels for due dates, which carry no time of day
+export function formatDueDate(dateString) {
+  const date = parseLocalDate(dateString);
+  if (!date) return '';
+  
+  if (isToday(date)) return 'Today';
+  if (isTomorrow(date)) return 'Tomorrow';
+  if (isYesterday(date)) return 'Yesterday';
+  
+  if (isThisYear(date)) {
+    return formatDate(date, { year: undefined, weekday: 'short', month: 'short', day: 'numeric' });
+  }
+  
+  return formatDate(date);
+}
+
+export function isPastDue(dateString, today = new Date()) {
+  const date = parseLocalDate(dateString);
+  return Boolean(date) && date < getStartOfDay(today);
+}
+
 // === DATE PARSING === */
 export function parseDate(input) {
   if (!input) return null;
   
-  // Handle various input formats
+  // Natural language first: the Date constructor reads "oct 23" as the year 2001
+  const natural = parseNaturalDate(input);
+  if (natural) {
+    return natural;
+  }
+  
+  // Only formats the Date constructor reads consistently, it guesses at anything else
   const formats = [
-    // ISO formats
-    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/,
-    /^\d{4}-\d{2}-\d{2}/,
+    // ISO date-times
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/,
     
     // US formats
-    /^\d{1,2}\/\d{1,2}\/\d{4}/,
-    /^\d{1,2}-\d{1,2}-\d{4}/,
-    
-    // Natural language (basic)
-    /^(today|tomorrow|yesterday)$/i
+    /^\d{1,2}\/\d{1,2}\/\d{4}$/,
+    /^\d{1,2}-\d{1,2}-\d{4}$/
   ];
   
-  // Try direct Date parsing first
-  let date = new Date(input);
-  if (!isNaN(date.getTime())) {
-    return date;
+  const value = String(input).trim();
+  if (!formats.some(format => format.test(value))) {
+    return null;
   }
   
-  // Handle natural language
-  const lowerInput = input.toLowerCase().trim();
-  if (lowerInput === 'today') return new Date();
-  if (lowerInput === 'tomorrow') return addDays(new Date(), 1);
-  if (lowerInput === 'yesterday') return subtractDays(new Date(), 1);
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+const WEEKDAY_PATTERN = /^(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(day|sday|nesday|rsday|urday)?$/;
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+const RELATIVE_UNITS = { day: 'day', days: 'day', week: 'week', weeks: 'week', month: 'month', months: 'month' };
+
+export function parseWeekday(word) {
+  const match = WEEKDAY_PATTERN.exec(String(word || '').toLowerCase());
+  if (!match) return null;
+  
+  const day = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(match[1].slice(0, 3));
+  return day === -1 ? null : day;
+}
+
+export function parseMonthName(word) {
+  const name = String(word || '').toLowerCase();
+  if (name.length < 3) return null;
+  
+  // Any abbreviation of at least three letters: "sep", "sept" and "september", but not "marble"
+  const month = MONTH_NAMES.findIndex(fullName => fullName.startsWith(name));
+  return month === -1 ? null : month;
+}
+
+/**
+ * Reads a calendar-day phrase relative to `today` and returns local midnight, or null.
+ * Understands "today", "tomorrow", "yesterday", weekday names ("fri", "this friday" for the
+ * nearest one, "next friday" for the first one after today), "next week" (its Monday),
+ * "next month" (its 1st), "in 3 days/weeks/months", "oct 23", "23rd october 2027" and YYYY-MM-DD.
+ * Month-day phrases without a year that have already passed mean next year.
+ */
+export function parseNaturalDate(input, today = new Date()) {
+  const words = String(input || '').toLowerCase().trim().split(/\s+/);
+  const start = getStartOfDay(today);
+  const phrase = words.join(' ');
+  
+  if (phrase === 'today' || phrase === 'tonight') return start;
+  if (phrase === 'tomorrow' || phrase === 'tmrw') return addDays(start, 1);
+  if (phrase === 'yesterday') return subtractDays(start, 1);
+  if (phrase === 'next week') return addDays(getStartOfWeek(addDays(start, 7)), 1);
+  if (phrase === 'next month') return new Date(start.getFullYear(), start.getMonth() + 1, 1);
+  
+  const isoDate = parseLocalDate(phrase);
+  if (isoDate) return isoDate;
+  
+  // Weekdays: "friday", "this friday", "next friday"
+  const modifier = words.length === 2 && ['this', 'next'].includes(words[0]) ? words[0] : null;
+  if (words.length === 1 || modifier) {
+    const weekday = parseWeekday(words[words.length - 1]);
+    if (weekday !== null) {
+      const offset = (weekday - start.getDay() + 7) % 7;
+      return addDays(start, offset === 0 && modifier === 'next' ? 7 : offset);
+    }
+  }
+  
+  // "in 3 days", "in a week"
+  if (words.length === 3 && words[0] === 'in' && RELATIVE_UNITS[words[2]]) {
+    const amount = words[1] === 'a' || words[1] === 'an' ? 1 : Number(words[1]);
+    if (Number.isInteger(amount) && amount > 0 && amount <= 366) {
+      const unit = RELATIVE_UNITS[words[2]];
+      if (unit === 'day') return addDays(start, amount);
+      if (unit === 'week') return addDays(start, amount * 7);
+      return addMonthsClamped(start, amount);
+    }
+  }
+  
+  return parseMonthDay(words, start);
+}
+
+// "oct 23", "october 23rd", "23 oct", each with an optional year
+function parseMonthDay(words, start) {
+  if (words.length < 2 || words.length > 3) return null;
   
-  return null;
+  const dayOf = word => {
+    const match = /^(\d{1,2})(st|nd|rd|th)?$/.exec(word);
+    return match ? Number(match[1]) : null;
+  };
+  
+  let month = parseMonthName(words[0]);
+  let day = dayOf(words[1]);
+  if (month === null || day === null) {
+    month = parseMonthName(words[1]);
+    day = dayOf(words[0]);
+  }
+  if (month === null || day === null) return null;
+  
+  let year = start.getFullYear();
+  if (words.length === 3) {
+    if (!/^\d{4}$/.test(words[2])) return null;
+    year = Number(words[2]);
+  }
+  
+  let date = new Date(year, month, day);
+  if (date.getDate() !== day) return null;
+  
+  if (words.length === 2 && date < start) {
+    date = new Date(year + 1, month, day);
+  }
+  
+  return date;
+}
+
+function addMonthsClamped(date, months) {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const day = Math.min(date.getDate(), getDaysInMonth(target.getFullYear(), target.getMonth()));
+  return new Date(target.getFullYear(), target.getMonth(), day);
 }
 
 // === TASK-SPECIFIC DATE UTILITIES === */
@@ -0,0 +1,71 @@
+/* Keyed DOM Reconciliation */
+
+/**
+ * Indexes of the longest strictly increasing run in `values`, skipping negative entries.
+ * Patience sorting, O(n log n).
+ */
+function longestIncreasingSubsequence(values) {
+  const tails = [];       // index into values of the smallest tail for each run length
+  const previous = new Array(values.length);
+
+  values.forEach((value, index) => {
+    if (value < 0) return;
+
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (values[tails[middle]] < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const result = new Set();
+  let index = tails.length > 0 ? tails[tails.length - 1] : -1;
+  while (index >= 0) {
+    result.add(index);
+    index = previous[index];
+  }
+  return result;
+}
+
+/**
+ * Makes `elements` the children of `parent`, in order. Children not in the list are removed and
+ * the longest run already in order stays put, so only the elements that really moved are
+ * re-inserted. Moving an element drops its focus, leaving the rest alone keeps it.
+ */
+export function reconcileChildren(parent, elements) {
+  const wanted = new Set(elements);
+  const currentIndex = new Map();
+
+  let child = parent.firstElementChild;
+  while (child) {
+    const next = child.nextElementSibling;
+    if (wanted.has(child)) {
+      currentIndex.set(child, currentIndex.size);
+    } else {
+      child.remove();
+    }
+    child = next;
+  }
+
+  const stable = longestIncreasingSubsequence(
+    elements.map(element => currentIndex.has(element) ? currentIndex.get(element) : -1)
+  );
+
+  // Back to front, so each element can be placed before its already placed successor
+  let next = null;
+  for (let i = elements.length - 1; i >= 0; i--) {
+    const element = elements[i];
+    if (!stable.has(i)) {
+      parent.insertBefore(element, next);
+    }
+    next = element;
+  }
+}
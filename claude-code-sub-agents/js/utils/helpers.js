@@ -33,6 +33,19 @@ export function escapeHtml(str) {
   return str.replace(/[&<>"']/g, (m) => map[m]);
 }
 
+// Reverses escapeHtml() and sanitizeHtml(), for stored titles and categories leaving the app as text
+export function unescapeHtml(str) {
+  const map = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&nbsp;': '\u00a0'
+  };
+  return String(str).replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (m) => map[m]);
+}
+
 export function truncateText(text, maxLength = 100, suffix = '...') {
   if (text.length <= maxLength) return text;
   return text.substring(0, maxLength - suffix.length) + suffix;
@@ -81,9 +94,10 @@ export function unique(array) {
   return [...new Set(array)];
 }
 
+// `key` is a property name or a function returning the group for an item
 export function groupBy(array, key) {
   return array.reduce((groups, item) => {
-    const group = item[key];
+    const group = typeof key === 'function' ? key(item) : item[key];
     groups[group] = groups[group] || [];
     groups[group].push(item);
     return groups;
@@ -213,6 +227,19 @@ export function hasClass(element, className) {
   return element.classList.contains(className);
 }
 
+// Saves generated content as a file through a temporary link
+export function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
 // === EVENT UTILITIES === */
 export function on(element, event, handler, options = {}) {
   element.addEventListener(event, handler, options);
@@ -369,6 +396,22 @@ export function trapFocus(element) {
   firstElement?.focus();
 }
 
+// For a dialog's own keydown handler: Tab wraps around its enabled, shown controls
+export function wrapFocus(event, element) {
+  if (event.key !== 'Tab') return;
+
+  const focusableElements = Array.from(element.querySelectorAll(
+    'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+  )).filter(focusable => !focusable.disabled && !focusable.closest('[hidden]'));
+  const firstElement = focusableElements[0];
+  const lastElement = focusableElements[focusableElements.length - 1];
+
+  if (event.shiftKey ? document.activeElement === firstElement : document.activeElement === lastElement) {
+    (event.shiftKey ? lastElement : firstElement)?.focus();
+    event.preventDefault();
+  }
+}
+
 // === ERROR HANDLING === */
 export function createError(message, type = 'Error', details = {}) {
   const error = new Error(message);
@@ -0,0 +1,275 @@
+/* iCalendar Import and Export */
+
+import { unescapeHtml } from './helpers.js';
+import { addDays, parseLocalDate, toLocalDateString } from './dateUtils.js';
+import { TAG_PATTERN } from './validation.js';
+
+// === ICALENDAR CONSTANTS === */
+const PRODUCT_ID = '-//Todo List//Tasks//EN';
+// Our UIDs are the task id at this domain; tasks from elsewhere keep the UID they came with
+const UID_DOMAIN = 'todo-list.local';
+// RFC 5545 priorities run from 1, the highest, to 9; 0 means none
+const ICAL_PRIORITIES = { high: 1, medium: 5, low: 9 };
+// Lines longer than this many bytes are folded onto the next
+const MAX_LINE_BYTES = 75;
+
+export const ICAL_COMPONENTS = ['VTODO', 'VEVENT'];
+
+function icalPriorityToPriority(value) {
+  const number = parseInt(value, 10);
+  if (!(number > 0)) return 'medium';
+  if (number <= 4) return 'high';
+  return number === 5 ? 'medium' : 'low';
+}
+
+// === VALUES === */
+function escapeText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+}
+
+// Splits on the commas that separate a list value, not escaped ones
+function splitList(value) {
+  return value.split(/(?<!\\),/).map(unescapeText);
+}
+
+// "2026-10-20" as 20261020
+function formatDay(day) {
+  return day.replace(/-/g, '');
+}
+
+// An instant as UTC, 20261020T153000Z
+function formatUtc(timestamp) {
+  const date = new Date(timestamp);
+  return isNaN(date) ? null : date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Reads a DATE or DATE-TIME value into a Date. UTC times ("Z") are exact; floating times and
+ * those with a TZID are taken as local time, as the zone's rules aren't at hand.
+ */
+function parseDateValue(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours = '0', minutes = '0', seconds = '0', utc] = match;
+  const date = utc
+    ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+    : new Date(year, month - 1, day, hours, minutes, seconds);
+  return isNaN(date) ? null : date;
+}
+
+// === WRITING === */
+// Folds a content line into CRLF-separated pieces of at most 75 bytes, continuations led by a space
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const pieces = [];
+  let piece = '';
+  let bytes = 0;
+
+  for (const character of line) {
+    const size = encoder.encode(character).length;
+    const limit = pieces.length === 0 ? MAX_LINE_BYTES : MAX_LINE_BYTES - 1;
+    if (bytes + size > limit) {
+      pieces.push(piece);
+      piece = '';
+      bytes = 0;
+    }
+    piece += character;
+    bytes += size;
+  }
+  pieces.push(piece);
+
+  return pieces.join('\r\n ');
+}
+
+// The UID a task is exported with, the same every time
+export function getTaskUid(task) {
+  return task.ical?.uid || `${task.id}@${UID_DOMAIN}`;
+}
+
+// The existing task an imported UID stands for, if any
+export function findTaskByUid(tasks, uid) {
+  if (!uid) return null;
+  return tasks.find(task => getTaskUid(task) === uid) || null;
+}
+
+function formatComponent(task, component, stamp) {
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${getTaskUid(task)}`,
+    `DTSTAMP:${stamp}`
+  ];
+  const created = formatUtc(task.createdAt);
+  const modified = formatUtc(task.updatedAt);
+  if (created) lines.push(`CREATED:${created}`);
+  if (modified) lines.push(`LAST-MODIFIED:${modified}`);
+
+  lines.push(`SUMMARY:${escapeText(unescapeHtml(task.title))}`);
+  if (task.notes) {
+    lines.push(`DESCRIPTION:${escapeText(unescapeHtml(task.notes))}`);
+  }
+
+  if (component === 'VEVENT') {
+    // An all-day event ends, exclusively, on the next day
+    const nextDay = toLocalDateString(addDays(parseLocalDate(task.dueDate), 1));
+    lines.push(
+      `DTSTART;VALUE=DATE:${formatDay(task.dueDate)}`,
+      `DTEND;VALUE=DATE:${formatDay(nextDay)}`,
+      'TRANSP:TRANSPARENT'
+    );
+  } else {
+    lines.push(`DUE;VALUE=DATE:${formatDay(task.dueDate)}`);
+    lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    if (task.completed) {
+      const completed = formatUtc(task.completedAt || task.updatedAt);
+      if (completed) lines.push(`COMPLETED:${completed}`);
+      lines.push('PERCENT-COMPLETE:100');
+    }
+  }
+
+  lines.push(`PRIORITY:${ICAL_PRIORITIES[task.priority] || ICAL_PRIORITIES.medium}`);
+  // The category comes first, then the tags; without a category there is nothing to lead with
+  if (task.category) {
+    const categories = [unescapeHtml(task.category), ...(task.tags || [])];
+    lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+  }
+  lines.push(`END:${component}`);
+
+  return lines;
+}
+
+/**
+ * A calendar of the tasks that have a due date, as to-dos or, with `component: 'VEVENT'`, as
+ * all-day events on the due date. Events have no completion, so only to-dos carry the status.
+ */
+export function tasksToIcs(tasks, { component = 'VTODO', now = new Date() } = {}) {
+  const stamp = formatUtc(now);
+  const type = ICAL_COMPONENTS.includes(component) ? component : 'VTODO';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    ...tasks
+      .filter(task => parseLocalDate(task.dueDate))
+      .flatMap(task => formatComponent(task, type, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// === PARSING === */
+// Unfolds the file into { line, name, value }, `line` being where each property starts
+function readProperties(text) {
+  const properties = [];
+
+  text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((raw, index) => {
+    if (/^[ \t]/.test(raw) && properties.length > 0) {
+      properties[properties.length - 1].text += raw.slice(1);
+    } else if (raw.trim()) {
+      properties.push({ line: index + 1, text: raw });
+    }
+  });
+
+  return properties.map(({ line, text: content }) => {
+    // The value starts after the first colon that isn't inside a quoted parameter
+    const match = content.match(/^((?:[^:"]|"[^"]*")*):(.*)$/);
+    if (!match) return { line, name: content.trim().toUpperCase(), value: '' };
+
+    // Parameters such as VALUE=DATE follow the name; the value itself says what it is
+    return { line, name: match[1].split(';')[0].trim().toUpperCase(), value: match[2] };
+  });
+}
+
+function componentToTask(properties) {
+  const property = name => properties.find(candidate => candidate.name === name);
+  const task = { title: unescapeText(property('SUMMARY')?.value || '').replace(/\s+/g, ' ').trim() };
+
+  const description = property('DESCRIPTION');
+  if (description?.value) {
+    task.notes = unescapeText(description.value);
+  }
+
+  const due = property('DUE') || property('DTSTART');
+  const dueDate = due && parseDateValue(due.value);
+  if (dueDate) {
+    task.dueDate = toLocalDateString(dueDate);
+  }
+
+  task.priority = icalPriorityToPriority(property('PRIORITY')?.value);
+
+  const completed = property('COMPLETED');
+  task.completed = property('STATUS')?.value.toUpperCase() === 'COMPLETED' || Boolean(completed);
+  const completedAt = completed && parseDateValue(completed.value);
+  if (task.completed && completedAt) {
+    task.completedAt = completedAt.toISOString();
+  }
+
+  const createdAt = property('CREATED') && parseDateValue(property('CREATED').value);
+  if (createdAt) {
+    task.createdAt = createdAt.toISOString();
+  }
+
+  // The first category is the task's; the others that can be tags become tags. A file with only
+  // the one leaves the tags alone, so importing it again doesn't clear them
+  const categories = properties
+    .filter(candidate => candidate.name === 'CATEGORIES')
+    .flatMap(candidate => splitList(candidate.value))
+    .map(category => category.trim())
+    .filter(Boolean);
+  if (categories.length > 0) {
+    task.category = categories[0];
+  }
+  if (categories.length > 1) {
+    task.tags = categories.slice(1).filter(tag => TAG_PATTERN.test(tag));
+  }
+
+  const uid = property('UID')?.value.trim();
+  if (uid) {
+    task.ical = { uid };
+  }
+
+  return task;
+}
+
+/**
+ * Reads the to-dos in an iCalendar file into task data, each with the line it starts on. SUMMARY
+ * is the title and DESCRIPTION the notes; DUE, or DTSTART without it, gives the due date;
+ * PRIORITY 1-4 is high, 5 or none medium and 6-9 low. STATUS:COMPLETED or a COMPLETED time
+ * completes it. The first of the CATEGORIES is the category and the rest are tags; the UID is
+ * kept in `ical` so importing the file again finds the same task. Events and other components
+ * are passed over.
+ */
+export function parseIcs(text) {
+  const items = [];
+  let current = null;
+  let depth = 0;  // components nested in the to-do, such as alarms, whose properties aren't its own
+
+  readProperties(text).forEach(property => {
+    if (property.name === 'BEGIN' && property.value.trim().toUpperCase() === 'VTODO' && !current) {
+      current = { line: property.line, properties: [] };
+    } else if (current && property.name === 'BEGIN') {
+      depth++;
+    } else if (current && property.name === 'END') {
+      if (depth > 0) {
+        depth--;
+      } else {
+        items.push({ line: current.line, task: componentToTask(current.properties) });
+        current = null;
+      }
+    } else if (current && depth === 0) {
+      current.properties.push(property);
+    }
+  });
+
+  return items;
+}
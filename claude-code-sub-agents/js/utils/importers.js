@@ -0,0 +1,344 @@
+/* Importers for Other Task Managers' Exports */
+
+import { groupBy } from './helpers.js';
+import { parseLocalDate, toLocalDateString } from './dateUtils.js';
+import { parseCsv, detectDelimiter } from './csv.js';
+import { TAG_PATTERN } from './validation.js';
+import { createSubtask } from '../data/schema.js';
+
+// === SHARED CONVERSION HELPERS === */
+// A label from another app as a tag, e.g. "Needs review" as "Needs-review"; null if nothing is left
+function toTag(name) {
+  const tag = String(name || '').trim().replace(/\s+/g, '-').replace(/[^\p{L}\p{N}_-]/gu, '');
+  return tag && TAG_PATTERN.test(tag) ? tag : null;
+}
+
+// The YYYY-MM-DD a date-time string starts with, when it is a real day
+function toDay(value) {
+  const day = typeof value === 'string' ? value.slice(0, 10) : '';
+  return parseLocalDate(day) ? day : undefined;
+}
+
+function toTimestamp(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : undefined;
+}
+
+function toSubtask(title, completed) {
+  return { ...createSubtask({ title: String(title || '').trim() }), completed: completed === true };
+}
+
+/**
+ * Counts what the items have that no task field holds, so the preview can warn about it, e.g.
+ * `leftOut.count('Attachments', card.attachments.length > 0)`.
+ */
+function createLeftOut(noun) {
+  const counts = {};
+  return {
+    count(field, present) {
+      if (present) counts[field] = (counts[field] || 0) + 1;
+    },
+    // "Attachments of 3 cards won't be imported."
+    describe() {
+      return Object.entries(counts).map(([field, count]) =>
+        `${field} of ${count} ${count === 1 ? noun : `${noun}s`} won't be imported.`);
+    }
+  };
+}
+
+function describeSkipped(count, what) {
+  return count > 0 ? [`${count} ${what} will be left out.`] : [];
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch {
+    return null;
+  }
+}
+
+// === TRELLO === */
+/**
+ * A Trello board export: each open card becomes a task in the category named after its list.
+ * Labels become tags, checklists subtasks, and a due date marked complete completes the task.
+ */
+function convertTrello(text) {
+  const board = JSON.parse(text.replace(/^\uFEFF/, ''));
+  const lists = new Map((board.lists || []).map(list => [list.id, list]));
+  const checklists = groupBy(board.checklists || [], 'idCard');
+  const comments = groupBy((board.actions || []).filter(action => action.type === 'commentCard'), action => action.data?.card?.id);
+  const leftOut = createLeftOut('card');
+  const items = [];
+  let archived = 0;
+
+  (board.cards || []).forEach((card, index) => {
+    const list = lists.get(card.idList);
+    if (card.closed || list?.closed) {
+      archived++;
+      return;
+    }
+
+    const labels = card.labels || [];
+    leftOut.count('Attachments', (card.attachments || []).length > 0 || card.badges?.attachments > 0);
+    leftOut.count('Members', (card.idMembers || []).length > 0);
+    leftOut.count('Comments', Boolean(comments[card.id]));
+    leftOut.count('Start dates', Boolean(card.start));
+    leftOut.count('Custom fields', (card.customFieldItems || []).length > 0);
+    leftOut.count('Unnamed labels', labels.some(label => !toTag(label.name)));
+
+    const subtasks = (checklists[card.id] || [])
+      .sort((a, b) => (a.pos || 0) - (b.pos || 0))
+      .flatMap(checklist => [...(checklist.checkItems || [])].sort((a, b) => (a.pos || 0) - (b.pos || 0)))
+      .map(item => toSubtask(item.name, item.state === 'complete'));
+    const completed = card.dueComplete === true;
+
+    items.push({
+      line: index + 1,
+      task: {
+        title: String(card.name || '').trim(),
+        notes: card.desc?.trim() || undefined,
+        category: list?.name?.trim() || undefined,
+        dueDate: card.due ? toLocalDateString(new Date(card.due)) : undefined,
+        tags: labels.map(label => toTag(label.name)).filter(Boolean),
+        subtasks,
+        completed,
+        // Trello keeps no completion time; the card's last activity is the nearest
+        completedAt: completed ? toTimestamp(card.dateLastActivity) : undefined
+      }
+    });
+  });
+
+  return {
+    items,
+    warnings: [...describeSkipped(archived, `archived ${archived === 1 ? 'card' : 'cards'}`), ...leftOut.describe()]
+  };
+}
+
+// === TODOIST === */
+// Todoist numbers priorities as its app shows them: 1 is the highest and 4, the default, none
+const TODOIST_PRIORITIES = { 1: 'high', 2: 'medium', 3: 'low', 4: 'medium' };
+
+/**
+ * A Todoist project exported as CSV. Sections become categories, indented tasks subtasks of the
+ * task above, and notes (comments) join its notes. Labels written "@label" become tags. Only
+ * due dates written as dates can be read; recurring ones such as "every monday" can't.
+ */
+function convertTodoist(text) {
+  const [header = [], ...rows] = parseCsv(text, { delimiter: detectDelimiter(text) });
+  const columns = Object.fromEntries(header.map((name, index) => [name.trim().toUpperCase(), index]));
+  const leftOut = createLeftOut('task');
+  const items = [];
+  let section;
+  let parent = null;
+
+  rows.forEach((row, index) => {
+    const value = name => (columns[name] === undefined ? '' : (row[columns[name]] || '').trim());
+    const type = value('TYPE').toLowerCase();
+
+    if (type === 'section') {
+      section = value('CONTENT') || undefined;
+      parent = null;
+      return;
+    }
+    if (type === 'note') {
+      leftOut.count('Comments', !parent && value('CONTENT'));
+      if (parent && value('CONTENT')) {
+        parent.notes = [parent.notes, value('CONTENT')].filter(Boolean).join('\n\n');
+      }
+      return;
+    }
+    if (type !== 'task') return;
+
+    const words = value('CONTENT').split(/\s+/).filter(Boolean);
+    const tags = words.filter(word => word.startsWith('@')).map(word => toTag(word.slice(1))).filter(Boolean);
+    const title = words.filter(word => !word.startsWith('@') || !toTag(word.slice(1))).join(' ');
+    const date = value('DATE');
+    const dueDate = toDay(date);
+
+    leftOut.count('Worded or repeating due dates', date && !dueDate);
+    leftOut.count('Assignees', value('RESPONSIBLE'));
+    leftOut.count('Durations', value('DURATION'));
+    leftOut.count('Deadlines', value('DEADLINE'));
+
+    if ((parseInt(value('INDENT'), 10) || 1) > 1 && parent) {
+      leftOut.count('Subtask descriptions and dates', value('DESCRIPTION') || date);
+      parent.subtasks.push(toSubtask(title, false));
+      return;
+    }
+
+    parent = {
+      title,
+      notes: value('DESCRIPTION') || undefined,
+      priority: TODOIST_PRIORITIES[value('PRIORITY')] || 'medium',
+      category: section,
+      dueDate,
+      tags,
+      subtasks: [],
+      completed: false
+    };
+    items.push({ line: index + 2, task: parent });
+  });
+
+  return { items, warnings: leftOut.describe() };
+}
+
+// === GOOGLE TASKS === */
+/**
+ * Google Tasks from Google Takeout, or one list from its API. Each list's name is the category;
+ * subtasks become the subtasks of their parent. Due dates are days kept as UTC midnight.
+ */
+function convertGoogleTasks(text) {
+  const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  const lists = data.kind === 'tasks#tasks' ? [{ items: data.items }] : data.items || [];
+  const leftOut = createLeftOut('task');
+  const items = [];
+  let deleted = 0;
+
+  lists.forEach(list => {
+    const tasks = [...(list.items || [])].sort((a, b) => String(a.position || '').localeCompare(String(b.position || '')));
+    const byId = new Map();
+    deleted += tasks.filter(task => task.deleted).length;
+
+    // Parents first, so their subtasks have somewhere to go
+    const kept = tasks.filter(task => !task.deleted);
+    [...kept.filter(task => !task.parent), ...kept.filter(task => task.parent)].forEach(task => {
+      const completed = task.status === 'completed';
+      const parent = task.parent && byId.get(task.parent);
+      leftOut.count('Links', (task.links || []).length > 0);
+
+      if (parent) {
+        leftOut.count('Subtask notes and due dates', task.notes || task.due);
+        parent.subtasks.push(toSubtask(task.title, completed));
+        return;
+      }
+
+      const converted = {
+        title: String(task.title || '').trim(),
+        notes: task.notes?.trim() || undefined,
+        category: list.title?.trim() || undefined,
+        dueDate: toDay(task.due),
+        subtasks: [],
+        completed,
+        completedAt: completed ? toTimestamp(task.completed) : undefined
+      };
+      byId.set(task.id, converted);
+      items.push({ line: items.length + 1, task: converted });
+    });
+  });
+
+  return { items, warnings: [...describeSkipped(deleted, `deleted ${deleted === 1 ? 'task' : 'tasks'}`), ...leftOut.describe()] };
+}
+
+// === MICROSOFT TO DO === */
+const MICROSOFT_IMPORTANCE = { high: 'high', normal: 'medium', low: 'low' };
+
+// Lists of { displayName, tasks }, from an export of lists or a bare array or page of tasks
+function getMicrosoftLists(data) {
+  const entries = Array.isArray(data) ? data : data.lists || data.value || [];
+  return entries.some(entry => Array.isArray(entry.tasks)) ? entries : [{ tasks: entries }];
+}
+
+// A Graph date-time, { dateTime, timeZone }; UTC ones say so only in the time zone
+function toMicrosoftTimestamp(value) {
+  if (!value?.dateTime) return undefined;
+  const utc = /^utc$/i.test(value.timeZone || '') && !/Z|[+-]\d{2}:?\d{2}$/.test(value.dateTime);
+  return toTimestamp(utc ? `${value.dateTime}Z` : value.dateTime);
+}
+
+function toPlainText(body) {
+  if (!body?.content) return undefined;
+  if (body.contentType !== 'html') return body.content.trim() || undefined;
+  return new DOMParser().parseFromString(body.content, 'text/html').body.textContent.trim() || undefined;
+}
+
+/**
+ * Microsoft To Do tasks as Microsoft Graph returns them, on their own or in lists whose names
+ * become categories. Outlook categories become tags and checklist items subtasks.
+ */
+function convertMicrosoftToDo(text) {
+  const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  const leftOut = createLeftOut('task');
+  const items = [];
+
+  getMicrosoftLists(data).forEach(list => {
+    (list.tasks || []).forEach(task => {
+      const completed = task.status === 'completed';
+      leftOut.count('Reminders', task.isReminderOn || task.reminderDateTime);
+      leftOut.count('Repeats', Boolean(task.recurrence));
+      leftOut.count('Attachments', task.hasAttachments || (task.attachments || []).length > 0);
+      leftOut.count('Linked items', (task.linkedResources || []).length > 0);
+      leftOut.count('Start dates', Boolean(task.startDateTime));
+      leftOut.count('Note formatting', task.body?.contentType === 'html' && Boolean(toPlainText(task.body)));
+
+      items.push({
+        line: items.length + 1,
+        task: {
+          title: String(task.title || '').trim(),
+          notes: toPlainText(task.body),
+          priority: MICROSOFT_IMPORTANCE[task.importance] || 'medium',
+          category: list.displayName?.trim() || undefined,
+          dueDate: toDay(task.dueDateTime?.dateTime),
+          tags: (task.categories || []).map(toTag).filter(Boolean),
+          subtasks: (task.checklistItems || []).map(item => toSubtask(item.displayName, item.isChecked)),
+          completed,
+          completedAt: completed ? toMicrosoftTimestamp(task.completedDateTime) : undefined,
+          createdAt: toTimestamp(task.createdDateTime)
+        }
+      });
+    });
+  });
+
+  return { items, warnings: leftOut.describe() };
+}
+
+// === BUILT-IN IMPORTERS === */
+/**
+ * Importers StorageService starts with. `detect` tells their exports apart by content, as
+ * several share an extension; `position` names what an item is called in the import report.
+ */
+export const BUILT_IN_IMPORTERS = [
+  {
+    key: 'trello',
+    label: 'Trello board (JSON)',
+    extensions: ['json'],
+    position: 'Card',
+    detect: text => {
+      const data = parseJson(text);
+      return Array.isArray(data?.cards) && Array.isArray(data?.lists);
+    },
+    convert: convertTrello
+  },
+  {
+    key: 'todoist',
+    label: 'Todoist (CSV)',
+    extensions: ['csv'],
+    position: 'Row',
+    detect: text => {
+      const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0].toUpperCase();
+      return ['TYPE', 'CONTENT', 'PRIORITY', 'INDENT'].every(name => firstLine.includes(name));
+    },
+    convert: convertTodoist
+  },
+  {
+    key: 'microsoft-todo',
+    label: 'Microsoft To Do (JSON)',
+    extensions: ['json'],
+    position: 'Task',
+    detect: text => {
+      const data = parseJson(text);
+      if (!data || typeof data !== 'object') return false;
+      const tasks = getMicrosoftLists(data).flatMap(list => list.tasks || []);
+      return tasks.length > 0 && tasks.every(task => task && 'title' in task && ('importance' in task || 'status' in task));
+    },
+    convert: convertMicrosoftToDo
+  },
+  {
+    key: 'google-tasks',
+    label: 'Google Tasks (JSON)',
+    extensions: ['json'],
+    position: 'Task',
+    detect: text => /^tasks#/.test(parseJson(text)?.kind || ''),
+    convert: convertGoogleTasks
+  }
+];
@@ -0,0 +1,153 @@
+/* Markdown Checklist Import and Export */
+
+import { unescapeHtml } from './helpers.js';
+import { parseLocalDate } from './dateUtils.js';
+import { groupTasks } from './taskGroups.js';
+import { createSubtask } from '../data/schema.js';
+
+// === MARKDOWN CONSTANTS === */
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+// Indent, bullet or number, an optional checkbox, then the text
+const LIST_ITEM = /^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\](?:\s+|$))?(.*)$/;
+const FENCE = /^\s*(```|~~~)/;
+// "_(high priority, due 2026-10-20)_" at the end of an item; asterisks work as well
+const ANNOTATION = /\s+([_*])\(([^()]*)\)\1$/;
+
+// === WRITING === */
+// "high priority, due 2026-10-20", leaving out what a new task would have anyway
+function formatAnnotation(task) {
+  const notes = [];
+  if (task.priority && task.priority !== 'medium') {
+    notes.push(`${task.priority} priority`);
+  }
+  if (task.dueDate) {
+    notes.push(`due ${task.dueDate}`);
+  }
+  return notes.length > 0 ? ` _(${notes.join(', ')})_` : '';
+}
+
+function formatItem(task) {
+  const lines = [`- [${task.completed ? 'x' : ' '}] ${unescapeHtml(task.title)}${formatAnnotation(task)}`];
+
+  (task.subtasks || []).forEach(subtask => {
+    lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${unescapeHtml(subtask.title)}`);
+  });
+  unescapeHtml(task.notes || '').split(/\r?\n/)
+    .filter(line => line.trim())
+    .forEach(line => lines.push(`  - ${line.trim()}`));
+
+  return lines.join('\n');
+}
+
+/**
+ * A GitHub-style checklist of already sorted tasks, a heading per category. Tasks without a
+ * category come first, before any heading, so reading the list back leaves them without one.
+ */
+export function tasksToMarkdown(tasks) {
+  const groups = groupTasks(tasks, 'category');
+  const uncategorised = groups.filter(group => !group.key);
+  const sections = [
+    ...uncategorised.map(group => group.tasks.map(formatItem).join('\n')),
+    ...groups.filter(group => group.key).map(group =>
+      `## ${unescapeHtml(group.label)}\n\n${group.tasks.map(formatItem).join('\n')}`)
+  ];
+
+  return sections.length > 0 ? `${sections.join('\n\n')}\n` : '';
+}
+
+// === PARSING === */
+// Takes a trailing "_(…)_" off the text when every part of it is a priority or due date
+function parseAnnotation(text) {
+  const match = text.match(ANNOTATION);
+  if (!match) return { title: text };
+
+  const task = { title: text.slice(0, match.index) };
+  const understood = match[2].split(',').map(part => part.trim()).every(part => {
+    const priority = part.match(/^(low|medium|high) priority$/i);
+    const due = part.match(/^due (\d{4}-\d{2}-\d{2})$/i);
+
+    if (priority) {
+      task.priority = priority[1].toLowerCase();
+    } else if (due && parseLocalDate(due[1])) {
+      task.dueDate = due[1];
+    } else {
+      return false;
+    }
+    return true;
+  });
+
+  return understood ? task : { title: text };
+}
+
+/**
+ * Reads pasted Markdown into task data, each with the line it starts on. Every list item at the
+ * outer level is a task, checked items completed ones, and a heading above sets the category.
+ * Nested checkbox items become subtasks, while other nested items and indented text go into
+ * the notes. Paragraphs outside lists and code blocks are passed over.
+ */
+export function parseMarkdown(text) {
+  const items = [];
+  let category;
+  let current = null;      // the task that nested lines belong to
+  let outerIndent = null;  // how far in the outer list items are
+  let inFence = false;
+
+  text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((line, index) => {
+    if (FENCE.test(line)) {
+      inFence = !inFence;
+      current = null;
+      return;
+    }
+    if (inFence || !line.trim()) return;
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      category = heading[2].trim() || undefined;
+      current = null;
+      outerIndent = null;
+      return;
+    }
+
+    const item = line.match(LIST_ITEM);
+    const indent = item ? item[1].length : line.match(/^\s*/)[0].length;
+
+    if (item && (current === null || indent <= outerIndent)) {
+      outerIndent = indent;
+      current = {
+        line: index + 1,
+        task: {
+          ...parseAnnotation(item[3].trim()),
+          completed: item[2] === 'x' || item[2] === 'X',
+          category,
+          subtasks: [],
+          notes: []
+        }
+      };
+      items.push(current);
+    } else if (current && indent > outerIndent) {
+      if (item && item[2] !== undefined) {
+        current.task.subtasks.push({
+          ...createSubtask({ title: item[3].trim() }),
+          completed: item[2] !== ' '
+        });
+      } else {
+        current.task.notes.push(item ? item[3].trim() : line.trim());
+      }
+    } else {
+      // A paragraph ends the list it follows
+      current = null;
+      outerIndent = null;
+    }
+  });
+
+  return items.map(({ line, task }) => {
+    const { notes, ...rest } = task;
+    if (notes.length > 0) {
+      rest.notes = notes.join('\n');
+    }
+    if (rest.category === undefined) {
+      delete rest.category;
+    }
+    return { line, task: rest };
+  });
+}
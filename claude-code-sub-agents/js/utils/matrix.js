@@ -0,0 +1,75 @@
+/* Eisenhower Matrix */
+
+import { addDays, getStartOfDay, parseLocalDate, toLocalDateString } from './dateUtils.js';
+
+// === MATRIX CONSTANTS === */
+// Quadrants in reading order: urgent on the left, important on top
+export const MATRIX_QUADRANTS = [
+  { key: 'do', label: 'Do first', urgent: true, important: true },
+  { key: 'schedule', label: 'Schedule', urgent: false, important: true },
+  { key: 'delegate', label: 'Delegate', urgent: true, important: false },
+  { key: 'eliminate', label: 'Eliminate', urgent: false, important: false }
+];
+
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2 };
+
+// === MATRIX HELPERS === */
+// The thresholds as the settings hold them
+export function getMatrixThresholds(settings) {
+  return {
+    urgentDays: settings.matrixUrgentDays,
+    importantPriority: settings.matrixImportantPriority
+  };
+}
+
+// Overdue, or due within `urgentDays` of today; 0 means due today at the latest
+export function isUrgent(task, { urgentDays }, today = new Date()) {
+  const dueDate = parseLocalDate(task.dueDate);
+  return Boolean(dueDate) && dueDate < addDays(getStartOfDay(today), urgentDays + 1);
+}
+
+// The important flag when a task has one, otherwise a priority of `importantPriority` or above
+export function isImportant(task, { importantPriority }) {
+  if (typeof task.important === 'boolean') return task.important;
+  return PRIORITY_RANK[task.priority || 'medium'] >= PRIORITY_RANK[importantPriority];
+}
+
+export function getQuadrant(task, thresholds, today = new Date()) {
+  const urgent = isUrgent(task, thresholds, today);
+  const important = isImportant(task, thresholds);
+  return MATRIX_QUADRANTS.find(quadrant => quadrant.urgent === urgent && quadrant.important === important);
+}
+
+/**
+ * Splits tasks into the quadrants, keeping their order within each. Every quadrant is
+ * returned, empty or not: [{ key, label, urgent, important, tasks }]
+ */
+export function getMatrix(tasks, thresholds, today = new Date()) {
+  const quadrants = new Map(MATRIX_QUADRANTS.map(quadrant => [quadrant.key, []]));
+
+  tasks.forEach(task => {
+    quadrants.get(getQuadrant(task, thresholds, today).key).push(task);
+  });
+
+  return MATRIX_QUADRANTS.map(quadrant => ({ ...quadrant, tasks: quadrants.get(quadrant.key) }));
+}
+
+/**
+ * Field changes that move a task into `quadrant`, for TaskManager.moveTask(). Importance is
+ * set with the flag, so the priority stays as it was. An urgent task becomes due today; one
+ * that stops being urgent is due the first day past the urgent window, rather than never.
+ */
+export function getQuadrantChanges(task, quadrant, thresholds, today = new Date()) {
+  const changes = {};
+
+  if (isImportant(task, thresholds) !== quadrant.important) {
+    changes.important = quadrant.important;
+  }
+
+  if (isUrgent(task, thresholds, today) !== quadrant.urgent) {
+    const dueDate = quadrant.urgent ? today : addDays(today, thresholds.urgentDays + 1);
+    changes.dueDate = toLocalDateString(dueDate);
+  }
+
+  return changes;
+}
@@ -0,0 +1,313 @@
+/* Quick Add Parser */
+
+import { parseNaturalDate, parseWeekday, toLocalDateString, formatDueDate } from './dateUtils.js';
+import { anchorRecurrence, getFirstOccurrence, describeRecurrence } from './recurrence.js';
+
+// === QUICK ADD CONSTANTS === */
+export const QUICK_ADD_TOKEN_TYPES = ['date', 'priority', 'category', 'tag', 'recurrence'];
+
+const ESCAPE_CHARACTER = '\\';
+const DATE_PREPOSITIONS = ['on', 'due', 'by'];
+const MAX_DATE_WORDS = 3;
+
+const PRIORITY_ALIASES = {
+  high: 'high', hi: 'high', h: 'high',
+  medium: 'medium', med: 'medium', m: 'medium',
+  low: 'low', lo: 'low', l: 'low'
+};
+
+const PRIORITY_LABELS = { high: 'High', medium: 'Medium', low: 'Low' };
+const RECURRENCE_UNITS = {
+  day: 'daily', days: 'daily',
+  week: 'weekly', weeks: 'weekly',
+  month: 'monthly', months: 'monthly'
+};
+
+const CATEGORY_PATTERN = /^#([\p{L}\p{N}_-]+)$/u;
+const TAG_PATTERN = /^@([\p{L}\p{N}_-]+)$/u;
+const PRIORITY_PATTERN = /^!([a-z]+)$/i;
+
+/**
+ * Splits one line of quick-add text into task fields:
+ *
+ *   "Pay rent next friday !high #finance @home every month"
+ *   -> title "Pay rent", dueDate of next Friday, priority "high", category "finance",
+ *      tags ["home"] and a monthly recurrence on that Friday's date
+ *
+ * Priority, category, due date and recurrence are read once; a second one stays in the title.
+ * A word starting with a backslash is never read as a token, and the backslash is dropped,
+ * so "Read \#1 \tomorrow" keeps "#1" and "tomorrow" as text. Each recognized token reports
+ * its character range in the input so the form can preview it or escape it.
+ */
+export function parseQuickAdd(input, today = new Date()) {
+  const text = String(input || '');
+  const words = [...text.matchAll(/\S+/g)].map(match => ({
+    raw: match[0],
+    lower: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+
+  const result = {
+    title: '',
+    dueDate: null,
+    priority: null,
+    category: null,
+    tags: [],
+    recurrence: null,
+    tokens: []
+  };
+
+  const titleWords = [];
+  let index = 0;
+
+  while (index < words.length) {
+    const match = matchToken(words, index, result, today);
+
+    if (match) {
+      result.tokens.push({
+        type: match.type,
+        value: match.value,
+        text: text.slice(words[index].start, words[index + match.length - 1].end),
+        start: words[index].start,
+        end: words[index + match.length - 1].end
+      });
+      index += match.length;
+      continue;
+    }
+
+    const word = words[index].raw;
+    titleWords.push(word.startsWith(ESCAPE_CHARACTER) ? word.slice(1) : word);
+    index++;
+  }
+
+  result.title = titleWords.filter(Boolean).join(' ');
+  applyTokens(result, today);
+
+  return result;
+}
+
+// Inserts an escape before every word of the token, so none of it is read again
+export function escapeQuickAddToken(input, token) {
+  const text = String(input || '');
+  const segment = text.slice(token.start, token.end).replace(/(^|\s)(\S)/g, `$1${ESCAPE_CHARACTER}$2`);
+  return text.slice(0, token.start) + segment + text.slice(token.end);
+}
+
+export function describeQuickAddToken(token) {
+  switch (token.type) {
+    case 'date':
+      return { label: 'Due', value: formatDueDate(token.value) };
+    case 'priority':
+      return { label: 'Priority', value: PRIORITY_LABELS[token.value] };
+    case 'category':
+      return { label: 'Category', value: token.value };
+    case 'tag':
+      return { label: 'Tag', value: token.value };
+    case 'recurrence':
+      return { label: 'Repeats', value: describeRecurrence(token.value) };
+    default:
+      return { label: token.type, value: String(token.value) };
+  }
+}
+
+// === TOKEN MATCHING === */
+function matchToken(words, index, result, today) {
+  const word = words[index];
+  if (word.raw.startsWith(ESCAPE_CHARACTER)) return null;
+
+  const priority = PRIORITY_PATTERN.exec(word.raw);
+  if (priority && PRIORITY_ALIASES[priority[1].toLowerCase()] && !result.priority) {
+    result.priority = PRIORITY_ALIASES[priority[1].toLowerCase()];
+    return { type: 'priority', value: result.priority, length: 1 };
+  }
+
+  const category = CATEGORY_PATTERN.exec(word.raw);
+  if (category && !result.category) {
+    result.category = category[1];
+    return { type: 'category', value: result.category, length: 1 };
+  }
+
+  const tag = TAG_PATTERN.exec(word.raw);
+  if (tag) {
+    // Repeating a tag is harmless, drop the duplicate instead of leaving it in the title
+    if (!result.tags.some(existing => existing.toLowerCase() === tag[1].toLowerCase())) {
+      result.tags.push(tag[1]);
+    }
+    return { type: 'tag', value: tag[1], length: 1 };
+  }
+
+  if (word.lower === 'every' && !result.recurrence) {
+    const recurrence = matchRecurrence(words, index + 1, today);
+    if (recurrence) {
+      result.recurrence = recurrence.value;
+      return { type: 'recurrence', value: recurrence.value, length: recurrence.length + 1 };
+    }
+  }
+
+  if (!result.dueDate) {
+    const date = matchDate(words, index, today);
+    if (date) {
+      result.dueDate = date.value;
+      return { type: 'date', value: date.value, length: date.length };
+    }
+  }
+
+  return null;
+}
+
+function matchDate(words, index, today) {
+  const hasPreposition = DATE_PREPOSITIONS.includes(words[index].lower);
+  const phraseStart = hasPreposition ? index + 1 : index;
+
+  // Longest phrase first, so "oct 23 2027" wins over "oct 23"
+  for (let length = MAX_DATE_WORDS; length >= 1; length--) {
+    const phraseWords = words.slice(phraseStart, phraseStart + length);
+    if (phraseWords.length < length || phraseWords.some(word => word.raw.startsWith(ESCAPE_CHARACTER))) {
+      continue;
+    }
+
+    // Short weekday names are ordinary words ("sun", "wed") unless introduced by "on", "due" or "by"
+    if (length === 1 && !hasPreposition && isShortWeekday(phraseWords[0].lower)) {
+      continue;
+    }
+
+    const date = parseNaturalDate(phraseWords.map(word => word.lower).join(' '), today);
+    if (date) {
+      return {
+        value: toLocalDateString(date),
+        length: length + (hasPreposition ? 1 : 0)
+      };
+    }
+  }
+
+  return null;
+}
+
+function isShortWeekday(word) {
+  return parseWeekday(word) !== null && !word.endsWith('day');
+}
+
+/**
+ * Reads what follows "every":
+ *   day, other day, 3 days, weekday, week, other week, 2 weeks, month, 6 months,
+ *   monday, "mon, wed and fri", week on tuesday, month on the 15th, month on the last friday
+ * optionally followed by "until <date>".
+ */
+function matchRecurrence(words, index, today) {
+  const lower = offset => words[index + offset]?.lower;
+  let recurrence = null;
+  let length = 0;
+
+  if (lower(0) === 'weekday' || lower(0) === 'weekdays') {
+    recurrence = { frequency: 'weekdays', interval: 1 };
+    length = 1;
+  } else if (RECURRENCE_UNITS[lower(0)] && !lower(0).endsWith('s')) {
+    recurrence = { frequency: RECURRENCE_UNITS[lower(0)], interval: 1 };
+    length = 1;
+  } else if (RECURRENCE_UNITS[lower(1)] && (lower(0) === 'other' || /^\d+$/.test(lower(0) || ''))) {
+    const interval = lower(0) === 'other' ? 2 : Number(lower(0));
+    if (interval >= 1 && interval <= 365) {
+      recurrence = { frequency: RECURRENCE_UNITS[lower(1)], interval };
+      length = 2;
+    }
+  } else {
+    const weekdays = matchWeekdayList(words, index);
+    if (weekdays) {
+      recurrence = { frequency: 'weekly', interval: 1, weekdays: weekdays.days };
+      length = weekdays.length;
+    }
+  }
+
+  if (!recurrence) return null;
+
+  // "every week on tuesday and thursday"
+  if (recurrence.frequency === 'weekly' && !recurrence.weekdays && lower(length) === 'on') {
+    const weekdays = matchWeekdayList(words, index + length + 1);
+    if (weekdays) {
+      recurrence.weekdays = weekdays.days;
+      length += weekdays.length + 1;
+    }
+  }
+
+  // "every month on the 15th", "every month on the 2nd tuesday"
+  if (recurrence.frequency === 'monthly' && lower(length) === 'on' && lower(length + 1) === 'the') {
+    const monthly = matchMonthlyDay(words, index + length + 2);
+    if (monthly) {
+      Object.assign(recurrence, monthly.value);
+      length += monthly.length + 2;
+    }
+  }
+
+  if (lower(length) === 'until') {
+    const until = matchDate(words, index + length + 1, today);
+    if (until) {
+      recurrence.until = until.value;
+      length += until.length + 1;
+    }
+  }
+
+  return { value: recurrence, length };
+}
+
+// "monday", "mon, wed", "tuesday and thursday"
+function matchWeekdayList(words, index) {
+  const days = [];
+  let length = 0;
+
+  while (words[index + length]) {
+    const word = words[index + length];
+    if (word.raw.startsWith(ESCAPE_CHARACTER)) break;
+
+    if (days.length > 0 && word.lower === 'and') {
+      const next = words[index + length + 1];
+      if (!next || parseWeekday(next.lower.replace(/,$/, '')) === null) break;
+      length++;
+      continue;
+    }
+
+    const day = parseWeekday(word.lower.replace(/,$/, ''));
+    if (day === null) break;
+
+    days.push(day);
+    length++;
+    if (!word.lower.endsWith(',') && words[index + length]?.lower !== 'and') break;
+  }
+
+  return days.length > 0 ? { days: [...new Set(days)], length } : null;
+}
+
+function matchMonthlyDay(words, index) {
+  const first = words[index]?.lower || '';
+  const ordinal = /^(\d{1,2})(st|nd|rd|th)$/.exec(first);
+  const weekday = parseWeekday(words[index + 1]?.lower);
+
+  if (weekday !== null && (first === 'last' || (ordinal && Number(ordinal[1]) <= 4))) {
+    return {
+      value: { monthlyBy: 'weekday', weekOfMonth: first === 'last' ? -1 : Number(ordinal[1]), weekday },
+      length: 2
+    };
+  }
+
+  if (ordinal && Number(ordinal[1]) >= 1 && Number(ordinal[1]) <= 31) {
+    return { value: { monthlyBy: 'date', monthDay: Number(ordinal[1]) }, length: 1 };
+  }
+
+  return null;
+}
+
+// === FIELD RESOLUTION === */
+// A repeating task needs a first due date, and the rule is pinned to it
+function applyTokens(result, today) {
+  if (!result.recurrence) return;
+
+  if (!result.dueDate) {
+    const first = getFirstOccurrence(result.recurrence, today);
+    result.dueDate = first ? toLocalDateString(first) : toLocalDateString(today);
+  }
+
+  result.recurrence = anchorRecurrence(result.recurrence, result.dueDate);
+
+  const token = result.tokens.find(item => item.type === 'recurrence');
+  token.value = result.recurrence;
+}
@@ -0,0 +1,301 @@
+/* Recurrence Rules */
+
+import {
+  addDays, isWeekday, getStartOfWeek, getStartOfDay, getDaysInMonth,
+  parseLocalDate, toLocalDateString, formatDate
+} from './dateUtils.js';
+
+// === RECURRENCE CONSTANTS === */
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekdays', 'weekly', 'monthly'];
+export const MONTHLY_MODES = ['date', 'weekday'];
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+export const RECURRENCE_PRESETS = ['daily', 'weekdays', 'weekly', 'monthly-date', 'monthly-weekday'];
+
+const MAX_INTERVAL = 365;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const ORDINALS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', '-1': 'last' };
+
+/**
+ * A recurrence is a small RRULE-like object stored on the task:
+ *
+ *   { frequency: 'daily', interval: 3 }                                    every 3 days
+ *   { frequency: 'weekdays' }                                              Monday to Friday
+ *   { frequency: 'weekly', interval: 2, weekdays: [1, 3] }                 every other Mon and Wed
+ *   { frequency: 'monthly', monthlyBy: 'date', monthDay: 31 }              31st, or the month's last day
+ *   { frequency: 'monthly', monthlyBy: 'weekday', weekOfMonth: -1, weekday: 5 }  last Friday
+ *
+ * Any rule may carry `until` (YYYY-MM-DD); no occurrence is generated after it.
+ */
+
+// === NORMALIZATION === */
+export function normalizeRecurrence(recurrence) {
+  if (!recurrence || typeof recurrence !== 'object' || !RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) {
+    return null;
+  }
+
+  const interval = Math.floor(Number(recurrence.interval));
+  const normalized = {
+    frequency: recurrence.frequency,
+    interval: interval >= 1 && interval <= MAX_INTERVAL ? interval : 1
+  };
+
+  if (recurrence.frequency === 'weekdays') {
+    normalized.interval = 1;
+  }
+
+  if (recurrence.frequency === 'weekly') {
+    const weekdays = Array.isArray(recurrence.weekdays)
+      ? [...new Set(recurrence.weekdays.map(Number))].filter(day => day >= 0 && day <= 6).sort((a, b) => a - b)
+      : [];
+    if (weekdays.length > 0) {
+      normalized.weekdays = weekdays;
+    }
+  }
+
+  if (recurrence.frequency === 'monthly') {
+    normalized.monthlyBy = MONTHLY_MODES.includes(recurrence.monthlyBy) ? recurrence.monthlyBy : 'date';
+
+    if (normalized.monthlyBy === 'date' && recurrence.monthDay >= 1 && recurrence.monthDay <= 31) {
+      normalized.monthDay = Math.floor(recurrence.monthDay);
+    }
+
+    if (normalized.monthlyBy === 'weekday') {
+      if ([1, 2, 3, 4, -1].includes(Number(recurrence.weekOfMonth))) {
+        normalized.weekOfMonth = Number(recurrence.weekOfMonth);
+      }
+      if (recurrence.weekday >= 0 && recurrence.weekday <= 6) {
+        normalized.weekday = Math.floor(recurrence.weekday);
+      }
+    }
+  }
+
+  if (parseLocalDate(recurrence.until)) {
+    normalized.until = recurrence.until;
+  }
+
+  return normalized;
+}
+
+// Fills in whatever the rule leaves implicit from the occurrence it repeats
+function resolveRecurrence(recurrence, anchor) {
+  const rule = { ...recurrence };
+
+  if (rule.frequency === 'weekly' && !rule.weekdays) {
+    rule.weekdays = [anchor.getDay()];
+  }
+
+  if (rule.frequency === 'monthly' && rule.monthlyBy === 'date' && !rule.monthDay) {
+    rule.monthDay = anchor.getDate();
+  }
+
+  if (rule.frequency === 'monthly' && rule.monthlyBy === 'weekday') {
+    if (rule.weekOfMonth === undefined) {
+      const week = Math.ceil(anchor.getDate() / 7);
+      rule.weekOfMonth = week > 4 ? -1 : week;
+    }
+    if (rule.weekday === undefined) {
+      rule.weekday = anchor.getDay();
+    }
+  }
+
+  return rule;
+}
+
+// === OCCURRENCE CALCULATION === */
+export function getNextOccurrence(recurrence, fromDate) {
+  const normalized = normalizeRecurrence(recurrence);
+  const from = getStartOfDay(fromDate);
+  if (!normalized || isNaN(from.getTime())) return null;
+
+  const rule = resolveRecurrence(normalized, from);
+  let next;
+
+  switch (rule.frequency) {
+    case 'daily':
+      next = addDays(from, rule.interval);
+      break;
+    case 'weekdays':
+      next = addDays(from, 1);
+      while (!isWeekday(next)) {
+        next = addDays(next, 1);
+      }
+      break;
+    case 'weekly':
+      next = getNextWeeklyOccurrence(rule, from);
+      break;
+    case 'monthly':
+      next = getNextMonthlyOccurrence(rule, from);
+      break;
+  }
+
+  const until = parseLocalDate(rule.until);
+  if (!next || (until && next > until)) return null;
+
+  return next;
+}
+
+function getNextWeeklyOccurrence(rule, from) {
+  const anchorWeek = getStartOfWeek(from);
+
+  // Enough days to reach the next matching week however long the interval is
+  for (let offset = 1; offset <= 7 * (rule.interval + 1); offset++) {
+    const candidate = addDays(from, offset);
+    const weeksApart = Math.round((getStartOfWeek(candidate) - anchorWeek) / WEEK_MS);
+
+    if (weeksApart % rule.interval === 0 && rule.weekdays.includes(candidate.getDay())) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+function getNextMonthlyOccurrence(rule, from) {
+  const target = new Date(from.getFullYear(), from.getMonth() + rule.interval, 1);
+  const year = target.getFullYear();
+  const month = target.getMonth();
+
+  if (rule.monthlyBy === 'date') {
+    // Short months fall back to their last day rather than skipping ahead
+    return new Date(year, month, Math.min(rule.monthDay, getDaysInMonth(year, month)));
+  }
+
+  return getNthWeekdayOfMonth(year, month, rule.weekday, rule.weekOfMonth);
+}
+
+export function getNthWeekdayOfMonth(year, month, weekday, weekOfMonth) {
+  if (weekOfMonth === -1) {
+    const last = new Date(year, month, getDaysInMonth(year, month));
+    return addDays(last, -((last.getDay() - weekday + 7) % 7));
+  }
+
+  const first = new Date(year, month, 1);
+  const firstMatch = 1 + ((weekday - first.getDay() + 7) % 7);
+  return new Date(year, month, firstMatch + (weekOfMonth - 1) * 7);
+}
+
+// Pins whatever the rule leaves implicit to its first occurrence, so later ones never drift
+export function anchorRecurrence(recurrence, anchorDate) {
+  const normalized = normalizeRecurrence(recurrence);
+  const anchor = parseLocalDate(anchorDate) || getStartOfDay(anchorDate);
+  if (!normalized || isNaN(anchor.getTime())) return null;
+
+  return normalizeRecurrence(resolveRecurrence(normalized, anchor));
+}
+
+// The first day on or after `fromDate` the rule falls on; rules with no fixed day start right away
+export function getFirstOccurrence(recurrence, fromDate = new Date()) {
+  const rule = normalizeRecurrence(recurrence);
+  const start = getStartOfDay(fromDate);
+  if (!rule || isNaN(start.getTime())) return null;
+
+  const matches = date => {
+    switch (rule.frequency) {
+      case 'weekdays':
+        return isWeekday(date);
+      case 'weekly':
+        return !rule.weekdays || rule.weekdays.includes(date.getDay());
+      case 'monthly':
+        if (rule.monthlyBy === 'date' && rule.monthDay) {
+          return date.getDate() === Math.min(rule.monthDay, getDaysInMonth(date.getFullYear(), date.getMonth()));
+        }
+        if (rule.monthlyBy === 'weekday' && rule.weekday !== undefined && rule.weekOfMonth !== undefined) {
+          const target = getNthWeekdayOfMonth(date.getFullYear(), date.getMonth(), rule.weekday, rule.weekOfMonth);
+          return target.getDate() === date.getDate();
+        }
+        return true;
+      default:
+        return true;
+    }
+  };
+
+  // Two months covers every monthly rule
+  for (let offset = 0; offset <= 62; offset++) {
+    const candidate = addDays(start, offset);
+    if (matches(candidate)) {
+      const until = parseLocalDate(rule.until);
+      return until && candidate > until ? null : candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Due date for the occurrence after `task`, as YYYY-MM-DD, or null once the rule has ended.
+ * Steps from the current due date (or today) and skips occurrences that are already past,
+ * so finishing an overdue chore schedules the next one that is still ahead.
+ */
+export function getNextDueDate(task, today = new Date()) {
+  if (!task?.recurrence) return null;
+
+  const start = getStartOfDay(today);
+  let next = parseLocalDate(task.dueDate) || start;
+
+  // Bounded so a malformed rule can never spin forever
+  for (let i = 0; i < 1000; i++) {
+    next = getNextOccurrence(task.recurrence, next);
+    if (!next || next >= start) break;
+  }
+
+  return next && next >= start ? toLocalDateString(next) : null;
+}
+
+// === PRESETS === */
+// The simple choices offered by the task form, anchored on the due date
+export function createRecurrenceFromPreset(preset, anchorDate = new Date()) {
+  const anchor = parseLocalDate(anchorDate) || getStartOfDay(anchorDate);
+
+  switch (preset) {
+    case 'daily':
+      return { frequency: 'daily', interval: 1 };
+    case 'weekdays':
+      return { frequency: 'weekdays', interval: 1 };
+    case 'weekly':
+      return { frequency: 'weekly', interval: 1, weekdays: [anchor.getDay()] };
+    case 'monthly-date':
+      return { frequency: 'monthly', interval: 1, monthlyBy: 'date', monthDay: anchor.getDate() };
+    case 'monthly-weekday':
+      return anchorRecurrence({ frequency: 'monthly', interval: 1, monthlyBy: 'weekday' }, anchor);
+    default:
+      return null;
+  }
+}
+
+// === DESCRIPTIONS === */
+export function describeRecurrence(recurrence) {
+  const rule = normalizeRecurrence(recurrence);
+  if (!rule) return '';
+
+  const every = (unit, plural) => (rule.interval === 1 ? unit : `Every ${rule.interval} ${plural}`);
+  let description;
+
+  switch (rule.frequency) {
+    case 'daily':
+      description = every('Daily', 'days');
+      break;
+    case 'weekdays':
+      description = 'Every weekday';
+      break;
+    case 'weekly':
+      description = every('Weekly', 'weeks');
+      if (rule.weekdays) {
+        description += ` on ${rule.weekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+      }
+      break;
+    case 'monthly':
+      description = every('Monthly', 'months');
+      if (rule.monthlyBy === 'date' && rule.monthDay) {
+        description += ` on day ${rule.monthDay}`;
+      } else if (rule.monthlyBy === 'weekday' && rule.weekday !== undefined && rule.weekOfMonth !== undefined) {
+        description += ` on the ${ORDINALS[rule.weekOfMonth]} ${WEEKDAY_NAMES[rule.weekday]}`;
+      }
+      break;
+  }
+
+  if (rule.until) {
+    description += ` until ${formatDate(parseLocalDate(rule.until))}`;
+  }
+
+  return description;
+}
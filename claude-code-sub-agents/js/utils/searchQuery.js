@@ -0,0 +1,526 @@
+/* Search Query Language */
+
+import {
+  parseLocalDate, parseNaturalDate, addDays, getStartOfDay, getStartOfWeek, getStartOfMonth
+} from './dateUtils.js';
+import { getAgendaSection } from './agenda.js';
+
+// === QUERY CONSTANTS === */
+export const SEARCH_FIELDS = ['priority', 'status', 'category', 'tag', 'due', 'created'];
+
+const FIELD_VALUES = {
+  priority: ['low', 'medium', 'high'],
+  status: ['active', 'open', 'completed', 'done']
+};
+
+const COMPARISON_PATTERN = /^(<=|>=|<|>|=)?(.*)$/;
+
+// Due-date windows a saved view or the sidebar can filter by, see matchesDueWindow()
+export const DUE_WINDOWS = ['all', 'overdue', 'today', 'agenda', 'week', 'month', 'any', 'none'];
+
+// Offered as completions; any other date the parser understands works too
+const DATE_SUGGESTIONS = {
+  due: ['overdue', 'today', 'tomorrow', 'this-week', 'next-week', 'this-month', 'none', 'any'],
+  created: ['today', 'yesterday', 'this-week', 'last-week', 'this-month']
+};
+
+/**
+ * Grammar, loosest binding first:
+ *
+ *   query   := or
+ *   or      := and ("OR" and)*
+ *   and     := unary+                      terms side by side must all match
+ *   unary   := "-" unary | primary         "-" excludes what follows
+ *   primary := "(" or ")" | field ":" value | "quoted phrase" | word
+ *
+ * Fields: priority:high, status:active, category:work, tag:home, due:<2026-11-01,
+ * due:overdue, due:none, created:this-week. Date values take YYYY-MM-DD, today, tomorrow,
+ * yesterday, this-week, next-week, last-week, this-month, next-month, last-month or any
+ * hyphenated natural date ("next-friday", "in-3-days"), optionally after <, <=, >, >= or =.
+ * Words match the title case-insensitively; a word like "10:30" whose prefix is not a bare
+ * field name is searched as text. Given a search index, unquoted words also match category,
+ * tags and notes, tolerate typos and rank the results; quoted phrases stay exact.
+ */
+
+// === TOKENIZER === */
+function tokenize(query) {
+  const tokens = [];
+  const errors = [];
+  let index = 0;
+
+  while (index < query.length) {
+    const char = query[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: index });
+      index++;
+      continue;
+    }
+
+    // "-" only negates when it starts a term, "follow-up" is a plain word
+    if (char === '-' && index + 1 < query.length && !/\s/.test(query[index + 1])) {
+      tokens.push({ type: '-', position: index });
+      index++;
+      continue;
+    }
+
+    if (char === '"') {
+      const end = query.indexOf('"', index + 1);
+      if (end === -1) {
+        errors.push({ message: 'Missing closing quote', position: index });
+        tokens.push({ type: 'text', value: query.slice(index + 1), quoted: true, position: index });
+        break;
+      }
+      tokens.push({ type: 'text', value: query.slice(index + 1, end), quoted: true, position: index });
+      index = end + 1;
+      continue;
+    }
+
+    const start = index;
+    while (index < query.length && !/[\s()"]/.test(query[index])) {
+      index++;
+    }
+    let word = query.slice(start, index);
+
+    // field:"quoted value"
+    if (word.endsWith(':') && query[index] === '"') {
+      const end = query.indexOf('"', index + 1);
+      if (end === -1) {
+        errors.push({ message: 'Missing closing quote', position: index });
+        word += query.slice(index + 1);
+        index = query.length;
+      } else {
+        word += query.slice(index + 1, end);
+        index = end + 1;
+      }
+    }
+
+    if (word === 'OR') {
+      tokens.push({ type: 'OR', position: start });
+      continue;
+    }
+
+    const field = /^([a-z]+):(.*)$/i.exec(word);
+    if (field) {
+      tokens.push({ type: 'field', field: field[1].toLowerCase(), value: field[2], position: start });
+    } else {
+      tokens.push({ type: 'text', value: word, quoted: false, position: start });
+    }
+  }
+
+  return { tokens, errors };
+}
+
+// === PARSER === */
+export function parseSearchQuery(query) {
+  const source = typeof query === 'string' ? query.trim() : '';
+  const { tokens, errors } = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const error = (message, token) => errors.push({ message, position: token ? token.position : source.length });
+
+  function parseOr() {
+    const terms = [parseAnd()];
+
+    while (peek()?.type === 'OR') {
+      const orToken = tokens[index++];
+      const next = peek();
+      if (!terms[terms.length - 1] || !next || next.type === 'OR' || next.type === ')') {
+        error('"OR" needs a search term on both sides', orToken);
+        break;
+      }
+      terms.push(parseAnd());
+    }
+
+    const valid = terms.filter(Boolean);
+    if (valid.length === 0) return null;
+    return valid.length === 1 ? valid[0] : { type: 'or', terms: valid };
+  }
+
+  function parseAnd() {
+    const terms = [];
+
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      const term = parseUnary();
+      if (term) terms.push(term);
+    }
+
+    if (terms.length === 0) return null;
+    return terms.length === 1 ? terms[0] : { type: 'and', terms };
+  }
+
+  function parseUnary() {
+    const token = peek();
+
+    if (token.type === '-') {
+      index++;
+      const next = peek();
+      if (!next || next.type === 'OR' || next.type === ')') {
+        error('"-" must be followed by a search term', token);
+        return null;
+      }
+      const term = parseUnary();
+      return term ? { type: 'not', term } : null;
+    }
+
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+
+    if (token.type === '(') {
+      const term = parseOr();
+      if (peek()?.type === ')') {
+        index++;
+      } else {
+        error('Missing closing parenthesis', token);
+      }
+      return term;
+    }
+
+    if (token.type === 'field') {
+      return parseField(token, error);
+    }
+
+    if (token.type === 'text') {
+      return token.value.trim() ? { type: 'text', value: token.value.toLowerCase(), quoted: token.quoted } : null;
+    }
+
+    return null;
+  }
+
+  let ast = null;
+  while (index < tokens.length) {
+    const term = parseOr();
+    if (term) {
+      ast = ast ? { type: 'and', terms: [ast, term] } : term;
+    }
+    // Whatever stopped the expression early is a stray ")"
+    if (peek()?.type === ')') {
+      error('Unexpected closing parenthesis', peek());
+      index++;
+    }
+  }
+
+  return { ast, errors, query: source };
+}
+
+function parseField(token, error) {
+  const { field } = token;
+  const value = token.value.trim().toLowerCase();
+
+  if (!SEARCH_FIELDS.includes(field)) {
+    // Quoting it ("note:") searches for the text instead
+    error(`Unknown search field "${field}", use one of: ${SEARCH_FIELDS.join(', ')}`, token);
+    return null;
+  }
+
+  if (!value) {
+    error(`"${field}:" needs a value`, token);
+    return null;
+  }
+
+  if (FIELD_VALUES[field]) {
+    if (!FIELD_VALUES[field].includes(value)) {
+      error(`"${field}" must be one of: ${FIELD_VALUES[field].join(', ')}`, token);
+      return null;
+    }
+    const normalized = { open: 'active', done: 'completed' }[value] || value;
+    return { type: 'field', field, value: normalized };
+  }
+
+  if (field === 'category' || field === 'tag') {
+    return { type: 'field', field, value: field === 'tag' ? value.replace(/^@/, '') : value.replace(/^#/, '') };
+  }
+
+  // Date fields
+  if (field === 'due' && ['overdue', 'none', 'any'].includes(value)) {
+    return { type: 'field', field, value };
+  }
+
+  const [, operator = '=', dateValue] = COMPARISON_PATTERN.exec(value);
+  const range = parseDateRange(dateValue);
+  if (!range) {
+    error(`"${field}:${token.value}" is not a date this search understands`, token);
+    return null;
+  }
+
+  return { type: 'field', field, operator, range };
+}
+
+// A day or a period as [start, end)
+export function parseDateRange(value, today = new Date()) {
+  const start = getStartOfDay(today);
+  const weekStart = getStartOfWeek(start);
+  const monthStart = getStartOfMonth(start);
+  const month = offset => [
+    new Date(monthStart.getFullYear(), monthStart.getMonth() + offset, 1),
+    new Date(monthStart.getFullYear(), monthStart.getMonth() + offset + 1, 1)
+  ];
+
+  switch (value) {
+    case 'this-week':
+      return [weekStart, addDays(weekStart, 7)];
+    case 'next-week':
+      return [addDays(weekStart, 7), addDays(weekStart, 14)];
+    case 'last-week':
+      return [addDays(weekStart, -7), weekStart];
+    case 'this-month':
+      return month(0);
+    case 'next-month':
+      return month(1);
+    case 'last-month':
+      return month(-1);
+  }
+
+  const day = parseLocalDate(value) || parseNaturalDate(value.replace(/-/g, ' '), today);
+  return day ? [day, addDays(day, 1)] : null;
+}
+
+// === MATCHING === */
+// `lookupText` maps an unquoted word to the ids of the tasks the search index matched
+export function matchesSearchQuery(task, ast, today = new Date(), lookupText = null) {
+  if (!ast) return true;
+
+  switch (ast.type) {
+    case 'and':
+      return ast.terms.every(term => matchesSearchQuery(task, term, today, lookupText));
+    case 'or':
+      return ast.terms.some(term => matchesSearchQuery(task, term, today, lookupText));
+    case 'not':
+      return !matchesSearchQuery(task, ast.term, today, lookupText);
+    case 'text':
+      if (lookupText && !ast.quoted) {
+        return lookupText(ast.value).has(task.id);
+      }
+      return String(task.title || '').toLowerCase().includes(ast.value);
+    case 'field':
+      return matchesField(task, ast, today);
+    default:
+      return true;
+  }
+}
+
+function matchesField(task, term, today) {
+  switch (term.field) {
+    case 'priority':
+      return task.priority === term.value;
+    case 'status':
+      return term.value === 'completed' ? Boolean(task.completed) : !task.completed;
+    case 'category':
+      return String(task.category || '').toLowerCase() === term.value;
+    case 'tag':
+      return (task.tags || []).some(tag => tag.toLowerCase() === term.value);
+    case 'due':
+      if (['none', 'any', 'overdue'].includes(term.value)) {
+        return matchesDueWindow(task, term.value, today);
+      }
+      return compareDate(parseLocalDate(task.dueDate), term);
+    case 'created':
+      return compareDate(task.createdAt ? new Date(task.createdAt) : null, term);
+    default:
+      return true;
+  }
+}
+
+/**
+ * overdue: an open task due before today; today; agenda: on the Today agenda, see
+ * getAgendaSection(); week and month: due today or within the next 7 or 30 days; any: has a
+ * due date; none: has none; all: every task.
+ */
+export function matchesDueWindow(task, window, today = new Date()) {
+  if (!window || window === 'all') return true;
+  if (window === 'none') return !task.dueDate;
+  if (window === 'any') return Boolean(task.dueDate);
+  if (window === 'agenda') return getAgendaSection(task, today) !== null;
+
+  const dueDate = parseLocalDate(task.dueDate);
+  if (!dueDate) return false;
+
+  const start = getStartOfDay(today);
+  switch (window) {
+    case 'overdue':
+      return !task.completed && dueDate < start;
+    case 'today':
+      return dueDate >= start && dueDate < addDays(start, 1);
+    case 'week':
+      return dueDate >= start && dueDate < addDays(start, 7);
+    case 'month':
+      return dueDate >= start && dueDate < addDays(start, 30);
+    default:
+      return true;
+  }
+}
+
+function compareDate(date, { operator, range: [start, end] }) {
+  if (!date || isNaN(date.getTime())) return false;
+
+  switch (operator) {
+    case '<':
+      return date < start;
+    case '<=':
+      return date < end;
+    case '>':
+      return date >= end;
+    case '>=':
+      return date >= start;
+    default:
+      return date >= start && date < end;
+  }
+}
+
+/**
+ * Builds a task predicate for the query. A query with syntax errors falls back to a plain
+ * substring match, so the list keeps filtering while a query is half typed.
+ *
+ * With a search index the predicate also carries `score(task)`, the summed relevance of the
+ * words that should match, and `isRanked`, set when there are such words to rank by.
+ */
+export function createSearchMatcher(query, { today = new Date(), index = null } = {}) {
+  const source = typeof query === 'string' ? query.trim() : '';
+  if (!source) return () => true;
+
+  const { ast, errors } = parseSearchQuery(source);
+  if (errors.length > 0) {
+    const text = source.toLowerCase();
+    return task => String(task.title || '').toLowerCase().includes(text);
+  }
+
+  if (!index) {
+    return task => matchesSearchQuery(task, ast, today);
+  }
+
+  // Each word is looked up once per matcher, not once per task
+  const lookups = new Map();
+  const lookupText = value => {
+    if (!lookups.has(value)) {
+      lookups.set(value, index.search(value));
+    }
+    return lookups.get(value);
+  };
+
+  const rankedWords = collectTextTerms(ast).filter(term => !term.quoted).map(term => term.value);
+  const matcher = task => matchesSearchQuery(task, ast, today, lookupText);
+  matcher.isRanked = rankedWords.length > 0;
+  matcher.score = task => rankedWords.reduce((total, word) => total + (lookupText(word).get(task.id) || 0), 0);
+
+  return matcher;
+}
+
+// Best match first for a ranked matcher; other matchers keep the given order
+export function sortByRelevance(tasks, matcher) {
+  if (!matcher.isRanked) return tasks;
+
+  const scores = new Map(tasks.map(task => [task.id, matcher.score(task)]));
+  return [...tasks].sort((a, b) => scores.get(b.id) - scores.get(a.id));
+}
+
+// Text terms that should match; negated ones never do, so they are skipped
+function collectTextTerms(ast) {
+  const terms = [];
+  const collect = node => {
+    if (!node) return;
+    if (node.type === 'text') terms.push(node);
+    if (node.type === 'and' || node.type === 'or') node.terms.forEach(collect);
+  };
+  collect(ast);
+  return terms;
+}
+
+// === COMPLETIONS === */
+/**
+ * Completions for the word being typed at the end of the query: field names ("pri" offers
+ * "priority:"), field values ("priority:h" offers "priority:high", "tag:" offers the known
+ * tags) and categories matching a plain word ("wo" offers "category:work"). Each carries the
+ * whole query with that word replaced; `partial` marks a field name still needing a value.
+ */
+export function getQueryCompletions(query, { categories = [], tags = [] } = {}) {
+  const source = String(query || '');
+  // Nothing to complete after a space, a closing parenthesis or inside quotes
+  const word = /(?:^|[\s(])-?([^\s()"]*)$/.exec(source)?.[1];
+  if (!word) return [];
+
+  const before = source.slice(0, source.length - word.length);
+  const lowerWord = word.toLowerCase();
+  const completion = (type, text, partial = false) => ({ type, value: before + text, label: text, partial });
+  const quote = value => (/\s/.test(value) ? `"${value}"` : value);
+
+  const field = /^([a-z]+):(.*)$/.exec(lowerWord);
+  if (field) {
+    const [, name, typed] = field;
+    const values = {
+      ...FIELD_VALUES,
+      ...DATE_SUGGESTIONS,
+      category: categories,
+      tag: tags
+    }[name] || [];
+
+    return uniqueLowercase(values)
+      .filter(value => value.startsWith(typed) && value !== typed)
+      .map(value => completion('operator', `${name}:${quote(value)}`));
+  }
+
+  return [
+    ...SEARCH_FIELDS
+      .filter(name => name.startsWith(lowerWord))
+      .map(name => completion('operator', `${name}:`, true)),
+    ...uniqueLowercase(categories)
+      .filter(category => category.startsWith(lowerWord))
+      .map(category => completion('category', `category:${quote(category)}`))
+  ];
+}
+
+function uniqueLowercase(values) {
+  return [...new Set(values.filter(Boolean).map(value => String(value).toLowerCase()))];
+}
+
+// === HIGHLIGHTING === */
+// Words and phrases that should match the title; with an index, the indexed words they matched
+export function getHighlightTerms(query, index = null) {
+  const { ast, errors } = parseSearchQuery(query);
+  if (errors.length > 0) {
+    const text = String(query || '').trim().toLowerCase();
+    return text ? [text] : [];
+  }
+
+  const terms = collectTextTerms(ast).flatMap(term => (
+    index && !term.quoted ? [term.value, ...index.getMatchingTerms(term.value)] : [term.value]
+  ));
+
+  return [...new Set(terms)];
+}
+
+// Splits text into plain and matched segments, longest term first where matches overlap
+export function splitHighlights(text, terms) {
+  const source = String(text || '');
+  const lower = source.toLowerCase();
+  const marked = new Array(source.length).fill(false);
+
+  [...terms].sort((a, b) => b.length - a.length).forEach(term => {
+    if (!term) return;
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      marked.fill(true, index, index + term.length);
+      index = lower.indexOf(term, index + term.length);
+    }
+  });
+
+  const segments = [];
+  for (let i = 0; i < source.length; i++) {
+    const last = segments[segments.length - 1];
+    if (last && last.match === marked[i]) {
+      last.text += source[i];
+    } else {
+      segments.push({ text: source[i], match: marked[i] });
+    }
+  }
+
+  return segments;
+}
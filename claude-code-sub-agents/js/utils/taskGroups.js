@@ -0,0 +1,153 @@
+/* Task Grouping */
+
+import { groupBy } from './helpers.js';
+import { addDays, getStartOfDay, getEndOfWeek, getStartOfWeek, parseLocalDate, toLocalDateString } from './dateUtils.js';
+
+// === GROUP CONSTANTS === */
+export const GROUP_FIELDS = ['none', 'priority', 'category', 'due', 'completedAt'];
+export const BOARD_FIELDS = ['status', 'priority', 'category'];
+
+// Fixed buckets in display order; categories are listed alphabetically instead
+const GROUP_BUCKETS = {
+  priority: [
+    ['high', 'High priority'],
+    ['medium', 'Medium priority'],
+    ['low', 'Low priority']
+  ],
+  due: [
+    ['overdue', 'Overdue'],
+    ['today', 'Today'],
+    ['week', 'This week'],
+    ['later', 'Later'],
+    ['past', 'Past'],
+    ['none', 'No due date']
+  ],
+  // Board columns only, the list has its own status filter
+  status: [
+    ['open', 'To do'],
+    ['done', 'Done']
+  ],
+  completedAt: [
+    ['today', 'Completed today'],
+    ['yesterday', 'Completed yesterday'],
+    ['week', 'Completed this week'],
+    ['earlier', 'Completed earlier'],
+    ['open', 'Not completed']
+  ]
+};
+
+const NO_CATEGORY = '';
+
+// === GROUP KEYS === */
+function getDueBucket(task, today) {
+  const dueDate = parseLocalDate(task.dueDate);
+  if (!dueDate) return 'none';
+
+  const start = getStartOfDay(today);
+  if (dueDate < start) {
+    // Only open tasks are overdue, finished ones just had an earlier date
+    return task.completed ? 'past' : 'overdue';
+  }
+  if (dueDate < addDays(start, 1)) return 'today';
+  if (dueDate <= getEndOfWeek(start)) return 'week';
+  return 'later';
+}
+
+function getCompletionBucket(task, today) {
+  if (!task.completed) return 'open';
+
+  const completedAt = new Date(task.completedAt || task.updatedAt);
+  const start = getStartOfDay(today);
+  if (isNaN(completedAt.getTime())) return 'earlier';
+  if (completedAt >= start) return 'today';
+  if (completedAt >= addDays(start, -1)) return 'yesterday';
+  if (completedAt >= getStartOfWeek(start)) return 'week';
+  return 'earlier';
+}
+
+export function getGroupKey(task, field, today = new Date()) {
+  switch (field) {
+    case 'status':
+      return task.completed ? 'done' : 'open';
+    case 'priority':
+      return GROUP_BUCKETS.priority.some(([key]) => key === task.priority) ? task.priority : 'medium';
+    case 'category':
+      return (task.category || NO_CATEGORY).toLowerCase();
+    case 'due':
+      return getDueBucket(task, today);
+    case 'completedAt':
+      return getCompletionBucket(task, today);
+    default:
+      return 'all';
+  }
+}
+
+/**
+ * What a task takes on when it is moved into a group, e.g. `{ priority: 'high' }`, or null for
+ * groups that can't be joined that way (a date can't be "overdue", completion has its own
+ * checkbox). Category values are copied from the group's label, so stay HTML-escaped.
+ */
+export function getGroupChanges(field, group, today = new Date()) {
+  switch (field) {
+    case 'priority':
+      return { priority: group.key };
+    case 'category':
+      return { category: group.key === NO_CATEGORY ? undefined : group.label };
+    case 'due':
+      if (group.key === 'today') return { dueDate: toLocalDateString(today) };
+      if (group.key === 'none') return { dueDate: undefined };
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Splits already sorted tasks into `{ key, label, tasks }` sections, keeping their order within
+ * each section. Empty sections are left out. Category labels are HTML-escaped like the
+ * categories they come from.
+ */
+export function groupTasks(tasks, field, today = new Date()) {
+  if (!field || field === 'none') {
+    return [{ key: 'all', label: 'All tasks', tasks }];
+  }
+
+  const groups = groupBy(tasks, task => getGroupKey(task, field, today));
+
+  if (field === 'category') {
+    return Object.keys(groups)
+      .sort((a, b) => {
+        // Uncategorised tasks go last
+        if (a === NO_CATEGORY || b === NO_CATEGORY) return a === NO_CATEGORY ? 1 : -1;
+        return a.localeCompare(b);
+      })
+      .map(key => ({
+        key,
+        label: key === NO_CATEGORY ? 'No category' : groups[key][0].category,
+        tasks: groups[key]
+      }));
+  }
+
+  return GROUP_BUCKETS[field]
+    .filter(([key]) => groups[key])
+    .map(([key, label]) => ({ key, label, tasks: groups[key] }));
+}
+
+/**
+ * Splits already sorted tasks into board columns, `{ key, label, tasks }` as groupTasks() does
+ * but keeping empty columns, so there is somewhere to drop a task. Category columns come from
+ * `allTasks`, so a filter doesn't take away the columns its tasks could be moved to.
+ */
+export function getBoardColumns(tasks, field, allTasks = tasks) {
+  const columns = field === 'category'
+    ? [
+      ...groupTasks(allTasks, 'category')
+        .filter(group => group.key !== NO_CATEGORY)
+        .map(group => [group.key, group.label]),
+      [NO_CATEGORY, 'No category']
+    ]
+    : GROUP_BUCKETS[field] || [];
+
+  const groups = groupBy(tasks, task => getGroupKey(task, field));
+  return columns.map(([key, label]) => ({ key, label, tasks: groups[key] || [] }));
+}
@@ -0,0 +1,210 @@
+/* todo.txt Import and Export */
+
+import { unescapeHtml } from './helpers.js';
+import { parseLocalDate, toLocalDateString } from './dateUtils.js';
+import { TAG_PATTERN } from './validation.js';
+
+// === TODO.TXT CONSTANTS === */
+// The letter written for each priority; medium tasks usually have none in todo.txt
+const PRIORITY_LETTERS = { high: 'A', medium: null, low: 'C' };
+
+// Completion mark and priority before the description, then up to two dates, read one by one
+const LINE_PREFIX = /^(x )?(?:\(([A-Z])\) )?/;
+const LEADING_DAY = /^(\d{4}-\d{2}-\d{2}) /;
+// key:value, but not a link such as https://example.com nor a time such as 10:30
+const KEY_VALUE = /^(?!\d+:)([^\s:]+):((?!\/\/)\S+)$/;
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+// (A) is high and (B) medium; C and every later letter are low
+function letterToPriority(letter) {
+  return { A: 'high', B: 'medium' }[letter] || 'low';
+}
+
+// A day written in the file as the ISO time of that local midnight
+function dayToTimestamp(day) {
+  const date = day && DAY.test(day) ? parseLocalDate(day) : null;
+  return date ? date.toISOString() : undefined;
+}
+
+function timestampToDay(timestamp) {
+  const date = timestamp ? new Date(timestamp) : null;
+  return date && !isNaN(date) ? toLocalDateString(date) : null;
+}
+
+// === WORDS === */
+// What a word of the description is: a +project, an @context, a key:value pair or part of the title
+function readWord(word) {
+  if (word.length > 1 && word.startsWith('+')) {
+    return { type: 'project', value: word.slice(1) };
+  }
+  if (word.length > 1 && word.startsWith('@') && TAG_PATTERN.test(word.slice(1))) {
+    return { type: 'context', value: word.slice(1) };
+  }
+  const keyValue = word.match(KEY_VALUE);
+  return keyValue ? { type: 'keyValue', key: keyValue[1], value: keyValue[2] } : { type: 'title' };
+}
+
+/**
+ * Which of the read words hold the due date, the first "due:" with a real day, and the priority,
+ * the first "pri:A" and the like; the latter only when `readsPriority`, on completed lines
+ * without "(A)". -1 when there is none.
+ */
+function findFieldWords(read, readsPriority) {
+  const due = read.findIndex(({ key, value }) => key === 'due' && parseLocalDate(value));
+  const pri = readsPriority
+    ? read.findIndex(({ key, value }) => key === 'pri' && /^[A-Z]$/.test(value))
+    : -1;
+  return { due, pri };
+}
+
+// === PARSING === */
+/**
+ * Reads a todo.txt line into task data. "(A)" to "(C)" become high, medium and low; the first
+ * +project the category; @contexts the tags; "due:" the due date; and the completion and
+ * creation dates `completedAt` and `createdAt`. What the task has no field for is kept in
+ * `todoTxt` so the line can be written back as it was: a priority letter other than A, B or C,
+ * the words of the description in their order, a missing creation date and a completed line's
+ * "(A)". Text that only looks like a date, such as 2026-02-30, stays in the description.
+ */
+export function parseTodoTxtLine(line) {
+  const [prefix, done, letter] = line.match(LINE_PREFIX);
+  const completed = Boolean(done);
+  let rest = line.slice(prefix.length);
+
+  const takeDay = () => {
+    const day = rest.match(LEADING_DAY)?.[1];
+    if (!day || !parseLocalDate(day)) return null;
+    rest = rest.slice(day.length + 1);
+    return day;
+  };
+  // A completed task's first date is when it was completed and its second when it was created;
+  // an open task's only date is its creation date, and a second one is part of the description
+  const completedDay = completed ? takeDay() : null;
+  const creationDay = !completed || completedDay ? takeDay() : null;
+
+  const words = rest.split(' ').filter(Boolean);
+  const read = words.map(readWord);
+  // Completed tasks drop "(A)" and may keep it as "pri:A" instead
+  const { due, pri } = findFieldWords(read, completed && !letter);
+  const priorityLetter = letter || (pri !== -1 ? read[pri].value : undefined);
+  const ofType = type => read.filter(word => word.type === type).map(word => word.value);
+
+  const priority = priorityLetter ? letterToPriority(priorityLetter) : 'medium';
+  const task = {
+    title: words.filter((word, index) => read[index].type === 'title').join(' '),
+    completed,
+    priority,
+    category: ofType('project')[0],
+    tags: ofType('context'),
+    dueDate: due !== -1 ? read[due].value : undefined,
+    createdAt: dayToTimestamp(creationDay),
+    completedAt: dayToTimestamp(completedDay)
+  };
+
+  const todoTxt = {};
+  if (priorityLetter && priorityLetter !== PRIORITY_LETTERS[priority]) {
+    todoTxt.priority = priorityLetter;
+  }
+  // A title alone is written back the same without them
+  if (read.some(word => word.type !== 'title')) {
+    todoTxt.words = words;
+  }
+  if (!creationDay) {
+    todoTxt.undated = true;
+  }
+  if (completed && letter) {
+    todoTxt.completedLetter = true;
+  }
+  if (Object.keys(todoTxt).length > 0) {
+    task.todoTxt = todoTxt;
+  }
+
+  Object.keys(task).forEach(key => task[key] === undefined && delete task[key]);
+  return task;
+}
+
+// Task data for each non-blank line, with its line number for error reports
+export function parseTodoTxt(text) {
+  return text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/)
+    .map((line, index) => ({ line: index + 1, text: line.trim() }))
+    .filter(({ text: line }) => line)
+    .map(({ line, text: lineText }) => ({ line, task: parseTodoTxtLine(lineText) }));
+}
+
+// === WRITING === */
+/**
+ * A task as one todo.txt line, the reverse of parseTodoTxtLine(). The words of an imported line
+ * keep their places, each standing for the task's current value: a changed title takes the
+ * place of the first title word, a renamed category that of the first project, and removed tags
+ * and due dates leave theirs. What the line didn't have yet goes at the end.
+ */
+export function formatTodoTxtLine(task) {
+  const extra = task.todoTxt || {};
+  const priority = task.priority || 'medium';
+  // The file's own letter while it still means the task's priority
+  const letter = extra.priority && letterToPriority(extra.priority) === priority
+    ? extra.priority
+    : PRIORITY_LETTERS[priority];
+  // A completed task's letter goes in "pri:" unless its line had it as "(A)"
+  const prefixLetter = letter && (!task.completed || extra.completedLetter) ? letter : null;
+
+  const parts = [];
+  if (task.completed) parts.push('x');
+  if (prefixLetter) parts.push(`(${prefixLetter})`);
+  if (task.completed) {
+    const completedDay = timestampToDay(task.completedAt);
+    if (completedDay) parts.push(completedDay);
+  }
+
+  const createdDay = extra.undated ? null : timestampToDay(task.createdAt);
+  if (createdDay) parts.push(createdDay);
+
+  const title = unescapeHtml(task.title).replace(/\s+/g, ' ').trim();
+  const category = task.category ? unescapeHtml(task.category).trim().replace(/\s+/g, '-') : null;
+  const tags = (task.tags || []).map(tag => tag.toLowerCase());
+  const known = {
+    due: task.dueDate || null,
+    pri: task.completed && !prefixLetter ? letter : null
+  };
+
+  const words = extra.words || [];
+  const read = words.map(readWord);
+  const { due, pri } = findFieldWords(read, task.completed && !prefixLetter);
+  const titleWords = words.filter((word, index) => read[index].type === 'title');
+  const firstTitleWord = read.findIndex(word => word.type === 'title');
+  const sameTitle = titleWords.join(' ') === title;
+  const firstProject = read.findIndex(word => word.type === 'project');
+  const contexts = new Set(read.filter(word => word.type === 'context').map(word => word.value.toLowerCase()));
+
+  if (firstTitleWord === -1) parts.push(title);
+  words.forEach((word, index) => {
+    const { type, value } = read[index];
+
+    if (type === 'title') {
+      if (sameTitle) parts.push(word);
+      else if (index === firstTitleWord) parts.push(title);
+    } else if (index === firstProject) {
+      if (category) parts.push(category === value ? word : `+${category}`);
+    } else if (type === 'context') {
+      if (tags.includes(value.toLowerCase())) parts.push(word);
+    } else if (index === due || index === pri) {
+      const key = index === due ? 'due' : 'pri';
+      if (known[key]) parts.push(known[key] === value ? word : `${key}:${known[key]}`);
+    } else {
+      parts.push(word);
+    }
+  });
+
+  if (category && firstProject === -1) parts.push(`+${category}`);
+  (task.tags || [])
+    .filter(tag => !contexts.has(tag.toLowerCase()))
+    .forEach(tag => parts.push(`@${tag}`));
+  if (known.due && due === -1) parts.push(`due:${known.due}`);
+  if (known.pri && pri === -1) parts.push(`pri:${known.pri}`);
+
+  return parts.join(' ');
+}
+
+export function tasksToTodoTxt(tasks) {
+  return tasks.map(formatTodoTxtLine).join('\n') + (tasks.length > 0 ? '\n' : '');
+}
@@ -1,6 +1,26 @@
 /* Input Validation Utilities */
 
 import { sanitizeHtml } from './helpers.js';
+import { normalizeRecurrence, RECURRENCE_FREQUENCIES } from './recurrence.js';
+import { parseLocalDate } from './dateUtils.js';
+import { parseSearchQuery, DUE_WINDOWS } from './searchQuery.js';
+
+// === VALIDATION LIMITS === */
+export const MAX_SUBTASKS = 100;
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 30;
+export const TAG_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+export const MAX_NOTES_LENGTH = 2000;
+export const MAX_CATEGORY_LENGTH = 50;
+export const MAX_VIEWS = 30;
+export const MAX_VIEW_NAME_LENGTH = 40;
+export const SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'priority', 'dueDate', 'order'];
+export const MAX_SORT_KEYS = 3;
+export const LAYOUTS = ['list', 'board', 'calendar', 'agenda', 'matrix'];
+export const CALENDAR_MODES = ['month', 'week'];
+export const MATRIX_IMPORTANT_PRIORITIES = ['high', 'medium'];
+export const MAX_MATRIX_URGENT_DAYS = 30;
+export const MAX_WIP_LIMIT = 999;
 
 // === VALIDATION RESULT INTERFACE === */
 export class ValidationResult {
@@ -112,6 +132,76 @@ export class TaskValidator {
       }
     }
     
+    // Validate subtasks if provided
+    if (taskData.subtasks !== undefined) {
+      const subtasksValidation = this.validateSubtasks(taskData.subtasks);
+      if (!subtasksValidation.isValid) {
+        result.errors.push(...subtasksValidation.errors);
+      } else {
+        sanitizedTask.subtasks = subtasksValidation.sanitizedValue;
+      }
+    }
+    
+    // Validate tags if provided
+    if (taskData.tags !== undefined) {
+      const tagsValidation = this.validateTags(taskData.tags);
+      if (!tagsValidation.isValid) {
+        result.errors.push(...tagsValidation.errors);
+      } else {
+        sanitizedTask.tags = tagsValidation.sanitizedValue;
+      }
+    }
+    
+    // Validate recurrence if provided
+    if (taskData.recurrence !== undefined) {
+      const recurrenceValidation = this.validateRecurrence(taskData.recurrence);
+      if (!recurrenceValidation.isValid) {
+        result.errors.push(...recurrenceValidation.errors);
+      } else {
+        sanitizedTask.recurrence = recurrenceValidation.sanitizedValue;
+      }
+    }
+    
+    // Validate category if provided
+    if (taskData.category !== undefined && taskData.category !== null) {
+      if (typeof taskData.category !== 'string') {
+        result.addError('Category must be text');
+      } else if (taskData.category.trim().length > MAX_CATEGORY_LENGTH) {
+        result.addError(`Category must be ${MAX_CATEGORY_LENGTH} characters or less`);
+      } else if (taskData.category.trim()) {
+        sanitizedTask.category = taskData.category.trim();
+      }
+    }
+    
+    // Validate due date if provided
+    if (taskData.dueDate) {
+      if (!parseLocalDate(taskData.dueDate)) {
+        result.addError('Due date must be in YYYY-MM-DD format');
+      } else {
+        sanitizedTask.dueDate = taskData.dueDate;
+      }
+    }
+    
+    // Validate notes if provided
+    if (taskData.notes !== undefined && taskData.notes !== null) {
+      if (typeof taskData.notes !== 'string') {
+        result.addError('Notes must be text');
+      } else if (taskData.notes.length > MAX_NOTES_LENGTH) {
+        result.addError(`Notes must be ${MAX_NOTES_LENGTH} characters or less`);
+      } else if (taskData.notes.trim()) {
+        sanitizedTask.notes = taskData.notes.trim();
+      }
+    }
+    
+    // Validate importance if provided
+    if (taskData.important !== undefined && taskData.important !== null) {
+      if (typeof taskData.important !== 'boolean') {
+        result.addError('Important must be true or false');
+      } else {
+        sanitizedTask.important = taskData.important;
+      }
+    }
+    
     // Validate dates if provided
     if (taskData.createdAt) {
       const dateValidation = this.validateDate(taskData.createdAt);
@@ -131,12 +221,151 @@ export class TaskValidator {
       }
     }
     
+    if (taskData.completedAt) {
+      const dateValidation = this.validateDate(taskData.completedAt);
+      if (!dateValidation.isValid) {
+        result.errors.push(...dateValidation.errors);
+      } else {
+        sanitizedTask.completedAt = dateValidation.sanitizedValue;
+      }
+    }
+    
     result.isValid = result.errors.length === 0;
     result.sanitizedValue = sanitizedTask;
     
     return result;
   }
   
+  static validateSubtasks(subtasks) {
+    const result = new ValidationResult();
+    
+    if (!Array.isArray(subtasks)) {
+      result.addError('Subtasks must be provided as an array');
+      return result;
+    }
+    
+    if (subtasks.length > MAX_SUBTASKS) {
+      result.addError(`A task can have at most ${MAX_SUBTASKS} subtasks`);
+      return result;
+    }
+    
+    const seenIds = new Set();
+    const sanitizedSubtasks = [];
+    
+    subtasks.forEach((subtask, index) => {
+      if (!subtask || typeof subtask !== 'object' || !subtask.id) {
+        result.addError(`Subtask ${index + 1} is missing an id`);
+        return;
+      }
+      
+      if (seenIds.has(subtask.id)) {
+        result.addError(`Subtask ${index + 1} has a duplicate id`);
+        return;
+      }
+      seenIds.add(subtask.id);
+      
+      // Titles are sanitized when entered, re-sanitizing here would double-escape them
+      const title = typeof subtask.title === 'string' ? subtask.title.trim() : '';
+      if (title.length === 0 || title.length > 500) {
+        result.addError(`Subtask ${index + 1} needs a title of 1 to 500 characters`);
+        return;
+      }
+      
+      sanitizedSubtasks.push({
+        ...subtask,
+        title,
+        completed: Boolean(subtask.completed)
+      });
+    });
+    
+    result.sanitizedValue = sanitizedSubtasks;
+    return result;
+  }
+  
+  static validateTags(tags) {
+    const result = new ValidationResult(true, [], []);
+    
+    if (tags === null || tags === undefined) {
+      return result;
+    }
+    
+    if (!Array.isArray(tags)) {
+      result.addError('Tags must be provided as an array');
+      return result;
+    }
+    
+    const seen = new Set();
+    tags.forEach(tag => {
+      const name = typeof tag === 'string' ? tag.trim().replace(/^@/, '') : '';
+      if (name.length === 0 || name.length > MAX_TAG_LENGTH) {
+        result.addError(`Tags must be 1 to ${MAX_TAG_LENGTH} characters long`);
+        return;
+      }
+      
+      // Letters, digits, "_" and "-" only, so tags never need escaping
+      if (!TAG_PATTERN.test(name)) {
+        result.addError(`Tag "${name}" may only contain letters, numbers, "_" and "-"`);
+        return;
+      }
+      
+      // Tags match case-insensitively, the first spelling is kept
+      if (!seen.has(name.toLowerCase())) {
+        seen.add(name.toLowerCase());
+        result.sanitizedValue.push(name);
+      }
+    });
+    
+    if (result.sanitizedValue.length > MAX_TAGS) {
+      result.addError(`A task can have at most ${MAX_TAGS} tags`);
+    }
+    
+    return result;
+  }
+  
+  static validateRecurrence(recurrence) {
+    const result = new ValidationResult(true, [], null);
+    
+    // No recurrence is a valid, one-off task
+    if (recurrence === null || recurrence === undefined) {
+      return result;
+    }
+    
+    if (typeof recurrence !== 'object') {
+      result.addError('Recurrence must be an object');
+      return result;
+    }
+    
+    if (!RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) {
+      result.addError(`Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+      return result;
+    }
+    
+    if (recurrence.interval !== undefined) {
+      const interval = Number(recurrence.interval);
+      if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+        result.addError('Recurrence interval must be a whole number from 1 to 365');
+      }
+    }
+    
+    if (recurrence.weekdays !== undefined) {
+      const validWeekdays = Array.isArray(recurrence.weekdays) &&
+        recurrence.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+      if (!validWeekdays) {
+        result.addError('Recurrence weekdays must be numbers from 0 (Sunday) to 6 (Saturday)');
+      }
+    }
+    
+    if (recurrence.until !== undefined && recurrence.until !== null && !parseLocalDate(recurrence.until)) {
+      result.addError('Recurrence end date must be in YYYY-MM-DD format');
+    }
+    
+    if (result.isValid) {
+      result.sanitizedValue = normalizeRecurrence(recurrence);
+    }
+    
+    return result;
+  }
+  
   static validateDate(date) {
     const result = new ValidationResult();
     
@@ -217,10 +446,11 @@ export class SearchValidator {
       return result;
     }
     
-    // Basic sanitization
-    const sanitized = sanitizeHtml(trimmed);
+    // Queries are matched, never rendered as HTML; escaping would break "due:<..." and quotes
+    const { errors } = parseSearchQuery(trimmed);
+    errors.forEach(error => result.addError(`${error.message} (at character ${error.position + 1})`));
     
-    result.sanitizedValue = sanitized;
+    result.sanitizedValue = trimmed;
     return result;
   }
   
@@ -232,7 +462,9 @@ export class SearchValidator {
       result.sanitizedValue = {
         status: 'all',
         priority: 'all',
-        searchQuery: ''
+        searchQuery: '',
+        category: 'all',
+        due: 'all'
       };
       return result;
     }
@@ -261,6 +493,20 @@ export class SearchValidator {
       sanitizedFilters.searchQuery = queryValidation.sanitizedValue;
     }
     
+    // Validate category filter, matched case-insensitively against task categories
+    if (filters.category !== undefined && typeof filters.category !== 'string') {
+      result.addError('Category filter must be text');
+    } else {
+      sanitizedFilters.category = (filters.category || '').trim().substring(0, 50) || 'all';
+    }
+    
+    // Validate due-date window
+    if (filters.due && !DUE_WINDOWS.includes(filters.due)) {
+      result.addError(`Due filter must be one of: ${DUE_WINDOWS.join(', ')}`);
+    } else {
+      sanitizedFilters.due = filters.due || 'all';
+    }
+    
     result.isValid = result.errors.length === 0;
     result.sanitizedValue = sanitizedFilters;
     
@@ -268,6 +514,85 @@ export class SearchValidator {
   }
 }
 
+// === SAVED VIEW VALIDATION === */
+export class ViewValidator {
+  static validateName(name) {
+    const result = new ValidationResult();
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    
+    if (trimmed.length === 0) {
+      result.addError('View name is required');
+    } else if (trimmed.length > MAX_VIEW_NAME_LENGTH) {
+      result.addError(`View name must be ${MAX_VIEW_NAME_LENGTH} characters or less`);
+    }
+    
+    result.sanitizedValue = trimmed;
+    return result;
+  }
+  
+  // A primary sort key plus up to two tie-breakers, e.g. priority desc, then dueDate asc
+  static validateSort(sort) {
+    const result = new ValidationResult();
+    const { by = 'createdAt', direction = 'desc', thenBy = [] } = sort || {};
+    
+    if (!Array.isArray(thenBy)) {
+      result.addError('Secondary sort keys must be a list');
+      result.sanitizedValue = { by, direction, thenBy: [] };
+      return result;
+    }
+    
+    if (thenBy.length > MAX_SORT_KEYS - 1) {
+      result.addError(`Cannot sort by more than ${MAX_SORT_KEYS} fields`);
+    }
+    
+    const keys = [{ by, direction }, ...thenBy];
+    keys.forEach((key, index) => {
+      if (!SORT_FIELDS.includes(key?.by)) {
+        result.addError(`Sort field must be one of: ${SORT_FIELDS.join(', ')}`);
+      } else if (keys.findIndex(other => other?.by === key.by) !== index) {
+        result.addError(`Cannot sort by ${key.by} twice`);
+      }
+      if (!['asc', 'desc'].includes(key?.direction)) {
+        result.addError('Sort direction must be asc or desc');
+      }
+    });
+    
+    result.sanitizedValue = {
+      by,
+      direction,
+      thenBy: thenBy.map(key => ({ by: key?.by, direction: key?.direction }))
+    };
+    return result;
+  }
+  
+  static validateView(view) {
+    const result = new ValidationResult();
+    
+    if (!view || typeof view !== 'object') {
+      result.addError('View must be an object');
+      return result;
+    }
+    
+    const nameValidation = this.validateName(view.name);
+    const filtersValidation = SearchValidator.validateFilters(view.filters);
+    const sortValidation = this.validateSort(view.sort);
+    
+    [nameValidation, filtersValidation, sortValidation].forEach(validation => {
+      result.errors.push(...validation.errors);
+    });
+    
+    result.isValid = result.errors.length === 0;
+    result.sanitizedValue = {
+      id: view.id,
+      name: nameValidation.sanitizedValue,
+      filters: filtersValidation.sanitizedValue,
+      sort: sortValidation.sanitizedValue
+    };
+    
+    return result;
+  }
+}
+
 // === FORM VALIDATION === */
 export class FormValidator {
   constructor(form) {
@@ -369,7 +694,10 @@ export class BulkValidator {
     const allValid = results.every(r => r.isValid);
     const sanitizedTasks = results.map(r => r.sanitizedValue).filter(Boolean);
     
-    return new ValidationResult(allValid, errors, sanitizedTasks);
+    const result = new ValidationResult(allValid, errors, sanitizedTasks);
+    // Each task's own result, in order, for reports that point at the failing ones
+    result.results = results;
+    return result;
   }
   
   static validateIds(ids) {
@@ -528,10 +856,30 @@ export function validateTask(taskData) {
   return TaskValidator.validateTask(taskData);
 }
 
+export function validateSubtasks(subtasks) {
+  return TaskValidator.validateSubtasks(subtasks);
+}
+
+export function validateTags(tags) {
+  return TaskValidator.validateTags(tags);
+}
+
+export function validateRecurrence(recurrence) {
+  return TaskValidator.validateRecurrence(recurrence);
+}
+
 export function validateSearchQuery(query) {
   return SearchValidator.validateQuery(query);
 }
 
 export function validateFilters(filters) {
   return SearchValidator.validateFilters(filters);
+}
+
+export function validateSort(sort) {
+  return ViewValidator.validateSort(sort);
+}
+
+export function validateView(view) {
+  return ViewValidator.validateView(view);
 }
\ No newline at end of file
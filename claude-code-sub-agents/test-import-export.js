@@ -0,0 +1,183 @@
+// Test script to check that import and export formats read back what they write
+(function() {
+    console.log('=== IMPORT/EXPORT ROUND TRIP TEST ===');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        errors: []
+    };
+
+    function check(name, actual, expected) {
+        const actualText = JSON.stringify(actual);
+        const expectedText = JSON.stringify(expected);
+        if (actualText === expectedText) {
+            testResults.passed++;
+            console.log('✓ ' + name);
+        } else {
+            testResults.failed++;
+            console.log('✗ ' + name, '\n  expected:', expectedText, '\n  actual:  ', actualText);
+            testResults.errors.push(name);
+        }
+    }
+
+    // Tasks as the app stores them: titles and categories HTML-escaped
+    const storedTasks = [
+        {
+            id: 'task-1',
+            title: 'Tom &amp; Jerry',
+            completed: false,
+            priority: 'high',
+            category: 'Work, Home',
+            dueDate: '2026-10-20',
+            tags: ['urgent', 'q4'],
+            notes: 'Bring the &lt;b&gt; notes',
+            subtasks: [{ id: 'sub-1', title: 'Draft', completed: true }],
+            createdAt: '2026-10-01T09:00:00.000Z',
+            updatedAt: '2026-10-02T09:00:00.000Z'
+        },
+        {
+            id: 'task-2',
+            title: '=SUM(A1:A3)',
+            completed: true,
+            completedAt: '2026-10-03T09:00:00.000Z',
+            priority: 'low',
+            category: '+Ideas',
+            dueDate: '2026-10-21',
+            tags: [],
+            subtasks: []
+        }
+    ];
+
+    // The app stores titles and categories HTML-escaped; files hold the plain text
+    function unescape(text) {
+        return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+    }
+
+    function pick(task, fields) {
+        const picked = {};
+        fields.forEach(field => {
+            picked[field] = typeof task[field] === 'string' ? unescape(task[field]) : task[field];
+        });
+        return picked;
+    }
+
+    // CSV: every column, including cells a spreadsheet would run as formulas
+    async function testCsv() {
+        const { tasksToCsv, parseCsv, guessCsvMapping, csvRowToTask, CSV_COLUMNS } = await import('./js/utils/csv.js');
+        const fields = ['title', 'completed', 'priority', 'category', 'dueDate', 'tags', 'notes'];
+        const text = tasksToCsv(storedTasks, CSV_COLUMNS.map(column => column.field));
+        const [header, ...rows] = parseCsv(text);
+        const mapping = guessCsvMapping(header);
+
+        check('CSV keeps every field', rows.map(row => pick(csvRowToTask(row, mapping), fields)),
+            storedTasks.map(task => pick(task, fields)));
+        check('CSV guards formula cells', text.includes("'=SUM(A1:A3)") && text.includes("'+Ideas"), true);
+        check('CSV guards cells led by a tab', tasksToCsv([{ title: '\t=1+1', tags: [] }], ['title']).endsWith("'\t=1+1"), true);
+    }
+
+    // todo.txt: lines written back unchanged, whatever order their tokens were in
+    async function testTodoTxt() {
+        const { parseTodoTxt, tasksToTodoTxt } = await import('./js/utils/todoTxt.js');
+        const lines = [
+            'Call +Family mom @home about due:2026-10-05 it',
+            'Meet at 10:30 today',
+            '2026-02-30 Pay rent',
+            'x 2026-13-45 bad date',
+            '(A) 2026-10-01 Plan +Work +Q4 trip rec:1w @office',
+            'x 2026-10-02 2026-09-30 Filed taxes pri:B',
+            'x (C) 2026-10-02 Sent invoice',
+            '(D) Read https://example.com/a:b later'
+        ];
+        const text = lines.join('\n') + '\n';
+        const tasks = parseTodoTxt(text).map(({ task }) => task);
+
+        check('todo.txt round trip', tasksToTodoTxt(tasks), text);
+        check('todo.txt reads fields between words', pick(tasks[0], ['title', 'category', 'tags', 'dueDate']),
+            { title: 'Call mom about it', category: 'Family', tags: ['home'], dueDate: '2026-10-05' });
+        check('todo.txt leaves times and invalid dates in the title', tasks.slice(1, 4).map(task => task.title),
+            ['Meet at 10:30 today', '2026-02-30 Pay rent', '2026-13-45 bad date']);
+    }
+
+    // Markdown: checkboxes, categories, priorities, due dates and subtasks; tasks come back by category
+    async function testMarkdown() {
+        const { tasksToMarkdown, parseMarkdown } = await import('./js/utils/markdown.js');
+        const fields = ['title', 'completed', 'priority', 'category', 'dueDate'];
+        const tasks = parseMarkdown(tasksToMarkdown(storedTasks)).map(({ task }) => task);
+        const readBack = storedTasks.map(stored => tasks.find(task => task.title === unescape(stored.title)) || {});
+
+        check('Markdown keeps every field', readBack.map(task => pick(task, fields)),
+            storedTasks.map(task => pick(task, fields)));
+        check('Markdown keeps subtasks', (readBack[0].subtasks || []).map(({ title, completed }) => ({ title, completed })),
+            [{ title: 'Draft', completed: true }]);
+    }
+
+    // iCalendar: to-dos with their category and tags, UIDs matching the tasks they came from
+    async function testIcal() {
+        const { tasksToIcs, parseIcs, findTaskByUid } = await import('./js/utils/ical.js');
+        const fields = ['title', 'completed', 'priority', 'category', 'dueDate', 'tags'];
+        const items = parseIcs(tasksToIcs(storedTasks));
+
+        check('iCalendar keeps every field', items.map(({ task }) => pick(task, fields)),
+            storedTasks.map(task => pick(task, fields)).map(task => task.tags.length > 0 ? task : { ...task, tags: undefined }));
+        check('iCalendar finds the same tasks again', items.map(({ task }) => findTaskByUid(storedTasks, task.ical.uid)?.id),
+            storedTasks.map(task => task.id));
+    }
+
+    // Importers: each recognises its own export and nothing else's
+    async function testImporters() {
+        const { BUILT_IN_IMPORTERS } = await import('./js/utils/importers.js');
+        const samples = {
+            trello: JSON.stringify({
+                lists: [{ id: 'l1', name: 'Doing' }],
+                cards: [{ id: 'c1', idList: 'l1', name: 'Card', due: '2026-10-20T12:00:00.000Z', labels: [{ name: 'Needs review' }] }],
+                checklists: [{ idCard: 'c1', checkItems: [{ name: 'Step', state: 'complete' }] }]
+            }),
+            todoist: 'TYPE,CONTENT,DESCRIPTION,PRIORITY,INDENT,AUTHOR,RESPONSIBLE,DATE,DATE_LANG,TIMEZONE\n' +
+                'task,Card @review,,1,1,,,2026-10-20,en,UTC\n',
+            'microsoft-todo': JSON.stringify({
+                value: [{ title: 'Card', importance: 'high', status: 'notStarted', categories: ['Needs review'] }]
+            }),
+            'google-tasks': JSON.stringify({ kind: 'tasks#tasks', items: [{ id: 't1', title: 'Card', status: 'needsAction' }] })
+        };
+
+        BUILT_IN_IMPORTERS.forEach(importer => {
+            const detected = Object.keys(samples).filter(key => importer.detect(samples[key]));
+            check(importer.label + ' recognises its export', detected, [importer.key]);
+            check(importer.label + ' reads the title', importer.convert(samples[importer.key]).items.map(({ task }) => task.title),
+                ['Card']);
+        });
+    }
+
+    // Main test function
+    async function runTests() {
+        console.log('Starting import/export tests...');
+
+        for (const test of [testCsv, testTodoTxt, testMarkdown, testIcal, testImporters]) {
+            try {
+                await test();
+            } catch (e) {
+                testResults.failed++;
+                console.log('✗ ' + test.name + ' threw:', e.message);
+                testResults.errors.push(test.name + ': ' + e.message);
+            }
+        }
+
+        // Final report
+        console.log('\n=== TEST RESULTS SUMMARY ===');
+        console.log('Passed:', testResults.passed);
+        console.log('Failed:', testResults.failed);
+
+        // Store results globally for inspection
+        window.importExportTestResults = testResults;
+
+        return testResults;
+    }
+
+    // Run tests when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', runTests);
+    } else {
+        runTests();
+    }
+})();
@@ -0,0 +1,85 @@
+// Test script to check the dates recurring tasks repeat on
+(function() {
+    console.log('=== RECURRENCE TEST ===');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        errors: []
+    };
+
+    function check(name, actual, expected) {
+        const actualText = JSON.stringify(actual);
+        const expectedText = JSON.stringify(expected);
+        if (actualText === expectedText) {
+            testResults.passed++;
+            console.log('✓ ' + name);
+        } else {
+            testResults.failed++;
+            console.log('✗ ' + name, '\n  expected:', expectedText, '\n  actual:  ', actualText);
+            testResults.errors.push(name);
+        }
+    }
+
+    // Each rule, the day it was last due and the day it's due next; null when it has ended
+    const NEXT_OCCURRENCES = [
+        { name: 'every 3 days', rule: { frequency: 'daily', interval: 3 }, from: '2026-10-30', next: '2026-11-02' },
+        { name: 'weekdays skip the weekend', rule: { frequency: 'weekdays' }, from: '2026-10-23', next: '2026-10-26' },
+        { name: 'weekly on the same day', rule: { frequency: 'weekly' }, from: '2026-10-23', next: '2026-10-30' },
+        { name: 'biweekly on the same day', rule: { frequency: 'weekly', interval: 2 }, from: '2026-10-23', next: '2026-11-06' },
+        { name: 'biweekly Mon and Wed, later the same week', rule: { frequency: 'weekly', interval: 2, weekdays: [1, 3] }, from: '2026-10-19', next: '2026-10-21' },
+        { name: 'biweekly Mon and Wed, skipping a week', rule: { frequency: 'weekly', interval: 2, weekdays: [1, 3] }, from: '2026-10-21', next: '2026-11-02' },
+        { name: 'the 31st in February is its last day', rule: { frequency: 'monthly', monthlyBy: 'date', monthDay: 31 }, from: '2026-01-31', next: '2026-02-28' },
+        { name: 'the 31st in a leap February', rule: { frequency: 'monthly', monthlyBy: 'date', monthDay: 31 }, from: '2028-01-31', next: '2028-02-29' },
+        { name: 'the 31st is back after a short month', rule: { frequency: 'monthly', monthlyBy: 'date', monthDay: 31 }, from: '2026-02-28', next: '2026-03-31' },
+        { name: 'monthly across the year end', rule: { frequency: 'monthly', monthlyBy: 'date', monthDay: 30 }, from: '2026-12-30', next: '2027-01-30' },
+        { name: 'every 3 months', rule: { frequency: 'monthly', interval: 3, monthlyBy: 'date', monthDay: 15 }, from: '2026-11-15', next: '2027-02-15' },
+        { name: 'second Tuesday', rule: { frequency: 'monthly', monthlyBy: 'weekday', weekOfMonth: 2, weekday: 2 }, from: '2026-10-13', next: '2026-11-10' },
+        { name: 'last Friday', rule: { frequency: 'monthly', monthlyBy: 'weekday', weekOfMonth: -1, weekday: 5 }, from: '2026-10-30', next: '2026-11-27' },
+        { name: 'a fifth Friday repeats as the last', rule: { frequency: 'monthly', monthlyBy: 'weekday' }, from: '2026-10-30', next: '2026-11-27' },
+        { name: 'until allows its own day', rule: { frequency: 'daily', until: '2026-10-31' }, from: '2026-10-30', next: '2026-10-31' },
+        { name: 'until ends the series', rule: { frequency: 'daily', until: '2026-10-30' }, from: '2026-10-30', next: null },
+        { name: 'until ends a monthly series', rule: { frequency: 'monthly', monthlyBy: 'date', monthDay: 31, until: '2026-02-27' }, from: '2026-01-31', next: null },
+        { name: 'unknown frequency never repeats', rule: { frequency: 'yearly' }, from: '2026-10-30', next: null }
+    ];
+
+    async function testNextOccurrences() {
+        const { getNextOccurrence } = await import('./js/utils/recurrence.js');
+        const { parseLocalDate, toLocalDateString } = await import('./js/utils/dateUtils.js');
+
+        NEXT_OCCURRENCES.forEach(({ name, rule, from, next }) => {
+            const occurrence = getNextOccurrence(rule, parseLocalDate(from));
+            check(name, occurrence ? toLocalDateString(occurrence) : null, next);
+        });
+    }
+
+    // Main test function
+    async function runTests() {
+        console.log('Starting recurrence tests...');
+
+        try {
+            await testNextOccurrences();
+        } catch (e) {
+            testResults.failed++;
+            console.log('✗ Recurrence tests threw:', e.message);
+            testResults.errors.push('Recurrence tests: ' + e.message);
+        }
+
+        // Final report
+        console.log('\n=== TEST RESULTS SUMMARY ===');
+        console.log('Passed:', testResults.passed);
+        console.log('Failed:', testResults.failed);
+
+        // Store results globally for inspection
+        window.recurrenceTestResults = testResults;
+
+        return testResults;
+    }
+
+    // Run tests when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', runTests);
+    } else {
+        runTests();
+    }
+})();
@@ -0,0 +1,114 @@
+// Test script to check how edits from another tab are merged into this one
+(function() {
+    console.log('=== TAB SYNC MERGE TEST ===');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        errors: []
+    };
+
+    function check(name, actual, expected) {
+        const actualText = JSON.stringify(actual);
+        const expectedText = JSON.stringify(expected);
+        if (actualText === expectedText) {
+            testResults.passed++;
+            console.log('✓ ' + name);
+        } else {
+            testResults.failed++;
+            console.log('✗ ' + name, '\n  expected:', expectedText, '\n  actual:  ', actualText);
+            testResults.errors.push(name);
+        }
+    }
+
+    function task(id, title, updatedAt, completed = false) {
+        return { id, title, updatedAt, completed };
+    }
+
+    function titles(tasks) {
+        return tasks.map(item => item.title);
+    }
+
+    // diffTasks: what one tab sends after an edit
+    async function testDiff() {
+        const { diffTasks } = await import('./js/modules/tabSync.js');
+        const before = [task('a', 'A', '2026-10-01T10:00:00Z'), task('b', 'B', '2026-10-01T10:00:00Z'), task('c', 'C', '2026-10-01T10:00:00Z')];
+        const after = [
+            task('a', 'A', '2026-10-01T10:00:00Z'),
+            task('b', 'B edited', '2026-10-01T11:00:00Z'),
+            task('d', 'D', '2026-10-01T11:00:00Z')
+        ];
+        const { upserted, deleted } = diffTasks(before, after);
+
+        check('diff sends edited and new tasks only', titles(upserted), ['B edited', 'D']);
+        check('diff sends removed tasks as deletions', deleted.map(item => item.id), ['c']);
+        check('diff sends a completion even at the same time', titles(diffTasks(before, [task('a', 'A', '2026-10-01T10:00:00Z', true)]).upserted), ['A']);
+    }
+
+    // mergeTasks: last write wins by updatedAt, ties going to the other tab
+    async function testLastWriteWins() {
+        const { mergeTasks } = await import('./js/modules/tabSync.js');
+        const local = [task('a', 'A local', '2026-10-01T12:00:00Z'), task('b', 'B local', '2026-10-01T10:00:00Z')];
+        const cases = [
+            { name: 'older remote edit is ignored', remote: task('a', 'A remote', '2026-10-01T11:00:00Z'), expected: ['A local', 'B local'] },
+            { name: 'newer remote edit wins', remote: task('b', 'B remote', '2026-10-01T11:00:00Z'), expected: ['A local', 'B remote'] },
+            { name: 'tie goes to the remote copy', remote: task('a', 'A remote', '2026-10-01T12:00:00Z'), expected: ['A remote', 'B local'] },
+            { name: 'new remote task is added', remote: task('c', 'C remote', '2026-10-01T09:00:00Z'), expected: ['A local', 'B local', 'C remote'] }
+        ];
+
+        cases.forEach(({ name, remote, expected }) => {
+            check(name, titles(mergeTasks(local, [remote], []).tasks), expected);
+        });
+    }
+
+    // Deletions: tombstones keep deleted tasks away, later edits keep them alive
+    async function testDeletes() {
+        const { mergeTasks } = await import('./js/modules/tabSync.js');
+        const tombstones = new Map([['a', '2026-10-01T12:00:00Z']]);
+
+        check('tombstone blocks a stale copy from coming back',
+            titles(mergeTasks([], [task('a', 'A', '2026-10-01T11:00:00Z')], [], tombstones).tasks), []);
+        check('tombstone lets a task edited after the delete back',
+            titles(mergeTasks([], [task('a', 'A', '2026-10-01T13:00:00Z')], [], tombstones).tasks), ['A']);
+
+        const local = [task('a', 'A', '2026-10-01T10:00:00Z'), task('b', 'B', '2026-10-01T14:00:00Z')];
+        const result = mergeTasks(local, [], [
+            { id: 'a', deletedAt: '2026-10-01T12:00:00Z' },
+            { id: 'b', deletedAt: '2026-10-01T12:00:00Z' }
+        ]);
+        check('delete removes a task not edited since', titles(result.removed), ['A']);
+        check('edit made after the delete keeps the task', titles(result.tasks), ['B']);
+    }
+
+    // Main test function
+    async function runTests() {
+        console.log('Starting tab sync tests...');
+
+        for (const test of [testDiff, testLastWriteWins, testDeletes]) {
+            try {
+                await test();
+            } catch (e) {
+                testResults.failed++;
+                console.log('✗ ' + test.name + ' threw:', e.message);
+                testResults.errors.push(test.name + ': ' + e.message);
+            }
+        }
+
+        // Final report
+        console.log('\n=== TEST RESULTS SUMMARY ===');
+        console.log('Passed:', testResults.passed);
+        console.log('Failed:', testResults.failed);
+
+        // Store results globally for inspection
+        window.tabSyncTestResults = testResults;
+
+        return testResults;
+    }
+
+    // Run tests when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', runTests);
+    } else {
+        runTests();
+    }
+})();
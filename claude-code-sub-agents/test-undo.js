@@ -0,0 +1,125 @@
+// Test script to check that undo and redo put tasks back where they were
+(function() {
+    console.log('=== UNDO/REDO TEST ===');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        errors: []
+    };
+
+    function check(name, actual, expected) {
+        const actualText = JSON.stringify(actual);
+        const expectedText = JSON.stringify(expected);
+        if (actualText === expectedText) {
+            testResults.passed++;
+            console.log('✓ ' + name);
+        } else {
+            testResults.failed++;
+            console.log('✗ ' + name, '\n  expected:', expectedText, '\n  actual:  ', actualText);
+            testResults.errors.push(name);
+        }
+    }
+
+    function titles(manager) {
+        return manager.getState().tasks.map(task => task.title);
+    }
+
+    // A manager of its own holding tasks A to D, with nothing to undo yet
+    async function createManager() {
+        const { createStateManager } = await import('./js/modules/stateManager.js');
+        const { getStorageService } = await import('./js/modules/storage.js');
+        const manager = createStateManager();
+
+        // Let its own load from storage land first so it can't replace the tasks set here
+        await getStorageService().loadTasks().catch(() => []);
+        manager.setState({
+            tasks: ['A', 'B', 'C', 'D'].map((title, index) => ({
+                id: 'undo-' + index,
+                title,
+                completed: false,
+                createdAt: '2026-10-01T10:00:00.000Z',
+                updatedAt: '2026-10-01T10:00:00.000Z'
+            }))
+        }, 'test');
+        return manager;
+    }
+
+    // Deletes: undo puts the task back at its old index, redo takes it out again
+    async function testDelete() {
+        const manager = await createManager();
+        manager.deleteTask('undo-1');
+
+        check('delete removes the task', titles(manager), ['A', 'C', 'D']);
+        manager.undo();
+        check('undo restores the task at its old index', titles(manager), ['A', 'B', 'C', 'D']);
+        manager.redo();
+        check('redo removes it again', titles(manager), ['A', 'C', 'D']);
+        manager.undo();
+        check('undo after redo restores it again', titles(manager), ['A', 'B', 'C', 'D']);
+        check('history holds one step', [manager.canUndo(), manager.canRedo()], [false, true]);
+    }
+
+    // Batches: several changes are one undo step
+    async function testBatch() {
+        const manager = await createManager();
+        manager.batchTaskCommands('Clean up', 'delete', () => {
+            manager.deleteTask('undo-0');
+            manager.deleteTask('undo-2');
+            manager.updateTask('undo-3', { title: 'D edited' });
+        });
+
+        check('batch applies every change', titles(manager), ['B', 'D edited']);
+        check('batch is one undo step', manager.getHistory().undo.length, 1);
+        manager.undo();
+        check('undoing the batch reverts every change', titles(manager), ['A', 'B', 'C', 'D']);
+        check('nothing is left to undo', manager.canUndo(), false);
+        manager.redo();
+        check('redoing the batch applies every change', titles(manager), ['B', 'D edited']);
+
+        manager.updateMultipleTasks(['undo-1', 'undo-3'], { completed: true });
+        check('bulk edit is one undo step', manager.getHistory().undo.length, 2);
+        manager.undo();
+        check('undoing the bulk edit reverts both tasks', manager.getState().tasks.map(task => task.completed), [false, false]);
+    }
+
+    // Main test function
+    async function runTests() {
+        console.log('Starting undo/redo tests...');
+
+        // Every change is saved as it's made; keep the saved tasks out of the test
+        const { getStorageService } = await import('./js/modules/storage.js');
+        const storage = getStorageService();
+        const saveTasks = storage.saveTasks;
+        storage.saveTasks = () => Promise.resolve();
+
+        for (const test of [testDelete, testBatch]) {
+            try {
+                await test();
+            } catch (e) {
+                testResults.failed++;
+                console.log('✗ ' + test.name + ' threw:', e.message);
+                testResults.errors.push(test.name + ': ' + e.message);
+            }
+        }
+
+        storage.saveTasks = saveTasks;
+
+        // Final report
+        console.log('\n=== TEST RESULTS SUMMARY ===');
+        console.log('Passed:', testResults.passed);
+        console.log('Failed:', testResults.failed);
+
+        // Store results globally for inspection
+        window.undoTestResults = testResults;
+
+        return testResults;
+    }
+
+    // Run tests when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', runTests);
+    } else {
+        runTests();
+    }
+})();